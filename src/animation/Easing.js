@@ -0,0 +1,89 @@
+/**
+ * Easing curves for tweens. Each function maps progress t (0-1) to an eased value.
+ *
+ * @example
+ * box.moveTo(0, 2, 0, { duration: 1, easing: 'easeOutBounce' });
+ * box.moveTo(0, 2, 0, { duration: 1, easing: Easing.easeInOutCubic });
+ */
+const Easing = {
+    linear: t => t,
+
+    // Quadratic
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeInOutQuad: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+
+    // Cubic
+    easeInCubic: t => t * t * t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+
+    // Quartic
+    easeInQuart: t => t * t * t * t,
+    easeOutQuart: t => 1 - Math.pow(1 - t, 4),
+    easeInOutQuart: t => (t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2),
+
+    // Sine
+    easeInSine: t => 1 - Math.cos((t * Math.PI) / 2),
+    easeOutSine: t => Math.sin((t * Math.PI) / 2),
+    easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+
+    // Exponential
+    easeInExpo: t => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+    easeOutExpo: t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+    easeInOutExpo: t => {
+        if (t === 0 || t === 1) return t;
+        return t < 0.5
+            ? Math.pow(2, 20 * t - 10) / 2
+            : (2 - Math.pow(2, -20 * t + 10)) / 2;
+    },
+
+    // Back (overshoots slightly)
+    easeInBack: t => 2.70158 * t * t * t - 1.70158 * t * t,
+    easeOutBack: t => 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2),
+    easeInOutBack: t => {
+        const c = 1.70158 * 1.525;
+        return t < 0.5
+            ? (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2
+            : (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2;
+    },
+
+    // Elastic (springy)
+    easeInElastic: t => {
+        if (t === 0 || t === 1) return t;
+        return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ((2 * Math.PI) / 3));
+    },
+    easeOutElastic: t => {
+        if (t === 0 || t === 1) return t;
+        return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ((2 * Math.PI) / 3)) + 1;
+    },
+
+    // Bounce
+    easeInBounce: t => 1 - Easing.easeOutBounce(1 - t),
+    easeOutBounce: t => {
+        const n = 7.5625;
+        const d = 2.75;
+        if (t < 1 / d) return n * t * t;
+        if (t < 2 / d) return n * (t -= 1.5 / d) * t + 0.75;
+        if (t < 2.5 / d) return n * (t -= 2.25 / d) * t + 0.9375;
+        return n * (t -= 2.625 / d) * t + 0.984375;
+    }
+};
+
+/**
+ * Resolves an easing name or function to an easing function.
+ * @param {string|Function} easing - Easing name (e.g. 'easeOutQuad') or function
+ * @returns {Function}
+ */
+function getEasing(easing) {
+    if (typeof easing === 'function') {
+        return easing;
+    }
+    const fn = Easing[easing];
+    if (!fn) {
+        throw new Error(`Unknown easing "${easing}". Available: ${Object.keys(Easing).join(', ')}`);
+    }
+    return fn;
+}
+
+export { Easing, getEasing };
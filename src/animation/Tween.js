@@ -0,0 +1,245 @@
+import { getEasing } from './Easing.js';
+
+/**
+ * Tween - Interpolates a set of numeric values over time.
+ *
+ * Tweens are driven by the per-frame update loop (see GameObject.update) rather
+ * than timers, so they pause and scale with the rest of the scene. A Tween is
+ * thenable: it can be awaited, and resolves when it finishes or is stopped.
+ *
+ * @example
+ * const tween = new Tween({
+ *   from: { x: 0 },
+ *   to: { x: 10 },
+ *   duration: 2,
+ *   easing: 'easeOutQuad',
+ *   onUpdate: values => { mesh.position.x = values.x; }
+ * });
+ *
+ * // Each frame
+ * tween.update(delta);
+ *
+ * await tween;
+ */
+class Tween {
+    /**
+     * Creates a new Tween.
+     * @param {Object} options - Configuration options
+     * @param {Object|Function} [options.from={}] - Start values, or a function returning them (evaluated when the tween starts)
+     * @param {Object|Function} [options.to={}] - End values, or a function returning them (evaluated when the tween starts)
+     * @param {number} [options.duration=1] - Duration in seconds
+     * @param {string|Function} [options.easing='easeInOutQuad'] - Easing name or function
+     * @param {number} [options.delay=0] - Delay before starting in seconds
+     * @param {number} [options.repeat=0] - Extra plays after the first (Infinity to loop forever)
+     * @param {boolean} [options.yoyo=false] - Reverse direction on every repeat
+     * @param {Function} [options.onStart] - Called once when the tween starts
+     * @param {Function} [options.onUpdate] - Called every frame with the current values
+     * @param {Function} [options.onComplete] - Called when the tween finishes
+     */
+    constructor(options = {}) {
+        const {
+            from = {},
+            to = {},
+            duration = 1,
+            easing = 'easeInOutQuad',
+            delay = 0,
+            repeat = 0,
+            yoyo = false,
+            onStart = null,
+            onUpdate = null,
+            onComplete = null
+        } = options;
+
+        this._fromSource = from;
+        this._toSource = to;
+        this.duration = Math.max(0, duration);
+        this.easing = getEasing(easing);
+        this.delay = Math.max(0, delay);
+        this.repeat = repeat;
+        this.yoyo = yoyo;
+        this.onStart = onStart;
+        this.onUpdate = onUpdate;
+        this.onComplete = onComplete;
+
+        this.isStarted = false;
+        this.isFinished = false;
+        this.isPaused = false;
+        this.values = {};
+
+        this._delayLeft = this.delay;
+        this._time = 0;
+        this._iteration = 0;
+        this._reversed = false;
+        this._from = null;
+        this._to = null;
+
+        this.promise = new Promise(resolve => {
+            this._resolve = resolve;
+        });
+    }
+
+    /**
+     * Advances the tween.
+     * @param {number} delta - Time since last frame in seconds
+     * @returns {boolean} True once the tween has finished
+     */
+    update(delta) {
+        if (this.isFinished) return true;
+        if (this.isPaused) return false;
+
+        if (this._delayLeft > 0) {
+            this._delayLeft -= delta;
+            if (this._delayLeft > 0) return false;
+            delta = -this._delayLeft;
+        }
+
+        if (!this.isStarted) {
+            this._start();
+        }
+
+        if (this.duration === 0) {
+            this._reversed = this.yoyo && this.repeat % 2 === 1;
+            return this._finish();
+        }
+
+        this._time += delta;
+        while (this._time >= this.duration) {
+            if (this._iteration >= this.repeat) {
+                return this._finish();
+            }
+            this._time -= this.duration;
+            this._iteration++;
+            if (this.yoyo) {
+                this._reversed = !this._reversed;
+            }
+        }
+
+        this._apply(this._time / this.duration);
+        return false;
+    }
+
+    /**
+     * Pauses the tween.
+     * @returns {Tween} Returns this for chaining
+     */
+    pause() {
+        this.isPaused = true;
+        return this;
+    }
+
+    /**
+     * Resumes a paused tween.
+     * @returns {Tween} Returns this for chaining
+     */
+    resume() {
+        this.isPaused = false;
+        return this;
+    }
+
+    /**
+     * Stops the tween where it is. The promise still resolves; onComplete is not called.
+     * @returns {Tween} Returns this for chaining
+     */
+    stop() {
+        if (!this.isFinished) {
+            this.isFinished = true;
+            this._resolve();
+        }
+        return this;
+    }
+
+    /**
+     * Jumps straight to the end of the tween and completes it.
+     * @returns {Tween} Returns this for chaining
+     */
+    complete() {
+        if (!this.isFinished) {
+            if (!this.isStarted) this._start();
+            this._reversed = this.yoyo && this.repeat % 2 === 1;
+            this._finish();
+        }
+        return this;
+    }
+
+    /**
+     * Makes the tween awaitable.
+     * @param {Function} onFulfilled
+     * @param {Function} [onRejected]
+     * @returns {Promise}
+     */
+    then(onFulfilled, onRejected) {
+        return this.promise.then(onFulfilled, onRejected);
+    }
+
+    /**
+     * Resolves start and end values.
+     * @private
+     */
+    _start() {
+        this.isStarted = true;
+        this._from = { ...(typeof this._fromSource === 'function' ? this._fromSource() : this._fromSource) };
+        this._to = { ...(typeof this._toSource === 'function' ? this._toSource() : this._toSource) };
+        if (this.onStart) this.onStart(this);
+    }
+
+    /**
+     * Writes interpolated values for a raw progress value and notifies onUpdate.
+     * @private
+     */
+    _apply(progress) {
+        const t = this.easing(this._reversed ? 1 - progress : progress);
+        for (const key of Object.keys(this._to)) {
+            const start = this._from[key] ?? this._to[key];
+            this.values[key] = start + (this._to[key] - start) * t;
+        }
+        if (this.onUpdate) this.onUpdate(this.values, this);
+    }
+
+    /**
+     * Applies final values and resolves.
+     * @private
+     */
+    _finish() {
+        this._apply(1);
+        this.isFinished = true;
+        if (this.onComplete) this.onComplete(this);
+        this._resolve();
+        return true;
+    }
+}
+
+/**
+ * Runs steps one after another. Each step is a function returning a Tween
+ * (or any promise), so each tween starts from wherever the previous one ended.
+ * @param {...(Function|Promise)} steps - Steps to run
+ * @returns {Promise} Resolves when the last step finishes
+ *
+ * @example
+ * await sequence(
+ *   () => box.moveTo(0, 2, 0, { duration: 1 }),
+ *   () => box.rotateTo(0, 180, 0, { duration: 0.5 }),
+ *   () => box.fadeTo(0, { duration: 0.5 })
+ * );
+ */
+async function sequence(...steps) {
+    for (const step of steps) {
+        await (typeof step === 'function' ? step() : step);
+    }
+}
+
+/**
+ * Runs steps at the same time.
+ * @param {...(Function|Promise)} steps - Steps to run
+ * @returns {Promise} Resolves when every step has finished
+ *
+ * @example
+ * await parallel(
+ *   () => box.moveTo(0, 2, 0),
+ *   () => box.colorTo('gold')
+ * );
+ */
+function parallel(...steps) {
+    return Promise.all(steps.map(step => (typeof step === 'function' ? step() : step)));
+}
+
+export { Tween, sequence, parallel };
@@ -0,0 +1,496 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { FontLoader } from 'three/addons/loaders/FontLoader.js';
+
+/**
+ * Asset types inferred from file extensions.
+ * @private
+ */
+const EXTENSION_TYPES = {
+    gltf: 'gltf',
+    glb: 'gltf',
+    obj: 'obj',
+    png: 'texture',
+    jpg: 'texture',
+    jpeg: 'texture',
+    webp: 'texture',
+    gif: 'texture',
+    bmp: 'texture',
+    avif: 'texture'
+};
+
+let defaultManager = null;
+
+/**
+ * AssetManager - Loads glTF/GLB models, OBJ models, textures and typeface fonts.
+ *
+ * Features:
+ * - Caching: each URL is loaded once; repeated or concurrent requests share the result
+ * - Progress reporting across everything currently loading
+ * - Per-asset errors that don't stop other loads
+ * - Preloading a manifest of assets, e.g. behind a loading screen
+ *
+ * Models load as { scene, animations } (the glTF result, or an OBJ group wrapped
+ * the same way). Use Model to place them in a scene.
+ *
+ * @example
+ * const assets = new AssetManager({ basePath: 'assets/' });
+ * assets.onProgress(({ progress }) => bar.style.width = `${progress * 100}%`);
+ *
+ * const { assets: loaded, errors } = await assets.preload({
+ *   robot: 'models/robot.glb',
+ *   crate: 'textures/crate.png'
+ * });
+ */
+class AssetManager {
+    /**
+     * Creates a new AssetManager.
+     * @param {Object} [options] - Configuration options
+     * @param {string} [options.basePath=''] - Prefix for relative URLs
+     * @param {string} [options.crossOrigin='anonymous'] - CORS mode for requests
+     */
+    constructor(options = {}) {
+        const {
+            basePath = '',
+            crossOrigin = 'anonymous'
+        } = options;
+
+        this.basePath = basePath;
+        this.crossOrigin = crossOrigin;
+
+        this._cache = new Map(); // cache key -> { promise, asset, status }
+        this._loaders = {};
+        this._handlers = { progress: [], load: [], error: [] };
+
+        // Progress of the current batch (reset when everything has finished)
+        this._pending = new Map(); // cache key -> { loaded, total }
+        this._batchTotal = 0;
+        this._batchDone = 0;
+    }
+
+    /**
+     * A shared manager, used by Model when no other is given.
+     * @type {AssetManager}
+     */
+    static get default() {
+        if (!defaultManager) defaultManager = new AssetManager();
+        return defaultManager;
+    }
+
+    /**
+     * Whether anything is currently loading.
+     * @type {boolean}
+     */
+    get isLoading() {
+        return this._pending.size > 0;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Loading
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Loads an asset, inferring its type from the extension.
+     * @param {string} url - URL of the asset
+     * @param {Object} [options] - Load options
+     * @param {string} [options.type] - 'gltf', 'obj', 'texture' or 'font' (overrides the extension)
+     * @returns {Promise<Object|THREE.Texture|Font>} The model ({ scene, animations }), texture or font
+     */
+    load(url, options = {}) {
+        const type = options.type || inferType(url);
+        switch (type) {
+            case 'gltf':
+                return this.loadGLTF(url);
+            case 'obj':
+                return this.loadOBJ(url);
+            case 'texture':
+                return this.loadTexture(url, options);
+            case 'font':
+                return this.loadFont(url);
+            default:
+                throw new Error(`Unknown asset type "${type}" for "${url}". Use 'gltf', 'obj', 'texture' or 'font'`);
+        }
+    }
+
+    /**
+     * Loads a model, as OBJ for .obj URLs and as glTF/GLB otherwise.
+     * @param {string} url - URL of the model
+     * @returns {Promise<{scene: THREE.Object3D, animations: THREE.AnimationClip[]}>}
+     */
+    loadModel(url) {
+        return inferType(url, 'gltf') === 'obj' ? this.loadOBJ(url) : this.loadGLTF(url);
+    }
+
+    /**
+     * Loads a glTF or GLB file.
+     * @param {string} url - URL of the file
+     * @returns {Promise<Object>} The glTF result ({ scene, scenes, animations, cameras, ... })
+     */
+    loadGLTF(url) {
+        return this._load('gltf', url, (resolved, onProgress) => new Promise((resolve, reject) => {
+            this._getLoader('gltf', GLTFLoader).load(resolved, resolve, onProgress, reject);
+        }));
+    }
+
+    /**
+     * Loads an OBJ file.
+     * @param {string} url - URL of the file
+     * @returns {Promise<{scene: THREE.Group, animations: Array}>}
+     */
+    loadOBJ(url) {
+        return this._load('obj', url, (resolved, onProgress) => new Promise((resolve, reject) => {
+            this._getLoader('obj', OBJLoader).load(
+                resolved,
+                group => resolve({ scene: group, animations: [] }),
+                onProgress,
+                reject
+            );
+        }));
+    }
+
+    /**
+     * Loads a texture. Options apply the first time a URL is loaded.
+     * @param {string} url - URL of the image
+     * @param {Object} [options] - Texture options
+     * @param {string} [options.colorSpace='srgb'] - 'srgb' for color maps, 'linear' for data (normal, roughness...)
+     * @param {boolean} [options.repeat=false] - Tile the texture instead of clamping
+     * @returns {Promise<THREE.Texture>}
+     */
+    loadTexture(url, options = {}) {
+        const { colorSpace = 'srgb', repeat = false } = options;
+        return this._load('texture', url, (resolved, onProgress) => new Promise((resolve, reject) => {
+            this._getLoader('texture', THREE.TextureLoader).load(
+                resolved,
+                texture => {
+                    texture.colorSpace = colorSpace === 'linear' ? THREE.LinearSRGBColorSpace : THREE.SRGBColorSpace;
+                    if (repeat) texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+                    resolve(texture);
+                },
+                onProgress,
+                reject
+            );
+        }));
+    }
+
+    /**
+     * Loads a typeface font (a .typeface.json file, as made by facetype.js), for Text3D.
+     * @param {string} url - URL of the font
+     * @returns {Promise<Font>}
+     */
+    loadFont(url) {
+        return this._load('font', url, (resolved, onProgress) => new Promise((resolve, reject) => {
+            this._getLoader('font', FontLoader).load(resolved, resolve, onProgress, reject);
+        }));
+    }
+
+    /**
+     * Loads a list of assets. Failed assets are reported in errors instead of
+     * rejecting, so one missing file doesn't block the rest.
+     * @param {Array<string|Object>|Object<string, string|Object>} manifest - URLs, { url, type, key } entries,
+     *   or an object mapping keys to URLs or entries
+     * @param {Object} [options] - Preload options
+     * @param {Function} [options.onProgress] - Called with { loaded, total, progress, url } as each asset finishes
+     * @returns {Promise<{assets: Object<string, *>, errors: Array<{key: string, url: string, error: Error}>}>}
+     *   Loaded assets by key (the URL when no key is given)
+     *
+     * @example
+     * const { assets, errors } = await manager.preload([
+     *   'models/ship.glb',
+     *   { key: 'sky', url: 'textures/sky.jpg' }
+     * ]);
+     */
+    async preload(manifest, { onProgress } = {}) {
+        const entries = normalizeManifest(manifest);
+        const assets = {};
+        const errors = [];
+        let loaded = 0;
+
+        await Promise.all(entries.map(async ({ key, url, ...options }) => {
+            try {
+                assets[key] = await this.load(url, options);
+            } catch (error) {
+                errors.push({ key, url, error });
+            }
+            loaded++;
+            if (onProgress) {
+                onProgress({ loaded, total: entries.length, progress: loaded / entries.length, url });
+            }
+        }));
+
+        return { assets, errors };
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Cache
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Gets an already loaded asset without waiting.
+     * @param {string} url - URL of the asset
+     * @param {string} [type] - Asset type (inferred from the extension if omitted)
+     * @returns {*} The asset, or undefined if it isn't loaded (yet)
+     */
+    get(url, type = inferType(url)) {
+        const entry = this._cache.get(this._cacheKey(type, url));
+        return entry && entry.status === 'loaded' ? entry.asset : undefined;
+    }
+
+    /**
+     * Checks whether an asset has finished loading.
+     * @param {string} url - URL of the asset
+     * @param {string} [type] - Asset type (inferred from the extension if omitted)
+     * @returns {boolean}
+     */
+    has(url, type = inferType(url)) {
+        return this.get(url, type) !== undefined;
+    }
+
+    /**
+     * Removes an asset from the cache and frees its GPU resources.
+     * Objects still using it will re-upload it if rendered.
+     * @param {string} url - URL of the asset
+     * @param {string} [type] - Asset type (inferred from the extension if omitted)
+     * @returns {AssetManager} Returns this for chaining
+     */
+    unload(url, type = inferType(url)) {
+        const key = this._cacheKey(type, url);
+        const entry = this._cache.get(key);
+        if (entry) {
+            this._cache.delete(key);
+            if (entry.status === 'loaded') disposeAsset(entry.asset);
+        }
+        return this;
+    }
+
+    /**
+     * Unloads every cached asset.
+     * @returns {AssetManager} Returns this for chaining
+     */
+    clear() {
+        for (const entry of this._cache.values()) {
+            if (entry.status === 'loaded') disposeAsset(entry.asset);
+        }
+        this._cache.clear();
+        return this;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Events (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Adds a handler called while assets load, with overall progress across
+     * everything loading since the manager was last idle.
+     * @param {Function} fn - Receives { url, loaded, total, progress } (progress is 0-1 overall)
+     * @returns {AssetManager} Returns this for chaining
+     */
+    onProgress(fn) {
+        this._handlers.progress.push(fn);
+        return this;
+    }
+
+    /**
+     * Adds a handler called when an asset finishes loading.
+     * @param {Function} fn - Receives { url, type, asset }
+     * @returns {AssetManager} Returns this for chaining
+     */
+    onLoad(fn) {
+        this._handlers.load.push(fn);
+        return this;
+    }
+
+    /**
+     * Adds a handler called when an asset fails to load.
+     * @param {Function} fn - Receives { url, type, error }
+     * @returns {AssetManager} Returns this for chaining
+     */
+    onError(fn) {
+        this._handlers.error.push(fn);
+        return this;
+    }
+
+    /**
+     * Reports a problem using an asset that loaded fine (e.g. a model without
+     * the animation clip asked for) to the onError handlers.
+     * @param {string} url - URL of the asset
+     * @param {string} type - Asset type ('model', 'texture', ...)
+     * @param {Error} error - What went wrong
+     * @returns {AssetManager} Returns this for chaining
+     */
+    reportError(url, type, error) {
+        this._emit('error', { url, type, error });
+        return this;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Internals
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Loads through the cache, tracking progress and reporting errors.
+     * @private
+     */
+    _load(type, url, loadFn) {
+        const key = this._cacheKey(type, url);
+        const cached = this._cache.get(key);
+        if (cached) return cached.promise;
+
+        const entry = { status: 'loading', asset: undefined, promise: null };
+        this._pending.set(key, { loaded: 0, total: 0 });
+        this._batchTotal++;
+
+        const onProgress = event => {
+            const progress = this._pending.get(key);
+            if (!progress) return;
+            progress.loaded = event.loaded;
+            progress.total = event.lengthComputable ? event.total : 0;
+            this._emitProgress(url, event.loaded, progress.total);
+        };
+
+        entry.promise = loadFn(this._resolve(url), onProgress).then(
+            asset => {
+                entry.status = 'loaded';
+                entry.asset = asset;
+                this._finish(key, url);
+                this._emit('load', { url, type, asset });
+                return asset;
+            },
+            cause => {
+                // Forget failures so a later call can retry
+                this._cache.delete(key);
+                this._finish(key, url);
+                const message = cause && cause.message ? cause.message : String(cause);
+                const error = new Error(`Failed to load ${type} "${url}": ${message}`, { cause });
+                this._emit('error', { url, type, error });
+                throw error;
+            }
+        );
+
+        this._cache.set(key, entry);
+        return entry.promise;
+    }
+
+    /**
+     * Marks a load as done and updates batch progress.
+     * @private
+     */
+    _finish(key, url) {
+        this._pending.delete(key);
+        this._batchDone++;
+        this._emitProgress(url, 0, 0);
+        if (this._pending.size === 0) {
+            this._batchTotal = 0;
+            this._batchDone = 0;
+        }
+    }
+
+    /**
+     * Reports overall progress: finished assets plus the fraction of each in-flight one.
+     * @private
+     */
+    _emitProgress(url, loaded, total) {
+        if (this._handlers.progress.length === 0) return;
+        let partial = 0;
+        for (const pending of this._pending.values()) {
+            if (pending.total > 0) partial += pending.loaded / pending.total;
+        }
+        const progress = this._batchTotal > 0 ? (this._batchDone + partial) / this._batchTotal : 1;
+        this._emit('progress', { url, loaded, total, progress });
+    }
+
+    /**
+     * Calls event handlers.
+     * @private
+     */
+    _emit(type, event) {
+        for (const fn of this._handlers[type].slice()) {
+            fn(event);
+        }
+    }
+
+    /**
+     * Creates a loader once and reuses it.
+     * @private
+     */
+    _getLoader(name, Loader) {
+        if (!this._loaders[name]) {
+            const loader = new Loader();
+            loader.setCrossOrigin(this.crossOrigin);
+            this._loaders[name] = loader;
+        }
+        return this._loaders[name];
+    }
+
+    /**
+     * Prefixes relative URLs with the base path.
+     * @private
+     */
+    _resolve(url) {
+        if (!this.basePath || /^(?:[a-z]+:)?\/\//i.test(url) || /^(?:data|blob):/.test(url) || url.startsWith('/')) {
+            return url;
+        }
+        return this.basePath.replace(/\/?$/, '/') + url;
+    }
+
+    /** @private */
+    _cacheKey(type, url) {
+        return `${type}:${this._resolve(url)}`;
+    }
+}
+
+/**
+ * Infers an asset type from a URL's extension.
+ * @private
+ */
+function inferType(url, fallback) {
+    if (/\.typeface\.json(?:[?#].*)?$/i.test(url)) return 'font';
+    const match = /\.([a-z0-9]+)(?:[?#].*)?$/i.exec(url);
+    const type = (match && EXTENSION_TYPES[match[1].toLowerCase()]) || fallback;
+    if (!type) {
+        throw new Error(`Cannot tell the asset type of "${url}". Pass { type: 'gltf' | 'obj' | 'texture' | 'font' }`);
+    }
+    return type;
+}
+
+/**
+ * Converts the accepted manifest formats into [{ key, url, ...options }].
+ * @private
+ */
+function normalizeManifest(manifest) {
+    const toEntry = (value, key) => {
+        const entry = typeof value === 'string' ? { url: value } : { ...value };
+        entry.key = entry.key || key || entry.url;
+        return entry;
+    };
+    if (Array.isArray(manifest)) {
+        return manifest.map(value => toEntry(value));
+    }
+    return Object.entries(manifest).map(([key, value]) => toEntry(value, key));
+}
+
+/**
+ * Frees the GPU resources of a loaded asset.
+ * @private
+ */
+function disposeAsset(asset) {
+    if (asset.isTexture) {
+        asset.dispose();
+        return;
+    }
+    if (asset.scene) {
+        asset.scene.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            for (const material of materials) {
+                if (!material) continue;
+                for (const value of Object.values(material)) {
+                    if (value && value.isTexture) value.dispose();
+                }
+                material.dispose();
+            }
+        });
+    }
+}
+
+export { AssetManager };
@@ -0,0 +1,114 @@
+/**
+ * CameraController - Base class for objects that move a Scene's camera every frame.
+ *
+ * Controllers are attached with scene.setCameraController() and updated by
+ * Scene.update after all GameObjects, so they see this frame's positions.
+ * Input is read from the Engine running the scene (scene.engine.input).
+ *
+ * @abstract
+ * @example
+ * class SlowPan extends CameraController {
+ *   update(delta) {
+ *     this.camera.position.x += delta;
+ *   }
+ * }
+ * scene.setCameraController(new SlowPan());
+ */
+class CameraController {
+    /**
+     * Creates a new CameraController.
+     * @param {Object} options - Configuration options
+     * @param {boolean} [options.enabled=true] - Whether the controller updates the camera
+     */
+    constructor(options = {}) {
+        const { enabled = true } = options;
+
+        this.enabled = enabled;
+        this.scene = null;
+        this.camera = null;
+    }
+
+    /**
+     * The Engine's input manager, or null if the scene isn't running.
+     * @type {Input|null}
+     */
+    get input() {
+        return this.scene && this.scene.engine ? this.scene.engine.input : null;
+    }
+
+    /**
+     * The canvas the scene is rendered to, or null if the scene isn't running.
+     * @type {HTMLCanvasElement|null}
+     */
+    get domElement() {
+        return this.scene && this.scene.engine ? this.scene.engine.canvas : null;
+    }
+
+    /**
+     * Attaches the controller to a scene. Called by Scene.setCameraController.
+     * @param {Scene} scene
+     */
+    attach(scene) {
+        this.scene = scene;
+        this.camera = scene.camera;
+        this.onAttach();
+    }
+
+    /**
+     * Detaches the controller. Called when it is replaced or the scene is disposed.
+     */
+    detach() {
+        this.onDetach();
+        this.scene = null;
+        this.camera = null;
+    }
+
+    /**
+     * Called after attaching. Override to read the camera's starting state.
+     */
+    onAttach() {}
+
+    /**
+     * Called before detaching. Override to remove listeners.
+     */
+    onDetach() {}
+
+    /**
+     * Points the camera at a GameObject or world position. Controllers that own
+     * their look direction (orbit, first-person) override this to update their state.
+     * @param {GameObject|THREE.Vector3} target - What to look at
+     */
+    lookAt(target) {
+        this.camera.lookAt(target.mesh ? target.getWorldPosition() : target);
+    }
+
+    /**
+     * Gets the point the camera is looking at, where Scene.lookAt() turns
+     * start from. Controllers that look at a particular point (orbit) override this.
+     * @param {THREE.Vector3} target - Vector to write the point into
+     * @param {number} distance - How far ahead of the camera to take it otherwise
+     * @returns {THREE.Vector3} The target vector
+     */
+    getLookTarget(target, distance) {
+        return this.camera.getWorldDirection(target).multiplyScalar(distance).add(this.camera.position);
+    }
+
+    /**
+     * Called every frame while enabled. Override in subclasses.
+     * @param {number} delta - Time since last frame in seconds
+     */
+    update(delta) {}
+
+    /**
+     * Converts a frame-rate independent smoothing rate into a lerp factor.
+     * @param {number} rate - Higher is snappier; 0 or less snaps instantly
+     * @param {number} delta - Time since last frame in seconds
+     * @returns {number} Factor from 0 to 1
+     * @protected
+     */
+    static smoothingFactor(rate, delta) {
+        return rate > 0 ? 1 - Math.exp(-rate * delta) : 1;
+    }
+}
+
+export { CameraController };
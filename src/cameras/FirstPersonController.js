@@ -0,0 +1,176 @@
+import * as THREE from 'three';
+import { CameraController } from './CameraController.js';
+
+/**
+ * FirstPersonController - Mouse-look and WASD walking on the ground plane.
+ *
+ * Click the canvas to capture the mouse (pointer lock); press Escape to release it.
+ *
+ * Controls:
+ * - Mouse: look around
+ * - W/A/S/D or arrow keys: move
+ * - Shift: run
+ *
+ * @extends CameraController
+ * @example
+ * const scene = new Scene({ cameraController: 'firstPerson', cameraPosition: { x: 0, y: 1.7, z: 5 } });
+ */
+class FirstPersonController extends CameraController {
+    /**
+     * Creates a new FirstPersonController.
+     * @param {Object} options - Configuration options (also accepts all CameraController options)
+     * @param {number} [options.speed=5] - Movement speed in units per second
+     * @param {number} [options.runMultiplier=2] - Speed multiplier while Shift is held
+     * @param {number} [options.lookSpeed=0.2] - Degrees of rotation per pixel of mouse movement
+     * @param {boolean} [options.pointerLock=true] - Capture the mouse on click; otherwise look by dragging
+     * @param {number} [options.minPitch=-89] - Lowest look angle in degrees
+     * @param {number} [options.maxPitch=89] - Highest look angle in degrees
+     */
+    constructor(options = {}) {
+        super(options);
+
+        const {
+            speed = 5,
+            runMultiplier = 2,
+            lookSpeed = 0.2,
+            pointerLock = true,
+            minPitch = -89,
+            maxPitch = 89
+        } = options;
+
+        this.speed = speed;
+        this.runMultiplier = runMultiplier;
+        this.lookSpeed = lookSpeed;
+        this.pointerLock = pointerLock;
+        this.minPitch = minPitch;
+        this.maxPitch = maxPitch;
+
+        this.yaw = 0;
+        this.pitch = 0;
+
+        this._boundElement = null;
+        this._onClick = this._onClick.bind(this);
+    }
+
+    /**
+     * Whether the mouse is currently captured by this controller's canvas.
+     * @type {boolean}
+     */
+    get isLocked() {
+        return typeof document !== 'undefined'
+            && this._boundElement !== null
+            && document.pointerLockElement === this._boundElement;
+    }
+
+    /**
+     * Turns to face a GameObject or world position.
+     * @param {GameObject|THREE.Vector3} target - What to look at
+     */
+    lookAt(target) {
+        super.lookAt(target);
+        this._syncFromCamera();
+    }
+
+    /** @override */
+    onAttach() {
+        this._syncFromCamera();
+    }
+
+    /** @override */
+    onDetach() {
+        if (this._boundElement) {
+            this._boundElement.removeEventListener('click', this._onClick);
+            if (this.isLocked) document.exitPointerLock();
+            this._boundElement = null;
+        }
+    }
+
+    /** @override */
+    update(delta) {
+        this._bindPointerLock();
+
+        const input = this.input;
+        if (!input) return;
+
+        if (this.isLocked || (!this.pointerLock && input.isPointerDown(0))) {
+            this.yaw -= input.pointer.deltaX * this.lookSpeed;
+            this.pitch -= input.pointer.deltaY * this.lookSpeed;
+            this.pitch = THREE.MathUtils.clamp(this.pitch, this.minPitch, this.maxPitch);
+        }
+
+        this.camera.rotation.set(
+            THREE.MathUtils.degToRad(this.pitch),
+            THREE.MathUtils.degToRad(this.yaw),
+            0,
+            'YXZ'
+        );
+
+        const running = input.isDown('ShiftLeft') || input.isDown('ShiftRight');
+        const distance = this.speed * (running ? this.runMultiplier : 1) * delta;
+        this._move(input, distance);
+    }
+
+    /**
+     * Moves the camera. Walking stays on the horizontal plane.
+     * @protected
+     */
+    _move(input, distance) {
+        const forward = this._axis(input, ['KeyS', 'ArrowDown'], ['KeyW', 'ArrowUp']);
+        const strafe = this._axis(input, ['KeyA', 'ArrowLeft'], ['KeyD', 'ArrowRight']);
+        if (forward === 0 && strafe === 0) return;
+
+        const yaw = THREE.MathUtils.degToRad(this.yaw);
+        const direction = new THREE.Vector3(
+            -Math.sin(yaw) * forward + Math.cos(yaw) * strafe,
+            0,
+            -Math.cos(yaw) * forward - Math.sin(yaw) * strafe
+        ).normalize();
+
+        this.camera.position.addScaledVector(direction, distance);
+    }
+
+    /**
+     * Returns -1, 0 or 1 from two groups of keys.
+     * @protected
+     */
+    _axis(input, negative, positive) {
+        let value = 0;
+        if (negative.some(code => input.isDown(code))) value -= 1;
+        if (positive.some(code => input.isDown(code))) value += 1;
+        return value;
+    }
+
+    /**
+     * Reads yaw and pitch from the camera's current orientation.
+     * @private
+     */
+    _syncFromCamera() {
+        const euler = new THREE.Euler().setFromQuaternion(this.camera.quaternion, 'YXZ');
+        this.yaw = THREE.MathUtils.radToDeg(euler.y);
+        this.pitch = THREE.MathUtils.radToDeg(euler.x);
+    }
+
+    /**
+     * Adds the click-to-lock listener once the scene is running.
+     * @private
+     */
+    _bindPointerLock() {
+        const element = this.domElement;
+        if (!this.pointerLock || !element || element === this._boundElement) return;
+
+        if (this._boundElement) {
+            this._boundElement.removeEventListener('click', this._onClick);
+        }
+        element.addEventListener('click', this._onClick);
+        this._boundElement = element;
+    }
+
+    /** @private */
+    _onClick() {
+        if (this.enabled && !this.isLocked && this._boundElement.requestPointerLock) {
+            this._boundElement.requestPointerLock();
+        }
+    }
+}
+
+export { FirstPersonController };
@@ -0,0 +1,52 @@
+import * as THREE from 'three';
+import { FirstPersonController } from './FirstPersonController.js';
+
+/**
+ * FlyController - Free-flying camera that moves in the direction it faces.
+ *
+ * Controls:
+ * - Left drag (or mouse with pointerLock: true): look around
+ * - W/A/S/D or arrow keys: fly forward/back and strafe
+ * - E/Space: rise, Q/C: sink
+ * - Shift: boost
+ *
+ * @extends FirstPersonController
+ * @example
+ * scene.setCameraController('fly', { speed: 10 });
+ */
+class FlyController extends FirstPersonController {
+    /**
+     * Creates a new FlyController.
+     * @param {Object} options - Configuration options (also accepts all FirstPersonController options)
+     * @param {number} [options.speed=10] - Movement speed in units per second
+     * @param {boolean} [options.pointerLock=false] - Capture the mouse on click instead of drag-to-look
+     */
+    constructor(options = {}) {
+        super({ speed: 10, pointerLock: false, ...options });
+    }
+
+    /**
+     * Moves along the view direction, with separate up/down keys.
+     * @override
+     * @protected
+     */
+    _move(input, distance) {
+        const forward = this._axis(input, ['KeyS', 'ArrowDown'], ['KeyW', 'ArrowUp']);
+        const strafe = this._axis(input, ['KeyA', 'ArrowLeft'], ['KeyD', 'ArrowRight']);
+        const lift = this._axis(input, ['KeyQ', 'KeyC'], ['KeyE', 'Space']);
+        if (forward === 0 && strafe === 0 && lift === 0) return;
+
+        const direction = new THREE.Vector3();
+        const look = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
+        const right = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion);
+
+        direction.addScaledVector(look, forward);
+        direction.addScaledVector(right, strafe);
+        direction.y += lift;
+        direction.normalize();
+
+        this.camera.position.addScaledVector(direction, distance);
+    }
+}
+
+export { FlyController };
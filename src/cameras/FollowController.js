@@ -0,0 +1,91 @@
+import * as THREE from 'three';
+import { CameraController } from './CameraController.js';
+
+/**
+ * FollowController - Third-person camera that trails a target GameObject.
+ *
+ * @extends CameraController
+ * @example
+ * scene.setCameraController('follow', {
+ *   target: player,
+ *   offset: { x: 0, y: 3, z: 6 },
+ *   smoothing: 4
+ * });
+ */
+class FollowController extends CameraController {
+    /**
+     * Creates a new FollowController.
+     * @param {Object} options - Configuration options (also accepts all CameraController options)
+     * @param {GameObject} options.target - The GameObject to follow
+     * @param {{x: number, y: number, z: number}} [options.offset={x:0, y:3, z:6}] - Camera position relative to the target
+     * @param {{x: number, y: number, z: number}} [options.lookAtOffset={x:0, y:0, z:0}] - Point to look at, relative to the target
+     * @param {number} [options.smoothing=5] - How quickly the camera catches up (higher is snappier, 0 snaps)
+     * @param {boolean} [options.rotateWithTarget=true] - Rotate the offset with the target, so the camera stays behind it
+     */
+    constructor(options = {}) {
+        super(options);
+
+        const {
+            target = null,
+            offset = { x: 0, y: 3, z: 6 },
+            lookAtOffset = { x: 0, y: 0, z: 0 },
+            smoothing = 5,
+            rotateWithTarget = true
+        } = options;
+
+        this.target = target;
+        this.offset = new THREE.Vector3(offset.x, offset.y, offset.z);
+        this.lookAtOffset = new THREE.Vector3(lookAtOffset.x, lookAtOffset.y, lookAtOffset.z);
+        this.smoothing = smoothing;
+        this.rotateWithTarget = rotateWithTarget;
+
+        this._desired = new THREE.Vector3();
+        this._lookTarget = new THREE.Vector3();
+        this._quaternion = new THREE.Quaternion();
+        this._snapNextFrame = true;
+    }
+
+    /**
+     * Sets the GameObject to follow. The camera snaps to it on the next frame.
+     * @param {GameObject} target
+     * @returns {FollowController} Returns this for chaining
+     */
+    setTarget(target) {
+        this.target = target;
+        this._snapNextFrame = true;
+        return this;
+    }
+
+    /**
+     * Follows a GameObject, if given one; points are ignored since the target decides where to look.
+     * @param {GameObject|THREE.Vector3} target
+     */
+    lookAt(target) {
+        if (target && target.mesh) this.setTarget(target);
+    }
+
+    /** @override */
+    onAttach() {
+        this._snapNextFrame = true;
+    }
+
+    /** @override */
+    update(delta) {
+        if (!this.target) return;
+
+        const targetPosition = this.target.getWorldPosition(this._lookTarget);
+        this._desired.copy(this.offset);
+        if (this.rotateWithTarget) {
+            this._desired.applyQuaternion(this.target.getWorldQuaternion(this._quaternion));
+        }
+        this._desired.add(targetPosition);
+
+        const factor = this._snapNextFrame ? 1 : CameraController.smoothingFactor(this.smoothing, delta);
+        this.camera.position.lerp(this._desired, factor);
+        this._snapNextFrame = false;
+
+        this.camera.lookAt(targetPosition.add(this.lookAtOffset));
+    }
+}
+
+export { FollowController };
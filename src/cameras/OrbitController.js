@@ -0,0 +1,235 @@
+import * as THREE from 'three';
+import { CameraController } from './CameraController.js';
+
+/**
+ * OrbitController - Rotates the camera around a target point.
+ *
+ * Controls:
+ * - Left drag / one-finger drag: orbit
+ * - Right drag: pan
+ * - Wheel / pinch: zoom
+ *
+ * @extends CameraController
+ * @example
+ * scene.setCameraController('orbit', { minDistance: 2, maxDistance: 20 });
+ *
+ * // Orbit around a moving object
+ * scene.setCameraController(new OrbitController({ target: player }));
+ */
+class OrbitController extends CameraController {
+    /**
+     * Creates a new OrbitController.
+     * @param {Object} options - Configuration options (also accepts all CameraController options)
+     * @param {GameObject|{x: number, y: number, z: number}} [options.target={x:0, y:0, z:0}] - Point or GameObject to orbit
+     * @param {boolean} [options.enableDamping=true] - Smoothly ease out of movements
+     * @param {number} [options.dampingFactor=0.1] - Damping strength per 60fps frame (0-1)
+     * @param {number} [options.rotateSpeed=1] - Orbit speed multiplier
+     * @param {number} [options.zoomSpeed=1] - Zoom speed multiplier
+     * @param {number} [options.panSpeed=1] - Pan speed multiplier
+     * @param {boolean} [options.enableZoom=true] - Allow zooming
+     * @param {boolean} [options.enablePan=true] - Allow panning
+     * @param {number} [options.minDistance=1] - Closest zoom distance
+     * @param {number} [options.maxDistance=100] - Farthest zoom distance
+     * @param {number} [options.minPolarAngle=0] - Lowest vertical angle in degrees (0 = straight down from above)
+     * @param {number} [options.maxPolarAngle=180] - Highest vertical angle in degrees
+     * @param {boolean} [options.autoRotate=false] - Rotate around the target automatically
+     * @param {number} [options.autoRotateSpeed=30] - Auto-rotate speed in degrees per second
+     */
+    constructor(options = {}) {
+        super(options);
+
+        const {
+            target = { x: 0, y: 0, z: 0 },
+            enableDamping = true,
+            dampingFactor = 0.1,
+            rotateSpeed = 1,
+            zoomSpeed = 1,
+            panSpeed = 1,
+            enableZoom = true,
+            enablePan = true,
+            minDistance = 1,
+            maxDistance = 100,
+            minPolarAngle = 0,
+            maxPolarAngle = 180,
+            autoRotate = false,
+            autoRotateSpeed = 30
+        } = options;
+
+        this.target = new THREE.Vector3();
+        this.targetObject = null;
+        this.setTarget(target);
+
+        this.enableDamping = enableDamping;
+        this.dampingFactor = dampingFactor;
+        this.rotateSpeed = rotateSpeed;
+        this.zoomSpeed = zoomSpeed;
+        this.panSpeed = panSpeed;
+        this.enableZoom = enableZoom;
+        this.enablePan = enablePan;
+        this.minDistance = minDistance;
+        this.maxDistance = maxDistance;
+        this.minPolarAngle = minPolarAngle;
+        this.maxPolarAngle = maxPolarAngle;
+        this.autoRotate = autoRotate;
+        this.autoRotateSpeed = autoRotateSpeed;
+
+        this._spherical = new THREE.Spherical();
+        this._thetaDelta = 0;
+        this._phiDelta = 0;
+        this._zoomScale = 1;
+        this._panDelta = new THREE.Vector3();
+        this._dragButton = null;
+        this._pinchDistance = null;
+    }
+
+    /**
+     * Sets the point or GameObject to orbit around. A GameObject is followed
+     * as it moves; null stops following and keeps orbiting its last position.
+     * @param {GameObject|{x: number, y: number, z: number}|null} target
+     * @returns {OrbitController} Returns this for chaining
+     */
+    setTarget(target) {
+        if (target && target.mesh) {
+            this.targetObject = target;
+            target.getWorldPosition(this.target);
+        } else {
+            this.targetObject = null;
+            if (target) this.target.set(target.x, target.y, target.z);
+        }
+        return this;
+    }
+
+    /**
+     * Orbits around a new point or GameObject, keeping the current distance.
+     * @param {GameObject|THREE.Vector3} target - What to look at
+     */
+    lookAt(target) {
+        this.setTarget(target);
+    }
+
+    /** @override */
+    getLookTarget(target) {
+        return target.copy(this.target);
+    }
+
+    /** @override */
+    onAttach() {
+        this._syncFromCamera();
+    }
+
+    /** @override */
+    update(delta) {
+        if (this.targetObject) {
+            this.targetObject.getWorldPosition(this.target);
+        }
+
+        this._readInput();
+
+        if (this.autoRotate && this._dragButton === null) {
+            this._thetaDelta -= THREE.MathUtils.degToRad(this.autoRotateSpeed) * delta;
+        }
+
+        const factor = this.enableDamping
+            ? 1 - Math.pow(1 - this.dampingFactor, delta * 60)
+            : 1;
+
+        // Apply a fraction of the pending movement; the rest carries into later frames
+        this._spherical.theta += this._thetaDelta * factor;
+        this._spherical.phi += this._phiDelta * factor;
+        this._spherical.radius *= Math.pow(this._zoomScale, factor);
+        this.target.addScaledVector(this._panDelta, factor);
+
+        this._thetaDelta *= 1 - factor;
+        this._phiDelta *= 1 - factor;
+        this._zoomScale = Math.pow(this._zoomScale, 1 - factor);
+        this._panDelta.multiplyScalar(1 - factor);
+
+        this._spherical.phi = THREE.MathUtils.clamp(
+            this._spherical.phi,
+            Math.max(0.0001, THREE.MathUtils.degToRad(this.minPolarAngle)),
+            Math.min(Math.PI - 0.0001, THREE.MathUtils.degToRad(this.maxPolarAngle))
+        );
+        this._spherical.radius = THREE.MathUtils.clamp(this._spherical.radius, this.minDistance, this.maxDistance);
+
+        this.camera.position.setFromSpherical(this._spherical).add(this.target);
+        this.camera.lookAt(this.target);
+    }
+
+    /**
+     * Reads the camera's current position into spherical coordinates.
+     * @private
+     */
+    _syncFromCamera() {
+        const offset = this.camera.position.clone().sub(this.target);
+        this._spherical.setFromVector3(offset);
+    }
+
+    /**
+     * Converts pointer, wheel and touch input into pending movement.
+     * @private
+     */
+    _readInput() {
+        const input = this.input;
+        if (!input) return;
+
+        for (const button of [0, 2]) {
+            if (input.isPointerPressed(button) && input.pointer.isInside && this._dragButton === null) {
+                this._dragButton = button;
+            }
+        }
+        if (this._dragButton !== null && !input.isPointerDown(this._dragButton)) {
+            this._dragButton = null;
+        }
+
+        const height = this.scene.viewport.height || 1;
+        const { deltaX, deltaY } = input.pointer;
+        const touches = input.getTouches();
+
+        if (touches.length === 2) {
+            this._readPinch(touches);
+        } else {
+            this._pinchDistance = null;
+
+            if (this._dragButton === 0) {
+                this._thetaDelta -= (2 * Math.PI * deltaX / height) * this.rotateSpeed;
+                this._phiDelta -= (2 * Math.PI * deltaY / height) * this.rotateSpeed;
+            } else if (this._dragButton === 2 && this.enablePan) {
+                this._pan(deltaX, deltaY, height);
+            }
+        }
+
+        if (this.enableZoom && input.wheel !== 0 && input.pointer.isInside) {
+            this._zoomScale *= Math.pow(0.95, -input.wheel / 100 * this.zoomSpeed);
+        }
+    }
+
+    /**
+     * Zooms from the change in distance between two touches.
+     * @private
+     */
+    _readPinch(touches) {
+        const distance = Math.hypot(touches[0].x - touches[1].x, touches[0].y - touches[1].y);
+        if (this._pinchDistance !== null && distance > 0 && this.enableZoom) {
+            this._zoomScale *= Math.pow(this._pinchDistance / distance, this.zoomSpeed);
+        }
+        this._pinchDistance = distance;
+    }
+
+    /**
+     * Moves the target in the camera's view plane.
+     * @private
+     */
+    _pan(deltaX, deltaY, height) {
+        // Scale so the point under the cursor roughly follows it
+        const fov = this.camera.fov !== undefined ? THREE.MathUtils.degToRad(this.camera.fov) : Math.PI / 4;
+        const worldPerPixel = (2 * this._spherical.radius * Math.tan(fov / 2)) / height;
+
+        const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrix, 1);
+
+        this._panDelta.addScaledVector(right, -deltaX * worldPerPixel * this.panSpeed);
+        this._panDelta.addScaledVector(up, deltaY * worldPerPixel * this.panSpeed);
+    }
+}
+
+export { OrbitController };
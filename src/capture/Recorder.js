@@ -0,0 +1,173 @@
+import { canvasToPng } from './frames.js';
+import { createZip } from './encoders.js';
+
+/**
+ * Recording formats.
+ * @private
+ */
+const FORMATS = ['webm', 'png'];
+
+/**
+ * WebM codecs to try, best first.
+ * @private
+ */
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Recorder - Records the Engine's canvas on a fixed clock.
+ *
+ * While recording, every frame advances game time by exactly 1/fps, whatever
+ * the real frame rate, so recordings play back at the right speed and the
+ * same scene records the same way every time.
+ *
+ * - 'webm': a video, made by the browser's MediaRecorder. Frames are paced
+ *   to real time so the video's timing matches, which needs the page to
+ *   keep up with the chosen fps.
+ * - 'png': a zip of numbered PNG frames (frame-00000.png, ...). Frames run
+ *   as fast (or as slow) as they can be drawn, so nothing is ever dropped.
+ *   Also works headless, one frame per engine.tick().
+ *
+ * Created by engine.startRecording(); finish with engine.stopRecording().
+ */
+class Recorder {
+    /**
+     * Creates a new Recorder and starts recording.
+     * @param {Engine} engine - The engine whose canvas is recorded
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.fps=30] - Frames per second of the recording
+     * @param {string} [options.format='webm'] - 'webm' or 'png'
+     * @param {number} [options.bitrate] - WebM video bits per second (the browser picks if omitted)
+     */
+    constructor(engine, options = {}) {
+        const {
+            fps = 30,
+            format = 'webm',
+            bitrate
+        } = options;
+
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unknown recording format "${format}". Use 'webm' or 'png'`);
+        }
+        if (!(fps > 0)) {
+            throw new Error(`Recording fps must be above 0, got ${fps}`);
+        }
+
+        this.engine = engine;
+        this.fps = fps;
+        this.format = format;
+        this.frameCount = 0;
+
+        this._frames = []; // PNG frames being encoded
+        this._lag = 0; // Real time since the last WebM frame was due
+
+        if (format === 'webm') this._startMediaRecorder(bitrate);
+    }
+
+    /**
+     * Game time each recorded frame advances by.
+     * @type {number}
+     */
+    get frameDelta() {
+        return 1 / this.fps;
+    }
+
+    /**
+     * Decides how far the next animation frame should advance. Called by the
+     * Engine's loop in place of the measured frame time.
+     * @param {number} realDelta - Real time since the last animation frame
+     * @returns {number|null} Game time to advance, or null to skip this animation frame
+     */
+    nextDelta(realDelta) {
+        if (this.format === 'webm') {
+            this._lag += realDelta;
+            if (this._lag < this.frameDelta) return null;
+            // Don't build up a backlog if the page falls behind
+            this._lag = Math.min(this._lag - this.frameDelta, this.frameDelta);
+        }
+        return this.frameDelta;
+    }
+
+    /**
+     * Records what was just rendered. Called by the Engine after each render.
+     */
+    capture() {
+        this.frameCount++;
+        if (this.format === 'png') {
+            this._frames.push(canvasToPng(this.engine.renderer));
+        } else if (this._track.requestFrame) {
+            this._track.requestFrame();
+        }
+    }
+
+    /**
+     * Finishes the recording.
+     * @returns {Promise<Blob>} The WebM video, or a zip of PNG frames
+     */
+    stop() {
+        if (this.format === 'png') {
+            return Promise.all(this._frames).then(async blobs => {
+                const files = await Promise.all(blobs.map(async (blob, index) => ({
+                    name: `frame-${String(index).padStart(5, '0')}.png`,
+                    data: new Uint8Array(await blob.arrayBuffer())
+                })));
+                return new Blob([createZip(files)], { type: 'application/zip' });
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            this._mediaRecorder.onstop = () => {
+                this._track.stop();
+                resolve(new Blob(this._chunks, { type: this._mediaRecorder.mimeType || 'video/webm' }));
+            };
+            this._mediaRecorder.onerror = event => reject(event.error);
+            this._mediaRecorder.stop();
+        });
+    }
+
+    /**
+     * Abandons the recording without encoding it.
+     */
+    cancel() {
+        if (this.format === 'png') {
+            // Frames still encoding may fail; nobody is waiting for them now
+            for (const frame of this._frames) frame.catch(() => {});
+            this._frames = [];
+            return;
+        }
+        this._mediaRecorder.ondataavailable = null;
+        if (this._mediaRecorder.state !== 'inactive') this._mediaRecorder.stop();
+        this._track.stop();
+        this._chunks = [];
+    }
+
+    /**
+     * Starts recording the canvas as a video stream.
+     * @private
+     */
+    _startMediaRecorder(bitrate) {
+        const canvas = this.engine.canvas;
+        if (typeof MediaRecorder === 'undefined' || !canvas || !canvas.captureStream) {
+            throw new Error("WebM recording needs MediaRecorder and canvas.captureStream (a browser); use format 'png' instead");
+        }
+
+        // Frames are pushed as they're rendered where the browser allows,
+        // otherwise sampled at the recording rate
+        let stream = canvas.captureStream(0);
+        this._track = stream.getVideoTracks()[0];
+        if (!this._track.requestFrame) {
+            this._track.stop();
+            stream = canvas.captureStream(this.fps);
+            this._track = stream.getVideoTracks()[0];
+        }
+
+        const mimeType = WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        this._chunks = [];
+        this._mediaRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+        this._mediaRecorder.ondataavailable = event => {
+            if (event.data.size > 0) this._chunks.push(event.data);
+        };
+        this._mediaRecorder.start();
+    }
+}
+
+export { Recorder };
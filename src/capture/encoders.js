@@ -0,0 +1,227 @@
+/**
+ * Small binary encoders for captures: PNG images and zip archives. Neither
+ * compresses (PNG frames from the browser's own encoder already are), so
+ * they stay tiny and work anywhere, including under Node.
+ */
+
+/**
+ * CRC-32 lookup table (IEEE polynomial), built on first use.
+ * @private
+ */
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum used by PNG and zip.
+ * @param {Uint8Array} bytes
+ * @param {number} [crc=0] - Checksum of the bytes before these, to continue it
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(bytes, crc = 0) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+
+    crc = ~crc;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// PNG
+// ─────────────────────────────────────────────────────────────────
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Largest stored (uncompressed) deflate block.
+ * @private
+ */
+const MAX_STORED_BLOCK = 0xffff;
+
+/**
+ * Encodes RGBA pixels as a PNG file.
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array|Uint8ClampedArray} rgba - Pixels, top row first, 4 bytes each
+ * @returns {Uint8Array} The PNG file
+ */
+function encodePng(width, height, rgba) {
+    if (rgba.length !== width * height * 4) {
+        throw new Error(`encodePng expected ${width * height * 4} bytes for ${width}x${height} pixels, got ${rgba.length}`);
+    }
+
+    // Each row starts with its filter type (0 = none)
+    const rowLength = width * 4;
+    const raw = new Uint8Array((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(rgba.subarray(y * rowLength, (y + 1) * rowLength), y * (rowLength + 1) + 1);
+    }
+
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = 8; // Bits per channel
+    header[9] = 6; // RGBA
+
+    return concat([
+        new Uint8Array(PNG_SIGNATURE),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlibStored(raw)),
+        pngChunk('IEND', new Uint8Array(0))
+    ]);
+}
+
+/**
+ * Wraps data in a PNG chunk: length, type, data and checksum.
+ * @private
+ */
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+/**
+ * Wraps data in a zlib stream of stored deflate blocks.
+ * @private
+ */
+function zlibStored(data) {
+    const blocks = Math.max(1, Math.ceil(data.length / MAX_STORED_BLOCK));
+    const out = new Uint8Array(2 + blocks * 5 + data.length + 4);
+    const view = new DataView(out.buffer);
+    out[0] = 0x78; // Deflate, 32K window
+    out[1] = 0x01; // No preset dictionary, fastest; makes the header a multiple of 31
+
+    let offset = 2;
+    for (let i = 0; i < blocks; i++) {
+        const block = data.subarray(i * MAX_STORED_BLOCK, (i + 1) * MAX_STORED_BLOCK);
+        out[offset] = i === blocks - 1 ? 1 : 0; // Final block flag, stored type
+        view.setUint16(offset + 1, block.length, true);
+        view.setUint16(offset + 3, ~block.length & 0xffff, true);
+        out.set(block, offset + 5);
+        offset += 5 + block.length;
+    }
+    view.setUint32(offset, adler32(data));
+    return out;
+}
+
+/**
+ * Computes the Adler-32 checksum ending a zlib stream.
+ * @private
+ */
+function adler32(bytes) {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Zip
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Modification date written for every file (1980-01-01, the earliest zip
+ * allows), so the same files always make the same archive.
+ * @private
+ */
+const ZIP_DATE = (1 << 5) | 1; // Years since 1980 << 9 | month << 5 | day
+
+/**
+ * Packs files into a zip archive, stored without compression.
+ * @param {Array<{name: string, data: Uint8Array}>} files - Paths inside the archive and their contents
+ * @returns {Uint8Array} The zip file
+ *
+ * @example
+ * const zip = createZip([{ name: 'frame-00000.png', data: png }]);
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+
+        const local = new Uint8Array(30 + name.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, 0x04034b50, true); // Local file header
+        localView.setUint16(4, 20, true); // Version needed (2.0)
+        localView.setUint16(6, 0x0800, true); // UTF-8 names
+        localView.setUint16(8, 0, true); // Stored
+        localView.setUint16(10, 0, true); // Time
+        localView.setUint16(12, ZIP_DATE, true);
+        localView.setUint32(14, crc, true);
+        localView.setUint32(18, size, true);
+        localView.setUint32(22, size, true);
+        localView.setUint16(26, name.length, true);
+        local.set(name, 30);
+
+        const entry = new Uint8Array(46 + name.length);
+        const entryView = new DataView(entry.buffer);
+        entryView.setUint32(0, 0x02014b50, true); // Central directory header
+        entryView.setUint16(4, 20, true); // Version made by
+        entryView.setUint16(6, 20, true); // Version needed
+        entryView.setUint16(8, 0x0800, true);
+        entryView.setUint16(10, 0, true);
+        entryView.setUint16(12, 0, true);
+        entryView.setUint16(14, ZIP_DATE, true);
+        entryView.setUint32(16, crc, true);
+        entryView.setUint32(20, size, true);
+        entryView.setUint32(24, size, true);
+        entryView.setUint16(28, name.length, true);
+        entryView.setUint32(42, offset, true); // Where the local header starts
+        entry.set(name, 46);
+
+        parts.push(local, file.data);
+        directory.push(entry);
+        offset += local.length + size;
+    }
+
+    const directorySize = directory.reduce((total, entry) => total + entry.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true); // End of central directory
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, directorySize, true);
+    endView.setUint32(16, offset, true);
+
+    return concat([...parts, ...directory, end]);
+}
+
+/**
+ * Joins byte arrays.
+ * @private
+ */
+function concat(arrays) {
+    const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+}
+
+export { crc32, encodePng, createZip };
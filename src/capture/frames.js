@@ -0,0 +1,55 @@
+import * as THREE from 'three';
+import { encodePng } from './encoders.js';
+
+const _bufferSize = new THREE.Vector2();
+
+/**
+ * Reads back what the renderer last drew to its canvas.
+ * @param {THREE.WebGLRenderer} renderer
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels, top row first
+ *   (the same layout as ImageData), in device pixels
+ */
+function readPixels(renderer) {
+    const gl = renderer.getContext();
+    const { x: width, y: height } = renderer.getDrawingBufferSize(_bufferSize);
+    const pixels = new Uint8Array(width * height * 4);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+    // WebGL reads from the bottom row up
+    const data = new Uint8ClampedArray(pixels.length);
+    const rowLength = width * 4;
+    for (let y = 0; y < height; y++) {
+        const start = (height - 1 - y) * rowLength;
+        data.set(pixels.subarray(start, start + rowLength), y * rowLength);
+    }
+    return { width, height, data };
+}
+
+/**
+ * Encodes what the renderer last drew as a PNG. Must be called in the same
+ * task as the render, before the browser clears the canvas.
+ * @param {THREE.WebGLRenderer} renderer
+ * @returns {Promise<Blob>}
+ */
+function canvasToPng(renderer) {
+    const canvas = renderer.domElement;
+    if (canvas && canvas.toBlob) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('The canvas could not be encoded as a PNG'));
+                }
+            }, 'image/png');
+        });
+    }
+    if (canvas && canvas.convertToBlob) {
+        return canvas.convertToBlob({ type: 'image/png' });
+    }
+    // No canvas to encode with (e.g. a headless GL context under Node)
+    const { width, height, data } = readPixels(renderer);
+    return Promise.resolve(new Blob([encodePng(width, height, data)], { type: 'image/png' }));
+}
+
+export { readPixels, canvasToPng };
@@ -0,0 +1,121 @@
+/**
+ * Component - Base class for reusable behaviour attached to GameObjects.
+ *
+ * Extend it and override the lifecycle methods you need, then attach it with
+ * gameObject.addComponent(). All lifecycle methods are optional:
+ * - onEnable(): when attached, and when re-enabled
+ * - start(): once, just before the component's first update
+ * - update(delta, elapsed): every frame, after the object's own update functions
+ * - lateUpdate(delta, elapsed): every frame, after every object in the scene has updated
+ *   (and physics has moved them), e.g. for cameras and things that follow other objects
+ * - fixedUpdate(delta, elapsed): every fixed timestep (requires Engine fixedTimestep)
+ * - onDisable(): when disabled, and before being removed
+ * - onDestroy(): when removed, or when the GameObject is disposed
+ *
+ * Times follow the object's time scale, so components slow down and pause
+ * with it. Props given to addComponent() are assigned onto the component
+ * after it's constructed, so class fields work as defaults.
+ *
+ * @example
+ * class Health extends Component {
+ *   max = 100;
+ *
+ *   start() {
+ *     this.current = this.max;
+ *   }
+ *
+ *   damage(amount) {
+ *     this.current -= amount;
+ *     if (this.current <= 0) this.scene.remove(this.gameObject);
+ *   }
+ * }
+ *
+ * class Patrol extends Component {
+ *   speed = 2;
+ *   range = 5;
+ *
+ *   update(delta, elapsed) {
+ *     this.gameObject.mesh.position.x = Math.sin(elapsed * this.speed / this.range) * this.range;
+ *   }
+ * }
+ *
+ * const goblin = new Box().addComponent(Health, { max: 30 }).addComponent(Patrol);
+ * goblin.getComponent(Health).damage(10);
+ */
+class Component {
+    /**
+     * Created by GameObject.addComponent(), which passes its props to the
+     * constructor and then assigns them onto the component.
+     */
+    constructor() {
+        this.gameObject = null; // Set by addComponent
+        this.enabled = true; // Whether the update methods run (see setEnabled)
+        this._started = false;
+    }
+
+    /**
+     * The scene the GameObject is in, or null.
+     * @type {Scene|null}
+     */
+    get scene() {
+        return this.gameObject ? this.gameObject.scene : null;
+    }
+
+    /**
+     * The engine running the scene, or null.
+     * @type {Engine|null}
+     */
+    get engine() {
+        const scene = this.scene;
+        return scene ? scene.engine : null;
+    }
+
+    /**
+     * Turns the component on or off, calling onEnable or onDisable when it changes.
+     * @param {boolean} enabled
+     * @returns {Component} Returns this for chaining
+     */
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return this;
+        this.enabled = enabled;
+        if (enabled) {
+            if (this.onEnable) this.onEnable();
+        } else if (this.onDisable) {
+            this.onDisable();
+        }
+        return this;
+    }
+
+    /**
+     * Gets another component on the same GameObject.
+     * @param {Function} Type - Component class
+     * @returns {Component|undefined}
+     */
+    getComponent(Type) {
+        return this.gameObject ? this.gameObject.getComponent(Type) : undefined;
+    }
+
+    /**
+     * Removes this component from its GameObject.
+     */
+    destroy() {
+        if (this.gameObject) this.gameObject.removeComponent(this);
+    }
+
+    /**
+     * Runs one of the update methods, calling start() first if it hasn't run
+     * yet. Called by the GameObject.
+     * @private
+     */
+    _run(method, delta, elapsed) {
+        if (!this._started) {
+            this._started = true;
+            if (this.start) this.start();
+            // start() may have disabled or removed the component
+            if (!this.enabled || !this.gameObject) return;
+        }
+        if (this[method]) this[method](delta, elapsed);
+    }
+}
+
+export { Component };
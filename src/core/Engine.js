@@ -1,4 +1,29 @@
 import * as THREE from 'three';
+import { Input } from '../input/Input.js';
+import { SceneManager } from './SceneManager.js';
+import { EffectPipeline } from '../effects/EffectPipeline.js';
+import { HtmlOverlay } from '../overlay/HtmlOverlay.js';
+import { DebugOverlay } from '../debug/DebugOverlay.js';
+import { EventEmitter } from './EventEmitter.js';
+import { Recorder } from '../capture/Recorder.js';
+import { readPixels, canvasToPng } from '../capture/frames.js';
+
+/**
+ * Shadow map filtering, from fastest to softest.
+ * @private
+ */
+const SHADOW_TYPES = {
+    basic: THREE.BasicShadowMap,
+    pcf: THREE.PCFShadowMap,
+    soft: THREE.PCFSoftShadowMap,
+    vsm: THREE.VSMShadowMap
+};
+
+/**
+ * Size used when headless, where there's no window to size to.
+ * @private
+ */
+const HEADLESS_SIZE = { width: 800, height: 600 };
 
 /**
  * Engine - The core rendering engine that manages the WebGL renderer and animation loop.
@@ -7,86 +32,198 @@ import * as THREE from 'three';
  * - WebGL renderer creation and configuration
  * - Animation loop management
  * - Window resize handling
+ * - Headless mode with a manual clock, for tests and offline rendering (engine.tick, engine.captureFrame)
+ * - Screenshots at any size and fixed-rate recording to WebM or PNG frames (engine.screenshot, engine.startRecording)
+ * - Input (keyboard, pointer, touch, gamepad)
+ * - Scene management and transitions (engine.scenes)
+ * - Time control (pause, time scale, fixed timestep, single-step)
+ * - Post-processing effects (engine.addEffect)
+ * - HTML labels over scene objects (engine.addHtmlLabel)
+ * - Debug stats panel and visual helpers (engine.debug, F3)
+ * - Events, including custom events bubbling up from scenes and GameObjects (see EventEmitter)
+ *
+ * Events:
+ * - 'beforeUpdate' / 'afterUpdate': around each update of game time ({ delta, elapsed })
+ * - 'beforeRender' / 'afterRender': around each frame's render ({ delta })
+ * - 'resize': the window or setSize() changed the size ({ width, height })
+ * - 'disposed': dispose() has freed the engine
  *
  * @example
  * const engine = new Engine();
  * engine.run(scene);
+ * engine.on('resize', event => hud.layout(event.detail.width, event.detail.height));
+ *
+ * @example
+ * // Under Node: no window, document or animation frames, and time only moves on tick()
+ * const engine = new Engine({ headless: true, width: 320, height: 240 });
+ * engine.run(scene);
+ * for (let i = 0; i < 60; i++) engine.tick(1 / 60);
+ *
+ * // With a renderer (e.g. on a headless GL context), frames can be captured for comparison
+ * const engine = new Engine({ headless: true, renderer: new THREE.WebGLRenderer({ context: gl }) });
+ * const { width, height, data } = engine.run(scene).tick(1 / 60).captureFrame();
  */
-class Engine {
+class Engine extends EventEmitter {
     /**
      * Creates a new Engine instance.
      * @param {Object} options - Configuration options
-     * @param {HTMLElement} [options.container=document.body] - DOM element to attach the renderer
+     * @param {HTMLElement} [options.container=document.body] - DOM element to attach the renderer (null for none)
+     * @param {boolean} [options.headless=false] - Run without window, document or requestAnimationFrame:
+     *   nothing is added to the page, the window isn't watched for resizes or input, and time only
+     *   advances with tick(). No renderer is created unless one is given
+     * @param {THREE.WebGLRenderer|null} [options.renderer] - Renderer to use instead of creating one
+     * @param {HTMLCanvasElement} [options.canvas] - Canvas for the created renderer to draw to
+     * @param {number} [options.width=window.innerWidth] - Initial width in CSS pixels (800 when headless)
+     * @param {number} [options.height=window.innerHeight] - Initial height in CSS pixels (600 when headless)
      * @param {boolean} [options.antialias=true] - Enable antialiasing
-     * @param {number} [options.pixelRatio=window.devicePixelRatio] - Pixel ratio for rendering
+     * @param {boolean} [options.alpha=false] - Give the canvas an alpha channel, needed for transparent screenshots
+     * @param {number} [options.pixelRatio=window.devicePixelRatio] - Pixel ratio for rendering (1 when headless)
+     * @param {Object} [options.input] - Options passed to Input (deadzone, preventContextMenu)
+     * @param {number} [options.timeScale=1] - Global time scale (0.5 = slow motion)
+     * @param {number} [options.maxDelta=0.1] - Longest frame in seconds; longer gaps (e.g. a backgrounded tab) are clamped
+     * @param {number|null} [options.fixedTimestep=null] - Enables fixedUpdate at this interval in seconds (e.g. 1/60)
+     * @param {number} [options.maxFixedSteps=5] - Most fixed steps run in one frame, so slow frames can't snowball
+     * @param {boolean} [options.shadows=false] - Render shadows from lights and objects with castShadow
+     * @param {string} [options.shadowType='soft'] - Shadow filtering: 'basic', 'pcf', 'soft' or 'vsm'
+     * @param {boolean|Object} [options.debug=false] - Show the debug panel from the start, or DebugOverlay
+     *   options (the panel shows unless visible is false). F3 toggles it either way unless hotkeys is false
      */
     constructor(options = {}) {
         const {
-            container = document.body,
+            headless = false,
+            container = headless ? null : document.body,
+            canvas = null,
+            width = headless ? HEADLESS_SIZE.width : window.innerWidth,
+            height = headless ? HEADLESS_SIZE.height : window.innerHeight,
             antialias = true,
-            pixelRatio = window.devicePixelRatio
+            alpha = false,
+            pixelRatio = headless ? 1 : window.devicePixelRatio,
+            timeScale = 1,
+            maxDelta = 0.1,
+            fixedTimestep = null,
+            maxFixedSteps = 5,
+            shadows = false,
+            shadowType = 'soft',
+            debug = false
         } = options;
 
+        super();
+
+        this.headless = headless;
         this.container = container;
-        this.renderer = this._createRenderer(antialias, pixelRatio);
+        this.width = width;
+        this.height = height;
+        this.renderer = options.renderer !== undefined
+            ? options.renderer
+            : headless ? null : new THREE.WebGLRenderer({ antialias, alpha, canvas: canvas || undefined });
+        this.canvas = this.renderer ? this.renderer.domElement : canvas; // May be null when headless
+        if (this.renderer) {
+            this.renderer.setSize(width, height, !headless);
+            this.renderer.setPixelRatio(pixelRatio);
+        }
+        this.setShadows(shadows, shadowType);
         this.clock = new THREE.Clock();
         this.isRunning = false;
-        this.activeScene = null;
+        this.isPaused = false;
+        this.timeScale = timeScale;
+        this.maxDelta = maxDelta;
+        this.fixedTimestep = fixedTimestep;
+        this.maxFixedSteps = maxFixedSteps;
+        this.elapsed = 0; // Scaled game time; stops while paused
+        this.frame = 0;
+        this.alpha = 0; // How far between fixed steps the current frame is (0-1)
+        this._accumulator = 0;
+        this.scenes = new SceneManager(this);
+        this.effects = new EffectPipeline(this);
+        this.overlay = new HtmlOverlay(this);
+        this.input = new Input(this.canvas, { ...options.input, listenToWindow: !headless });
+        this.debug = new DebugOverlay(this, typeof debug === 'object' ? { visible: true, ...debug } : { visible: debug });
+
+        this._appendedCanvas = false;
+        this._recorder = null;
+        this._recordingPixelRatio = 1; // Restored by stopRecording
+        this._recordingSize = null; // Drawing buffer { width, height, pixelRatio } kept while recording
+        this._onResize = this._onResize.bind(this);
+        this._animate = this._animate.bind(this);
 
         this._bindEvents();
         this._appendToDOM();
     }
 
     /**
-     * Creates and configures the WebGL renderer.
+     * Binds window events.
      * @private
      */
-    _createRenderer(antialias, pixelRatio) {
-        const renderer = new THREE.WebGLRenderer({ antialias });
-        renderer.setSize(window.innerWidth, window.innerHeight);
-        renderer.setPixelRatio(pixelRatio);
-        return renderer;
+    _bindEvents() {
+        if (this.headless) return;
+        window.addEventListener('resize', this._onResize);
     }
 
     /**
-     * Binds window events.
+     * Handles window resize.
      * @private
      */
-    _bindEvents() {
-        window.addEventListener('resize', this._onResize.bind(this));
+    _onResize() {
+        this.setSize(window.innerWidth, window.innerHeight);
     }
 
     /**
-     * Handles window resize.
+     * Appends the canvas to the container, unless it's already on the page.
      * @private
      */
-    _onResize() {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+    _appendToDOM() {
+        if (!this.container || !this.canvas || this.canvas.parentNode) return;
+        this.container.appendChild(this.canvas);
+        this._appendedCanvas = true;
+    }
 
-        this.renderer.setSize(width, height);
+    /**
+     * Resizes the renderer, effects and scenes. Called on window resize; call
+     * it yourself when headless, or when the canvas isn't sized by the window.
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     * @returns {Engine} Returns this for chaining
+     */
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
 
-        if (this.activeScene) {
-            this.activeScene.handleResize(width, height);
+        if (this.renderer && !this._recordingSize) {
+            this.renderer.setSize(width, height, !this.headless);
+            this.effects.setSize(width, height);
+        }
+        this.scenes.handleResize(width, height);
+        if (this._recordingSize) {
+            // Recordings keep their size until stopRecording() applies this one
+            const recording = this._recordingSize;
+            this._setRenderSize(recording.width, recording.height, recording.pixelRatio);
         }
+        this._dispatch('resize', { width, height });
+        return this;
     }
 
     /**
-     * Appends renderer to DOM.
-     * @private
+     * The scene currently receiving updates (the top of the scene stack).
+     * @type {Scene|null}
      */
-    _appendToDOM() {
-        this.container.appendChild(this.renderer.domElement);
+    get activeScene() {
+        return this.scenes.current;
     }
 
     /**
-     * Starts the render loop with the given scene.
-     * @param {Scene} scene - The scene to render
+     * Starts the render loop, optionally switching to a scene first. When
+     * headless there is no loop; frames run when you call tick().
+     * @param {Scene|string} [scene] - The scene to render, or the name of a registered scene
+     * @returns {Engine} Returns this for chaining
      */
     run(scene) {
-        this.activeScene = scene;
+        if (scene) {
+            this.scenes.switchTo(scene);
+        }
+        if (this.isRunning) return this;
         this.isRunning = true;
-        this._animate();
+        if (!this.headless) this._animate();
+        return this;
     }
 
     /**
@@ -96,6 +233,104 @@ class Engine {
         this.isRunning = false;
     }
 
+    /**
+     * Pauses game time. Scenes stop updating but keep rendering, and scene
+     * transitions still play.
+     * @returns {Engine} Returns this for chaining
+     */
+    pause() {
+        this.isPaused = true;
+        return this;
+    }
+
+    /**
+     * Resumes game time after pause().
+     * @returns {Engine} Returns this for chaining
+     */
+    resume() {
+        this.isPaused = false;
+        return this;
+    }
+
+    /**
+     * Sets the global time scale.
+     * @param {number} timeScale - 1 = normal, 0.5 = half speed, 0 = frozen
+     * @returns {Engine} Returns this for chaining
+     */
+    setTimeScale(timeScale) {
+        this.timeScale = timeScale;
+        return this;
+    }
+
+    /**
+     * Turns shadow rendering on or off. Objects cast and receive shadows with
+     * their castShadow and receiveShadow options, from lights with castShadow.
+     * @param {boolean} enabled
+     * @param {string} [type] - Shadow filtering: 'basic', 'pcf', 'soft' or 'vsm' (unchanged if omitted)
+     * @returns {Engine} Returns this for chaining
+     *
+     * @example
+     * const engine = new Engine().setShadows(true, 'vsm');
+     */
+    setShadows(enabled, type) {
+        if (type !== undefined && SHADOW_TYPES[type] === undefined) {
+            throw new Error(`Unknown shadow type "${type}". Use 'basic', 'pcf', 'soft' or 'vsm'`);
+        }
+        if (!this.renderer) return this;
+
+        const shadowMap = this.renderer.shadowMap;
+        if (type !== undefined) shadowMap.type = SHADOW_TYPES[type];
+        shadowMap.enabled = enabled;
+        shadowMap.needsUpdate = true;
+        return this;
+    }
+
+    /**
+     * Advances exactly n frames, typically while paused, for frame-by-frame debugging.
+     * Each frame is one fixed timestep long (or 1/60s without a fixed timestep),
+     * and is not affected by timeScale.
+     * @param {number} [n=1] - Number of frames to advance
+     * @returns {Engine} Returns this for chaining
+     */
+    step(n = 1) {
+        const delta = this.fixedTimestep || 1 / 60;
+        for (let i = 0; i < n; i++) {
+            this._advance(delta);
+        }
+        return this;
+    }
+
+    /**
+     * Runs one whole frame of the given length, as the animation loop does:
+     * input, scene transitions, the update (unless paused, and scaled by
+     * timeScale) and the render if there's a renderer. Unlike the loop, delta
+     * is used as-is rather than measured, so the same ticks always give the
+     * same result. This is how time moves when headless.
+     * @param {number} [delta] - Frame length in seconds (default: the recording's frame length while
+     *   recording, otherwise the fixed timestep, or 1/60s)
+     * @returns {Engine} Returns this for chaining
+     *
+     * @example
+     * engine.run(scene);
+     * for (let i = 0; i < 120; i++) engine.tick(1 / 60); // Two seconds of game time
+     */
+    tick(delta = this._recorder ? this._recorder.frameDelta : this.fixedTimestep || 1 / 60) {
+        this._frame(delta);
+        return this;
+    }
+
+    /**
+     * Renders the current state of the scene stack and reads back the pixels,
+     * e.g. for comparing against a reference image.
+     * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels, top row first
+     *   (the same layout as ImageData), in device pixels
+     */
+    captureFrame() {
+        this._requireRenderer('captureFrame()');
+        this._render(0);
+        return readPixels(this.renderer);
+    }
+
     /**
      * Main animation loop.
      * @private
@@ -103,33 +338,364 @@ class Engine {
     _animate() {
         if (!this.isRunning) return;
 
-        requestAnimationFrame(this._animate.bind(this));
+        requestAnimationFrame(this._animate);
+
+        const delta = Math.min(this.clock.getDelta(), this.maxDelta);
+        if (this._recorder) {
+            // Recording runs on its own fixed clock, and may skip frames to keep pace
+            const frameDelta = this._recorder.nextDelta(delta);
+            if (frameDelta !== null) this._frame(frameDelta);
+        } else {
+            this._frame(delta);
+        }
+    }
+
+    /**
+     * Runs one frame.
+     * @private
+     */
+    _frame(delta) {
+        this.input.update();
+        this.debug.beginFrame();
+        this.scenes.updateTransition(delta);
+        if (!this.isPaused) {
+            this._advance(delta * this.timeScale);
+        }
+        this.debug.beforeRender();
+        if (this.renderer) {
+            this._dispatch('beforeRender', { delta });
+            this._render(delta);
+            this._dispatch('afterRender', { delta });
+            if (this._recorder) this._recorder.capture();
+        }
+        this.overlay.update();
+        this.debug.endFrame(delta);
+        this.input.endFrame();
+    }
+
+    /**
+     * Advances game time: runs any due fixed steps, then the per-frame update.
+     * @private
+     */
+    _advance(delta) {
+        this.elapsed += delta;
+        this.frame++;
+
+        if (this.fixedTimestep) {
+            this._accumulator += delta;
+            let steps = 0;
+            while (this._accumulator >= this.fixedTimestep && steps < this.maxFixedSteps) {
+                this._accumulator -= this.fixedTimestep;
+                steps++;
+                this.scenes.fixedUpdate(this.fixedTimestep, this.elapsed - this._accumulator);
+            }
+            // Drop time we couldn't catch up on rather than carrying it forever
+            if (steps === this.maxFixedSteps) {
+                this._accumulator = Math.min(this._accumulator, this.fixedTimestep);
+            }
+            this.alpha = this._accumulator / this.fixedTimestep;
+        }
+
+        this._dispatch('beforeUpdate', { delta, elapsed: this.elapsed });
+        this.scenes.update(delta, this.elapsed);
+        this._dispatch('afterUpdate', { delta, elapsed: this.elapsed });
+    }
+
+    /**
+     * Renders the scene stack, through the effect chain if any effect is on.
+     * @private
+     */
+    _render(delta) {
+        if (this.effects.isActive) {
+            this.effects.render(delta);
+        } else {
+            this.scenes.render(this.renderer);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Post-processing
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Adds a post-processing effect. Effects run in a fixed order whatever
+     * order they're added in, and apply to every scene on the stack.
+     *
+     * Effects and their parameters:
+     * - 'bloom': strength (1), radius (0.4), threshold (0.85) - glow around bright areas
+     * - 'dof': focus (10), aperture (0.025), maxBlur (0.01), target (GameObject to keep in focus) - depth of field
+     * - 'outline': objects (GameObjects), color, hiddenColor, thickness (1), strength (3), glow (0), pulse (0 seconds)
+     * - 'colorGrading': exposure (1), brightness, contrast, saturation (-1 to 1, 0 = unchanged), hue (degrees), tint
+     * - 'vignette': offset (1), darkness (1) - darkened corners
+     * - 'film': intensity (0.35), grayscale (false) - film grain
+     * - 'fxaa', 'smaa' - antialiasing (smaa is sharper, fxaa faster)
+     *
+     * @param {string} type - Effect name
+     * @param {Object} [params] - Effect parameters
+     * @returns {Effect} Handle for changing parameters and toggling the effect
+     *
+     * @example
+     * engine.addEffect('bloom', { strength: 1.5 });
+     * const outline = engine.addEffect('outline', { color: 'yellow' });
+     * box.onClick(obj => outline.set({ objects: [obj] }));
+     * engine.addEffect('colorGrading', { saturation: -1, contrast: 0.2 }); // Black and white
+     */
+    addEffect(type, params = {}) {
+        return this.effects.add(type, params);
+    }
+
+    /**
+     * Removes an effect.
+     * @param {Effect|string} effect - The effect, or a name to remove every effect of that type
+     * @returns {Engine} Returns this for chaining
+     */
+    removeEffect(effect) {
+        this.effects.remove(effect);
+        return this;
+    }
 
-        const delta = this.clock.getDelta();
-        const elapsed = this.clock.getElapsedTime();
+    /**
+     * Gets the first effect of a type.
+     * @param {string} type - Effect name
+     * @returns {Effect|undefined}
+     */
+    getEffect(type) {
+        return this.effects.get(type);
+    }
+
+    /**
+     * Removes every effect.
+     * @returns {Engine} Returns this for chaining
+     */
+    clearEffects() {
+        this.effects.clear();
+        return this;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // HTML labels
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Pins an HTML element to a point in the scene. It follows its target in
+     * the running scene, and hides while the target is behind the camera,
+     * hidden, in another scene, or (with occlude) behind other objects.
+     *
+     * For text that's part of the 3D scene itself, see Label and Text3D.
+     *
+     * @param {GameObject|THREE.Object3D|THREE.Vector3|Object} target - Object to follow, or a fixed {x, y, z} position
+     * @param {string|HTMLElement} content - Text (not parsed as HTML), or an element to show
+     * @param {Object} [options] - Label options
+     * @param {Object} [options.offset] - Offset from the target in world units ({x, y, z})
+     * @param {boolean} [options.occlude=true] - Hide while other objects are in front of the anchor
+     * @param {string} [options.className='label'] - CSS class for styling
+     * @param {boolean} [options.center=true] - Center the element on the anchor (false puts its top-left corner there)
+     * @returns {HtmlLabel} Handle for changing or removing the label
+     *
+     * @example
+     * engine.addHtmlLabel(player, 'Player 1', { offset: { y: 1.5 } });
+     *
+     * const button = document.createElement('button');
+     * button.textContent = 'Open';
+     * button.style.pointerEvents = 'auto';
+     * engine.addHtmlLabel(chest, button, { occlude: false });
+     */
+    addHtmlLabel(target, content, options = {}) {
+        return this.overlay.add(target, content, options);
+    }
+
+    /**
+     * Removes an HTML label.
+     * @param {HtmlLabel} label
+     * @returns {Engine} Returns this for chaining
+     */
+    removeHtmlLabel(label) {
+        this.overlay.remove(label);
+        return this;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Capture
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Renders the scene stack (with effects) as a PNG, at any size regardless
+     * of the window's. HTML labels and the debug panel aren't included.
+     * @param {Object} [options] - Screenshot options
+     * @param {number} [options.width=engine.width] - Width in pixels
+     * @param {number} [options.height=engine.height] - Height in pixels
+     * @param {boolean} [options.transparent=false] - Leave out scene backgrounds so empty space is
+     *   transparent (needs the Engine's alpha option)
+     * @returns {Promise<Blob>} The PNG image
+     *
+     * @example
+     * const image = await engine.screenshot({ width: 3840, height: 2160 });
+     * link.href = URL.createObjectURL(image);
+     */
+    screenshot(options = {}) {
+        const {
+            width = this.width,
+            height = this.height,
+            transparent = false
+        } = options;
 
-        if (this.activeScene) {
-            this.activeScene.update(delta, elapsed);
-            this.renderer.render(this.activeScene.scene, this.activeScene.camera);
+        this._requireRenderer('screenshot()');
+        const gl = this.renderer.getContext();
+        if (transparent && !gl.getContextAttributes().alpha) {
+            throw new Error('Transparent screenshots need a canvas with an alpha channel; create the Engine with alpha: true');
         }
+
+        // Restored afterwards, which may be a recording's size rather than the engine's
+        const size = this.renderer.getSize(new THREE.Vector2());
+        const pixelRatio = this.renderer.getPixelRatio();
+        const clearAlpha = this.renderer.getClearAlpha();
+        const backgrounds = this.scenes.stack.map(({ scene }) => scene.scene.background);
+
+        this._setRenderSize(width, height, 1);
+        if (transparent) {
+            this.renderer.setClearAlpha(0);
+            for (const { scene } of this.scenes.stack) scene.scene.background = null;
+        }
+        try {
+            this._render(0);
+            // Encoding starts from what's on the canvas now, so it's safe to restore right after
+            return canvasToPng(this.renderer);
+        } finally {
+            this.renderer.setClearAlpha(clearAlpha);
+            this.scenes.stack.forEach(({ scene }, i) => {
+                scene.scene.background = backgrounds[i];
+            });
+            this._setRenderSize(size.x, size.y, pixelRatio);
+        }
+    }
+
+    /**
+     * Starts recording. Until stopRecording(), each frame advances game time
+     * by exactly 1/fps, however fast the page actually runs, so the
+     * recording plays at the right speed (see Recorder). Headless, each
+     * tick() records one frame.
+     * @param {Object} [options] - Recording options
+     * @param {number} [options.fps=30] - Frames per second
+     * @param {string} [options.format='webm'] - 'webm' for a video, or 'png' for a zip of PNG frames
+     * @param {number} [options.width] - Width in pixels to record at (the canvas's size if omitted)
+     * @param {number} [options.height] - Height in pixels to record at
+     * @param {number} [options.bitrate] - WebM video bits per second
+     * @returns {Engine} Returns this for chaining
+     *
+     * @example
+     * engine.startRecording({ fps: 60, format: 'png', width: 1920, height: 1080 });
+     * setTimeout(async () => download(await engine.stopRecording()), 5000);
+     */
+    startRecording(options = {}) {
+        if (this._recorder) {
+            throw new Error('Already recording; call stopRecording() first');
+        }
+        this._requireRenderer('startRecording()');
+
+        const { width, height } = options;
+        this._recordingPixelRatio = this.renderer.getPixelRatio();
+        const size = width || height
+            ? { width: width || this.width, height: height || this.height, pixelRatio: 1 }
+            : { width: this.width, height: this.height, pixelRatio: this._recordingPixelRatio };
+        this._setRenderSize(size.width, size.height, size.pixelRatio);
+        try {
+            this._recorder = new Recorder(this, options);
+        } catch (error) {
+            this._setRenderSize(this.width, this.height, this._recordingPixelRatio);
+            throw error;
+        }
+        this._recordingSize = size;
+        return this;
+    }
+
+    /**
+     * Stops recording and puts the canvas back to its own size (the latest,
+     * if the window or setSize() resized it while recording).
+     * @returns {Promise<Blob>} The WebM video, or a zip of PNG frames
+     */
+    stopRecording() {
+        if (!this._recorder) {
+            throw new Error('Not recording; call startRecording() first');
+        }
+        const recorder = this._recorder;
+        this._recorder = null;
+        this._recordingSize = null;
+        this._setRenderSize(this.width, this.height, this._recordingPixelRatio, !this.headless);
+        return recorder.stop();
+    }
+
+    /**
+     * Whether startRecording() is recording.
+     * @type {boolean}
+     */
+    get isRecording() {
+        return this._recorder !== null;
+    }
+
+    /**
+     * Sizes the drawing buffer, effects and cameras without changing the
+     * engine's own size, for captures at a size of their own. The canvas's
+     * CSS size only changes with updateStyle.
+     * @private
+     */
+    _setRenderSize(width, height, pixelRatio, updateStyle = false) {
+        this.renderer.setPixelRatio(pixelRatio);
+        this.renderer.setSize(width, height, updateStyle);
+        this.effects.setSize(width, height);
+        for (const { scene } of this.scenes.stack) {
+            scene.camera.aspect = width / height;
+            scene.camera.updateProjectionMatrix();
+        }
+        // Transition buffers are made at the drawing buffer's size
+        this.scenes.releaseRenderTargets();
+    }
+
+    /**
+     * Throws unless there's a WebGL renderer to capture from.
+     * @private
+     */
+    _requireRenderer(method) {
+        if (!this.renderer || !this.renderer.getContext) {
+            throw new Error(`${method} needs a WebGL renderer; pass one with the renderer option when headless`);
+        }
+    }
+
+    /**
+     * Renders one scene with its camera to the current render target.
+     * @private
+     */
+    _renderScene(scene) {
+        this.renderer.render(scene.scene, scene.camera);
     }
 
     /**
      * Gets the WebGL renderer instance.
-     * @returns {THREE.WebGLRenderer}
+     * @returns {THREE.WebGLRenderer|null} Null when headless without a renderer
      */
     getRenderer() {
         return this.renderer;
     }
 
     /**
-     * Cleans up resources.
+     * Cleans up resources. A recording still running is discarded without
+     * being encoded; call stopRecording() first to keep it.
      */
     dispose() {
         this.stop();
-        window.removeEventListener('resize', this._onResize);
-        this.renderer.dispose();
-        this.container.removeChild(this.renderer.domElement);
+        if (this._recorder) {
+            this._recorder.cancel();
+            this._recorder = null;
+            this._recordingSize = null;
+        }
+        if (!this.headless) window.removeEventListener('resize', this._onResize);
+        this.input.dispose();
+        this.scenes.dispose();
+        this.effects.dispose();
+        this.overlay.dispose();
+        this.debug.dispose();
+        if (this.renderer) this.renderer.dispose();
+        if (this._appendedCanvas) this.container.removeChild(this.canvas);
+        this._dispatch('disposed');
     }
 }
 
@@ -0,0 +1,154 @@
+/**
+ * EventEmitter - Named events with on/off/once/emit. Base class of Engine,
+ * Scene and GameObject.
+ *
+ * Handlers receive one event object:
+ * - type: the event name
+ * - target: the object the event happened to
+ * - currentTarget: the object whose handler is running
+ * - detail: data given to emit() (built-in events document theirs)
+ * - stopPropagation(): stops a bubbling event going any further
+ *
+ * Events sent with emit() bubble: after the target's own handlers they
+ * reach its parent GameObjects, then its Scene, then the Engine. Built-in
+ * events (added, removed, disposed, resize, ...) only reach the object they
+ * happened to.
+ *
+ * @example
+ * coin.on('collected', event => coin.dispose());
+ * scene.on('collected', event => score += event.detail.value);
+ *
+ * coin.emit('collected', { value: 10 }); // coin's handlers, then the scene's
+ */
+class EventEmitter {
+    /**
+     * Creates a new EventEmitter.
+     */
+    constructor() {
+        this._eventHandlers = {}; // Event type -> [{ fn, once }]
+    }
+
+    /**
+     * Adds an event handler.
+     * @param {string} type - Event name
+     * @param {Function} fn - Function receiving the event
+     * @returns {this} Returns this for chaining
+     */
+    on(type, fn) {
+        (this._eventHandlers[type] = this._eventHandlers[type] || []).push({ fn, once: false });
+        return this;
+    }
+
+    /**
+     * Adds an event handler that is removed after its first call.
+     * @param {string} type - Event name
+     * @param {Function} fn - Function receiving the event
+     * @returns {this} Returns this for chaining
+     */
+    once(type, fn) {
+        (this._eventHandlers[type] = this._eventHandlers[type] || []).push({ fn, once: true });
+        return this;
+    }
+
+    /**
+     * Removes an event handler, every handler of a type, or every handler.
+     * @param {string} [type] - Event name; omit to remove all handlers
+     * @param {Function} [fn] - The handler to remove; omit to remove all handlers of the type
+     * @returns {this} Returns this for chaining
+     */
+    off(type, fn) {
+        if (type === undefined) {
+            this._eventHandlers = {};
+        } else if (fn === undefined) {
+            delete this._eventHandlers[type];
+        } else if (this._eventHandlers[type]) {
+            const handlers = this._eventHandlers[type].filter(handler => handler.fn !== fn);
+            if (handlers.length > 0) {
+                this._eventHandlers[type] = handlers;
+            } else {
+                delete this._eventHandlers[type];
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Sends an event to this object's handlers, then bubbles it up to its
+     * parents until a handler calls stopPropagation().
+     * @param {string} type - Event name
+     * @param {*} [detail] - Data for handlers, as event.detail
+     * @returns {this} Returns this for chaining
+     */
+    emit(type, detail) {
+        this._dispatch(type, detail, true);
+        return this;
+    }
+
+    /**
+     * Checks whether any handlers are listening for an event on this object.
+     * @param {string} type - Event name
+     * @returns {boolean}
+     */
+    hasListeners(type) {
+        return this._eventHandlers[type] !== undefined;
+    }
+
+    /**
+     * Sends an event, to this object only unless it bubbles.
+     * @private
+     */
+    _dispatch(type, detail, bubbles = false) {
+        // Most built-in events have nobody listening; skip making the event
+        if (!bubbles && !this._eventHandlers[type]) return;
+
+        let stopped = false;
+        const event = {
+            type,
+            target: this,
+            currentTarget: this,
+            detail,
+            stopPropagation() {
+                stopped = true;
+            }
+        };
+
+        for (let current = this; current && !stopped; current = bubbles ? current._getEventParent() : null) {
+            const handlers = current._eventHandlers[type];
+            if (!handlers) continue;
+
+            event.currentTarget = current;
+            // Copy, so handlers can add or remove handlers while running
+            for (const handler of handlers.slice()) {
+                if (handler.once) current._removeHandler(type, handler);
+                handler.fn(event);
+            }
+        }
+    }
+
+    /**
+     * Removes one handler registration, leaving any others of the same
+     * function in place.
+     * @private
+     */
+    _removeHandler(type, handler) {
+        const handlers = this._eventHandlers[type];
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index === -1) return;
+        if (handlers.length === 1) {
+            delete this._eventHandlers[type];
+        } else {
+            handlers.splice(index, 1);
+        }
+    }
+
+    /**
+     * The object events bubble up to next, or null. Overridden by subclasses.
+     * @private
+     */
+    _getEventParent() {
+        return null;
+    }
+}
+
+export { EventEmitter };
@@ -1,28 +1,94 @@
 import * as THREE from 'three';
+import { Picker } from '../input/Picker.js';
+import { parseColor } from '../utils/colors.js';
+import { Tween } from '../animation/Tween.js';
+import { PhysicsWorld } from '../physics/PhysicsWorld.js';
+import { CollisionSystem } from '../physics/CollisionSystem.js';
+import { GameObject } from '../objects/GameObject.js';
+import { InstancedGroup } from '../objects/InstancedGroup.js';
+import { createLightingPreset } from '../objects/lights/presets.js';
+import { getLayerChannel } from '../utils/layers.js';
+import { EventEmitter } from './EventEmitter.js';
+import { CameraController } from '../cameras/CameraController.js';
+import { OrbitController } from '../cameras/OrbitController.js';
+import { FirstPersonController } from '../cameras/FirstPersonController.js';
+import { FlyController } from '../cameras/FlyController.js';
+import { FollowController } from '../cameras/FollowController.js';
+
+/**
+ * Camera controllers that can be selected by name.
+ * @private
+ */
+const CAMERA_CONTROLLERS = {
+    orbit: OrbitController,
+    firstPerson: FirstPersonController,
+    fly: FlyController,
+    follow: FollowController
+};
+
+/**
+ * Settings of layers that haven't been configured.
+ * @private
+ */
+const DEFAULT_LAYER = { visible: true, pickable: true, update: true };
+
+/**
+ * Conditions accepted by Scene.findAll().
+ * @private
+ */
+const QUERY_KEYS = ['tag', 'tags', 'type', 'name', 'layer', 'where'];
+
+/**
+ * Viewport size until the Engine sizes the scene, when there's no window to measure.
+ * @private
+ */
+const DEFAULT_VIEWPORT = { width: 800, height: 600 };
+
+const _position = new THREE.Vector3();
 
 /**
  * Scene - Container for the Three.js scene, camera, and lighting.
  *
  * Responsibilities:
  * - Scene graph management
- * - Camera setup and configuration
- * - Default lighting setup
+ * - Camera setup, controllers and effects (shake, look-at)
+ * - Default lighting and lighting presets
  * - Managing GameObjects
+ * - Pointer picking and GameObject pointer events
+ * - Overlap detection and GameObject collision events
+ * - Lifecycle hooks used by the Engine's SceneManager (enter, exit, pause, resume)
+ * - Optional physics world
+ * - Saving to and loading from JSON
+ * - Events, including custom events bubbling up from its GameObjects (see EventEmitter)
+ *
+ * Events:
+ * - 'added' / 'removed': a GameObject was added or removed with add/remove ({ object })
+ * - 'beforeUpdate' / 'afterUpdate': around each frame's update ({ delta, elapsed })
+ * - 'resize': the viewport changed size ({ width, height })
+ * - 'disposed': dispose() has freed the scene and its objects
  *
  * @example
  * const scene = new Scene({ background: '#1a1a2e' });
  * scene.add(new Box({ color: 'red' }));
+ * scene.on('removed', event => console.log(`${event.detail.object.name} left`));
  */
-class Scene {
+class Scene extends EventEmitter {
     /**
      * Creates a new Scene instance.
      * @param {Object} options - Configuration options
-     * @param {string|number} [options.background=0x0a0a1f] - Background color
+     * @param {string|number|null} [options.background=0x0a0a1f] - Background color (null for transparent, e.g. overlays)
      * @param {number} [options.fov=75] - Camera field of view
      * @param {number} [options.near=0.1] - Camera near clipping plane
      * @param {number} [options.far=1000] - Camera far clipping plane
      * @param {Object} [options.cameraPosition={x:0, y:0, z:5}] - Initial camera position
-     * @param {boolean} [options.defaultLighting=true] - Add default lights
+     * @param {boolean} [options.defaultLighting=true] - Add default lights (an ambient light and a sun)
+     * @param {string} [options.lighting] - Lighting preset from LIGHTING_PRESETS to use instead
+     *   ('studio', 'daylight', 'sunset', 'night')
+     * @param {string|CameraController|Object} [options.cameraController] - Camera controller:
+     *   a name ('orbit', 'firstPerson', 'fly', 'follow'), an instance, or { type, ...options }
+     * @param {boolean|Object} [options.physics=false] - Create a physics world (true, or PhysicsWorld options).
+     *   One is also created automatically when an object with enablePhysics() is added.
+     * @param {number} [options.collisionCellSize=4] - Cell size of the collision event broadphase
      */
     constructor(options = {}) {
         const {
@@ -31,17 +97,51 @@ class Scene {
             near = 0.1,
             far = 1000,
             cameraPosition = { x: 0, y: 0, z: 5 },
-            defaultLighting = true
+            defaultLighting = true,
+            lighting = defaultLighting ? 'default' : null,
+            cameraController = null,
+            physics = false,
+            collisionCellSize = 4
         } = options;
 
+        super();
+
         this.scene = new THREE.Scene();
-        this.scene.background = new THREE.Color(background);
+        this.scene.background = background === null ? null : new THREE.Color(parseColor(background));
 
+        this.viewport = typeof window !== 'undefined'
+            ? { width: window.innerWidth, height: window.innerHeight }
+            : { ...DEFAULT_VIEWPORT };
         this.camera = this._createCamera(fov, near, far, cameraPosition);
         this.gameObjects = [];
+        this.picker = new Picker(this);
+        this.collisions = new CollisionSystem(this, { cellSize: collisionCellSize });
+        this.engine = null; // Set by Engine.run
+        this._layers = new Map(); // Layer name -> { visible, pickable, update }, for layers that differ from the defaults
+
+        this.cameraController = null;
+        this._cameraTweens = [];
+        this._shake = null;
+        this._shakeOffset = new THREE.Vector3();
+
+        this._lifecycleHooks = { enter: [], exit: [], pause: [], resume: [] };
+
+        this.physics = null;
+        if (physics) {
+            this.enablePhysics(physics === true ? {} : physics);
+        }
 
-        if (defaultLighting) {
-            this._setupDefaultLighting();
+        if (lighting) {
+            this.setLighting(lighting);
+        }
+
+        if (cameraController) {
+            if (typeof cameraController === 'string' || cameraController instanceof CameraController) {
+                this.setCameraController(cameraController);
+            } else {
+                const { type, ...controllerOptions } = cameraController;
+                this.setCameraController(type, controllerOptions);
+            }
         }
     }
 
@@ -50,25 +150,55 @@ class Scene {
      * @private
      */
     _createCamera(fov, near, far, position) {
-        const aspect = window.innerWidth / window.innerHeight;
+        const aspect = this.viewport.width / this.viewport.height;
         const camera = new THREE.PerspectiveCamera(fov, aspect, near, far);
         camera.position.set(position.x, position.y, position.z);
+        // Every layer starts visible; configureLayer() turns channels off
+        camera.layers.enableAll();
         return camera;
     }
 
+    // ─────────────────────────────────────────────────────────────────
+    // Lighting
+    // ─────────────────────────────────────────────────────────────────
+
     /**
-     * Sets up default lighting (ambient + directional).
-     * @private
+     * All Light GameObjects in the scene, including children.
+     * @type {Light[]}
+     */
+    get lights() {
+        const lights = [];
+        this.traverse(obj => {
+            if (obj.isLight) lights.push(obj);
+        });
+        return lights;
+    }
+
+    /**
+     * Replaces the lights of the current lighting preset (including the
+     * default lights) with another preset. Lights you added yourself stay.
+     * The preset's lights can be found by name, e.g. findByName('sunLight').
+     * @param {string|null} preset - A LIGHTING_PRESETS name ('default', 'studio',
+     *   'daylight', 'sunset', 'night'), or null for no preset lights
+     * @returns {Scene} Returns this for chaining
+     *
+     * @example
+     * scene.setLighting('sunset');
+     * scene.findByName('sunLight').setIntensity(3);
      */
-    _setupDefaultLighting() {
-        // Soft ambient light for overall illumination
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-        this.scene.add(ambientLight);
+    setLighting(preset) {
+        const lights = preset ? createLightingPreset(preset) : [];
 
-        // Main directional light for shadows and depth
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-        directionalLight.position.set(5, 10, 7);
-        this.scene.add(directionalLight);
+        for (const light of this.lights) {
+            if (light.options.lightingPreset) {
+                this.remove(light);
+                light.dispose();
+            }
+        }
+        for (const light of lights) {
+            this.add(light);
+        }
+        return this;
     }
 
     /**
@@ -78,9 +208,25 @@ class Scene {
      */
     add(object) {
         if (object.mesh) {
-            // It's a GameObject
-            this.gameObjects.push(object);
+            const isNew = object.scene !== this;
+
+            // It's a GameObject. Children are reached through their parent,
+            // so only roots are tracked here.
+            if (object.parent) {
+                object.parent.removeChild(object);
+            } else if (object.scene && object.scene !== this) {
+                object.scene.remove(object);
+            }
+            if (!this.gameObjects.includes(object)) {
+                this.gameObjects.push(object);
+            }
             this.scene.add(object.mesh);
+            object._setScene(this);
+
+            if (isNew) {
+                object._dispatch('added', { scene: this });
+                this._dispatch('added', { object });
+            }
         } else if (object instanceof THREE.Object3D) {
             // It's a raw Three.js object
             this.scene.add(object);
@@ -88,6 +234,28 @@ class Scene {
         return this;
     }
 
+    /**
+     * Adds many copies of a primitive, drawn together in one draw call.
+     * Each copy is an InstanceHandle with its own transform, color and visibility.
+     * @param {Function} Type - GameObject class to copy, e.g. Box or Sphere
+     * @param {number} count - Number of copies
+     * @param {Object} [options] - InstancedGroup options: the type's options (size, color...)
+     *   plus each, a function receiving (instance, index) to set up each copy
+     * @returns {InstancedGroup} The new group
+     *
+     * @example
+     * const stars = scene.addInstanced(Sphere, 5000, {
+     *   radius: 0.05,
+     *   color: 'white',
+     *   each: star => star.setPosition(Math.random() * 100 - 50, Math.random() * 100 - 50, -50)
+     * });
+     */
+    addInstanced(Type, count, options = {}) {
+        const group = new InstancedGroup({ ...options, instanceType: Type, count });
+        this.add(group);
+        return group;
+    }
+
     /**
      * Removes a GameObject or Three.js Object3D from the scene.
      * @param {GameObject|THREE.Object3D} object - The object to remove
@@ -95,11 +263,18 @@ class Scene {
      */
     remove(object) {
         if (object.mesh) {
+            if (object.scene !== this) return this;
+
             const index = this.gameObjects.indexOf(object);
             if (index > -1) {
                 this.gameObjects.splice(index, 1);
+                this.scene.remove(object.mesh);
+                object._setScene(null);
+            } else if (object.parent) {
+                object.parent.removeChild(object);
             }
-            this.scene.remove(object.mesh);
+            object._dispatch('removed', { scene: this });
+            this._dispatch('removed', { object });
         } else if (object instanceof THREE.Object3D) {
             this.scene.remove(object);
         }
@@ -107,16 +282,335 @@ class Scene {
     }
 
     /**
-     * Called every frame to update all GameObjects.
+     * Called every frame to update all GameObjects. Children are updated by their parents.
+     * Components' lateUpdate runs last, after physics and collisions.
      * @param {number} delta - Time since last frame in seconds
      * @param {number} elapsed - Total elapsed time in seconds
      */
     update(delta, elapsed) {
-        for (const gameObject of this.gameObjects) {
-            if (gameObject.update) {
+        this._dispatch('beforeUpdate', { delta, elapsed });
+
+        if (this.engine) {
+            this.picker.update(this.engine.input);
+        }
+
+        // Copied, so objects can remove themselves while updating
+        for (const gameObject of this.gameObjects.slice()) {
+            if (gameObject.update && this.isLayerUpdating(gameObject.layer)) {
                 gameObject.update(delta, elapsed);
             }
         }
+
+        if (this.physics) {
+            this.physics.update(delta);
+        }
+
+        this.collisions.update();
+
+        for (const gameObject of this.gameObjects.slice()) {
+            if (gameObject.lateUpdate && this.isLayerUpdating(gameObject.layer)) {
+                gameObject.lateUpdate(delta, elapsed);
+            }
+        }
+
+        this._updateCamera(delta);
+
+        this._dispatch('afterUpdate', { delta, elapsed });
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Physics
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Creates the physics world, or reconfigures gravity if it already exists.
+     * Bodies already in the scene are added to it.
+     * @param {Object} [options] - PhysicsWorld options (gravity, timestep, iterations, ...)
+     * @returns {Scene} Returns this for chaining
+     */
+    enablePhysics(options = {}) {
+        if (this.physics) {
+            if (options.gravity) {
+                this.physics.setGravity(options.gravity.x, options.gravity.y, options.gravity.z);
+            }
+            return this;
+        }
+
+        this.physics = new PhysicsWorld(options);
+        this.traverse(obj => {
+            if (obj.body) this.physics.addBody(obj.body);
+        });
+        return this;
+    }
+
+    /**
+     * Adds a body to the physics world, creating the world if needed.
+     * @private
+     */
+    _addBody(body) {
+        if (!this.physics) this.enablePhysics();
+        this.physics.addBody(body);
+    }
+
+    /**
+     * Removes a body from the physics world.
+     * @private
+     */
+    _removeBody(body) {
+        if (this.physics) this.physics.removeBody(body);
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Lifecycle Hooks (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Adds a function called when the scene becomes active (switched to or pushed).
+     * @param {Function} fn - Function receiving (scene)
+     * @returns {Scene} Returns this for chaining
+     *
+     * @example
+     * level.onEnter(scene => scene.findByName('player').setPosition(0, 0, 0));
+     */
+    onEnter(fn) {
+        this._lifecycleHooks.enter.push(fn);
+        return this;
+    }
+
+    /**
+     * Adds a function called when the scene leaves the stack (switched away from or popped).
+     * @param {Function} fn - Function receiving (scene)
+     * @returns {Scene} Returns this for chaining
+     */
+    onExit(fn) {
+        this._lifecycleHooks.exit.push(fn);
+        return this;
+    }
+
+    /**
+     * Adds a function called when another scene is pushed on top of this one.
+     * @param {Function} fn - Function receiving (scene)
+     * @returns {Scene} Returns this for chaining
+     */
+    onPause(fn) {
+        this._lifecycleHooks.pause.push(fn);
+        return this;
+    }
+
+    /**
+     * Adds a function called when the scene above this one is popped.
+     * @param {Function} fn - Function receiving (scene)
+     * @returns {Scene} Returns this for chaining
+     */
+    onResume(fn) {
+        this._lifecycleHooks.resume.push(fn);
+        return this;
+    }
+
+    /**
+     * Calls the functions registered for a lifecycle hook. Used by SceneManager.
+     * @private
+     */
+    _runLifecycleHook(name) {
+        for (const fn of this._lifecycleHooks[name]) {
+            fn(this);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Camera
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Sets the camera controller, replacing any previous one.
+     * @param {string|CameraController|null} controller - 'orbit', 'firstPerson', 'fly', 'follow',
+     *   a CameraController instance, or null to remove the current controller
+     * @param {Object} [options] - Options for the controller when given by name
+     * @returns {Scene} Returns this for chaining
+     *
+     * @example
+     * scene.setCameraController('orbit', { enableDamping: true, maxDistance: 30 });
+     * scene.setCameraController('follow', { target: player, offset: { x: 0, y: 2, z: 5 } });
+     */
+    setCameraController(controller, options = {}) {
+        if (this.cameraController) {
+            this.cameraController.detach();
+            this.cameraController = null;
+        }
+
+        if (typeof controller === 'string') {
+            const ControllerClass = CAMERA_CONTROLLERS[controller];
+            if (!ControllerClass) {
+                throw new Error(`Unknown camera controller "${controller}". Available: ${Object.keys(CAMERA_CONTROLLERS).join(', ')}`);
+            }
+            controller = new ControllerClass(options);
+        }
+
+        if (controller) {
+            this.cameraController = controller;
+            controller.attach(this);
+        }
+        return this;
+    }
+
+    /**
+     * Points the camera at a GameObject or position. If a camera controller is
+     * active it is told the new target (e.g. orbit re-centres on it); smooth
+     * turns steer it at a point moving towards the target. Follow controllers
+     * only take GameObjects, so they switch when the turn ends.
+     * @param {GameObject|{x: number, y: number, z: number}} target - What to look at
+     * @param {Object} [options] - Options
+     * @param {number} [options.duration=0] - Turn smoothly over this many seconds
+     * @param {string|Function} [options.easing='easeInOutQuad'] - Easing for smooth turns
+     * @returns {Tween|null} A tween when duration > 0 (awaitable), otherwise null
+     *
+     * @example
+     * await scene.lookAt(scene.findByName('door'), { duration: 1.5 });
+     */
+    lookAt(target, { duration = 0, easing = 'easeInOutQuad' } = {}) {
+        const point = target.mesh
+            ? target.getWorldPosition()
+            : new THREE.Vector3(target.x, target.y, target.z);
+
+        if (duration <= 0) {
+            if (this.cameraController) {
+                this.cameraController.lookAt(target.mesh ? target : point);
+            } else {
+                this.camera.lookAt(point);
+            }
+            return null;
+        }
+
+        if (this.cameraController) {
+            // The controller sets the camera every frame, so steer the controller instead
+            const controller = this.cameraController;
+            const from = controller.getLookTarget(new THREE.Vector3(), this.camera.position.distanceTo(point));
+            const current = new THREE.Vector3();
+            return this._addCameraTween({
+                from: { t: 0 },
+                to: { t: 1 },
+                duration,
+                easing,
+                onUpdate: ({ t }) => controller.lookAt(current.lerpVectors(from, point, t)),
+                onComplete: () => this.lookAt(target)
+            });
+        }
+
+        // Slerp from the current orientation to the final one
+        const start = this.camera.quaternion.clone();
+        const helper = this.camera.clone();
+        helper.lookAt(point);
+        const end = helper.quaternion.clone();
+
+        return this._addCameraTween({
+            from: { t: 0 },
+            to: { t: 1 },
+            duration,
+            easing,
+            onUpdate: ({ t }) => this.camera.quaternion.slerpQuaternions(start, end, t),
+            onComplete: () => this.lookAt(target)
+        });
+    }
+
+    /**
+     * Moves the camera to a position, optionally over time. Useful for cutscenes
+     * (a camera controller may override the position while it is enabled).
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {Object} [options] - Tween options (duration, easing, delay, onComplete)
+     * @returns {Tween} The tween (awaitable)
+     */
+    moveCameraTo(x, y, z, options = {}) {
+        const position = this.camera.position;
+        return this._addCameraTween({
+            duration: 0,
+            ...options,
+            from: () => ({ x: position.x, y: position.y, z: position.z }),
+            to: { x, y, z },
+            onUpdate: values => position.set(values.x, values.y, values.z)
+        });
+    }
+
+    /**
+     * Shakes the camera, fading out over the duration. Calling again while shaking
+     * keeps the stronger shake.
+     * @param {Object} [options] - Shake options
+     * @param {number} [options.intensity=0.2] - Maximum offset in world units
+     * @param {number} [options.duration=0.5] - Duration in seconds
+     * @param {number} [options.frequency=25] - Shakes per second
+     * @returns {Scene} Returns this for chaining
+     *
+     * @example
+     * player.onCollisionEnter(() => scene.shakeCamera({ intensity: 0.3 }));
+     */
+    shakeCamera({ intensity = 0.2, duration = 0.5, frequency = 25 } = {}) {
+        if (!this._shake || intensity >= this._shake.intensity * (this._shake.timeLeft / this._shake.duration)) {
+            this._shake = { intensity, duration, frequency, timeLeft: duration, time: 0 };
+        }
+        return this;
+    }
+
+    /**
+     * Runs the camera tweens, controller and shake for this frame.
+     * @private
+     */
+    _updateCamera(delta) {
+        // Remove last frame's shake so controllers see the real position
+        this.camera.position.sub(this._shakeOffset);
+        this._shakeOffset.set(0, 0, 0);
+
+        for (const tween of this._cameraTweens.slice()) {
+            if (tween.update(delta)) {
+                this._cameraTweens.splice(this._cameraTweens.indexOf(tween), 1);
+            }
+        }
+
+        if (this.cameraController && this.cameraController.enabled) {
+            this.cameraController.update(delta);
+        }
+
+        if (this._shake) {
+            const shake = this._shake;
+            shake.timeLeft -= delta;
+            shake.time += delta;
+            if (shake.timeLeft <= 0) {
+                this._shake = null;
+            } else {
+                const strength = shake.intensity * (shake.timeLeft / shake.duration);
+                const t = shake.time * shake.frequency;
+                this._shakeOffset.set(
+                    Math.sin(t * 1.1) * Math.cos(t * 0.7),
+                    Math.sin(t * 1.3 + 1.7) * Math.cos(t * 0.9),
+                    Math.sin(t * 0.8 + 3.1) * Math.cos(t * 1.2)
+                ).multiplyScalar(strength);
+                this.camera.position.add(this._shakeOffset);
+            }
+        }
+    }
+
+    /**
+     * Adds a tween driven by the scene rather than a GameObject.
+     * @private
+     */
+    _addCameraTween(options) {
+        const tween = new Tween(options);
+        this._cameraTweens.push(tween);
+        return tween;
+    }
+
+    /**
+     * Called at a fixed interval when the Engine has a fixedTimestep, before update().
+     * Use it for simulation code that needs a constant step (see GameObject.onFixedUpdate).
+     * @param {number} delta - The fixed timestep in seconds
+     * @param {number} elapsed - Total elapsed time in seconds
+     */
+    fixedUpdate(delta, elapsed) {
+        for (const gameObject of this.gameObjects) {
+            if (gameObject.fixedUpdate && this.isLayerUpdating(gameObject.layer)) {
+                gameObject.fixedUpdate(delta, elapsed);
+            }
+        }
     }
 
     /**
@@ -125,8 +619,27 @@ class Scene {
      * @param {number} height - New height
      */
     handleResize(width, height) {
+        const changed = width !== this.viewport.width || height !== this.viewport.height;
+        this.viewport.width = width;
+        this.viewport.height = height;
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
+        if (changed) this._dispatch('resize', { width, height });
+    }
+
+    /**
+     * Finds the closest GameObject at a screen position.
+     * @param {number} x - X in pixels from the left of the canvas
+     * @param {number} y - Y in pixels from the top of the canvas
+     * @returns {{object: GameObject, point: THREE.Vector3, normal: THREE.Vector3|null, distance: number}|null}
+     *   The hit, or null if nothing pickable is there
+     *
+     * @example
+     * const hit = scene.pick(event.offsetX, event.offsetY);
+     * if (hit) console.log(hit.object.name, hit.point, hit.distance);
+     */
+    pick(x, y) {
+        return this.picker.pick(x, y);
     }
 
     /**
@@ -145,26 +658,430 @@ class Scene {
         return this.camera;
     }
 
+    // ─────────────────────────────────────────────────────────────────
+    // Queries
+    // ─────────────────────────────────────────────────────────────────
+
     /**
-     * Finds a GameObject by name.
+     * Finds a GameObject by name, searching children as well as top-level objects.
      * @param {string} name - The name to search for
      * @returns {GameObject|undefined}
      */
     findByName(name) {
-        return this.gameObjects.find(obj => obj.name === name);
+        for (const obj of this.gameObjects) {
+            if (obj.name === name) return obj;
+            const found = obj.findChildByName ? obj.findChildByName(name) : undefined;
+            if (found) return found;
+        }
+        return undefined;
+    }
+
+    /**
+     * Finds every GameObject (children included) matching a query. All the
+     * given conditions must match.
+     * @param {Object|Function} [query] - Conditions, or a function receiving each object and returning true to keep it
+     * @param {string} [query.tag] - Has this tag
+     * @param {string[]} [query.tags] - Has all of these tags
+     * @param {Function|string} [query.type] - Is an instance of this class, or registered type name
+     * @param {string|RegExp} [query.name] - Has exactly this name, or a name matching the pattern
+     * @param {string} [query.layer] - Is on this layer
+     * @param {Function} [query.where] - Function receiving the object, returning true to keep it
+     * @returns {GameObject[]}
+     *
+     * @example
+     * scene.findAll({ tag: 'enemy' });
+     * scene.findAll({ type: Sphere, name: /^coin/ });
+     * scene.findAll(obj => obj.getWorldPosition().y < -10);
+     */
+    findAll(query = {}) {
+        const matches = compileQuery(query);
+        const found = [];
+        this.traverse(object => {
+            if (object instanceof GameObject && matches(object)) found.push(object);
+        });
+        return found;
+    }
+
+    /**
+     * Finds the first GameObject matching a query.
+     * @param {Object|Function} query - See findAll
+     * @returns {GameObject|undefined}
+     */
+    find(query) {
+        const matches = compileQuery(query);
+        let found;
+        this.traverse(object => {
+            if (!found && object instanceof GameObject && matches(object)) found = object;
+        });
+        return found;
+    }
+
+    /**
+     * Finds every GameObject of a type (subclasses included).
+     * @param {Function|string} type - Class, or registered type name
+     * @returns {GameObject[]}
+     *
+     * @example
+     * const lights = scene.findByType(PointLight);
+     */
+    findByType(type) {
+        return this.findAll({ type });
+    }
+
+    /**
+     * Finds every GameObject with a tag.
+     * @param {string} tag
+     * @returns {GameObject[]}
+     */
+    findByTag(tag) {
+        return this.findAll({ tag });
+    }
+
+    /**
+     * Finds GameObjects whose position is within a distance of a point,
+     * nearest first. Measured between world positions (object origins).
+     * @param {Object|THREE.Vector3|GameObject} point - Center ({x, y, z}), or a GameObject (which isn't included)
+     * @param {number} radius
+     * @param {Object|Function} [query] - Further conditions (see findAll)
+     * @returns {GameObject[]}
+     *
+     * @example
+     * const nearbyEnemies = scene.findWithinRadius(player, 5, { tag: 'enemy' });
+     */
+    findWithinRadius(point, radius, query = {}) {
+        const center = point.mesh ? point.getWorldPosition() : new THREE.Vector3(point.x, point.y, point.z);
+        const radiusSq = radius * radius;
+        const distances = new Map();
+
+        const found = this.findAll(query).filter(object => {
+            if (object === point) return false;
+            const distanceSq = object.getWorldPosition(_position).distanceToSquared(center);
+            distances.set(object, distanceSq);
+            return distanceSq <= radiusSq;
+        });
+        return found.sort((a, b) => distances.get(a) - distances.get(b));
+    }
+
+    /**
+     * Finds GameObjects whose world position is inside a box.
+     * @param {Object|THREE.Vector3} min - Lowest corner ({x, y, z})
+     * @param {Object|THREE.Vector3} max - Highest corner ({x, y, z})
+     * @param {Object|Function} [query] - Further conditions (see findAll)
+     * @returns {GameObject[]}
+     *
+     * @example
+     * const inRoom = scene.findInBox({ x: -5, y: 0, z: -5 }, { x: 5, y: 3, z: 5 });
+     */
+    findInBox(min, max, query = {}) {
+        const box = new THREE.Box3(
+            new THREE.Vector3(min.x, min.y, min.z),
+            new THREE.Vector3(max.x, max.y, max.z)
+        );
+        return this.findAll(query).filter(object => box.containsPoint(object.getWorldPosition(_position)));
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Layers
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Changes how a layer of objects behaves in this scene (see GameObject's
+     * layer option). Only the given settings change. Layers start visible,
+     * pickable and updating.
+     * @param {string} name - Layer name
+     * @param {Object} settings - Layer settings
+     * @param {boolean} [settings.visible] - Draw the layer's objects
+     * @param {boolean} [settings.pickable] - Let pointer events and pick() hit them
+     * @param {boolean} [settings.update] - Run their animations and update functions (false pauses them)
+     * @returns {Scene} Returns this for chaining
+     *
+     * @example
+     * scene.configureLayer('ui', { pickable: false });
+     * // Freeze enemies when any object emits 'timeStop' (custom events bubble up to the scene)
+     * scene.on('timeStop', () => scene.configureLayer('enemies', { update: false }));
+     */
+    configureLayer(name, settings) {
+        for (const key of Object.keys(settings)) {
+            if (!(key in DEFAULT_LAYER)) {
+                throw new Error(`Unknown layer setting "${key}". Available settings: ${Object.keys(DEFAULT_LAYER).join(', ')}`);
+            }
+        }
+        const layer = { ...this.getLayer(name), ...settings };
+        this._layers.set(name, layer);
+
+        const channel = getLayerChannel(name);
+        if (layer.visible) {
+            this.camera.layers.enable(channel);
+        } else {
+            this.camera.layers.disable(channel);
+        }
+        return this;
+    }
+
+    /**
+     * Gets a layer's settings.
+     * @param {string} name - Layer name
+     * @returns {{visible: boolean, pickable: boolean, update: boolean}}
+     */
+    getLayer(name) {
+        return { ...(this._layers.get(name) || DEFAULT_LAYER) };
+    }
+
+    /**
+     * Shows a hidden layer.
+     * @param {string} name - Layer name
+     * @returns {Scene} Returns this for chaining
+     */
+    showLayer(name) {
+        return this.configureLayer(name, { visible: true });
+    }
+
+    /**
+     * Hides every object on a layer. Hidden objects can't be picked either.
+     * @param {string} name - Layer name
+     * @returns {Scene} Returns this for chaining
+     */
+    hideLayer(name) {
+        return this.configureLayer(name, { visible: false });
+    }
+
+    /**
+     * Whether a layer is drawn.
+     * @param {string} name - Layer name
+     * @returns {boolean}
+     */
+    isLayerVisible(name) {
+        return (this._layers.get(name) || DEFAULT_LAYER).visible;
+    }
+
+    /**
+     * Whether a layer can be picked (it must also be visible).
+     * @param {string} name - Layer name
+     * @returns {boolean}
+     */
+    isLayerPickable(name) {
+        const layer = this._layers.get(name) || DEFAULT_LAYER;
+        return layer.visible && layer.pickable;
+    }
+
+    /**
+     * Whether a layer's objects are updated each frame.
+     * @param {string} name - Layer name
+     * @returns {boolean}
+     */
+    isLayerUpdating(name) {
+        return (this._layers.get(name) || DEFAULT_LAYER).update;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Serialization
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Serializes the scene to plain JSON-safe data: background, camera, lights,
+     * physics gravity, layer settings and every GameObject (see GameObject.toJSON).
+     * Custom GameObject subclasses must be registered with GameObject.registerType().
+     * @returns {Object}
+     *
+     * @example
+     * localStorage.setItem('level', JSON.stringify(scene));
+     */
+    toJSON() {
+        const background = this.scene.background;
+        const camera = this.camera;
+
+        const data = {
+            version: 1,
+            background: background && background.isColor ? background.getHex() : null,
+            camera: {
+                fov: camera.fov,
+                near: camera.near,
+                far: camera.far,
+                position: { x: camera.position.x, y: camera.position.y, z: camera.position.z },
+                quaternion: camera.quaternion.toArray()
+            },
+            // Light GameObjects are saved with the other GameObjects
+            lights: this.scene.children
+                .filter(child => child.isLight && !child.userData.gameObject)
+                .map(serializeLight),
+            gameObjects: this.gameObjects.map(obj => obj.toJSON())
+        };
+
+        if (this._layers.size > 0) {
+            data.layers = Object.fromEntries(this._layers);
+        }
+        if (this.physics) {
+            const { gravity } = this.physics;
+            data.physics = { gravity: { x: gravity.x, y: gravity.y, z: gravity.z } };
+        }
+        return data;
+    }
+
+    /**
+     * Creates a scene from data made by toJSON().
+     * @param {Object|string} data - Serialized scene, or a JSON string of one
+     * @param {Object} [options] - Extra Scene constructor options (e.g. cameraController)
+     * @returns {Scene}
+     *
+     * @example
+     * const level = await fetch('levels/1.json').then(res => res.json());
+     * engine.run(Scene.fromJSON(level));
+     */
+    static fromJSON(data, options = {}) {
+        if (typeof data === 'string') data = JSON.parse(data);
+        const camera = data.camera || {};
+
+        const scene = new Scene({
+            ...options,
+            background: data.background,
+            fov: camera.fov,
+            near: camera.near,
+            far: camera.far,
+            cameraPosition: camera.position,
+            defaultLighting: !data.lights,
+            physics: data.physics || false
+        });
+
+        if (camera.quaternion) {
+            scene.camera.quaternion.fromArray(camera.quaternion);
+        }
+        for (const lightData of data.lights || []) {
+            scene.add(createLight(lightData));
+        }
+        for (const objectData of data.gameObjects || []) {
+            scene.add(GameObject.fromJSON(objectData));
+        }
+        for (const [name, settings] of Object.entries(data.layers || {})) {
+            scene.configureLayer(name, settings);
+        }
+        return scene;
+    }
+
+    /**
+     * Calls a function for every GameObject in the scene, including children.
+     * @param {Function} fn - Function receiving each GameObject
+     * @returns {Scene} Returns this for chaining
+     */
+    traverse(fn) {
+        for (const obj of this.gameObjects.slice()) {
+            if (obj.traverse) {
+                obj.traverse(fn);
+            } else {
+                fn(obj);
+            }
+        }
+        return this;
     }
 
     /**
      * Cleans up all resources.
      */
     dispose() {
+        this.setCameraController(null);
+        this.collisions.clear();
         for (const gameObject of this.gameObjects) {
             if (gameObject.dispose) {
                 gameObject.dispose();
             }
         }
         this.gameObjects = [];
+        this._dispatch('disposed');
+    }
+
+    /**
+     * Custom events bubble from the scene to the engine running it.
+     * @private
+     */
+    _getEventParent() {
+        return this.engine;
     }
 }
 
+/**
+ * Light properties saved by Scene.toJSON(), where the light has them.
+ * @private
+ */
+const LIGHT_PROPERTIES = ['intensity', 'distance', 'decay', 'angle', 'penumbra', 'width', 'height', 'castShadow'];
+
+/**
+ * Converts a Three.js light to plain data.
+ * @private
+ */
+function serializeLight(light) {
+    const data = {
+        type: light.type,
+        name: light.name,
+        color: light.color.getHex(),
+        position: { x: light.position.x, y: light.position.y, z: light.position.z }
+    };
+    for (const key of LIGHT_PROPERTIES) {
+        if (light[key] !== undefined) data[key] = light[key];
+    }
+    if (light.groundColor) data.groundColor = light.groundColor.getHex();
+    if (light.target) {
+        const target = light.target.position;
+        data.target = { x: target.x, y: target.y, z: target.z };
+    }
+    return data;
+}
+
+/**
+ * Recreates a Three.js light from serializeLight() data.
+ * @private
+ */
+function createLight(data) {
+    const Light = /Light$/.test(data.type) ? THREE[data.type] : null;
+    const light = Light ? new Light() : null;
+    if (!light || !light.isLight) {
+        throw new Error(`Unknown light type "${data.type}"`);
+    }
+
+    light.name = data.name || '';
+    light.color.setHex(data.color);
+    light.position.set(data.position.x, data.position.y, data.position.z);
+    for (const key of LIGHT_PROPERTIES) {
+        if (data[key] !== undefined && light[key] !== undefined) light[key] = data[key];
+    }
+    if (data.groundColor !== undefined && light.groundColor) light.groundColor.setHex(data.groundColor);
+    if (data.target && light.target) {
+        light.target.position.set(data.target.x, data.target.y, data.target.z);
+    }
+    return light;
+}
+
+/**
+ * Turns a findAll() query into a function testing one GameObject.
+ * @private
+ */
+function compileQuery(query) {
+    if (typeof query === 'function') return query;
+
+    for (const key of Object.keys(query)) {
+        if (!QUERY_KEYS.includes(key)) {
+            throw new Error(`Unknown query condition "${key}". Available conditions: ${QUERY_KEYS.join(', ')}`);
+        }
+    }
+
+    const { tag, tags, layer, where } = query;
+    let { type, name } = query;
+    if (name instanceof RegExp && (name.global || name.sticky)) {
+        // Global and sticky patterns remember where they stopped; matching names needs neither
+        name = new RegExp(name.source, name.flags.replace(/[gy]/g, ''));
+    }
+    if (typeof type === 'string') {
+        const Type = GameObject.getType(type);
+        if (!Type) throw new Error(`Unknown GameObject type "${type}"`);
+        type = Type;
+    }
+
+    return object => (
+        (tag === undefined || object.hasTag(tag)) &&
+        (tags === undefined || tags.every(t => object.hasTag(t))) &&
+        (type === undefined || object instanceof type) &&
+        (name === undefined || (name instanceof RegExp ? name.test(object.name) : object.name === name)) &&
+        (layer === undefined || object.layer === layer) &&
+        (where === undefined || Boolean(where(object)))
+    );
+}
+
 export { Scene };
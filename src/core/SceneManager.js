@@ -0,0 +1,545 @@
+import * as THREE from 'three';
+import { Tween } from '../animation/Tween.js';
+import { parseColor } from '../utils/colors.js';
+
+/**
+ * Transition types switchTo(), push() and pop() accept.
+ * @private
+ */
+const TRANSITIONS = ['none', 'fade', 'crossfade'];
+
+/**
+ * SceneManager - Registers scenes by name and switches between them with transitions.
+ *
+ * Scenes form a stack: switchTo() replaces the whole stack, push() adds an overlay
+ * (e.g. a pause menu) on top and pauses the scene underneath, pop() removes it again.
+ * Only the top scene is updated; every scene in the stack is rendered, bottom first.
+ * Give overlay scenes `background: null` so the scene underneath shows through.
+ *
+ * Disposal rule: a scene registered as an instance is kept warm (not disposed) when
+ * it leaves the stack, so it resumes where it left off. A scene registered as a
+ * factory function is disposed when it leaves, and rebuilt by the factory next time.
+ * Pass { keepAlive } to register(), or { dispose } to switchTo()/pop(), to override.
+ *
+ * @example
+ * engine.scenes
+ *   .register('title', titleScene)
+ *   .register('level1', () => buildLevel(1))
+ *   .register('pause', pauseScene);
+ *
+ * engine.run('title');
+ * await engine.scenes.switchTo('level1', { transition: 'fade', color: 'black' });
+ * engine.scenes.push('pause');
+ */
+class SceneManager {
+    /**
+     * Creates a new SceneManager. Normally created by the Engine as engine.scenes.
+     * @param {Engine} engine - The engine that renders the scenes
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.stack = [];
+        this.transition = null;
+
+        this._registry = new Map();
+        this._overlay = null;
+        this._targets = null;
+    }
+
+    /**
+     * The scene at the top of the stack (the one being updated).
+     * @type {Scene|null}
+     */
+    get current() {
+        return this.stack.length > 0 ? this.stack[this.stack.length - 1].scene : null;
+    }
+
+    /**
+     * Whether a transition is in progress.
+     * @type {boolean}
+     */
+    get isTransitioning() {
+        return this.transition !== null;
+    }
+
+    /**
+     * Registers a scene or scene factory under a name.
+     * @param {string} name - Name used by switchTo/push
+     * @param {Scene|Function} scene - A Scene, or a function returning a new Scene
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.keepAlive] - Keep the scene when it leaves the stack
+     *   (defaults to true for instances, false for factories)
+     * @returns {SceneManager} Returns this for chaining
+     */
+    register(name, scene, { keepAlive } = {}) {
+        const isFactory = typeof scene === 'function';
+        this._registry.set(name, {
+            name,
+            factory: isFactory ? scene : null,
+            scene: isFactory ? null : scene,
+            keepAlive: keepAlive !== undefined ? keepAlive : !isFactory
+        });
+        return this;
+    }
+
+    /**
+     * Removes a registered scene. It is disposed unless it is on the stack.
+     * @param {string} name
+     * @returns {SceneManager} Returns this for chaining
+     */
+    unregister(name) {
+        const entry = this._registry.get(name);
+        if (entry) {
+            this._registry.delete(name);
+            if (entry.scene && !this.stack.includes(entry)) {
+                entry.scene.dispose();
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Checks whether a name is registered.
+     * @param {string} name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this._registry.has(name);
+    }
+
+    /**
+     * Gets a registered scene, building it from its factory if needed.
+     * @param {string} name
+     * @returns {Scene}
+     */
+    get(name) {
+        return this._resolve(name).scene;
+    }
+
+    /**
+     * Transition options shared by switchTo, push and pop.
+     * @typedef {Object} TransitionOptions
+     * @property {string} [transition='none'] - 'none', 'fade' (through a color) or 'crossfade'
+     * @property {number} [duration=0.5] - Transition length in seconds
+     * @property {string|number} [color='black'] - Color to fade through for 'fade'
+     * @property {string|Function} [easing='easeInOutQuad'] - Easing for the transition
+     * @property {boolean} [dispose] - Override whether outgoing scenes are disposed
+     */
+
+    /**
+     * Replaces the whole stack with a scene.
+     * @param {string|Scene} target - Registered name or a Scene instance
+     * @param {TransitionOptions} [options] - Transition options
+     * @returns {Promise} Resolves when the transition has finished
+     */
+    switchTo(target, options = {}) {
+        return this._transition(options, () => {
+            const entry = this._resolve(target);
+            const outgoing = this.stack.slice().reverse();
+            return {
+                enter: () => {
+                    this.stack = [entry];
+                    this._enter(entry);
+                },
+                exit: () => {
+                    for (const old of outgoing) {
+                        this._exit(old, options.dispose);
+                    }
+                }
+            };
+        });
+    }
+
+    /**
+     * Pushes a scene on top of the stack, pausing the current one.
+     * @param {string|Scene} target - Registered name or a Scene instance
+     * @param {TransitionOptions} [options] - Transition options
+     * @returns {Promise} Resolves when the transition has finished
+     */
+    push(target, options = {}) {
+        return this._transition(options, () => {
+            const entry = this._resolve(target);
+            const below = this.stack[this.stack.length - 1];
+            return {
+                enter: () => {
+                    if (below) below.scene._runLifecycleHook('pause');
+                    this.stack.push(entry);
+                    this._enter(entry);
+                },
+                exit: () => {}
+            };
+        });
+    }
+
+    /**
+     * Removes the top scene, resuming the one underneath.
+     * @param {TransitionOptions} [options] - Transition options
+     * @returns {Promise} Resolves when the transition has finished
+     */
+    pop(options = {}) {
+        if (this.stack.length <= 1) {
+            return Promise.reject(new Error('SceneManager.pop() needs at least two scenes on the stack'));
+        }
+        return this._transition(options, () => {
+            const top = this.stack[this.stack.length - 1];
+            return {
+                enter: () => {
+                    this.stack.pop();
+                    this.current._runLifecycleHook('resume');
+                },
+                exit: () => this._exit(top, options.dispose)
+            };
+        });
+    }
+
+    /**
+     * Updates the top scene. Called by the Engine each frame.
+     * @param {number} delta - Time since last frame in seconds
+     * @param {number} elapsed - Total elapsed time in seconds
+     */
+    update(delta, elapsed) {
+        const scene = this.current;
+        if (scene) {
+            scene.update(delta, elapsed);
+        }
+    }
+
+    /**
+     * Runs one fixed-timestep step on the top scene. Called by the Engine.
+     * @param {number} delta - The fixed timestep in seconds
+     * @param {number} elapsed - Total elapsed time in seconds
+     */
+    fixedUpdate(delta, elapsed) {
+        const scene = this.current;
+        if (scene) {
+            scene.fixedUpdate(delta, elapsed);
+        }
+    }
+
+    /**
+     * Advances any running transition. Called by the Engine each frame with
+     * real (unscaled) time, so transitions still play while the game is paused.
+     * @param {number} delta - Time since last frame in seconds
+     */
+    updateTransition(delta) {
+        if (this.transition) {
+            this.transition.tween.update(delta);
+        }
+    }
+
+    /**
+     * Renders the stack, including any transition. Called by the Engine each frame.
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.WebGLRenderTarget|null} [target=null] - Where to render (null for the screen)
+     */
+    render(renderer, target = null) {
+        const transition = this.transition;
+
+        if (transition && transition.type === 'crossfade') {
+            this._renderCrossfade(renderer, transition, target);
+            return;
+        }
+
+        this._renderStack(renderer, this.stack, target);
+
+        if (transition && transition.type === 'fade') {
+            this._renderOverlay(renderer, transition);
+        }
+    }
+
+    /**
+     * Resizes every scene on the stack. Called by the Engine on window resize.
+     * @param {number} width
+     * @param {number} height
+     */
+    handleResize(width, height) {
+        for (const entry of this.stack) {
+            entry.scene.handleResize(width, height);
+        }
+        this.releaseRenderTargets();
+    }
+
+    /**
+     * Frees the crossfade render targets; they're remade at the drawing
+     * buffer's size when next needed. Call after resizing the drawing buffer.
+     */
+    releaseRenderTargets() {
+        if (this._targets) {
+            this._targets.forEach(target => target.dispose());
+            this._targets = null;
+        }
+    }
+
+    /**
+     * Releases transition resources. Scenes are not disposed.
+     */
+    dispose() {
+        if (this.transition) {
+            this.transition.tween.complete();
+        }
+        this.releaseRenderTargets();
+        if (this._overlay) {
+            this._overlay.mesh.geometry.dispose();
+            this._overlay.mesh.material.dispose();
+            this._overlay = null;
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Internals
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Finds or builds the registry entry for a name or Scene.
+     * @private
+     */
+    _resolve(target) {
+        if (typeof target !== 'string') {
+            for (const entry of this._registry.values()) {
+                if (entry.scene === target) return entry;
+            }
+            // Unregistered instances belong to the caller, so they are never disposed
+            return { name: null, factory: null, scene: target, keepAlive: true };
+        }
+
+        const entry = this._registry.get(target);
+        if (!entry) {
+            throw new Error(`Unknown scene "${target}". Registered: ${Array.from(this._registry.keys()).join(', ')}`);
+        }
+        if (!entry.scene) {
+            entry.scene = entry.factory();
+        }
+        return entry;
+    }
+
+    /**
+     * Attaches a scene to the engine and fires onEnter.
+     * @private
+     */
+    _enter(entry) {
+        const scene = entry.scene;
+        scene.engine = this.engine;
+        scene.handleResize(this.engine.width, this.engine.height);
+        scene._runLifecycleHook('enter');
+    }
+
+    /**
+     * Fires onExit, detaches the scene and disposes it if it isn't kept warm.
+     * @private
+     */
+    _exit(entry, dispose) {
+        // Still on the stack (e.g. switching to the scene that is already showing)
+        if (this.stack.some(other => other.scene === entry.scene)) return;
+
+        const scene = entry.scene;
+        scene._runLifecycleHook('exit');
+        scene.engine = null;
+
+        const shouldDispose = dispose !== undefined ? dispose : !entry.keepAlive;
+        if (shouldDispose) {
+            scene.dispose();
+            if (entry.factory) entry.scene = null;
+        }
+    }
+
+    /**
+     * Runs a stack change, with or without a visual transition.
+     * @private
+     */
+    _transition(options, prepare) {
+        const {
+            transition = 'none',
+            duration = 0.5,
+            color = 'black',
+            easing = 'easeInOutQuad'
+        } = options;
+
+        // Check the options before anything changes, and fail the way pop() does
+        if (!TRANSITIONS.includes(transition)) {
+            return Promise.reject(new Error(`Unknown scene transition "${transition}". Available: ${TRANSITIONS.join(', ')}`));
+        }
+        let fadeColor;
+        try {
+            fadeColor = new THREE.Color(parseColor(color));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        if (this.transition) {
+            this.transition.tween.complete();
+        }
+
+        const change = prepare();
+
+        if (transition === 'none' || duration <= 0 || this.stack.length === 0) {
+            change.enter();
+            change.exit();
+            return Promise.resolve();
+        }
+
+        const state = {
+            type: transition,
+            color: fadeColor,
+            progress: 0,
+            swapped: false,
+            fromStack: this.stack.slice(),
+            tween: null
+        };
+
+        // Crossfades need both scenes live from the start; fades swap at the midpoint
+        if (transition === 'crossfade') {
+            change.enter();
+            state.swapped = true;
+        }
+
+        state.tween = new Tween({
+            from: { progress: 0 },
+            to: { progress: 1 },
+            duration,
+            easing,
+            onUpdate: ({ progress }) => {
+                state.progress = progress;
+                if (!state.swapped && progress >= 0.5) {
+                    state.swapped = true;
+                    change.enter();
+                }
+            },
+            onComplete: () => {
+                if (!state.swapped) change.enter();
+                change.exit();
+                this.transition = null;
+            }
+        });
+
+        this.transition = state;
+        return state.tween.promise;
+    }
+
+    /**
+     * Renders scenes bottom to top, each on top of the last, leaving the
+     * render target set so overlays can draw on top.
+     * @private
+     */
+    _renderStack(renderer, stack, target) {
+        const autoClear = renderer.autoClear;
+        renderer.setRenderTarget(target);
+        renderer.clear();
+        renderer.autoClear = false;
+
+        stack.forEach((entry, index) => {
+            if (index > 0) renderer.clearDepth();
+            this.engine._renderScene(entry.scene);
+        });
+
+        renderer.autoClear = autoClear;
+    }
+
+    /**
+     * Draws a full-screen color quad over the frame for fade transitions.
+     * @private
+     */
+    _renderOverlay(renderer, transition) {
+        const overlay = this._getOverlay();
+        const { material } = overlay.mesh;
+
+        // Fade out to the color, then back in: opacity peaks at the midpoint
+        material.uniforms.uMode.value = 0;
+        material.uniforms.uColor.value.copy(transition.color);
+        material.uniforms.uAmount.value = 1 - Math.abs(transition.progress * 2 - 1);
+
+        const autoClear = renderer.autoClear;
+        renderer.autoClear = false;
+        renderer.render(overlay.scene, overlay.camera);
+        renderer.autoClear = autoClear;
+    }
+
+    /**
+     * Renders the outgoing and incoming stacks to textures and blends them.
+     * @private
+     */
+    _renderCrossfade(renderer, transition, target) {
+        const targets = this._getTargets(renderer);
+        this._renderStack(renderer, transition.fromStack, targets[0]);
+        this._renderStack(renderer, this.stack, targets[1]);
+
+        const overlay = this._getOverlay();
+        const { uniforms } = overlay.mesh.material;
+        uniforms.uMode.value = 1;
+        uniforms.uFrom.value = targets[0].texture;
+        uniforms.uTo.value = targets[1].texture;
+        uniforms.uAmount.value = transition.progress;
+
+        renderer.setRenderTarget(target);
+        renderer.render(overlay.scene, overlay.camera);
+    }
+
+    /**
+     * Lazily creates the full-screen quad used by transitions.
+     * @private
+     */
+    _getOverlay() {
+        if (this._overlay) return this._overlay;
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uMode: { value: 0 },
+                uAmount: { value: 0 },
+                uColor: { value: new THREE.Color() },
+                uFrom: { value: null },
+                uTo: { value: null }
+            },
+            vertexShader: `
+                varying vec2 vUv;
+                void main() {
+                    vUv = uv;
+                    gl_Position = vec4(position.xy, 0.0, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform int uMode;
+                uniform float uAmount;
+                uniform vec3 uColor;
+                uniform sampler2D uFrom;
+                uniform sampler2D uTo;
+                varying vec2 vUv;
+                void main() {
+                    if (uMode == 0) {
+                        gl_FragColor = vec4(uColor, uAmount);
+                    } else {
+                        gl_FragColor = mix(texture2D(uFrom, vUv), texture2D(uTo, vUv), uAmount);
+                    }
+                    #include <colorspace_fragment>
+                }
+            `,
+            transparent: true,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        const mesh = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+        mesh.frustumCulled = false;
+
+        const scene = new THREE.Scene();
+        scene.add(mesh);
+
+        this._overlay = { scene, mesh, camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1) };
+        return this._overlay;
+    }
+
+    /**
+     * Lazily creates the render targets used by crossfades.
+     * @private
+     */
+    _getTargets(renderer) {
+        if (!this._targets) {
+            const size = renderer.getDrawingBufferSize(new THREE.Vector2());
+            this._targets = [
+                new THREE.WebGLRenderTarget(size.x, size.y),
+                new THREE.WebGLRenderTarget(size.x, size.y)
+            ];
+        }
+        return this._targets;
+    }
+}
+
+export { SceneManager };
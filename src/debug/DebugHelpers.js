@@ -0,0 +1,249 @@
+import * as THREE from 'three';
+import { RectAreaLightHelper } from 'three/addons/helpers/RectAreaLightHelper.js';
+
+/**
+ * Helpers that can be switched on, in the order they're listed in the panel.
+ */
+const HELPER_TYPES = ['axes', 'grid', 'bounds', 'lights', 'cameras', 'wireframe'];
+
+const BOUNDS_COLOR = 0xffff00;
+
+/**
+ * DebugHelpers - Visual helpers drawn into the running scene: world axes, a
+ * ground grid, bounding boxes, light and camera helpers, and wireframe
+ * materials on every GameObject.
+ *
+ * Helpers live in their own group, which moves to whichever scene is running
+ * and is kept in sync as objects come and go. They aren't GameObjects, so
+ * they don't show up in scene queries, picking, collisions or toJSON().
+ *
+ * Owned by DebugOverlay; use engine.debug.setHelper() and friends.
+ */
+class DebugHelpers {
+    /**
+     * Creates a new DebugHelpers.
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.gridSize=20] - Width of the grid in world units
+     * @param {number} [options.axesSize=5] - Length of each axis line
+     */
+    constructor(options = {}) {
+        const {
+            gridSize = 20,
+            axesSize = 5
+        } = options;
+
+        this.enabled = Object.fromEntries(HELPER_TYPES.map(type => [type, false]));
+
+        this.group = new THREE.Group();
+        this.group.name = 'DebugHelpers';
+
+        this._axes = new THREE.AxesHelper(axesSize);
+        this._grid = new THREE.GridHelper(gridSize, gridSize, 0x888888, 0x444444);
+        this._bounds = new Map(); // GameObject -> Box3Helper
+        this._lights = new Map(); // THREE.Light -> helper
+        this._cameras = new Map(); // THREE.Camera -> CameraHelper
+        this._wireframes = new Map(); // Material -> its own wireframe setting
+    }
+
+    /**
+     * Whether any helper is on.
+     * @type {boolean}
+     */
+    get isActive() {
+        return HELPER_TYPES.some(type => this.enabled[type]);
+    }
+
+    /**
+     * Turns a helper on or off.
+     * @param {string} type - One of HELPER_TYPES
+     * @param {boolean} enabled
+     */
+    set(type, enabled) {
+        if (!HELPER_TYPES.includes(type)) {
+            throw new Error(`Unknown debug helper "${type}". Available helpers: ${HELPER_TYPES.join(', ')}`);
+        }
+        this.enabled[type] = enabled;
+
+        if (!enabled) {
+            if (type === 'bounds') clearHelpers(this._bounds);
+            if (type === 'lights') clearHelpers(this._lights);
+            if (type === 'cameras') clearHelpers(this._cameras);
+            if (type === 'wireframe') this._restoreWireframes();
+        }
+    }
+
+    /**
+     * Brings the helpers up to date with a scene. Called by the DebugOverlay
+     * each frame, before rendering.
+     * @param {Scene|null} scene - The running scene
+     */
+    update(scene) {
+        if (!scene || !this.isActive) {
+            this.group.removeFromParent();
+            return;
+        }
+        if (this.group.parent !== scene.scene) {
+            scene.scene.add(this.group);
+        }
+
+        this._show(this._axes, this.enabled.axes);
+        this._show(this._grid, this.enabled.grid);
+        if (this.enabled.bounds) this._updateBounds(scene);
+        if (this.enabled.lights) this._updateLights(scene);
+        if (this.enabled.cameras) this._updateCameras(scene);
+        if (this.enabled.wireframe) this._applyWireframes(scene);
+    }
+
+    /**
+     * Removes every helper and restores materials.
+     */
+    dispose() {
+        for (const type of HELPER_TYPES) this.set(type, false);
+        this.group.removeFromParent();
+        this._axes.dispose();
+        this._grid.dispose();
+    }
+
+    /**
+     * Adds or removes a helper from the group.
+     * @private
+     */
+    _show(helper, visible) {
+        if (visible && helper.parent !== this.group) this.group.add(helper);
+        if (!visible && helper.parent === this.group) this.group.remove(helper);
+    }
+
+    /**
+     * One box per GameObject (children included), following it as it moves.
+     * @private
+     */
+    _updateBounds(scene) {
+        const seen = new Set();
+        scene.traverse(object => {
+            if (!object.getWorldBounds || object.isLight) return;
+            seen.add(object);
+
+            let helper = this._bounds.get(object);
+            if (!helper) {
+                helper = new THREE.Box3Helper(new THREE.Box3(), BOUNDS_COLOR);
+                this._bounds.set(object, helper);
+                this.group.add(helper);
+            }
+            object.getWorldBounds(helper.box);
+            helper.visible = !helper.box.isEmpty();
+        });
+        removeUnseen(this._bounds, seen);
+    }
+
+    /**
+     * A helper for each light that has one (ambient light has nothing to show).
+     * @private
+     */
+    _updateLights(scene) {
+        const seen = new Set();
+        scene.scene.traverse(object => {
+            if (!object.isLight || object.isAmbientLight) return;
+            seen.add(object);
+
+            let helper = this._lights.get(object);
+            if (!helper) {
+                helper = createLightHelper(object);
+                if (!helper) return;
+                this._lights.set(object, helper);
+                this.group.add(helper);
+            }
+            if (helper.update) helper.update();
+        });
+        removeUnseen(this._lights, seen);
+    }
+
+    /**
+     * Frustums of every camera except the one being looked through, including
+     * the shadow cameras of lights that cast shadows.
+     * @private
+     */
+    _updateCameras(scene) {
+        const seen = new Set();
+        const cameras = [];
+        scene.scene.traverse(object => {
+            if (object === this.group) return;
+            if (object.isCamera && object !== scene.camera) cameras.push(object);
+            if (object.isLight && object.castShadow && object.shadow) cameras.push(object.shadow.camera);
+        });
+
+        for (const camera of cameras) {
+            seen.add(camera);
+            let helper = this._cameras.get(camera);
+            if (!helper) {
+                helper = new THREE.CameraHelper(camera);
+                this._cameras.set(camera, helper);
+                this.group.add(helper);
+            }
+            helper.update();
+        }
+        removeUnseen(this._cameras, seen);
+    }
+
+    /**
+     * Switches every GameObject material to wireframe, remembering its own
+     * setting. New objects are picked up as they appear.
+     * @private
+     */
+    _applyWireframes(scene) {
+        scene.traverse(object => {
+            if (!object._forEachMaterial) return;
+            object._forEachMaterial(material => {
+                if (material.wireframe === undefined || this._wireframes.has(material)) return;
+                this._wireframes.set(material, material.wireframe);
+                material.wireframe = true;
+            });
+        });
+    }
+
+    /**
+     * Puts back each material's own wireframe setting.
+     * @private
+     */
+    _restoreWireframes() {
+        for (const [material, wireframe] of this._wireframes) {
+            material.wireframe = wireframe;
+        }
+        this._wireframes.clear();
+    }
+}
+
+/**
+ * Creates the Three.js helper for a kind of light, or null if it has none.
+ * @private
+ */
+function createLightHelper(light) {
+    if (light.isPointLight) return new THREE.PointLightHelper(light, 0.3);
+    if (light.isSpotLight) return new THREE.SpotLightHelper(light);
+    if (light.isDirectionalLight) return new THREE.DirectionalLightHelper(light, 1);
+    if (light.isHemisphereLight) return new THREE.HemisphereLightHelper(light, 0.5);
+    if (light.isRectAreaLight) return new RectAreaLightHelper(light);
+    return null;
+}
+
+/**
+ * Removes and frees helpers whose subject is gone.
+ * @private
+ */
+function removeUnseen(helpers, seen) {
+    for (const [subject, helper] of helpers) {
+        if (seen.has(subject)) continue;
+        helper.removeFromParent();
+        helper.dispose();
+        helpers.delete(subject);
+    }
+}
+
+/**
+ * Removes and frees every helper in a map.
+ * @private
+ */
+function clearHelpers(helpers) {
+    removeUnseen(helpers, new Set());
+}
+
+export { DebugHelpers, HELPER_TYPES };
@@ -0,0 +1,354 @@
+import { DebugHelpers, HELPER_TYPES } from './DebugHelpers.js';
+
+/**
+ * Frames of history kept for the frame time graph.
+ * @private
+ */
+const HISTORY = 120;
+
+/**
+ * Frame time at the top of the graph, in milliseconds.
+ * @private
+ */
+const GRAPH_MAX_MS = 50;
+
+/**
+ * Renderer stats reported when there's no renderer.
+ * @private
+ */
+const EMPTY_INFO = {
+    render: { calls: 0, triangles: 0 },
+    memory: { geometries: 0, textures: 0 }
+};
+
+/**
+ * Default keys: one to show the panel, and one per helper while it's shown.
+ * @private
+ */
+const DEFAULT_HOTKEYS = {
+    toggle: 'F3',
+    axes: 'Digit1',
+    grid: 'Digit2',
+    bounds: 'Digit3',
+    lights: 'Digit4',
+    cameras: 'Digit5',
+    wireframe: 'Digit6'
+};
+
+/**
+ * DebugOverlay - The Engine's debug mode.
+ *
+ * Shows a panel with an FPS and frame time graph, what the renderer drew
+ * last frame (draw calls, triangles, geometries and textures in memory) and
+ * how many GameObjects the running scene has. Visual helpers (axes, grid,
+ * bounding boxes, lights, camera frustums, wireframe) can be switched on
+ * from code or with hotkeys: F3 shows the panel, then 1-6 toggle helpers.
+ * Helpers work with the panel hidden too.
+ *
+ * Owned by the Engine as engine.debug.
+ *
+ * @example
+ * const engine = new Engine({ debug: true });
+ *
+ * engine.debug.setHelper('bounds', true).setHelper('wireframe', true);
+ * engine.debug.toggle();
+ *
+ * // Different keys, or none
+ * new Engine({ debug: { hotkeys: { toggle: 'Backquote' } } });
+ * new Engine({ debug: { hotkeys: false } });
+ */
+class DebugOverlay {
+    /**
+     * Created by the Engine; configure it with the Engine's debug option.
+     * @param {Engine} engine - The engine to inspect
+     * @param {Object} [options] - Configuration options
+     * @param {boolean} [options.visible=false] - Show the panel from the start
+     * @param {Object|false} [options.hotkeys] - KeyboardEvent codes for toggle and each helper
+     *   (merged over the defaults), or false for none
+     * @param {Object<string, boolean>} [options.helpers] - Helpers to switch on, e.g. { grid: true }
+     * @param {number} [options.gridSize=20] - Width of the grid helper
+     * @param {number} [options.axesSize=5] - Length of the axes helper
+     */
+    constructor(engine, options = {}) {
+        const {
+            visible = false,
+            hotkeys = {},
+            helpers = {}
+        } = options;
+
+        this.engine = engine;
+        this.visible = false;
+        this.hotkeys = hotkeys === false ? null : { ...DEFAULT_HOTKEYS, ...hotkeys };
+        this.helpers = new DebugHelpers(options);
+        this.element = null;
+
+        // Latest numbers, also useful without the panel
+        this.stats = {
+            fps: 0,
+            frameTime: 0, // Milliseconds spent updating and rendering
+            drawCalls: 0,
+            triangles: 0,
+            geometries: 0,
+            textures: 0,
+            gameObjects: 0, // Top-level objects in the running scene
+            totalObjects: 0 // Including children
+        };
+
+        this._frameTimes = new Float32Array(HISTORY);
+        this._frameIndex = 0;
+        this._frameStart = 0;
+        this._fpsFrames = 0;
+        this._fpsTime = 0;
+
+        for (const [type, enabled] of Object.entries(helpers)) {
+            this.setHelper(type, enabled);
+        }
+        if (visible) this.show();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Panel (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Shows the stats panel.
+     * @returns {DebugOverlay} Returns this for chaining
+     */
+    show() {
+        this.visible = true;
+        // Headless there's no page to show the panel on, but stats are still kept
+        if (typeof document !== 'undefined') this._getElement().style.display = '';
+        // Count every render call in the frame, not just the last one
+        if (this.engine.renderer) this.engine.renderer.info.autoReset = false;
+        return this;
+    }
+
+    /**
+     * Hides the stats panel. Helpers stay as they are.
+     * @returns {DebugOverlay} Returns this for chaining
+     */
+    hide() {
+        this.visible = false;
+        if (this.element) this.element.style.display = 'none';
+        if (this.engine.renderer) this.engine.renderer.info.autoReset = true;
+        return this;
+    }
+
+    /**
+     * Shows the panel if it's hidden, and hides it if it's shown.
+     * @returns {DebugOverlay} Returns this for chaining
+     */
+    toggle() {
+        return this.visible ? this.hide() : this.show();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Helpers (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Turns a visual helper on or off.
+     * @param {string} type - 'axes', 'grid', 'bounds', 'lights', 'cameras' or 'wireframe'
+     * @param {boolean} [enabled=true]
+     * @returns {DebugOverlay} Returns this for chaining
+     */
+    setHelper(type, enabled = true) {
+        this.helpers.set(type, enabled);
+        return this;
+    }
+
+    /**
+     * Turns a visual helper on if it's off, and off if it's on.
+     * @param {string} type - 'axes', 'grid', 'bounds', 'lights', 'cameras' or 'wireframe'
+     * @returns {DebugOverlay} Returns this for chaining
+     */
+    toggleHelper(type) {
+        return this.setHelper(type, !this.helpers.enabled[type]);
+    }
+
+    /**
+     * Whether a visual helper is on.
+     * @param {string} type
+     * @returns {boolean}
+     */
+    isHelperEnabled(type) {
+        return Boolean(this.helpers.enabled[type]);
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Frame hooks (called by the Engine)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Handles hotkeys and starts timing the frame. Called after input is polled.
+     */
+    beginFrame() {
+        this._handleHotkeys();
+        this._frameStart = now();
+        if (this.visible && this.engine.renderer) this.engine.renderer.info.reset();
+    }
+
+    /**
+     * Syncs the helpers with the running scene. Called just before rendering.
+     */
+    beforeRender() {
+        this.helpers.update(this.engine.activeScene);
+    }
+
+    /**
+     * Records the frame's stats and redraws the panel. Called after rendering.
+     * @param {number} delta - Real time since the last frame, in seconds
+     */
+    endFrame(delta) {
+        const frameTime = now() - this._frameStart;
+        this._frameTimes[this._frameIndex] = frameTime;
+        this._frameIndex = (this._frameIndex + 1) % HISTORY;
+
+        // FPS averaged over half a second so it's readable
+        this._fpsFrames++;
+        this._fpsTime += delta;
+        if (this._fpsTime >= 0.5) {
+            this.stats.fps = Math.round(this._fpsFrames / this._fpsTime);
+            this._fpsFrames = 0;
+            this._fpsTime = 0;
+        }
+
+        if (!this.visible) return;
+
+        const { render, memory } = this.engine.renderer ? this.engine.renderer.info : EMPTY_INFO;
+        const scene = this.engine.activeScene;
+        let total = 0;
+        if (scene) scene.traverse(() => total++);
+
+        Object.assign(this.stats, {
+            frameTime,
+            drawCalls: render.calls,
+            triangles: render.triangles,
+            geometries: memory.geometries,
+            textures: memory.textures,
+            gameObjects: scene ? scene.gameObjects.length : 0,
+            totalObjects: total
+        });
+
+        if (this.element) this._draw();
+    }
+
+    /**
+     * Removes the panel and every helper.
+     */
+    dispose() {
+        this.hide();
+        this.helpers.dispose();
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    /**
+     * Applies hotkeys pressed this frame.
+     * @private
+     */
+    _handleHotkeys() {
+        if (!this.hotkeys) return;
+        const input = this.engine.input;
+
+        if (input.isPressed(this.hotkeys.toggle)) this.toggle();
+        // Helper keys only while the panel is up, so they don't clash with game controls
+        if (!this.visible) return;
+        for (const type of HELPER_TYPES) {
+            if (this.hotkeys[type] && input.isPressed(this.hotkeys[type])) this.toggleHelper(type);
+        }
+    }
+
+    /**
+     * Updates the panel's text and graph.
+     * @private
+     */
+    _draw() {
+        const { stats } = this;
+        const lines = [
+            `${stats.fps} FPS  ${stats.frameTime.toFixed(1)} ms`,
+            `draw calls  ${stats.drawCalls}`,
+            `triangles   ${stats.triangles.toLocaleString()}`,
+            `geometries  ${stats.geometries}`,
+            `textures    ${stats.textures}`,
+            `objects     ${stats.gameObjects} (${stats.totalObjects} total)`
+        ];
+        if (this.hotkeys) {
+            lines.push('');
+            for (const type of HELPER_TYPES) {
+                const mark = this.helpers.enabled[type] ? '■' : '□';
+                lines.push(`${mark} ${keyName(this.hotkeys[type])} ${type}`);
+            }
+        }
+        this._text.textContent = lines.join('\n');
+
+        // Frame time bars, oldest on the left; green under 60 FPS worth, red over 30
+        const context = this._graph.getContext('2d');
+        const { width, height } = this._graph;
+        context.clearRect(0, 0, width, height);
+        for (let i = 0; i < HISTORY; i++) {
+            const ms = this._frameTimes[(this._frameIndex + i) % HISTORY];
+            const barHeight = Math.min(ms / GRAPH_MAX_MS, 1) * height;
+            context.fillStyle = ms > 1000 / 30 ? '#f44' : ms > 1000 / 60 ? '#fc3' : '#4d4';
+            context.fillRect(i * (width / HISTORY), height - barHeight, width / HISTORY, barHeight);
+        }
+        // 60 FPS budget line
+        const budget = height - (1000 / 60 / GRAPH_MAX_MS) * height;
+        context.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        context.fillRect(0, budget, width, 1);
+    }
+
+    /**
+     * Lazily creates the panel.
+     * @private
+     */
+    _getElement() {
+        if (!this.element) {
+            this.element = document.createElement('div');
+            Object.assign(this.element.style, {
+                position: 'fixed',
+                top: '0',
+                left: '0',
+                zIndex: '10000',
+                padding: '6px 8px',
+                background: 'rgba(0, 0, 0, 0.75)',
+                color: '#eee',
+                font: '11px/1.35 monospace',
+                pointerEvents: 'none'
+            });
+
+            this._graph = document.createElement('canvas');
+            this._graph.width = HISTORY * 2;
+            this._graph.height = 40;
+            this._graph.style.display = 'block';
+
+            this._text = document.createElement('pre');
+            this._text.style.margin = '4px 0 0';
+
+            this.element.append(this._graph, this._text);
+            (this.engine.container || document.body).appendChild(this.element);
+        }
+        return this.element;
+    }
+}
+
+/**
+ * High resolution time in milliseconds.
+ * @private
+ */
+function now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Short name for a KeyboardEvent code, for the panel.
+ * @private
+ */
+function keyName(code) {
+    if (!code) return ' ';
+    return code.replace(/^Digit|^Key|^Numpad/, '');
+}
+
+export { DebugOverlay };
@@ -0,0 +1,98 @@
+/**
+ * Effect - Handle for one post-processing effect added with Engine.addEffect().
+ *
+ * Parameters can be changed at any time with set(), and the effect can be
+ * switched off without losing its settings.
+ *
+ * @example
+ * const bloom = engine.addEffect('bloom', { strength: 1.5 });
+ * bloom.set({ threshold: 0.6 });
+ * toggleButton.onclick = () => bloom.toggle();
+ */
+class Effect {
+    /**
+     * Created by Engine.addEffect(); not meant to be constructed directly.
+     * @param {string} type - Effect name, e.g. 'bloom'
+     * @param {Object} definition - The effect's EFFECT_TYPES entry
+     * @param {Pass} pass - The Three.js post-processing pass
+     * @param {Object} [params] - Initial parameters
+     */
+    constructor(type, definition, pass, params = {}) {
+        this.type = type;
+        this.pass = pass;
+        this.params = { ...definition.defaults };
+        this.enabled = true;
+        this._definition = definition;
+
+        this.set(params);
+    }
+
+    /**
+     * Position in the effect chain; lower runs first.
+     * @type {number}
+     */
+    get order() {
+        return this._definition.order;
+    }
+
+    /**
+     * Changes parameters. Only the ones given are changed.
+     * @param {Object} params - Parameters (see Engine.addEffect for each effect's list)
+     * @returns {Effect} Returns this for chaining
+     */
+    set(params) {
+        for (const key of Object.keys(params)) {
+            if (!(key in this._definition.defaults)) {
+                const available = Object.keys(this._definition.defaults).join(', ') || 'none';
+                throw new Error(`Unknown ${this.type} parameter "${key}". Available parameters: ${available}`);
+            }
+        }
+        Object.assign(this.params, params);
+        this._definition.apply(this.pass, this.params);
+        return this;
+    }
+
+    /**
+     * Turns the effect on or off, keeping its settings.
+     * @param {boolean} enabled
+     * @returns {Effect} Returns this for chaining
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.pass.enabled = enabled;
+        return this;
+    }
+
+    /**
+     * Turns the effect on if it's off, and off if it's on.
+     * @returns {Effect} Returns this for chaining
+     */
+    toggle() {
+        return this.setEnabled(!this.enabled);
+    }
+
+    /**
+     * Per-frame update with the scene being rendered.
+     * @private
+     */
+    _update(scene) {
+        if (this._definition.update) this._definition.update(this.pass, this.params, scene);
+    }
+
+    /**
+     * Resizes passes the composer doesn't resize itself.
+     * @private
+     */
+    _resize(width, height) {
+        if (this._definition.resize) this._definition.resize(this.pass, width, height);
+    }
+
+    /**
+     * Frees the pass's GPU resources.
+     */
+    dispose() {
+        this.pass.dispose();
+    }
+}
+
+export { Effect };
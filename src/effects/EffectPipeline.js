@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { Effect } from './Effect.js';
+import { EFFECT_TYPES } from './effectTypes.js';
+
+/**
+ * Chain position of the pass that applies tone mapping and the output color space.
+ * @private
+ */
+const OUTPUT_ORDER = 40;
+
+/**
+ * EffectPipeline - Runs the Engine's post-processing effects.
+ *
+ * The scene stack (including transitions) is rendered into the first buffer
+ * of an EffectComposer, then each enabled effect runs in a fixed order that
+ * doesn't depend on the order they were added. The composer is only created
+ * once the first effect is added, and skipped entirely while every effect is
+ * disabled.
+ *
+ * Owned by the Engine; use engine.addEffect() and friends.
+ */
+class EffectPipeline {
+    /**
+     * Creates a new EffectPipeline.
+     * @param {Engine} engine - The engine whose frames are processed
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.effects = [];
+        this.composer = null;
+        this._outputPass = null;
+
+        // Stand-ins for passes that need a scene before one is running
+        this._placeholder = { scene: new THREE.Scene(), camera: new THREE.PerspectiveCamera() };
+    }
+
+    /**
+     * Whether any effect is enabled.
+     * @type {boolean}
+     */
+    get isActive() {
+        return this.effects.some(effect => effect.enabled);
+    }
+
+    /**
+     * Adds an effect to the chain.
+     * @param {string} type - An EFFECT_TYPES name
+     * @param {Object} [params] - Effect parameters
+     * @returns {Effect}
+     */
+    add(type, params = {}) {
+        const definition = EFFECT_TYPES[type];
+        if (!definition) {
+            const available = Object.keys(EFFECT_TYPES).join(', ');
+            throw new Error(`Unknown effect "${type}". Available effects: ${available}`);
+        }
+
+        const composer = this._getComposer();
+        const size = this._getBufferSize();
+        const scene = this.engine.activeScene;
+        const pass = definition.create({
+            scene: scene ? scene.scene : this._placeholder.scene,
+            camera: scene ? scene.camera : this._placeholder.camera,
+            width: size.x,
+            height: size.y
+        });
+
+        const effect = new Effect(type, definition, pass, params);
+        effect._resize(size.x, size.y);
+        this.effects.push(effect);
+        composer.addPass(pass);
+        this._sortPasses();
+        return effect;
+    }
+
+    /**
+     * Removes an effect and frees its resources.
+     * @param {Effect|string} effect - The effect, or a type to remove every effect of
+     */
+    remove(effect) {
+        const removed = typeof effect === 'string'
+            ? this.effects.filter(e => e.type === effect)
+            : this.effects.filter(e => e === effect);
+
+        for (const e of removed) {
+            this.effects.splice(this.effects.indexOf(e), 1);
+            this.composer.removePass(e.pass);
+            e.dispose();
+        }
+    }
+
+    /**
+     * Gets the first effect of a type.
+     * @param {string} type
+     * @returns {Effect|undefined}
+     */
+    get(type) {
+        return this.effects.find(effect => effect.type === type);
+    }
+
+    /**
+     * Removes every effect.
+     */
+    clear() {
+        for (const effect of this.effects.slice()) {
+            this.remove(effect);
+        }
+    }
+
+    /**
+     * Resizes the buffers and passes. Called by the Engine on window resize.
+     * @param {number} width - Width in CSS pixels
+     * @param {number} height - Height in CSS pixels
+     */
+    setSize(width, height) {
+        if (!this.composer) return;
+
+        this.composer.setPixelRatio(this.engine.renderer.getPixelRatio());
+        this.composer.setSize(width, height);
+
+        const size = this._getBufferSize();
+        for (const effect of this.effects) {
+            effect._resize(size.x, size.y);
+        }
+    }
+
+    /**
+     * Renders the scene stack through the effect chain to the screen.
+     * @param {number} delta - Real time since the last frame, for animated effects such as film grain
+     */
+    render(delta) {
+        const scene = this.engine.activeScene;
+        if (scene) {
+            for (const effect of this.effects) {
+                if (effect.enabled) effect._update(scene);
+            }
+        }
+
+        this.engine.scenes.render(this.engine.renderer, this.composer.readBuffer);
+        this.composer.render(delta);
+    }
+
+    /**
+     * Frees every effect and the composer's buffers.
+     */
+    dispose() {
+        this.clear();
+        if (this.composer) {
+            this._outputPass.dispose();
+            this.composer.dispose();
+            this.composer = null;
+        }
+    }
+
+    /**
+     * Lazily creates the composer with its output pass.
+     * @private
+     */
+    _getComposer() {
+        if (!this.composer) {
+            if (!this.engine.renderer) {
+                throw new Error('Post-processing effects need a renderer; pass one with the renderer option when headless');
+            }
+            this.composer = new EffectComposer(this.engine.renderer);
+            this._outputPass = new OutputPass();
+            this.composer.addPass(this._outputPass);
+        }
+        return this.composer;
+    }
+
+    /**
+     * Orders the composer's passes by their effect's order. Stable, so effects
+     * of the same kind run in the order they were added.
+     * @private
+     */
+    _sortPasses() {
+        const orders = new Map(this.effects.map(effect => [effect.pass, effect.order]));
+        orders.set(this._outputPass, OUTPUT_ORDER);
+        this.composer.passes.sort((a, b) => orders.get(a) - orders.get(b));
+    }
+
+    /**
+     * Drawing buffer size in device pixels.
+     * @private
+     */
+    _getBufferSize() {
+        return this.engine.renderer.getDrawingBufferSize(new THREE.Vector2());
+    }
+}
+
+export { EffectPipeline };
@@ -0,0 +1,192 @@
+import * as THREE from 'three';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { FilmPass } from 'three/addons/postprocessing/FilmPass.js';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
+import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
+import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
+import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
+import { parseColor } from '../utils/colors.js';
+
+const _position = new THREE.Vector3();
+
+/**
+ * Brightness, contrast, saturation, hue and tint adjustments in one pass.
+ * @private
+ */
+const ColorGradingShader = {
+    name: 'ColorGradingShader',
+
+    uniforms: {
+        tDiffuse: { value: null },
+        exposure: { value: 1 },
+        brightness: { value: 0 },
+        contrast: { value: 0 },
+        saturation: { value: 0 },
+        hue: { value: 0 },
+        tint: { value: new THREE.Color(0xffffff) }
+    },
+
+    vertexShader: `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float exposure;
+        uniform float brightness;
+        uniform float contrast;
+        uniform float saturation;
+        uniform float hue;
+        uniform vec3 tint;
+        varying vec2 vUv;
+
+        // Rotates the color around the gray axis
+        vec3 shiftHue(vec3 color, float angle) {
+            const vec3 k = vec3(0.57735);
+            float c = cos(angle);
+            return color * c + cross(k, color) * sin(angle) + k * dot(k, color) * (1.0 - c);
+        }
+
+        void main() {
+            vec4 texel = texture2D(tDiffuse, vUv);
+            vec3 color = texel.rgb * exposure * tint + brightness;
+            color = (color - 0.5) * (1.0 + contrast) + 0.5;
+            float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+            color = mix(vec3(luma), color, 1.0 + saturation);
+            color = shiftHue(color, hue);
+            gl_FragColor = vec4(clamp(color, 0.0, 1.0), texel.a);
+        }
+    `
+};
+
+/**
+ * Effects available to Engine.addEffect(), by name.
+ *
+ * Each entry has:
+ * - order: position in the chain (lower runs first). Effects up to 40 work on
+ *   the lit HDR image; later ones on the final colors, after tone mapping.
+ * - defaults: parameters and their default values
+ * - create(context): builds the pass; context has scene, camera, width and height (in pixels)
+ * - apply(pass, params): copies parameters to the pass
+ * - update(pass, params, scene) (optional): runs every frame, e.g. to follow the active camera
+ * - resize(pass, width, height) (optional): for passes the composer doesn't resize itself
+ */
+const EFFECT_TYPES = {
+    dof: {
+        order: 10,
+        defaults: { focus: 10, aperture: 0.025, maxBlur: 0.01, target: null },
+        create: ({ scene, camera }) => new BokehPass(scene, camera, {}),
+        apply(pass, params) {
+            pass.uniforms.focus.value = params.focus;
+            pass.uniforms.aperture.value = params.aperture;
+            pass.uniforms.maxblur.value = params.maxBlur;
+        },
+        update(pass, params, scene) {
+            pass.scene = scene.scene;
+            pass.camera = scene.camera;
+            // Keep a target GameObject in focus as it or the camera moves
+            if (params.target) {
+                const distance = params.target.mesh.getWorldPosition(_position).distanceTo(scene.camera.position);
+                pass.uniforms.focus.value = distance;
+            }
+        }
+    },
+
+    outline: {
+        order: 20,
+        defaults: {
+            objects: [],
+            color: 0xffffff,
+            hiddenColor: 0x190a05,
+            thickness: 1,
+            strength: 3,
+            glow: 0,
+            pulse: 0
+        },
+        create: ({ scene, camera, width, height }) => new OutlinePass(new THREE.Vector2(width, height), scene, camera),
+        apply(pass, params) {
+            pass.selectedObjects = params.objects.map(obj => obj.mesh || obj);
+            pass.visibleEdgeColor.set(parseColor(params.color));
+            pass.hiddenEdgeColor.set(parseColor(params.hiddenColor));
+            pass.edgeThickness = params.thickness;
+            pass.edgeStrength = params.strength;
+            pass.edgeGlow = params.glow;
+            pass.pulsePeriod = params.pulse;
+        },
+        update(pass, params, scene) {
+            pass.renderScene = scene.scene;
+            pass.renderCamera = scene.camera;
+        }
+    },
+
+    bloom: {
+        order: 30,
+        defaults: { strength: 1, radius: 0.4, threshold: 0.85 },
+        create: ({ width, height }) => new UnrealBloomPass(new THREE.Vector2(width, height)),
+        apply(pass, params) {
+            pass.strength = params.strength;
+            pass.radius = params.radius;
+            pass.threshold = params.threshold;
+        }
+    },
+
+    colorGrading: {
+        order: 50,
+        defaults: { exposure: 1, brightness: 0, contrast: 0, saturation: 0, hue: 0, tint: 0xffffff },
+        create: () => new ShaderPass(ColorGradingShader),
+        apply(pass, params) {
+            const { uniforms } = pass;
+            uniforms.exposure.value = params.exposure;
+            uniforms.brightness.value = params.brightness;
+            uniforms.contrast.value = params.contrast;
+            uniforms.saturation.value = params.saturation;
+            uniforms.hue.value = THREE.MathUtils.degToRad(params.hue);
+            uniforms.tint.value.set(parseColor(params.tint));
+        }
+    },
+
+    vignette: {
+        order: 60,
+        defaults: { offset: 1, darkness: 1 },
+        create: () => new ShaderPass(VignetteShader),
+        apply(pass, params) {
+            pass.uniforms.offset.value = params.offset;
+            pass.uniforms.darkness.value = params.darkness;
+        }
+    },
+
+    film: {
+        order: 70,
+        defaults: { intensity: 0.35, grayscale: false },
+        create: () => new FilmPass(),
+        apply(pass, params) {
+            pass.uniforms.intensity.value = params.intensity;
+            pass.uniforms.grayscale.value = params.grayscale;
+        }
+    },
+
+    fxaa: {
+        order: 80,
+        defaults: {},
+        create: () => new ShaderPass(FXAAShader),
+        apply() {},
+        resize(pass, width, height) {
+            pass.uniforms.resolution.value.set(1 / width, 1 / height);
+        }
+    },
+
+    smaa: {
+        order: 80,
+        defaults: {},
+        create: () => new SMAAPass(),
+        apply() {}
+    }
+};
+
+export { EFFECT_TYPES };
@@ -16,10 +16,46 @@
 // Core
 export { Engine } from './core/Engine.js';
 export { Scene } from './core/Scene.js';
+export { SceneManager } from './core/SceneManager.js';
+export { EventEmitter } from './core/EventEmitter.js';
+
+// Post-processing
+export { Effect } from './effects/Effect.js';
+export { EffectPipeline } from './effects/EffectPipeline.js';
+
+// HTML overlay
+export { HtmlOverlay } from './overlay/HtmlOverlay.js';
+export { HtmlLabel } from './overlay/HtmlLabel.js';
+
+// Capture
+export { Recorder } from './capture/Recorder.js';
+
+// Debugging
+export { DebugOverlay } from './debug/DebugOverlay.js';
+export { DebugHelpers } from './debug/DebugHelpers.js';
+
+// Physics
+export { PhysicsWorld } from './physics/PhysicsWorld.js';
+export { RigidBody } from './physics/RigidBody.js';
+export { CollisionSystem } from './physics/CollisionSystem.js';
+export { SpatialHash } from './physics/SpatialHash.js';
+
+// Camera controllers
+export { CameraController } from './cameras/CameraController.js';
+export { OrbitController } from './cameras/OrbitController.js';
+export { FirstPersonController } from './cameras/FirstPersonController.js';
+export { FlyController } from './cameras/FlyController.js';
+export { FollowController } from './cameras/FollowController.js';
+
+// Input
+export { Input } from './input/Input.js';
 
 // Base class
 export { GameObject } from './objects/GameObject.js';
 
+// Components
+export { Component } from './components/Component.js';
+
 // Primitives
 export { Box } from './objects/primitives/Box.js';
 export { Sphere } from './objects/primitives/Sphere.js';
@@ -27,14 +63,57 @@ export { Plane } from './objects/primitives/Plane.js';
 export { Cylinder } from './objects/primitives/Cylinder.js';
 export { Torus } from './objects/primitives/Torus.js';
 
+// Special objects
+export { Trigger } from './objects/Trigger.js';
+export { Model } from './objects/Model.js';
+export { InstancedGroup } from './objects/InstancedGroup.js';
+export { InstanceHandle } from './objects/InstanceHandle.js';
+export { ParticleEmitter, PARTICLE_PRESETS } from './objects/ParticleEmitter.js';
+export { Text3D } from './objects/Text3D.js';
+export { Label } from './objects/Label.js';
+
+// Lights
+export { Light } from './objects/lights/Light.js';
+export { AmbientLight } from './objects/lights/AmbientLight.js';
+export { DirectionalLight } from './objects/lights/DirectionalLight.js';
+export { PointLight } from './objects/lights/PointLight.js';
+export { SpotLight } from './objects/lights/SpotLight.js';
+export { HemisphereLight } from './objects/lights/HemisphereLight.js';
+export { AreaLight } from './objects/lights/AreaLight.js';
+export { LIGHTING_PRESETS } from './objects/lights/presets.js';
+
+// Assets
+export { AssetManager } from './assets/AssetManager.js';
+
+// Animation
+export { Tween, sequence, parallel } from './animation/Tween.js';
+export { Easing } from './animation/Easing.js';
+
 // Utilities
 export {
     NAMED_COLORS,
+    COLOR_SPACES,
+    PALETTE_SCHEMES,
     parseColor,
+    hsl,
+    hsv,
+    oklch,
+    toHSL,
+    toHSV,
+    toOKLCH,
+    createPalette,
+    createGradient,
+    sampleGradient,
     randomColor,
     randomNamedColor,
     lerpColor
 } from './utils/colors.js';
+export { createRandom } from './utils/random.js';
+export {
+    MATERIAL_PRESETS,
+    MATERIAL_TYPES,
+    createMaterial
+} from './utils/materials.js';
 
 // Re-export THREE for advanced usage
 export * as THREE from 'three';
@@ -0,0 +1,566 @@
+/**
+ * Standard gamepad button names (https://w3c.github.io/gamepad/#remapping).
+ * @private
+ */
+const GAMEPAD_BUTTONS = {
+    A: 0,
+    B: 1,
+    X: 2,
+    Y: 3,
+    LB: 4,
+    RB: 5,
+    LT: 6,
+    RT: 7,
+    Back: 8,
+    Start: 9,
+    LS: 10,
+    RS: 11,
+    DPadUp: 12,
+    DPadDown: 13,
+    DPadLeft: 14,
+    DPadRight: 15,
+    Home: 16
+};
+
+/**
+ * Input - Tracks keyboard, pointer, wheel, touch and gamepad state.
+ *
+ * State is sampled per frame: "pressed" and "released" are true only for the
+ * frame in which the change happened. The Engine owns an Input and advances it
+ * around each frame, so game code can simply query it from onUpdate.
+ *
+ * Bindings used by actions and axes are strings:
+ * - Keyboard codes: 'KeyW', 'Space', 'ArrowLeft' (KeyboardEvent.code)
+ * - Pointer buttons: 'Mouse0' (left), 'Mouse1' (middle), 'Mouse2' (right)
+ * - Gamepad buttons: 'Gamepad:A' (any gamepad) or 'Gamepad1:Start' (gamepad 1)
+ *
+ * @example
+ * const engine = new Engine();
+ * engine.input.mapAction('jump', ['Space', 'Gamepad:A']);
+ *
+ * player.onUpdate((obj, delta) => {
+ *   if (engine.input.isDown('KeyW')) obj.mesh.position.z -= delta * 5;
+ *   if (engine.input.isActionPressed('jump')) obj.moveTo(0, 2, 0);
+ * });
+ */
+class Input {
+    /**
+     * Creates a new Input and starts listening for events.
+     * @param {HTMLElement|null} element - Element receiving pointer events (usually the canvas), or null for none
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.deadzone=0.15] - Gamepad stick deadzone
+     * @param {boolean} [options.preventContextMenu=true] - Suppress the right-click menu on the element
+     * @param {boolean} [options.listenToWindow=true] - Listen for keys and drags on the window
+     *   (false when the Engine is headless)
+     */
+    constructor(element, options = {}) {
+        const {
+            deadzone = 0.15,
+            preventContextMenu = true,
+            listenToWindow = typeof window !== 'undefined'
+        } = options;
+
+        this.element = element;
+        this.listenToWindow = listenToWindow;
+        this.deadzone = deadzone;
+        this.preventContextMenu = preventContextMenu;
+
+        // Keyboard
+        this._keysDown = new Set();
+        this._keysPressed = new Set();
+        this._keysReleased = new Set();
+
+        // Pointer
+        this.pointer = { x: 0, y: 0, ndcX: 0, ndcY: 0, deltaX: 0, deltaY: 0, isInside: false };
+        this._buttonsDown = new Set();
+        this._buttonsPressed = new Set();
+        this._buttonsReleased = new Set();
+        this._buttonPointers = new Map(); // Button -> pointerIds holding it (several fingers share button 0)
+        this.wheel = 0;
+
+        // Touch (keyed by pointerId)
+        this.touches = new Map();
+
+        // Gamepads
+        this._gamepads = [];
+        this._gamepadButtons = [];
+        this._previousGamepadButtons = [];
+
+        // Named mappings
+        this._actions = new Map();
+        this._axes = new Map();
+
+        this._handlers = {
+            keydown: this._onKeyDown.bind(this),
+            keyup: this._onKeyUp.bind(this),
+            blur: this._onBlur.bind(this),
+            pointerdown: this._onPointerDown.bind(this),
+            pointermove: this._onPointerMove.bind(this),
+            pointerup: this._onPointerUp.bind(this),
+            pointercancel: this._onPointerUp.bind(this),
+            pointerleave: this._onPointerLeave.bind(this),
+            wheel: this._onWheel.bind(this),
+            contextmenu: this._onContextMenu.bind(this)
+        };
+
+        this._bindEvents();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Keyboard
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Checks whether a key is held down.
+     * @param {string} code - KeyboardEvent.code, e.g. 'KeyW', 'Space'
+     * @returns {boolean}
+     */
+    isDown(code) {
+        return this._keysDown.has(code);
+    }
+
+    /**
+     * Checks whether a key went down this frame.
+     * @param {string} code - KeyboardEvent.code
+     * @returns {boolean}
+     */
+    isPressed(code) {
+        return this._keysPressed.has(code);
+    }
+
+    /**
+     * Checks whether a key went up this frame.
+     * @param {string} code - KeyboardEvent.code
+     * @returns {boolean}
+     */
+    isReleased(code) {
+        return this._keysReleased.has(code);
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Pointer
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Checks whether a pointer button is held down.
+     * @param {number} [button=0] - 0 = left/touch, 1 = middle, 2 = right
+     * @returns {boolean}
+     */
+    isPointerDown(button = 0) {
+        return this._buttonsDown.has(button);
+    }
+
+    /**
+     * Checks whether a pointer button went down this frame.
+     * @param {number} [button=0] - 0 = left/touch, 1 = middle, 2 = right
+     * @returns {boolean}
+     */
+    isPointerPressed(button = 0) {
+        return this._buttonsPressed.has(button);
+    }
+
+    /**
+     * Checks whether a pointer button went up this frame.
+     * @param {number} [button=0] - 0 = left/touch, 1 = middle, 2 = right
+     * @returns {boolean}
+     */
+    isPointerReleased(button = 0) {
+        return this._buttonsReleased.has(button);
+    }
+
+    /**
+     * Gets the active touch points.
+     * @returns {Array<{id: number, x: number, y: number, startX: number, startY: number}>}
+     */
+    getTouches() {
+        return Array.from(this.touches.values());
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Gamepad
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Gets a connected gamepad.
+     * @param {number} [index=0] - Gamepad index
+     * @returns {Gamepad|null}
+     */
+    getGamepad(index = 0) {
+        return this._gamepads[index] || null;
+    }
+
+    /**
+     * Checks whether a gamepad button is held down.
+     * @param {string|number} button - Button name (e.g. 'A', 'Start') or index
+     * @param {number} [index] - Gamepad index (any gamepad if omitted)
+     * @returns {boolean}
+     */
+    isGamepadDown(button, index) {
+        return this._checkGamepad(button, index, (now) => now);
+    }
+
+    /**
+     * Checks whether a gamepad button went down this frame.
+     * @param {string|number} button - Button name or index
+     * @param {number} [index] - Gamepad index (any gamepad if omitted)
+     * @returns {boolean}
+     */
+    isGamepadPressed(button, index) {
+        return this._checkGamepad(button, index, (now, before) => now && !before);
+    }
+
+    /**
+     * Checks whether a gamepad button went up this frame.
+     * @param {string|number} button - Button name or index
+     * @param {number} [index] - Gamepad index (any gamepad if omitted)
+     * @returns {boolean}
+     */
+    isGamepadReleased(button, index) {
+        return this._checkGamepad(button, index, (now, before) => !now && before);
+    }
+
+    /**
+     * Gets a gamepad stick axis value with the deadzone applied.
+     * @param {number} axis - Axis index (0/1 = left stick X/Y, 2/3 = right stick X/Y)
+     * @param {number} [index=0] - Gamepad index
+     * @returns {number} Value from -1 to 1
+     */
+    getGamepadAxis(axis, index = 0) {
+        const gamepad = this._gamepads[index];
+        if (!gamepad || axis >= gamepad.axes.length) return 0;
+        const value = gamepad.axes[axis];
+        return Math.abs(value) < this.deadzone ? 0 : value;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Actions and Axes
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Maps a named action to one or more bindings. Replaces any previous mapping.
+     * @param {string} name - Action name
+     * @param {string|string[]} bindings - e.g. ['Space', 'Gamepad:A']
+     * @returns {Input} Returns this for chaining
+     */
+    mapAction(name, bindings) {
+        this._actions.set(name, Array.isArray(bindings) ? bindings : [bindings]);
+        return this;
+    }
+
+    /**
+     * Removes a named action.
+     * @param {string} name - Action name
+     * @returns {Input} Returns this for chaining
+     */
+    unmapAction(name) {
+        this._actions.delete(name);
+        return this;
+    }
+
+    /**
+     * Checks whether any binding of an action is held down.
+     * @param {string} name - Action name
+     * @returns {boolean}
+     */
+    isActionDown(name) {
+        return this._someBinding(name, binding => this._bindingState(binding, 'down'));
+    }
+
+    /**
+     * Checks whether any binding of an action went down this frame.
+     * @param {string} name - Action name
+     * @returns {boolean}
+     */
+    isActionPressed(name) {
+        return this._someBinding(name, binding => this._bindingState(binding, 'pressed'));
+    }
+
+    /**
+     * Checks whether any binding of an action went up this frame.
+     * @param {string} name - Action name
+     * @returns {boolean}
+     */
+    isActionReleased(name) {
+        return this._someBinding(name, binding => this._bindingState(binding, 'released'));
+    }
+
+    /**
+     * Maps a named axis to negative/positive bindings and optionally a gamepad stick axis.
+     * @param {string} name - Axis name
+     * @param {Object} mapping - Axis mapping
+     * @param {string[]} [mapping.negative=[]] - Bindings that push toward -1
+     * @param {string[]} [mapping.positive=[]] - Bindings that push toward +1
+     * @param {number} [mapping.gamepadAxis] - Gamepad stick axis index
+     * @param {number} [mapping.gamepadIndex=0] - Gamepad index
+     * @returns {Input} Returns this for chaining
+     *
+     * @example
+     * input.mapAxis('moveX', { negative: ['KeyA', 'ArrowLeft'], positive: ['KeyD', 'ArrowRight'], gamepadAxis: 0 });
+     */
+    mapAxis(name, { negative = [], positive = [], gamepadAxis, gamepadIndex = 0 } = {}) {
+        this._axes.set(name, { negative, positive, gamepadAxis, gamepadIndex });
+        return this;
+    }
+
+    /**
+     * Gets a named axis value.
+     * @param {string} name - Axis name
+     * @returns {number} Value from -1 to 1
+     */
+    getAxis(name) {
+        const axis = this._axes.get(name);
+        if (!axis) return 0;
+
+        let value = 0;
+        if (axis.negative.some(binding => this._bindingState(binding, 'down'))) value -= 1;
+        if (axis.positive.some(binding => this._bindingState(binding, 'down'))) value += 1;
+        if (value === 0 && axis.gamepadAxis !== undefined) {
+            value = this.getGamepadAxis(axis.gamepadAxis, axis.gamepadIndex);
+        }
+        return value;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Frame Lifecycle
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Polls gamepads. Called by the Engine at the start of each frame.
+     */
+    update() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return;
+
+        // Keep the browser's slots (empty ones are null) so indices stay put when pads disconnect
+        this._gamepads = Array.from(navigator.getGamepads(), gamepad => gamepad || null);
+        this._previousGamepadButtons = this._gamepadButtons;
+        this._gamepadButtons = this._gamepads.map(gamepad =>
+            gamepad ? gamepad.buttons.map(button => button.pressed) : null
+        );
+    }
+
+    /**
+     * Clears per-frame state. Called by the Engine at the end of each frame.
+     */
+    endFrame() {
+        this._keysPressed.clear();
+        this._keysReleased.clear();
+        this._buttonsPressed.clear();
+        this._buttonsReleased.clear();
+        this.pointer.deltaX = 0;
+        this.pointer.deltaY = 0;
+        this.wheel = 0;
+    }
+
+    /**
+     * Removes all event listeners.
+     */
+    dispose() {
+        const h = this._handlers;
+        if (this.listenToWindow) {
+            window.removeEventListener('keydown', h.keydown);
+            window.removeEventListener('keyup', h.keyup);
+            window.removeEventListener('blur', h.blur);
+            window.removeEventListener('pointermove', h.pointermove);
+            window.removeEventListener('pointerup', h.pointerup);
+            window.removeEventListener('pointercancel', h.pointercancel);
+        }
+        if (!this.element) return;
+        this.element.removeEventListener('pointerdown', h.pointerdown);
+        this.element.removeEventListener('pointerleave', h.pointerleave);
+        this.element.removeEventListener('wheel', h.wheel);
+        this.element.removeEventListener('contextmenu', h.contextmenu);
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Internals
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Adds event listeners.
+     * @private
+     */
+    _bindEvents() {
+        const h = this._handlers;
+        if (this.listenToWindow) {
+            window.addEventListener('keydown', h.keydown);
+            window.addEventListener('keyup', h.keyup);
+            window.addEventListener('blur', h.blur);
+            // Move/up on window so drags that leave the canvas still finish
+            window.addEventListener('pointermove', h.pointermove);
+            window.addEventListener('pointerup', h.pointerup);
+            window.addEventListener('pointercancel', h.pointercancel);
+        }
+        if (!this.element) return;
+        this.element.addEventListener('pointerdown', h.pointerdown);
+        this.element.addEventListener('pointerleave', h.pointerleave);
+        this.element.addEventListener('wheel', h.wheel, { passive: true });
+        this.element.addEventListener('contextmenu', h.contextmenu);
+    }
+
+    /** @private */
+    _onKeyDown(event) {
+        if (event.repeat) return;
+        this._keysDown.add(event.code);
+        this._keysPressed.add(event.code);
+    }
+
+    /** @private */
+    _onKeyUp(event) {
+        this._keysDown.delete(event.code);
+        this._keysReleased.add(event.code);
+    }
+
+    /**
+     * Releases everything when the window loses focus, so keys don't get stuck.
+     * @private
+     */
+    _onBlur() {
+        for (const code of this._keysDown) this._keysReleased.add(code);
+        for (const button of this._buttonsDown) this._buttonsReleased.add(button);
+        this._keysDown.clear();
+        this._buttonsDown.clear();
+        this._buttonPointers.clear();
+        this.touches.clear();
+    }
+
+    /** @private */
+    _onPointerDown(event) {
+        this._updatePointerPosition(event);
+
+        let pointers = this._buttonPointers.get(event.button);
+        if (!pointers) {
+            pointers = new Set();
+            this._buttonPointers.set(event.button, pointers);
+            this._buttonsDown.add(event.button);
+            this._buttonsPressed.add(event.button);
+        }
+        pointers.add(event.pointerId);
+
+        if (event.pointerType === 'touch') {
+            const { x, y } = this._toElementCoords(event);
+            this.touches.set(event.pointerId, { id: event.pointerId, x, y, startX: x, startY: y });
+        }
+    }
+
+    /** @private */
+    _onPointerMove(event) {
+        // movementX/Y keeps working under pointer lock, where clientX/Y freeze
+        this.pointer.deltaX += event.movementX || 0;
+        this.pointer.deltaY += event.movementY || 0;
+        this._updatePointerPosition(event);
+
+        const touch = this.touches.get(event.pointerId);
+        if (touch) {
+            const { x, y } = this._toElementCoords(event);
+            touch.x = x;
+            touch.y = y;
+        }
+    }
+
+    /** @private */
+    _onPointerUp(event) {
+        // The button stays down until the last pointer holding it lifts
+        const pointers = this._buttonPointers.get(event.button);
+        if (pointers) {
+            pointers.delete(event.pointerId);
+            if (pointers.size === 0) {
+                this._buttonPointers.delete(event.button);
+                this._buttonsDown.delete(event.button);
+                this._buttonsReleased.add(event.button);
+            }
+        }
+        this.touches.delete(event.pointerId);
+    }
+
+    /** @private */
+    _onPointerLeave() {
+        this.pointer.isInside = false;
+    }
+
+    /** @private */
+    _onWheel(event) {
+        this.wheel += event.deltaY;
+    }
+
+    /** @private */
+    _onContextMenu(event) {
+        if (this.preventContextMenu) event.preventDefault();
+    }
+
+    /**
+     * Converts client coordinates to element-relative pixels.
+     * @private
+     */
+    _toElementCoords(event) {
+        const rect = this.element.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top, rect };
+    }
+
+    /**
+     * Updates pointer pixel and normalized device coordinates.
+     * @private
+     */
+    _updatePointerPosition(event) {
+        const { x, y, rect } = this._toElementCoords(event);
+        this.pointer.x = x;
+        this.pointer.y = y;
+        this.pointer.ndcX = rect.width > 0 ? (x / rect.width) * 2 - 1 : 0;
+        this.pointer.ndcY = rect.height > 0 ? -(y / rect.height) * 2 + 1 : 0;
+        this.pointer.isInside = x >= 0 && y >= 0 && x <= rect.width && y <= rect.height;
+    }
+
+    /**
+     * Tests a gamepad button on one or all gamepads.
+     * @private
+     */
+    _checkGamepad(button, index, test) {
+        const buttonIndex = typeof button === 'number' ? button : GAMEPAD_BUTTONS[button];
+        if (buttonIndex === undefined) {
+            throw new Error(`Unknown gamepad button "${button}". Available: ${Object.keys(GAMEPAD_BUTTONS).join(', ')}`);
+        }
+        const indices = index === undefined ? this._gamepadButtons.keys() : [index];
+        for (const i of indices) {
+            const now = this._gamepadButtons[i]?.[buttonIndex] || false;
+            const before = this._previousGamepadButtons[i]?.[buttonIndex] || false;
+            if (test(now, before)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Tests a predicate against an action's bindings.
+     * @private
+     */
+    _someBinding(name, predicate) {
+        const bindings = this._actions.get(name);
+        return bindings ? bindings.some(predicate) : false;
+    }
+
+    /**
+     * Resolves a binding string to its 'down', 'pressed' or 'released' state.
+     * @private
+     */
+    _bindingState(binding, state) {
+        const gamepadMatch = /^Gamepad(\d*):(\w+)$/.exec(binding);
+        if (gamepadMatch) {
+            const index = gamepadMatch[1] === '' ? undefined : Number(gamepadMatch[1]);
+            if (state === 'down') return this.isGamepadDown(gamepadMatch[2], index);
+            if (state === 'pressed') return this.isGamepadPressed(gamepadMatch[2], index);
+            return this.isGamepadReleased(gamepadMatch[2], index);
+        }
+
+        const mouseMatch = /^Mouse(\d)$/.exec(binding);
+        if (mouseMatch) {
+            const button = Number(mouseMatch[1]);
+            if (state === 'down') return this.isPointerDown(button);
+            if (state === 'pressed') return this.isPointerPressed(button);
+            return this.isPointerReleased(button);
+        }
+
+        if (state === 'down') return this.isDown(binding);
+        if (state === 'pressed') return this.isPressed(binding);
+        return this.isReleased(binding);
+    }
+}
+
+export { Input, GAMEPAD_BUTTONS };
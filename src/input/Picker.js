@@ -0,0 +1,205 @@
+import * as THREE from 'three';
+
+/**
+ * Picker - Raycasts from a Scene's camera to find GameObjects under the pointer,
+ * and dispatches pointer events (click, enter, leave, down, up) to them.
+ *
+ * Events bubble from the hit object up through its parents, so a handler on a
+ * parent also fires for clicks on its children.
+ *
+ * Owned by a Scene; use scene.pick() for one-off queries.
+ */
+class Picker {
+    /**
+     * Creates a new Picker.
+     * @param {Scene} scene - The scene to pick from
+     */
+    constructor(scene) {
+        this.scene = scene;
+        this.raycaster = new THREE.Raycaster();
+
+        this._ndc = new THREE.Vector2();
+        this._hovered = null;
+        this._pressed = new Map(); // button -> GameObject
+    }
+
+    /**
+     * Finds the closest GameObject at a pixel position.
+     * @param {number} x - X in pixels from the left of the canvas
+     * @param {number} y - Y in pixels from the top of the canvas
+     * @returns {{object: GameObject, point: THREE.Vector3, normal: THREE.Vector3|null, distance: number,
+     *   instanceId: number|undefined, instance: InstanceHandle|undefined}|null}
+     */
+    pick(x, y) {
+        const { width, height } = this.scene.viewport;
+        return this.pickNDC((x / width) * 2 - 1, -(y / height) * 2 + 1);
+    }
+
+    /**
+     * Finds the closest GameObject at normalized device coordinates (-1 to 1).
+     * @param {number} ndcX
+     * @param {number} ndcY
+     * @returns {{object: GameObject, point: THREE.Vector3, normal: THREE.Vector3|null, distance: number,
+     *   instanceId: number|undefined, instance: InstanceHandle|undefined}|null}
+     */
+    pickNDC(ndcX, ndcY) {
+        // Objects may have moved since the last render
+        this.scene.scene.updateMatrixWorld();
+        this.scene.camera.updateMatrixWorld();
+
+        this._ndc.set(ndcX, ndcY);
+        this.raycaster.setFromCamera(this._ndc, this.scene.camera);
+        // Only what the camera can see
+        this.raycaster.layers.mask = this.scene.camera.layers.mask;
+
+        const intersections = this.raycaster.intersectObjects(this.scene.scene.children, true);
+        for (const intersection of intersections) {
+            const object = findGameObject(intersection.object);
+            if (!object || !object.pickable || !isVisible(intersection.object)) continue;
+            if (!this.scene.isLayerPickable(object.layer)) continue;
+
+            const normal = intersection.face
+                ? intersection.face.normal.clone().transformDirection(intersection.object.matrixWorld)
+                : null;
+
+            return {
+                object,
+                point: intersection.point,
+                normal,
+                distance: intersection.distance,
+                instanceId: intersection.instanceId,
+                instance: object.isInstancedGroup ? object.getInstance(intersection.instanceId) : undefined
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Dispatches pointer events based on the current input state. Called by the Scene each frame.
+     * @param {Input} input - The Engine's input manager
+     */
+    update(input) {
+        if (!this._hasPointerHandlers()) {
+            this._setHovered(null, null);
+            return;
+        }
+
+        const hit = input.pointer.isInside ? this.pickNDC(input.pointer.ndcX, input.pointer.ndcY) : null;
+        const target = hit ? hit.object : null;
+
+        this._setHovered(target, hit);
+
+        for (const button of [0, 1, 2]) {
+            if (input.isPointerPressed(button)) {
+                this._pressed.set(button, target);
+                if (target) dispatch(target, 'pointerdown', { ...hit, button });
+            }
+            if (input.isPointerReleased(button)) {
+                const pressed = this._pressed.get(button);
+                this._pressed.delete(button);
+                if (!target) continue;
+
+                dispatch(target, 'pointerup', { ...hit, button });
+
+                // A click fires on objects that were under the pointer for both down and up
+                if (pressed) {
+                    const common = commonAncestor(pressed, target);
+                    if (common) dispatch(common, 'click', { ...hit, button });
+                }
+            }
+        }
+    }
+
+    /**
+     * Updates the hovered object, firing enter/leave on objects whose hover state changed.
+     * @private
+     */
+    _setHovered(target, hit) {
+        if (target === this._hovered) return;
+
+        const previousChain = ancestry(this._hovered);
+        const nextChain = ancestry(target);
+
+        for (const object of previousChain) {
+            if (!nextChain.includes(object)) object._firePointerEvent('pointerleave', { ...hit, object: this._hovered });
+        }
+        for (const object of nextChain) {
+            if (!previousChain.includes(object)) object._firePointerEvent('pointerenter', { ...hit });
+        }
+
+        this._hovered = target;
+    }
+
+    /**
+     * Checks whether any object in the scene listens for pointer events.
+     * @private
+     */
+    _hasPointerHandlers() {
+        let found = false;
+        this.scene.traverse(obj => {
+            if (!found && obj._hasPointerHandlers && obj._hasPointerHandlers()) found = true;
+        });
+        return found;
+    }
+}
+
+/**
+ * Walks up from a Three.js object to the GameObject that owns it.
+ * @private
+ */
+function findGameObject(object3D) {
+    let current = object3D;
+    while (current) {
+        if (current.userData.gameObject) return current.userData.gameObject;
+        current = current.parent;
+    }
+    return null;
+}
+
+/**
+ * Checks that an object and all of its ancestors are visible.
+ * @private
+ */
+function isVisible(object3D) {
+    let current = object3D;
+    while (current) {
+        if (!current.visible) return false;
+        current = current.parent;
+    }
+    return true;
+}
+
+/**
+ * Returns a GameObject followed by its ancestors.
+ * @private
+ */
+function ancestry(object) {
+    const chain = [];
+    let current = object;
+    while (current) {
+        chain.push(current);
+        current = current.parent;
+    }
+    return chain;
+}
+
+/**
+ * Finds the deepest GameObject that is (or contains) both objects.
+ * @private
+ */
+function commonAncestor(a, b) {
+    const chainA = ancestry(a);
+    return ancestry(b).find(object => chainA.includes(object)) || null;
+}
+
+/**
+ * Fires an event on a GameObject and bubbles it up through its parents.
+ * @private
+ */
+function dispatch(target, type, event) {
+    for (const object of ancestry(target)) {
+        object._firePointerEvent(type, event);
+    }
+}
+
+export { Picker };
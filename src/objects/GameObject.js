@@ -1,5 +1,78 @@
 import * as THREE from 'three';
 import { parseColor } from '../utils/colors.js';
+import { createMaterial, applyMaterialOptions, setMaterialTexture } from '../utils/materials.js';
+import { Tween } from '../animation/Tween.js';
+import { getEasing } from '../animation/Easing.js';
+import { RigidBody } from '../physics/RigidBody.js';
+import { shapeFromGeometry, shapeFromBounds } from '../physics/shapes.js';
+import { getLayerChannel } from '../utils/layers.js';
+import { Component } from '../components/Component.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+
+const DEG = THREE.MathUtils.degToRad;
+const RAD = THREE.MathUtils.radToDeg;
+
+const _box = new THREE.Box3();
+const _matrix = new THREE.Matrix4();
+
+/**
+ * Properties that can be animated with animateTo() and keyframes().
+ * Rotations are in degrees to match setRotation().
+ * @private
+ */
+const TWEEN_PROPERTIES = {
+    x: { get: o => o.mesh.position.x, set: (o, v) => { o.mesh.position.x = v; } },
+    y: { get: o => o.mesh.position.y, set: (o, v) => { o.mesh.position.y = v; } },
+    z: { get: o => o.mesh.position.z, set: (o, v) => { o.mesh.position.z = v; } },
+    rotationX: { get: o => RAD(o.mesh.rotation.x), set: (o, v) => { o.mesh.rotation.x = DEG(v); } },
+    rotationY: { get: o => RAD(o.mesh.rotation.y), set: (o, v) => { o.mesh.rotation.y = DEG(v); } },
+    rotationZ: { get: o => RAD(o.mesh.rotation.z), set: (o, v) => { o.mesh.rotation.z = DEG(v); } },
+    scaleX: { get: o => o.mesh.scale.x, set: (o, v) => { o.mesh.scale.x = v; } },
+    scaleY: { get: o => o.mesh.scale.y, set: (o, v) => { o.mesh.scale.y = v; } },
+    scaleZ: { get: o => o.mesh.scale.z, set: (o, v) => { o.mesh.scale.z = v; } },
+    colorR: { get: o => tweenMaterial(o, 'color').color.r, set: (o, v) => o._forEachMaterial(m => { if (m.color) m.color.r = v; }) },
+    colorG: { get: o => tweenMaterial(o, 'color').color.g, set: (o, v) => o._forEachMaterial(m => { if (m.color) m.color.g = v; }) },
+    colorB: { get: o => tweenMaterial(o, 'color').color.b, set: (o, v) => o._forEachMaterial(m => { if (m.color) m.color.b = v; }) },
+    opacity: {
+        get: o => tweenMaterial(o, 'opacity').opacity,
+        set: (o, v) => o._forEachMaterial(m => {
+            m.transparent = true;
+            m.opacity = v;
+        })
+    }
+};
+
+/**
+ * Registered GameObject types for serialization, by name and by class.
+ * Names are explicit because class names don't survive minification.
+ * @private
+ */
+const TYPES_BY_NAME = new Map();
+const NAMES_BY_TYPE = new Map();
+
+/**
+ * Expands shorthand tween targets (scale, color) into TWEEN_PROPERTIES keys.
+ * @private
+ */
+function expandTweenTargets(props) {
+    const result = {};
+    for (const [key, value] of Object.entries(props)) {
+        if (value === undefined) continue;
+        if (key === 'scale') {
+            result.scaleX = result.scaleY = result.scaleZ = value;
+        } else if (key === 'color') {
+            const color = new THREE.Color(parseColor(value));
+            result.colorR = color.r;
+            result.colorG = color.g;
+            result.colorB = color.b;
+        } else if (TWEEN_PROPERTIES[key]) {
+            result[key] = value;
+        } else {
+            throw new Error(`Cannot animate unknown property "${key}"`);
+        }
+    }
+    return result;
+}
 
 /**
  * GameObject - Base class for all 3D objects in the scene.
@@ -8,8 +81,22 @@ import { parseColor } from '../utils/colors.js';
  * - Position, rotation, and scale
  * - Material and color management
  * - Lifecycle methods (update, dispose)
+ * - Parent/child hierarchy
+ * - Optional rigid-body physics
+ * - Pointer and collision events
+ * - Custom events that bubble to parents, the scene and the engine (on, off, once, emit)
+ * - Saving to and loading from JSON
  * - Chainable API for fluent configuration
  *
+ * Subclasses usually implement createGeometry(); to wrap something other than
+ * a single mesh (such as a loaded model), override createObject() instead.
+ *
+ * Events (see EventEmitter):
+ * - 'added' / 'removed': added to or removed from a scene with Scene.add/remove ({ scene })
+ * - 'visibilityChanged': setVisible() changed visibility ({ visible })
+ * - 'textureError': a texture URL from the material options or setTexture() failed to load ({ slot, error })
+ * - 'disposed': dispose() has freed the object
+ *
  * @abstract
  * @example
  * class MyObject extends GameObject {
@@ -18,7 +105,7 @@ import { parseColor } from '../utils/colors.js';
  *   }
  * }
  */
-class GameObject {
+class GameObject extends EventEmitter {
     /**
      * Creates a new GameObject.
      * @param {Object} options - Configuration options
@@ -32,12 +119,31 @@ class GameObject {
      * @param {number} [options.rotationZ=0] - Z rotation in degrees
      * @param {number} [options.scale=1] - Uniform scale
      * @param {boolean} [options.wireframe=false] - Show as wireframe
-     * @param {string} [options.materialType='standard'] - Material type: 'basic', 'standard', 'phong'
+     * @param {string} [options.materialType='standard'] - Material type: 'basic', 'standard', 'physical', 'phong', 'lambert', 'toon', 'normal'
+     * @param {string|THREE.Material} [options.material] - Preset from MATERIAL_PRESETS (e.g. 'gold', 'glass'), or a material to use as-is
+     * @param {number} [options.roughness] - Surface roughness, 0 (mirror) to 1 (matte)
+     * @param {number} [options.metalness] - 0 (non-metal) to 1 (metal)
+     * @param {string|number} [options.emissive] - Glow color
+     * @param {number} [options.emissiveIntensity] - Glow strength
+     * @param {number} [options.opacity] - 0-1; below 1 makes the object transparent
+     * @param {boolean} [options.transparent] - Enable alpha blending
+     * @param {string} [options.side='front'] - Faces to draw: 'front', 'back' or 'double'
+     * @param {boolean} [options.flatShading] - Faceted instead of smooth shading
+     * @param {THREE.Texture|string} [options.map] - Color texture or URL; also normalMap, roughnessMap,
+     *   metalnessMap, emissiveMap, aoMap, alphaMap, bumpMap, displacementMap, lightMap and envMap
+     * @param {boolean} [options.pickable=true] - Whether pointer picking can hit this object
+     * @param {number} [options.timeScale=1] - Time scale for this object and its children (0 freezes it)
+     * @param {boolean} [options.collidable=true] - Whether collision events can detect this object
+     * @param {string} [options.collider='box'] - Bounding volume for collision events: 'box' or 'sphere'
+     * @param {boolean} [options.castShadow=false] - Cast shadows from shadow-casting lights (needs Engine shadows)
+     * @param {boolean} [options.receiveShadow=false] - Show shadows cast onto this object
+     * @param {string[]} [options.tags] - Tags for finding groups of objects (see Scene.findAll)
+     * @param {string} [options.layer='default'] - Layer, for showing, hiding, picking and pausing
+     *   groups of objects together (see Scene.configureLayer)
      */
     constructor(options = {}) {
         const {
             name = '',
-            color = 0x4a90d9,
             x = 0,
             y = 0,
             z = 0,
@@ -45,22 +151,34 @@ class GameObject {
             rotationY = 0,
             rotationZ = 0,
             scale = 1,
-            wireframe = false,
-            materialType = 'standard'
+            pickable = true,
+            timeScale = 1,
+            collidable = true,
+            collider = 'box',
+            castShadow = false,
+            receiveShadow = false,
+            tags = [],
+            layer = 'default'
         } = options;
 
+        super();
+
         this.name = name;
+        this.tags = new Set(tags);
+        this.pickable = pickable;
+        this.timeScale = timeScale;
+        this.collidable = collidable;
+        this.collider = collider;
         this.options = options;
+        this.textureError = null; // Last texture URL that failed to load (see the 'textureError' event)
 
-        // Create geometry (implemented by subclasses)
-        const geometry = this.createGeometry(options);
-
-        // Create material
-        const material = this._createMaterial(color, wireframe, materialType);
-
-        // Create mesh
-        this.mesh = new THREE.Mesh(geometry, material);
+        // Create the Three.js object (a mesh unless a subclass wraps something else).
+        // Kept as `mesh` for compatibility, though it may be any Object3D.
+        this.mesh = this.createObject(options);
         this.mesh.userData.gameObject = this; // Back-reference
+        this.setCastShadow(castShadow);
+        this.setReceiveShadow(receiveShadow);
+        this.setLayer(layer);
 
         // Apply transforms
         this.setPosition(x, y, z);
@@ -69,7 +187,39 @@ class GameObject {
 
         // Map of named animations (allows replacement) + array for custom updates
         this._animations = new Map();
+        this._animationParams = new Map(); // Parameters of built-in animations, for toJSON
         this._customUpdates = [];
+        this._fixedUpdates = [];
+        this._components = [];
+        this._tweens = [];
+        this._timeOffset = 0; // Difference between this object's clock and the scene's
+
+        // Hierarchy
+        this.parent = null;
+        this.children = [];
+        this.scene = null; // Set by Scene.add
+
+        // Pointer event handlers, keyed by event type
+        this._pointerHandlers = {};
+
+        // Collision event handlers, keyed by event type (see CollisionSystem)
+        this._collisionHandlers = {};
+
+        // Physics body (see enablePhysics)
+        this.body = null;
+    }
+
+    /**
+     * Creates the Three.js object this GameObject wraps. The default builds a mesh
+     * from createGeometry() and the material options (see createMaterial).
+     * Override to wrap something else, such as a Group holding a loaded model.
+     * @param {Object} options - The constructor options
+     * @returns {THREE.Object3D}
+     */
+    createObject(options) {
+        const geometry = this.createGeometry(options);
+        const material = this._createMaterial(options);
+        return new THREE.Mesh(geometry, material);
     }
 
     /**
@@ -83,22 +233,11 @@ class GameObject {
     }
 
     /**
-     * Creates the material based on type.
+     * Creates the material from the constructor options.
      * @private
      */
-    _createMaterial(color, wireframe, materialType) {
-        const parsedColor = parseColor(color);
-        const materialOptions = { color: parsedColor, wireframe };
-
-        switch (materialType) {
-            case 'basic':
-                return new THREE.MeshBasicMaterial(materialOptions);
-            case 'phong':
-                return new THREE.MeshPhongMaterial(materialOptions);
-            case 'standard':
-            default:
-                return new THREE.MeshStandardMaterial(materialOptions);
-        }
+    _createMaterial(options) {
+        return createMaterial(options, (error, slot) => this._onTextureError(error, slot));
     }
 
     // ─────────────────────────────────────────────────────────────────
@@ -155,157 +294,1544 @@ class GameObject {
         return this;
     }
 
+    /**
+     * Gets the position in world space (accounts for parent transforms).
+     * @param {THREE.Vector3} [target] - Vector to write the result into
+     * @returns {THREE.Vector3}
+     */
+    getWorldPosition(target = new THREE.Vector3()) {
+        return this.mesh.getWorldPosition(target);
+    }
+
+    /**
+     * Sets the position in world space, converting to the parent's local space if needed.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {GameObject} Returns this for chaining
+     */
+    setWorldPosition(x, y, z) {
+        const position = new THREE.Vector3(x, y, z);
+        if (this.mesh.parent) {
+            this.mesh.parent.updateWorldMatrix(true, false);
+            this.mesh.parent.worldToLocal(position);
+        }
+        this.mesh.position.copy(position);
+        return this;
+    }
+
+    /**
+     * Gets the rotation in world space.
+     * @param {THREE.Quaternion} [target] - Quaternion to write the result into
+     * @returns {THREE.Quaternion}
+     */
+    getWorldQuaternion(target = new THREE.Quaternion()) {
+        return this.mesh.getWorldQuaternion(target);
+    }
+
+    /**
+     * Gets the scale in world space.
+     * @param {THREE.Vector3} [target] - Vector to write the result into
+     * @returns {THREE.Vector3}
+     */
+    getWorldScale(target = new THREE.Vector3()) {
+        return this.mesh.getWorldScale(target);
+    }
+
     // ─────────────────────────────────────────────────────────────────
-    // Appearance Methods (Chainable)
+    // Hierarchy Methods (Chainable)
     // ─────────────────────────────────────────────────────────────────
 
     /**
-     * Sets the color.
-     * @param {string|number} color
+     * Adds a child GameObject. The child's mesh is parented to this mesh,
+     * so its transform becomes relative to this object.
+     * @param {GameObject} child - The child to add
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.keepWorldTransform=false] - Keep the child where it currently is in world space
      * @returns {GameObject} Returns this for chaining
+     *
+     * @example
+     * const car = new Box({ width: 2, height: 0.5, depth: 1 });
+     * car.addChild(new Cylinder({ radius: 0.3, height: 0.2, x: -0.7, y: -0.3, rotationX: 90 }));
      */
-    setColor(color) {
-        this.mesh.material.color.set(parseColor(color));
+    addChild(child, { keepWorldTransform = false } = {}) {
+        if (child === this || child.isAncestorOf(this)) {
+            throw new Error('GameObject.addChild() cannot create a cycle in the hierarchy');
+        }
+
+        // Detach from wherever the child currently lives
+        if (child.parent) {
+            child.parent.removeChild(child);
+        } else if (child.scene) {
+            child.scene.remove(child);
+        }
+
+        if (keepWorldTransform) {
+            this.mesh.attach(child.mesh);
+        } else {
+            this.mesh.add(child.mesh);
+        }
+
+        child.parent = this;
+        this.children.push(child);
+        child._setScene(this.scene);
         return this;
     }
 
     /**
-     * Sets visibility.
-     * @param {boolean} visible
+     * Removes a child GameObject. The child is not disposed.
+     * @param {GameObject} child - The child to remove
      * @returns {GameObject} Returns this for chaining
      */
-    setVisible(visible) {
-        this.mesh.visible = visible;
+    removeChild(child) {
+        const index = this.children.indexOf(child);
+        if (index > -1) {
+            this.children.splice(index, 1);
+            this.mesh.remove(child.mesh);
+            child.parent = null;
+            child._setScene(null);
+        }
+        return this;
+    }
+
+    /**
+     * Checks whether this object is an ancestor of another object.
+     * @param {GameObject} object - The possible descendant
+     * @returns {boolean}
+     */
+    isAncestorOf(object) {
+        let current = object.parent;
+        while (current) {
+            if (current === this) return true;
+            current = current.parent;
+        }
+        return false;
+    }
+
+    /**
+     * Calls a function for this object and every descendant (depth first).
+     * @param {Function} fn - Function receiving each GameObject
+     * @returns {GameObject} Returns this for chaining
+     */
+    traverse(fn) {
+        fn(this);
+        for (const child of this.children) {
+            child.traverse(fn);
+        }
         return this;
     }
 
+    /**
+     * Finds a descendant by name.
+     * @param {string} name - The name to search for
+     * @returns {GameObject|undefined}
+     */
+    findChildByName(name) {
+        for (const child of this.children) {
+            if (child.name === name) return child;
+            const found = child.findChildByName(name);
+            if (found) return found;
+        }
+        return undefined;
+    }
+
     // ─────────────────────────────────────────────────────────────────
-    // Animation Methods
+    // Tags and Layers (Chainable)
     // ─────────────────────────────────────────────────────────────────
 
     /**
-     * Adds a custom update function called every frame.
-     * Multiple update functions can be added and will all run.
-     * @param {Function} fn - Function receiving (gameObject, delta, elapsed)
+     * Adds one or more tags.
+     * @param {...string} tags
      * @returns {GameObject} Returns this for chaining
      *
      * @example
-     * box.onUpdate((obj, delta, elapsed) => {
-     *   obj.mesh.rotation.y += delta;
-     * });
+     * goblin.addTag('enemy', 'melee');
+     * scene.findAll({ tag: 'enemy' });
      */
-    onUpdate(fn) {
-        this._customUpdates.push(fn);
+    addTag(...tags) {
+        for (const tag of tags) this.tags.add(tag);
         return this;
     }
 
     /**
-     * Adds or replaces a named animation.
-     * @param {string} name - Animation name (used for replacement)
-     * @param {Function} fn - Update function
+     * Removes one or more tags.
+     * @param {...string} tags
      * @returns {GameObject} Returns this for chaining
-     * @private
      */
-    _setAnimation(name, fn) {
-        this._animations.set(name, fn);
+    removeTag(...tags) {
+        for (const tag of tags) this.tags.delete(tag);
         return this;
     }
 
     /**
-     * Removes a named animation.
-     * @param {string} name - Animation name to remove
+     * Checks whether this object has a tag.
+     * @param {string} tag
+     * @returns {boolean}
+     */
+    hasTag(tag) {
+        return this.tags.has(tag);
+    }
+
+    /**
+     * Moves this object to a layer. Scenes can hide, stop picking or pause
+     * whole layers at once (see Scene.configureLayer). Children keep their own layers.
+     * @param {string} layer - Layer name ('default' unless set)
      * @returns {GameObject} Returns this for chaining
      */
-    stopAnimation(name) {
-        this._animations.delete(name);
+    setLayer(layer) {
+        const channel = getLayerChannel(layer);
+        this.layer = layer;
+        this._forEachOwnObject(object => object.layers.set(channel));
         return this;
     }
 
     /**
-     * Called every frame by the Scene.
-     * @param {number} delta - Time since last frame
-     * @param {number} elapsed - Total elapsed time
+     * Sets the owning scene for this object and its descendants.
+     * @private
      */
-    update(delta, elapsed) {
-        // Run named animations
-        for (const fn of this._animations.values()) {
-            fn(this, delta, elapsed);
-        }
-        // Run custom updates
-        for (const fn of this._customUpdates) {
-            fn(this, delta, elapsed);
+    _setScene(scene) {
+        this.traverse(obj => {
+            if (obj.scene === scene) return;
+            if (obj.body && obj.scene) obj.scene._removeBody(obj.body);
+            obj.scene = scene;
+            if (obj.body && scene) scene._addBody(obj.body);
+        });
+    }
+
+    /**
+     * Events bubble to the parent GameObject, or to the scene from a root object.
+     * @private
+     */
+    _getEventParent() {
+        return this.parent || this.scene;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Components (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Attaches a component: a reusable piece of behaviour with its own
+     * lifecycle (see Component).
+     * @param {Function} Type - A Component subclass
+     * @param {Object} [props] - Values assigned onto the new component
+     * @returns {GameObject} Returns this for chaining
+     *
+     * @example
+     * enemy.addComponent(Health, { max: 50 }).addComponent(Patrol, { speed: 3 });
+     */
+    addComponent(Type, props = {}) {
+        if (typeof Type !== 'function' || !(Type.prototype instanceof Component)) {
+            throw new Error(`addComponent needs a Component subclass, got ${(Type && Type.name) || typeof Type}`);
         }
+        const component = new Type(props);
+        component.gameObject = this;
+        Object.assign(component, props);
+        this._components.push(component);
+        if (component.enabled && component.onEnable) component.onEnable();
+        return this;
     }
 
     /**
-     * Removes all animations and custom updates.
+     * Gets the first attached component of a type (subclasses included).
+     * @param {Function} Type - Component class
+     * @returns {Component|undefined}
+     */
+    getComponent(Type) {
+        return this._components.find(component => component instanceof Type);
+    }
+
+    /**
+     * Gets every attached component of a type, or all of them.
+     * @param {Function} [Type=Component] - Component class
+     * @returns {Component[]}
+     */
+    getComponents(Type = Component) {
+        return this._components.filter(component => component instanceof Type);
+    }
+
+    /**
+     * Checks whether a component of a type is attached.
+     * @param {Function} Type - Component class
+     * @returns {boolean}
+     */
+    hasComponent(Type) {
+        return this.getComponent(Type) !== undefined;
+    }
+
+    /**
+     * Removes a component, calling its onDisable and onDestroy.
+     * @param {Component|Function} component - The component, or a class to remove every component of
      * @returns {GameObject} Returns this for chaining
      */
-    clearAnimations() {
-        this._animations.clear();
-        this._customUpdates = [];
+    removeComponent(component) {
+        const removed = typeof component === 'function'
+            ? this.getComponents(component)
+            : this._components.filter(c => c === component);
+
+        for (const c of removed) {
+            this._components.splice(this._components.indexOf(c), 1);
+            if (c.enabled && c.onDisable) c.onDisable();
+            if (c.onDestroy) c.onDestroy();
+            c.gameObject = null;
+        }
         return this;
     }
 
     // ─────────────────────────────────────────────────────────────────
-    // Built-in Animations (Chainable)
+    // Appearance Methods (Chainable)
     // ─────────────────────────────────────────────────────────────────
 
     /**
-     * Makes the object spin continuously. Calling again replaces the previous spin.
-     * @param {Object} options - Spin options
-     * @param {number} [options.speedX=0] - Rotation speed around X axis
-     * @param {number} [options.speedY=1] - Rotation speed around Y axis
-     * @param {number} [options.speedZ=0] - Rotation speed around Z axis
+     * Sets the color.
+     * @param {string|number} color
      * @returns {GameObject} Returns this for chaining
      */
-    spin({ speedX = 0, speedY = 1, speedZ = 0 } = {}) {
-        this._setAnimation('spin', (obj, delta) => {
-            obj.mesh.rotation.x += speedX * delta;
-            obj.mesh.rotation.y += speedY * delta;
-            obj.mesh.rotation.z += speedZ * delta;
+    setColor(color) {
+        const parsedColor = parseColor(color);
+        this._forEachMaterial(material => {
+            if (material.color) material.color.set(parsedColor);
         });
         return this;
     }
 
     /**
-     * Makes the object float up and down. Calling again replaces the previous float.
-     * @param {Object} options - Float options
-     * @param {number} [options.amplitude=0.5] - Height of float
-     * @param {number} [options.speed=1] - Speed of float
+     * Sets surface roughness (standard and physical materials).
+     * @param {number} roughness - 0 (mirror) to 1 (matte)
      * @returns {GameObject} Returns this for chaining
      */
-    float({ amplitude = 0.5, speed = 1 } = {}) {
-        const startY = this.mesh.position.y;
-        this._setAnimation('float', (obj, delta, elapsed) => {
-            obj.mesh.position.y = startY + Math.sin(elapsed * speed) * amplitude;
+    setRoughness(roughness) {
+        return this._applyMaterialOptions({ roughness });
+    }
+
+    /**
+     * Sets how metallic the surface is (standard and physical materials).
+     * @param {number} metalness - 0 (non-metal) to 1 (metal)
+     * @returns {GameObject} Returns this for chaining
+     */
+    setMetalness(metalness) {
+        return this._applyMaterialOptions({ metalness });
+    }
+
+    /**
+     * Makes the object glow with a color. Glow isn't affected by lighting.
+     * @param {string|number} color - Glow color ('black' turns it off)
+     * @param {number} [intensity] - Glow strength
+     * @returns {GameObject} Returns this for chaining
+     */
+    setEmissive(color, intensity) {
+        return this._applyMaterialOptions({ emissive: color, emissiveIntensity: intensity });
+    }
+
+    /**
+     * Sets the opacity. Values below 1 make the object transparent.
+     * @param {number} opacity - 0 (invisible) to 1 (opaque)
+     * @returns {GameObject} Returns this for chaining
+     */
+    setOpacity(opacity) {
+        return this._applyMaterialOptions({ opacity });
+    }
+
+    /**
+     * Turns alpha blending on or off without changing the opacity.
+     * @param {boolean} transparent
+     * @returns {GameObject} Returns this for chaining
+     */
+    setTransparent(transparent) {
+        return this._applyMaterialOptions({ transparent });
+    }
+
+    /**
+     * Sets which faces are drawn.
+     * @param {string} side - 'front', 'back' or 'double'
+     * @returns {GameObject} Returns this for chaining
+     */
+    setSide(side) {
+        return this._applyMaterialOptions({ side });
+    }
+
+    /**
+     * Switches between faceted and smooth shading.
+     * @param {boolean} flatShading
+     * @returns {GameObject} Returns this for chaining
+     */
+    setFlatShading(flatShading) {
+        return this._applyMaterialOptions({ flatShading });
+    }
+
+    /**
+     * Shows or hides the object as a wireframe.
+     * @param {boolean} wireframe
+     * @returns {GameObject} Returns this for chaining
+     */
+    setWireframe(wireframe) {
+        return this._applyMaterialOptions({ wireframe });
+    }
+
+    /**
+     * Sets a texture map. URLs load in the background with the default
+     * AssetManager and appear when ready.
+     * @param {string} slot - 'map', 'normalMap', 'roughnessMap', 'metalnessMap', 'emissiveMap',
+     *   'aoMap', 'alphaMap', 'bumpMap', 'displacementMap', 'lightMap' or 'envMap'
+     * @param {THREE.Texture|string|null} texture - Texture, URL, or null to remove it
+     * @returns {GameObject} Returns this for chaining
+     *
+     * @example
+     * crate.setTexture('map', 'textures/crate.png')
+     *      .setTexture('normalMap', 'textures/crate-normal.png');
+     */
+    setTexture(slot, texture) {
+        this._forEachMaterial(material => {
+            setMaterialTexture(material, slot, texture).catch(error => this._onTextureError(error, slot));
         });
         return this;
     }
 
-    // ─────────────────────────────────────────────────────────────────
-    // Utility Methods
-    // ─────────────────────────────────────────────────────────────────
+    /**
+     * Changes several material settings at once, or applies a preset.
+     * Settings the material type doesn't support are ignored; to change the
+     * type itself, pass materialType (or a preset that sets one) and the
+     * material is replaced.
+     * @param {string|Object|THREE.Material} material - Preset name, material options, or a material to use
+     * @returns {GameObject} Returns this for chaining
+     *
+     * @example
+     * box.setMaterial('chrome');
+     * box.setMaterial({ material: 'glass', color: 'lightblue' });
+     * box.setMaterial({ roughness: 0.2, emissive: 'orange', emissiveIntensity: 0.5 });
+     */
+    setMaterial(material) {
+        const options = typeof material === 'string' || (material && material.isMaterial)
+            ? { material }
+            : { ...material };
+
+        if (options.material === undefined && options.materialType === undefined) {
+            return this._applyMaterialOptions(options);
+        }
+
+        if (!this.mesh.isMesh) {
+            throw new Error('setMaterial() can only replace the material of a single mesh; pass options instead');
+        }
+        const previous = [].concat(this.mesh.material);
+        this.mesh.material = this._createMaterial(options);
+        for (const old of previous) {
+            if (old !== this.mesh.material) old.dispose();
+        }
+        return this;
+    }
 
     /**
-     * Gets the underlying Three.js mesh.
-     * @returns {THREE.Mesh}
+     * Sets whether this object casts shadows. Shadows also need Engine shadows
+     * enabled and a light with castShadow.
+     * @param {boolean} castShadow
+     * @returns {GameObject} Returns this for chaining
      */
-    getMesh() {
-        return this.mesh;
+    setCastShadow(castShadow) {
+        this.castShadow = castShadow;
+        this._forEachOwnObject(object => {
+            object.castShadow = castShadow;
+        });
+        return this;
     }
 
     /**
-     * Cleans up geometry and material.
+     * Sets whether shadows cast by other objects show on this one.
+     * @param {boolean} receiveShadow
+     * @returns {GameObject} Returns this for chaining
      */
-    dispose() {
-        this.mesh.geometry.dispose();
-        if (Array.isArray(this.mesh.material)) {
-            this.mesh.material.forEach(m => m.dispose());
-        } else {
-            this.mesh.material.dispose();
+    setReceiveShadow(receiveShadow) {
+        this.receiveShadow = receiveShadow;
+        this._forEachOwnObject(object => {
+            object.receiveShadow = receiveShadow;
+        });
+        return this;
+    }
+
+    /**
+     * Sets visibility.
+     * @param {boolean} visible
+     * @returns {GameObject} Returns this for chaining
+     */
+    setVisible(visible) {
+        if (visible === this.mesh.visible) return this;
+        this.mesh.visible = visible;
+        this._dispatch('visibilityChanged', { visible });
+        return this;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Animation Methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Adds a custom update function called every frame.
+     * Multiple update functions can be added and will all run.
+     * @param {Function} fn - Function receiving (gameObject, delta, elapsed)
+     * @returns {GameObject} Returns this for chaining
+     *
+     * @example
+     * box.onUpdate((obj, delta, elapsed) => {
+     *   obj.mesh.rotation.y += delta;
+     * });
+     */
+    onUpdate(fn) {
+        this._customUpdates.push(fn);
+        return this;
+    }
+
+    /**
+     * Adds a function called every fixed timestep (requires Engine fixedTimestep).
+     * @param {Function} fn - Function receiving (gameObject, delta, elapsed)
+     * @returns {GameObject} Returns this for chaining
+     *
+     * @example
+     * const engine = new Engine({ fixedTimestep: 1 / 60 });
+     * ball.onFixedUpdate((obj, delta) => {
+     *   velocity.y -= 9.8 * delta;
+     *   obj.mesh.position.addScaledVector(velocity, delta);
+     * });
+     */
+    onFixedUpdate(fn) {
+        this._fixedUpdates.push(fn);
+        return this;
+    }
+
+    /**
+     * Removes an update function added with onUpdate().
+     * @param {Function} fn - The function that was added
+     * @returns {GameObject} Returns this for chaining
+     */
+    offUpdate(fn) {
+        const index = this._customUpdates.indexOf(fn);
+        if (index > -1) this._customUpdates.splice(index, 1);
+        return this;
+    }
+
+    /**
+     * Removes a fixed update function added with onFixedUpdate().
+     * @param {Function} fn - The function that was added
+     * @returns {GameObject} Returns this for chaining
+     */
+    offFixedUpdate(fn) {
+        const index = this._fixedUpdates.indexOf(fn);
+        if (index > -1) this._fixedUpdates.splice(index, 1);
+        return this;
+    }
+
+    /**
+     * Sets the time scale for this object and its children.
+     * @param {number} timeScale - 1 = normal, 0.5 = half speed, 0 = frozen
+     * @returns {GameObject} Returns this for chaining
+     */
+    setTimeScale(timeScale) {
+        this.timeScale = timeScale;
+        return this;
+    }
+
+    /**
+     * Adds or replaces a named animation.
+     * @param {string} name - Animation name (used for replacement)
+     * @param {Function} fn - Update function
+     * @returns {GameObject} Returns this for chaining
+     * @private
+     */
+    _setAnimation(name, fn, params) {
+        this._animations.set(name, fn);
+        if (params) {
+            this._animationParams.set(name, params);
+        } else {
+            this._animationParams.delete(name);
+        }
+        return this;
+    }
+
+    /**
+     * Removes a named animation.
+     * @param {string} name - Animation name to remove
+     * @returns {GameObject} Returns this for chaining
+     */
+    stopAnimation(name) {
+        this._animations.delete(name);
+        this._animationParams.delete(name);
+        return this;
+    }
+
+    /**
+     * Called every frame by the Scene.
+     * @param {number} delta - Time since last frame
+     * @param {number} elapsed - Total elapsed time
+     */
+    update(delta, elapsed) {
+        // Apply this object's time scale, keeping elapsed in step with it
+        if (this.timeScale !== 1) {
+            this._timeOffset += delta * (this.timeScale - 1);
+            delta *= this.timeScale;
+        }
+        elapsed += this._timeOffset;
+
+        // Run named animations
+        for (const fn of this._animations.values()) {
+            fn(this, delta, elapsed);
+        }
+        // Run tweens, dropping finished ones
+        if (this._tweens.length > 0) {
+            for (const tween of this._tweens.slice()) {
+                if (tween.update(delta)) {
+                    const index = this._tweens.indexOf(tween);
+                    if (index > -1) this._tweens.splice(index, 1);
+                }
+            }
+        }
+        // Run custom updates
+        for (const fn of this._customUpdates) {
+            fn(this, delta, elapsed);
+        }
+        // Run components
+        this._runComponents('update', delta, elapsed);
+        // Update children (copy so children may re-parent themselves mid-update)
+        for (const child of this.children.slice()) {
+            if (!this.scene || this.scene.isLayerUpdating(child.layer)) child.update(delta, elapsed);
+        }
+    }
+
+    /**
+     * Called every fixed timestep by the Scene (requires Engine fixedTimestep).
+     * @param {number} delta - The fixed timestep
+     * @param {number} elapsed - Total elapsed time
+     */
+    fixedUpdate(delta, elapsed) {
+        delta *= this.timeScale;
+        elapsed += this._timeOffset;
+
+        for (const fn of this._fixedUpdates) {
+            fn(this, delta, elapsed);
+        }
+        this._runComponents('fixedUpdate', delta, elapsed);
+        for (const child of this.children.slice()) {
+            if (!this.scene || this.scene.isLayerUpdating(child.layer)) child.fixedUpdate(delta, elapsed);
+        }
+    }
+
+    /**
+     * Called every frame by the Scene once every object has updated, to run
+     * components' lateUpdate.
+     * @param {number} delta - Time since last frame
+     * @param {number} elapsed - Total elapsed time
+     */
+    lateUpdate(delta, elapsed) {
+        delta *= this.timeScale;
+        elapsed += this._timeOffset;
+
+        this._runComponents('lateUpdate', delta, elapsed);
+        for (const child of this.children.slice()) {
+            if (!this.scene || this.scene.isLayerUpdating(child.layer)) child.lateUpdate(delta, elapsed);
+        }
+    }
+
+    /**
+     * Runs an update method on every enabled component.
+     * @private
+     */
+    _runComponents(method, delta, elapsed) {
+        if (this._components.length === 0) return;
+        // Copy, so components can add or remove components while running
+        for (const component of this._components.slice()) {
+            if (component.enabled && component.gameObject === this) component._run(method, delta, elapsed);
+        }
+    }
+
+    /**
+     * Removes all animations and custom updates.
+     * @returns {GameObject} Returns this for chaining
+     */
+    clearAnimations() {
+        this._animations.clear();
+        this._animationParams.clear();
+        this._customUpdates = [];
+        this._fixedUpdates = [];
+        return this;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Built-in Animations (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Makes the object spin continuously. Calling again replaces the previous spin.
+     * @param {Object} options - Spin options
+     * @param {number} [options.speedX=0] - Rotation speed around X axis
+     * @param {number} [options.speedY=1] - Rotation speed around Y axis
+     * @param {number} [options.speedZ=0] - Rotation speed around Z axis
+     * @returns {GameObject} Returns this for chaining
+     */
+    spin({ speedX = 0, speedY = 1, speedZ = 0 } = {}) {
+        this._setAnimation('spin', (obj, delta) => {
+            obj.mesh.rotation.x += speedX * delta;
+            obj.mesh.rotation.y += speedY * delta;
+            obj.mesh.rotation.z += speedZ * delta;
+        }, { speedX, speedY, speedZ });
+        return this;
+    }
+
+    /**
+     * Makes the object float up and down. Calling again replaces the previous float.
+     * @param {Object} options - Float options
+     * @param {number} [options.amplitude=0.5] - Height of float
+     * @param {number} [options.speed=1] - Speed of float
+     * @param {number} [options.baseY] - Height to float around (defaults to the current Y)
+     * @returns {GameObject} Returns this for chaining
+     */
+    float({ amplitude = 0.5, speed = 1, baseY = this.mesh.position.y } = {}) {
+        this._setAnimation('float', (obj, delta, elapsed) => {
+            obj.mesh.position.y = baseY + Math.sin(elapsed * speed) * amplitude;
+        }, { amplitude, speed, baseY });
+        return this;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Physics (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Makes this object a rigid body simulated by the scene's physics world.
+     * The collision shape is taken from the geometry (Box → box, Sphere → sphere,
+     * Cylinder → capsule, Plane → static plane, anything else → bounding sphere)
+     * using the object's current scale. Objects without a single geometry, such
+     * as models, use their bounding box. Calling again replaces the body.
+     * @param {Object} [options] - Body options
+     * @param {number} [options.mass=1] - Mass; 0 makes the object static
+     * @param {number} [options.restitution=0.3] - Bounciness (0-1)
+     * @param {number} [options.friction=0.5] - Friction coefficient
+     * @param {string} [options.shape] - Override the shape: 'box', 'sphere', 'capsule' or 'plane'
+     * @param {{x: number, y: number, z: number}} [options.velocity] - Starting velocity
+     * @param {{x: number, y: number, z: number}} [options.angularVelocity] - Starting spin in radians per second
+     * @param {number} [options.linearDamping=0.01] - Fraction of velocity lost per second
+     * @param {number} [options.angularDamping=0.05] - Fraction of spin lost per second
+     * @param {number} [options.gravityScale=1] - Multiplier for world gravity
+     * @param {boolean} [options.fixedRotation=false] - Prevent the body from rotating
+     * @returns {GameObject} Returns this for chaining
+     *
+     * @example
+     * scene.add(new Sphere({ y: 5, color: 'coral' }).enablePhysics({ mass: 1, restitution: 0.8 }));
+     * scene.add(new Plane({ size: 20, rotationX: -90 }).enablePhysics());
+     */
+    enablePhysics(options = {}) {
+        if (this.body) this.disablePhysics();
+
+        this.mesh.updateWorldMatrix(true, false);
+        const scale = this.mesh.getWorldScale(new THREE.Vector3());
+        const shape = this.mesh.geometry
+            ? shapeFromGeometry(this.mesh.geometry, scale, options.shape)
+            : shapeFromBounds(this._getLocalBounds().getSize(new THREE.Vector3()).multiply(scale), options.shape);
+
+        this.body = new RigidBody({ ...options, shape, gameObject: this });
+        this.body.readFromObject();
+
+        if (this.scene) {
+            this.scene._addBody(this.body);
+        }
+        return this;
+    }
+
+    /**
+     * Removes this object from physics simulation.
+     * @returns {GameObject} Returns this for chaining
+     */
+    disablePhysics() {
+        if (this.body) {
+            if (this.scene) this.scene._removeBody(this.body);
+            this.body = null;
+        }
+        return this;
+    }
+
+    /**
+     * Sets the physics velocity. Requires enablePhysics().
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {GameObject} Returns this for chaining
+     */
+    setVelocity(x, y, z) {
+        this._requireBody('setVelocity').setVelocity(x, y, z);
+        return this;
+    }
+
+    /**
+     * Applies an instant push. Requires enablePhysics().
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {GameObject} Returns this for chaining
+     *
+     * @example
+     * if (input.isActionPressed('jump')) player.applyImpulse(0, 5, 0);
+     */
+    applyImpulse(x, y, z) {
+        this._requireBody('applyImpulse').applyImpulse(new THREE.Vector3(x, y, z));
+        return this;
+    }
+
+    /**
+     * Gets the physics body, throwing a helpful error if there isn't one.
+     * @private
+     */
+    _requireBody(method) {
+        if (!this.body) {
+            throw new Error(`GameObject.${method}() requires physics; call enablePhysics() first`);
+        }
+        return this.body;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Pointer Events (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Adds a handler called when the object is clicked (pressed and released over it).
+     * Handlers receive (gameObject, event) where event has object, point, normal, distance and button.
+     * Events bubble up to parents, so event.object may be a child of gameObject.
+     * @param {Function} fn - Function receiving (gameObject, event)
+     * @returns {GameObject} Returns this for chaining
+     *
+     * @example
+     * box.onClick((obj, event) => obj.colorTo(randomColor()));
+     */
+    onClick(fn) {
+        return this._addPointerHandler('click', fn);
+    }
+
+    /**
+     * Adds a handler called when the pointer starts hovering over the object.
+     * @param {Function} fn - Function receiving (gameObject, event)
+     * @returns {GameObject} Returns this for chaining
+     */
+    onPointerEnter(fn) {
+        return this._addPointerHandler('pointerenter', fn);
+    }
+
+    /**
+     * Adds a handler called when the pointer stops hovering over the object.
+     * @param {Function} fn - Function receiving (gameObject, event)
+     * @returns {GameObject} Returns this for chaining
+     */
+    onPointerLeave(fn) {
+        return this._addPointerHandler('pointerleave', fn);
+    }
+
+    /**
+     * Adds a handler called when a pointer button is pressed over the object.
+     * @param {Function} fn - Function receiving (gameObject, event)
+     * @returns {GameObject} Returns this for chaining
+     */
+    onPointerDown(fn) {
+        return this._addPointerHandler('pointerdown', fn);
+    }
+
+    /**
+     * Adds a handler called when a pointer button is released over the object.
+     * @param {Function} fn - Function receiving (gameObject, event)
+     * @returns {GameObject} Returns this for chaining
+     */
+    onPointerUp(fn) {
+        return this._addPointerHandler('pointerup', fn);
+    }
+
+    /**
+     * Sets whether pointer picking can hit this object.
+     * @param {boolean} pickable
+     * @returns {GameObject} Returns this for chaining
+     */
+    setPickable(pickable) {
+        this.pickable = pickable;
+        return this;
+    }
+
+    /**
+     * Removes pointer handlers of one type, or all of them.
+     * @param {string} [type] - 'click', 'pointerenter', 'pointerleave', 'pointerdown' or 'pointerup'
+     * @returns {GameObject} Returns this for chaining
+     */
+    clearPointerHandlers(type) {
+        if (type) {
+            delete this._pointerHandlers[type];
+        } else {
+            this._pointerHandlers = {};
+        }
+        return this;
+    }
+
+    /**
+     * Registers a pointer handler.
+     * @private
+     */
+    _addPointerHandler(type, fn) {
+        (this._pointerHandlers[type] = this._pointerHandlers[type] || []).push(fn);
+        return this;
+    }
+
+    /**
+     * Checks whether any pointer handlers are registered.
+     * @private
+     */
+    _hasPointerHandlers() {
+        return Object.keys(this._pointerHandlers).length > 0;
+    }
+
+    /**
+     * Calls the handlers for a pointer event. Used by Picker.
+     * @private
+     */
+    _firePointerEvent(type, event) {
+        const handlers = this._pointerHandlers[type];
+        if (!handlers) return;
+        for (const fn of handlers.slice()) {
+            fn(this, event);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Collision Events (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Adds a handler called when another object starts overlapping this one.
+     * Overlap uses world bounding volumes (see the collider option), not physics.
+     * Handlers receive (gameObject, event) where event has type and other.
+     * @param {Function} fn - Function receiving (gameObject, event)
+     * @returns {GameObject} Returns this for chaining
+     *
+     * @example
+     * coin.onCollisionEnter((coin, { other }) => {
+     *   if (other !== player) return;
+     *   coin.scene.remove(coin);
+     *   coin.dispose();
+     * });
+     */
+    onCollisionEnter(fn) {
+        return this._addCollisionHandler('collisionenter', fn);
+    }
+
+    /**
+     * Adds a handler called every frame after the first while another object overlaps this one.
+     * @param {Function} fn - Function receiving (gameObject, event)
+     * @returns {GameObject} Returns this for chaining
+     */
+    onCollisionStay(fn) {
+        return this._addCollisionHandler('collisionstay', fn);
+    }
+
+    /**
+     * Adds a handler called when another object stops overlapping this one,
+     * including when it is removed from the scene.
+     * @param {Function} fn - Function receiving (gameObject, event)
+     * @returns {GameObject} Returns this for chaining
+     */
+    onCollisionExit(fn) {
+        return this._addCollisionHandler('collisionexit', fn);
+    }
+
+    /**
+     * Sets whether collision events can detect this object.
+     * @param {boolean} collidable
+     * @returns {GameObject} Returns this for chaining
+     */
+    setCollidable(collidable) {
+        this.collidable = collidable;
+        return this;
+    }
+
+    /**
+     * Removes collision handlers of one type, or all of them.
+     * @param {string} [type] - 'collisionenter', 'collisionstay' or 'collisionexit'
+     * @returns {GameObject} Returns this for chaining
+     */
+    clearCollisionHandlers(type) {
+        if (type) {
+            delete this._collisionHandlers[type];
+        } else {
+            this._collisionHandlers = {};
+        }
+        return this;
+    }
+
+    /**
+     * Registers a collision handler.
+     * @private
+     */
+    _addCollisionHandler(type, fn) {
+        (this._collisionHandlers[type] = this._collisionHandlers[type] || []).push(fn);
+        return this;
+    }
+
+    /**
+     * Checks whether any collision handlers are registered.
+     * @private
+     */
+    _hasCollisionHandlers() {
+        return Object.keys(this._collisionHandlers).length > 0;
+    }
+
+    /**
+     * Calls the handlers for a collision event. Used by CollisionSystem.
+     * @private
+     */
+    _fireCollisionEvent(type, event) {
+        const handlers = this._collisionHandlers[type];
+        if (!handlers) return;
+        for (const fn of handlers.slice()) {
+            fn(this, event);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Tweens
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Tween options shared by every tween method.
+     * @typedef {Object} TweenOptions
+     * @property {number} [duration=1] - Duration in seconds
+     * @property {string|Function} [easing='easeInOutQuad'] - Easing name or function (see Easing)
+     * @property {number} [delay=0] - Delay before starting in seconds
+     * @property {number} [repeat=0] - Extra plays after the first (Infinity to loop forever)
+     * @property {boolean} [yoyo=false] - Reverse direction on every repeat
+     * @property {Function} [onComplete] - Called when the tween finishes
+     */
+
+    /**
+     * Adds a Tween to be driven by this object's update loop.
+     * @param {Tween|Object} tween - A Tween, or options to create one
+     * @returns {Tween} The tween (awaitable)
+     */
+    tween(tween) {
+        const instance = tween instanceof Tween ? tween : new Tween(tween);
+        this._tweens.push(instance);
+        return instance;
+    }
+
+    /**
+     * Animates any combination of properties to target values.
+     * Supported: x, y, z, rotationX/Y/Z (degrees), scale, scaleX/Y/Z, color, opacity.
+     * @param {Object} props - Target values
+     * @param {TweenOptions} [options] - Tween options
+     * @returns {Tween} The tween (awaitable)
+     *
+     * @example
+     * await box.animateTo({ y: 2, rotationY: 180, color: 'gold' }, { duration: 1.5 });
+     */
+    animateTo(props, options = {}) {
+        const targets = expandTweenTargets(props);
+        const keys = Object.keys(targets);
+        return this.tween({
+            ...options,
+            from: () => this._readTweenValues(keys),
+            to: targets,
+            onUpdate: values => this._writeTweenValues(values)
+        });
+    }
+
+    /**
+     * Animates the position.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @param {TweenOptions} [options] - Tween options
+     * @returns {Tween} The tween (awaitable)
+     */
+    moveTo(x, y, z, options = {}) {
+        return this.animateTo({ x, y, z }, options);
+    }
+
+    /**
+     * Animates the rotation, in degrees.
+     * @param {number} x - Rotation around X axis in degrees
+     * @param {number} y - Rotation around Y axis in degrees
+     * @param {number} z - Rotation around Z axis in degrees
+     * @param {TweenOptions} [options] - Tween options
+     * @returns {Tween} The tween (awaitable)
+     */
+    rotateTo(x, y, z, options = {}) {
+        return this.animateTo({ rotationX: x, rotationY: y, rotationZ: z }, options);
+    }
+
+    /**
+     * Animates the scale.
+     * @param {number|{x: number, y: number, z: number}} scale - Uniform scale or per-axis scale
+     * @param {TweenOptions} [options] - Tween options
+     * @returns {Tween} The tween (awaitable)
+     */
+    scaleTo(scale, options = {}) {
+        if (typeof scale === 'number') {
+            return this.animateTo({ scale }, options);
+        }
+        return this.animateTo({ scaleX: scale.x, scaleY: scale.y, scaleZ: scale.z }, options);
+    }
+
+    /**
+     * Animates the color.
+     * @param {string|number} color - Target color
+     * @param {TweenOptions} [options] - Tween options
+     * @returns {Tween} The tween (awaitable)
+     */
+    colorTo(color, options = {}) {
+        return this.animateTo({ color }, options);
+    }
+
+    /**
+     * Animates the opacity. The material is made transparent automatically.
+     * @param {number} opacity - Target opacity (0-1)
+     * @param {TweenOptions} [options] - Tween options
+     * @returns {Tween} The tween (awaitable)
+     */
+    fadeTo(opacity, options = {}) {
+        return this.animateTo({ opacity }, options);
+    }
+
+    /**
+     * Plays a keyframe animation. Each keyframe has a time (seconds) and any
+     * properties supported by animateTo(); a property is interpolated between the
+     * keyframes that define it, using the easing of the keyframe being approached.
+     * Properties not set at time 0 start from their current value.
+     * @param {Object[]} frames - Keyframes, e.g. { time: 1, y: 2, easing: 'easeOutQuad' }
+     * @param {Object} [options] - Tween options (delay, repeat, yoyo, onComplete)
+     * @returns {Tween} The tween (awaitable)
+     *
+     * @example
+     * box.keyframes([
+     *   { time: 0, y: 0 },
+     *   { time: 0.5, y: 2, easing: 'easeOutQuad' },
+     *   { time: 1, y: 0, rotationY: 360, easing: 'easeInQuad' }
+     * ], { repeat: Infinity });
+     */
+    keyframes(frames, options = {}) {
+        const sorted = frames.slice().sort((a, b) => (a.time || 0) - (b.time || 0));
+        const duration = sorted.length > 0 ? sorted[sorted.length - 1].time || 0 : 0;
+
+        // Build a track of { time, value, easing } for each property
+        const tracks = {};
+        for (const frame of sorted) {
+            const { time = 0, easing = 'linear', ...props } = frame;
+            for (const [key, value] of Object.entries(expandTweenTargets(props))) {
+                (tracks[key] = tracks[key] || []).push({ time, value, easing });
+            }
+        }
+
+        return this.tween({
+            ...options,
+            duration,
+            easing: 'linear',
+            from: () => {
+                for (const [key, track] of Object.entries(tracks)) {
+                    if (track[0].time > 0) {
+                        track.unshift({ time: 0, value: TWEEN_PROPERTIES[key].get(this), easing: 'linear' });
+                    }
+                }
+                return { time: 0 };
+            },
+            to: { time: duration },
+            onUpdate: ({ time }) => {
+                const values = {};
+                for (const [key, track] of Object.entries(tracks)) {
+                    values[key] = sampleTrack(track, time);
+                }
+                this._writeTweenValues(values);
+            }
+        });
+    }
+
+    /**
+     * Returns a tween that does nothing for a while. Useful inside sequence().
+     * @param {number} seconds - How long to wait
+     * @returns {Tween} The tween (awaitable)
+     */
+    wait(seconds) {
+        return this.tween({ duration: seconds, easing: 'linear' });
+    }
+
+    /**
+     * Stops all running tweens, leaving properties where they are.
+     * @returns {GameObject} Returns this for chaining
+     */
+    stopTweens() {
+        for (const tween of this._tweens) {
+            tween.stop();
+        }
+        this._tweens = [];
+        return this;
+    }
+
+    /**
+     * Reads current values for tweenable property keys.
+     * @private
+     */
+    _readTweenValues(keys) {
+        const values = {};
+        for (const key of keys) {
+            values[key] = TWEEN_PROPERTIES[key].get(this);
+        }
+        return values;
+    }
+
+    /**
+     * Writes values for tweenable property keys.
+     * @private
+     */
+    _writeTweenValues(values) {
+        for (const [key, value] of Object.entries(values)) {
+            TWEEN_PROPERTIES[key].set(this, value);
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Serialization
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Registers a GameObject class so it can be saved and loaded by name.
+     * Built-in types are registered already; call this for custom subclasses.
+     * @param {string} name - Name stored in JSON
+     * @param {Function} Type - The GameObject subclass
+     *
+     * @example
+     * class Coin extends GameObject { ... }
+     * GameObject.registerType('Coin', Coin);
+     */
+    static registerType(name, Type) {
+        const previous = TYPES_BY_NAME.get(name);
+        if (previous) NAMES_BY_TYPE.delete(previous);
+        TYPES_BY_NAME.set(name, Type);
+        NAMES_BY_TYPE.set(Type, name);
+    }
+
+    /**
+     * Gets a registered GameObject class by name.
+     * @param {string} name
+     * @returns {Function|undefined}
+     */
+    static getType(name) {
+        return TYPES_BY_NAME.get(name);
+    }
+
+    /**
+     * Gets the registered name of a GameObject class or instance.
+     * @param {Function|GameObject} typeOrObject
+     * @returns {string|undefined}
+     */
+    static getTypeName(typeOrObject) {
+        const Type = typeof typeOrObject === 'function' ? typeOrObject : typeOrObject.constructor;
+        return NAMES_BY_TYPE.get(Type);
+    }
+
+    /**
+     * Creates a GameObject (and its children) from data made by toJSON().
+     * @param {Object} data - Serialized GameObject
+     * @returns {GameObject}
+     */
+    static fromJSON(data) {
+        const Type = TYPES_BY_NAME.get(data.type);
+        if (!Type) {
+            throw new Error(`Unknown GameObject type "${data.type}". Register it with GameObject.registerType()`);
+        }
+        const obj = new Type(data.options || {});
+        obj._applyJSON(data);
+        return obj;
+    }
+
+    /**
+     * Serializes this object and its children to plain JSON-safe data:
+     * type, constructor options, transform, color, visibility and built-in
+     * animations (spin, float). Custom onUpdate functions and tweens are not saved.
+     * @returns {Object}
+     */
+    toJSON() {
+        const type = GameObject.getTypeName(this);
+        if (!type) {
+            throw new Error(
+                `Cannot serialize ${this.constructor.name}: register it with GameObject.registerType()`
+            );
+        }
+
+        const mesh = this.mesh;
+        const data = {
+            type,
+            options: toPlainData(this.options) || {},
+            name: this.name,
+            position: { x: mesh.position.x, y: mesh.position.y, z: mesh.position.z },
+            rotation: { x: RAD(mesh.rotation.x), y: RAD(mesh.rotation.y), z: RAD(mesh.rotation.z) },
+            scale: { x: mesh.scale.x, y: mesh.scale.y, z: mesh.scale.z },
+            visible: mesh.visible,
+            pickable: this.pickable,
+            collidable: this.collidable,
+            castShadow: this.castShadow,
+            receiveShadow: this.receiveShadow,
+            timeScale: this.timeScale,
+            tags: [...this.tags],
+            layer: this.layer
+        };
+
+        const material = this._getMaterials()[0];
+        if (material && material.color) {
+            data.color = material.color.getHex();
+            data.opacity = material.opacity;
+        }
+        if (material) {
+            for (const key of ['roughness', 'metalness', 'emissiveIntensity']) {
+                if (material[key] !== undefined) data[key] = material[key];
+            }
+            if (material.emissive) data.emissive = material.emissive.getHex();
+        }
+
+        if (this._animationParams.size > 0) {
+            data.animations = Object.fromEntries(this._animationParams);
+        }
+
+        if (this.children.length > 0) {
+            data.children = this.children.map(child => child.toJSON());
+        }
+        return data;
+    }
+
+    /**
+     * Restores state saved by toJSON() onto a newly constructed object.
+     * @private
+     */
+    _applyJSON(data) {
+        if (data.name !== undefined) this.name = data.name;
+        if (data.position) this.setPosition(data.position.x, data.position.y, data.position.z);
+        if (data.rotation) this.setRotation(data.rotation.x, data.rotation.y, data.rotation.z);
+        if (data.scale) this.setScaleXYZ(data.scale.x, data.scale.y, data.scale.z);
+        if (data.visible !== undefined) this.setVisible(data.visible);
+        if (data.pickable !== undefined) this.pickable = data.pickable;
+        if (data.collidable !== undefined) this.collidable = data.collidable;
+        if (data.timeScale !== undefined) this.timeScale = data.timeScale;
+        if (data.castShadow !== undefined) this.setCastShadow(data.castShadow);
+        if (data.receiveShadow !== undefined) this.setReceiveShadow(data.receiveShadow);
+        if (data.tags) this.tags = new Set(data.tags);
+        if (data.layer !== undefined) this.setLayer(data.layer);
+
+        if (data.color !== undefined) this.setColor(data.color);
+        if (data.opacity !== undefined && data.opacity < 1) {
+            this._forEachMaterial(m => {
+                m.transparent = true;
+                m.opacity = data.opacity;
+            });
+        }
+        this._applyMaterialOptions({
+            roughness: data.roughness,
+            metalness: data.metalness,
+            emissive: data.emissive,
+            emissiveIntensity: data.emissiveIntensity
+        });
+
+        for (const [name, params] of Object.entries(data.animations || {})) {
+            if (typeof this[name] === 'function') this[name](params);
+        }
+
+        for (const childData of data.children || []) {
+            this.addChild(GameObject.fromJSON(childData));
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Utility Methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Gets the world-space axis-aligned bounds of this object's own geometry
+     * (child GameObjects are not included).
+     * @param {THREE.Box3} [target] - Box to write into
+     * @returns {THREE.Box3}
+     */
+    getWorldBounds(target = new THREE.Box3()) {
+        this.mesh.updateWorldMatrix(true, true);
+        target.makeEmpty();
+        this._forEachOwnObject(object => {
+            if (!object.geometry) return;
+            target.union(_box.copy(localBoundingBox(object)).applyMatrix4(object.matrixWorld));
+        });
+        return target;
+    }
+
+    /**
+     * Gets the bounds of this object's own geometry in its local space (ignoring its scale).
+     * @private
+     */
+    _getLocalBounds(target = new THREE.Box3()) {
+        this.mesh.updateWorldMatrix(true, true);
+        const inverse = new THREE.Matrix4().copy(this.mesh.matrixWorld).invert();
+        target.makeEmpty();
+        this._forEachOwnObject(object => {
+            if (!object.geometry) return;
+            _matrix.multiplyMatrices(inverse, object.matrixWorld);
+            target.union(_box.copy(localBoundingBox(object)).applyMatrix4(_matrix));
+        });
+        return target;
+    }
+
+    /**
+     * Gets the underlying Three.js mesh.
+     * @returns {THREE.Mesh}
+     */
+    getMesh() {
+        return this.mesh;
+    }
+
+    /**
+     * Gets the object's materials as an array.
+     * @returns {THREE.Material[]}
+     * @private
+     */
+    _getMaterials() {
+        const materials = [];
+        this._forEachOwnObject(object => {
+            if (Array.isArray(object.material)) {
+                materials.push(...object.material);
+            } else if (object.material) {
+                materials.push(object.material);
+            }
+        });
+        return materials;
+    }
+
+    /**
+     * Applies material options to every material this object owns.
+     * @private
+     */
+    _applyMaterialOptions(options) {
+        this._forEachMaterial(material => (
+            applyMaterialOptions(material, options, (error, slot) => this._onTextureError(error, slot))
+        ));
+        return this;
+    }
+
+    /**
+     * Records a texture that failed to load and tells listeners. The
+     * AssetManager has already reported it through onError.
+     * @private
+     */
+    _onTextureError(error, slot) {
+        this.textureError = error;
+        this._dispatch('textureError', { slot, error });
+    }
+
+    /**
+     * Calls a function for each of the object's materials.
+     * @private
+     */
+    _forEachMaterial(fn) {
+        this._getMaterials().forEach(fn);
+    }
+
+    /**
+     * Calls a function for this object's Three.js object and its descendants,
+     * skipping those that belong to child GameObjects.
+     * @private
+     */
+    _forEachOwnObject(fn) {
+        const visit = object => {
+            fn(object);
+            for (const child of object.children) {
+                const owner = child.userData.gameObject;
+                if (!owner || owner === this) visit(child);
+            }
+        };
+        visit(this.mesh);
+    }
+
+    /**
+     * Cleans up geometry and materials (every sub-mesh for models), including all children.
+     */
+    dispose() {
+        for (const child of this.children) {
+            child.dispose();
+        }
+        this.removeComponent(Component);
+        this.stopTweens();
+        this.disablePhysics();
+        this._disposeResources();
+        this._dispatch('disposed');
+    }
+
+    /**
+     * Frees the geometry and materials this object owns. Overridden by types
+     * that share geometry with something else.
+     * @private
+     */
+    _disposeResources() {
+        this._forEachOwnObject(object => {
+            if (object.geometry) object.geometry.dispose();
+        });
+        this._forEachMaterial(m => m.dispose());
+    }
+}
+
+/**
+ * Gets the material a color or opacity tween starts from, with a clear error
+ * when there's none to animate (e.g. a Model still loading).
+ * @private
+ */
+function tweenMaterial(object, property) {
+    const material = object._getMaterials().find(m => m[property] !== undefined);
+    if (!material) {
+        const name = object.name ? `"${object.name}"` : `this ${object.constructor.name}`;
+        throw new Error(`Cannot animate ${property} of ${name}: it has no material with ${property} (a Model may still be loading; await its ready first)`);
+    }
+    return material;
+}
+
+/**
+ * Gets a mesh's bounding box in its own space. Instanced meshes cover all their instances.
+ * @private
+ */
+function localBoundingBox(object) {
+    if (object.isInstancedMesh) {
+        if (!object.boundingBox) object.computeBoundingBox();
+        return object.boundingBox;
+    }
+    if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
+    return object.geometry.boundingBox;
+}
+
+/**
+ * Copies a value keeping only JSON-safe parts (primitives, arrays and plain
+ * objects). Functions and class instances such as textures are dropped.
+ * @private
+ */
+function toPlainData(value) {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(toPlainData).filter(v => v !== undefined);
+    }
+    if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        const result = {};
+        for (const [key, v] of Object.entries(value)) {
+            const plain = toPlainData(v);
+            if (plain !== undefined) result[key] = plain;
+        }
+        return result;
+    }
+    return undefined;
+}
+
+/**
+ * Samples a keyframe track at a time, easing toward the next keyframe.
+ * @private
+ */
+function sampleTrack(track, time) {
+    if (time <= track[0].time) return track[0].value;
+    for (let i = 1; i < track.length; i++) {
+        const next = track[i];
+        if (time <= next.time) {
+            const prev = track[i - 1];
+            const span = next.time - prev.time;
+            const t = span > 0 ? getEasing(next.easing)((time - prev.time) / span) : 1;
+            return prev.value + (next.value - prev.value) * t;
         }
     }
+    return track[track.length - 1].value;
 }
 
 export { GameObject };
@@ -0,0 +1,260 @@
+import * as THREE from 'three';
+import { parseColor } from '../utils/colors.js';
+
+const DEG = THREE.MathUtils.degToRad;
+const RAD = THREE.MathUtils.radToDeg;
+
+/**
+ * InstanceHandle - One copy inside an InstancedGroup.
+ *
+ * Has its own position, rotation, scale, color and visibility, with the same
+ * chainable setters as a GameObject, and can spin, float or run an onUpdate
+ * function. Changes are collected and written to the GPU once per frame by
+ * the group, so moving thousands of instances stays cheap.
+ *
+ * Handles are created by their group; get them from group.instances or
+ * group.getInstance().
+ *
+ * @example
+ * const bars = scene.addInstanced(Box, 100);
+ * bars.forEach((bar, i) => {
+ *   bar.setPosition(i % 10, 0, Math.floor(i / 10)).setScale(0.8, values[i], 0.8);
+ * });
+ * bars.getInstance(0).setColor('red').spin();
+ */
+class InstanceHandle {
+    /**
+     * Created by InstancedGroup; not meant to be constructed directly.
+     * @param {InstancedGroup} group - The owning group
+     * @param {number} index - Index of this instance in the InstancedMesh
+     */
+    constructor(group, index) {
+        this.group = group;
+        this.index = index;
+
+        this.position = new THREE.Vector3();
+        this.rotation = new THREE.Euler();
+        this.scale = new THREE.Vector3(1, 1, 1);
+        this.color = new THREE.Color(1, 1, 1);
+        this.visible = true;
+
+        this._dirty = false; // Queued for the group's next flush
+        this._animations = new Map();
+        this._animationParams = new Map();
+        this._customUpdates = [];
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Transform Methods (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Sets the position, relative to the group.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {InstanceHandle} Returns this for chaining
+     */
+    setPosition(x, y, z) {
+        this.position.set(x, y, z);
+        return this.markDirty();
+    }
+
+    /**
+     * Sets the rotation in degrees.
+     * @param {number} x - X rotation in degrees
+     * @param {number} y - Y rotation in degrees
+     * @param {number} z - Z rotation in degrees
+     * @returns {InstanceHandle} Returns this for chaining
+     */
+    setRotation(x, y, z) {
+        this.rotation.set(DEG(x), DEG(y), DEG(z));
+        return this.markDirty();
+    }
+
+    /**
+     * Sets the scale. Pass one number for a uniform scale.
+     * @param {number} x - X scale (or uniform scale)
+     * @param {number} [y=x]
+     * @param {number} [z=x]
+     * @returns {InstanceHandle} Returns this for chaining
+     */
+    setScale(x, y = x, z = x) {
+        this.scale.set(x, y, z);
+        return this.markDirty();
+    }
+
+    /**
+     * Sets this instance's color.
+     * @param {string|number} color
+     * @returns {InstanceHandle} Returns this for chaining
+     */
+    setColor(color) {
+        this.color.set(parseColor(color));
+        this.group._markColorDirty();
+        return this;
+    }
+
+    /**
+     * Shows or hides this instance.
+     * @param {boolean} visible
+     * @returns {InstanceHandle} Returns this for chaining
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        return this.markDirty();
+    }
+
+    /**
+     * Queues this instance's matrix to be rewritten. Call after changing
+     * position, rotation or scale directly instead of through the setters.
+     * @returns {InstanceHandle} Returns this for chaining
+     */
+    markDirty() {
+        this.group._markDirty(this);
+        return this;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Animation Methods
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Adds a custom update function called every frame.
+     * @param {Function} fn - Function receiving (instance, delta, elapsed)
+     * @returns {InstanceHandle} Returns this for chaining
+     */
+    onUpdate(fn) {
+        this._customUpdates.push(fn);
+        this.group._markAnimated(this);
+        return this;
+    }
+
+    /**
+     * Makes the instance spin. Calling again replaces the previous spin.
+     * @param {Object} options - Spin options
+     * @param {number} [options.speedX=0] - X rotation speed (radians per second)
+     * @param {number} [options.speedY=1] - Y rotation speed (radians per second)
+     * @param {number} [options.speedZ=0] - Z rotation speed (radians per second)
+     * @returns {InstanceHandle} Returns this for chaining
+     */
+    spin({ speedX = 0, speedY = 1, speedZ = 0 } = {}) {
+        return this._setAnimation('spin', (instance, delta) => {
+            instance.rotation.x += speedX * delta;
+            instance.rotation.y += speedY * delta;
+            instance.rotation.z += speedZ * delta;
+        }, { speedX, speedY, speedZ });
+    }
+
+    /**
+     * Makes the instance float up and down. Calling again replaces the previous float.
+     * @param {Object} options - Float options
+     * @param {number} [options.amplitude=0.5] - Height of float
+     * @param {number} [options.speed=1] - Speed of float
+     * @param {number} [options.baseY] - Height to float around (defaults to the current Y)
+     * @param {number} [options.phase=0] - Offset in seconds, so neighbours don't float in lockstep
+     * @returns {InstanceHandle} Returns this for chaining
+     */
+    float({ amplitude = 0.5, speed = 1, baseY = this.position.y, phase = 0 } = {}) {
+        return this._setAnimation('float', (instance, delta, elapsed) => {
+            instance.position.y = baseY + Math.sin((elapsed + phase) * speed) * amplitude;
+        }, { amplitude, speed, baseY, phase });
+    }
+
+    /**
+     * Stops a named animation ('spin' or 'float').
+     * @param {string} name
+     * @returns {InstanceHandle} Returns this for chaining
+     */
+    stopAnimation(name) {
+        this._animations.delete(name);
+        this._animationParams.delete(name);
+        return this;
+    }
+
+    /**
+     * Removes all animations and update functions.
+     * @returns {InstanceHandle} Returns this for chaining
+     */
+    clearAnimations() {
+        this._animations.clear();
+        this._animationParams.clear();
+        this._customUpdates = [];
+        return this;
+    }
+
+    /**
+     * Whether this instance has animations or update functions to run.
+     * @type {boolean}
+     */
+    get isAnimated() {
+        return this._animations.size > 0 || this._customUpdates.length > 0;
+    }
+
+    /**
+     * Runs animations and update functions. Called by the group each frame.
+     * @param {number} delta
+     * @param {number} elapsed
+     */
+    update(delta, elapsed) {
+        for (const fn of this._animations.values()) {
+            fn(this, delta, elapsed);
+        }
+        for (const fn of this._customUpdates) {
+            fn(this, delta, elapsed);
+        }
+        // Animations usually move the instance
+        this.markDirty();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Serialization
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Serializes the instance: transform (rotation in degrees), color,
+     * visibility and built-in animations.
+     * @returns {Object}
+     */
+    toJSON() {
+        const data = {
+            position: this.position.toArray(),
+            rotation: [RAD(this.rotation.x), RAD(this.rotation.y), RAD(this.rotation.z)],
+            scale: this.scale.toArray(),
+            color: this.color.getHex(),
+            visible: this.visible
+        };
+        if (this._animationParams.size > 0) {
+            data.animations = Object.fromEntries(this._animationParams);
+        }
+        return data;
+    }
+
+    /**
+     * Restores state saved by toJSON().
+     * @private
+     */
+    _applyJSON(data) {
+        if (data.position) this.setPosition(...data.position);
+        if (data.rotation) this.setRotation(...data.rotation);
+        if (data.scale) this.setScale(...data.scale);
+        if (data.color !== undefined) this.setColor(data.color);
+        if (data.visible !== undefined) this.setVisible(data.visible);
+        for (const [name, params] of Object.entries(data.animations || {})) {
+            if (name === 'spin' || name === 'float') this[name](params);
+        }
+    }
+
+    /**
+     * Sets a named animation, replacing any with the same name.
+     * @private
+     */
+    _setAnimation(name, fn, params) {
+        this._animations.set(name, fn);
+        this._animationParams.set(name, params);
+        this.group._markAnimated(this);
+        return this;
+    }
+}
+
+export { InstanceHandle };
@@ -0,0 +1,242 @@
+import * as THREE from 'three';
+import { GameObject } from './GameObject.js';
+import { InstanceHandle } from './InstanceHandle.js';
+import { parseColor } from '../utils/colors.js';
+
+const _matrix = new THREE.Matrix4();
+const _quaternion = new THREE.Quaternion();
+const _hiddenScale = new THREE.Vector3(0, 0, 0);
+
+/**
+ * InstancedGroup - Many copies of one primitive drawn in a single draw call.
+ *
+ * Backed by a THREE.InstancedMesh: every instance shares the geometry and
+ * material, but has its own position, rotation, scale, color and visibility
+ * through an InstanceHandle. Handle changes are batched and uploaded once
+ * per frame. The group itself is a normal GameObject, so it can be moved,
+ * spun, floated or tweened as a whole.
+ *
+ * Pointer events on the group include the instance that was hit as
+ * event.instance. Groups don't take part in collision events by default.
+ *
+ * @extends GameObject
+ * @example
+ * // 10,000 cubes in one draw call
+ * const grid = scene.addInstanced(Box, 10000, {
+ *   size: 0.5,
+ *   each: (cube, i) => cube.setPosition(i % 100, 0, Math.floor(i / 100))
+ * });
+ *
+ * // Bar chart
+ * const bars = scene.addInstanced(Box, data.length, { color: 'steelblue' });
+ * bars.forEach((bar, i) => bar.setPosition(i, data[i] / 2, 0).setScale(0.8, data[i], 0.8));
+ * bars.onClick((group, { instance }) => instance.setColor('orange'));
+ */
+class InstancedGroup extends GameObject {
+    /**
+     * Creates a new InstancedGroup. Usually created with scene.addInstanced().
+     * @param {Object} options - Configuration options (also accepts all GameObject options, and
+     *   the options of the instanced type such as size or radius)
+     * @param {Function|string} options.instanceType - GameObject class to copy (e.g. Box), or its registered name
+     * @param {number} options.count - Number of instances
+     * @param {Function} [options.each] - Function receiving (instance, index) to set up each instance
+     */
+    constructor(options = {}) {
+        super({ collidable: false, ...options });
+
+        const { count, each } = options;
+
+        this.isInstancedGroup = true;
+        this.count = count;
+
+        this._dirtyList = [];
+        this._colorDirty = false;
+        this._animated = new Set();
+
+        // Colors live on the instances; the shared material stays white so they show as-is
+        const material = this.mesh.material;
+        const baseColor = material.color ? material.color.clone() : new THREE.Color(1, 1, 1);
+        if (material.color) material.color.set(0xffffff);
+
+        this.instances = [];
+        for (let i = 0; i < count; i++) {
+            const instance = new InstanceHandle(this, i);
+            instance.color.copy(baseColor);
+            this.instances.push(instance);
+            this._markDirty(instance);
+        }
+        this._colorDirty = true;
+
+        if (each) this.forEach(each);
+        this.flush();
+    }
+
+    /**
+     * Creates an InstancedMesh from the instanced type's geometry.
+     * @override
+     */
+    createObject(options) {
+        const { instanceType, count } = options;
+        const Type = typeof instanceType === 'string' ? GameObject.getType(instanceType) : instanceType;
+
+        if (!Type || !(Type.prototype instanceof GameObject)) {
+            throw new Error(`InstancedGroup needs a GameObject type to copy, got ${instanceType}`);
+        }
+        if (Type.prototype.createObject !== GameObject.prototype.createObject) {
+            throw new Error(`${Type.name} can't be instanced: only types that build a single geometry can`);
+        }
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`InstancedGroup count must be a positive whole number, got ${count}`);
+        }
+
+        // createGeometry only reads the options, so borrow it without creating a Type
+        const geometry = Type.prototype.createGeometry.call(this, options);
+        const mesh = new THREE.InstancedMesh(geometry, this._createMaterial(options), count);
+        mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        return mesh;
+    }
+
+    /**
+     * Gets an instance by index.
+     * @param {number} index
+     * @returns {InstanceHandle|undefined}
+     */
+    getInstance(index) {
+        return this.instances[index];
+    }
+
+    /**
+     * Calls a function for every instance.
+     * @param {Function} fn - Function receiving (instance, index)
+     * @returns {InstancedGroup} Returns this for chaining
+     */
+    forEach(fn) {
+        this.instances.forEach(fn);
+        return this;
+    }
+
+    /**
+     * Sets the color of every instance.
+     * @param {string|number} color
+     * @returns {InstancedGroup} Returns this for chaining
+     * @override
+     */
+    setColor(color) {
+        const parsedColor = parseColor(color);
+        for (const instance of this.instances) {
+            instance.color.set(parsedColor);
+        }
+        this._markColorDirty();
+        return this;
+    }
+
+    /**
+     * Writes changed instances to the GPU. Runs automatically after each
+     * update; call it yourself only if instances change outside the update
+     * loop and must show before the next frame.
+     * @returns {InstancedGroup} Returns this for chaining
+     */
+    flush() {
+        const mesh = this.mesh;
+
+        if (this._dirtyList.length > 0) {
+            for (const instance of this._dirtyList) {
+                _quaternion.setFromEuler(instance.rotation);
+                _matrix.compose(instance.position, _quaternion, instance.visible ? instance.scale : _hiddenScale);
+                mesh.setMatrixAt(instance.index, _matrix);
+                instance._dirty = false;
+            }
+            this._dirtyList.length = 0;
+            mesh.instanceMatrix.needsUpdate = true;
+
+            // Recomputed on demand for frustum culling and picking
+            mesh.boundingBox = null;
+            mesh.boundingSphere = null;
+        }
+
+        if (this._colorDirty) {
+            for (const instance of this.instances) {
+                mesh.setColorAt(instance.index, instance.color);
+            }
+            mesh.instanceColor.needsUpdate = true;
+            this._colorDirty = false;
+        }
+        return this;
+    }
+
+    /**
+     * Runs the group's own animations, then the instances', then uploads changes.
+     * @override
+     */
+    update(delta, elapsed) {
+        super.update(delta, elapsed);
+
+        if (this._animated.size > 0) {
+            // Same time scaling as the group's own animations
+            const scaledDelta = delta * this.timeScale;
+            const scaledElapsed = elapsed + this._timeOffset;
+            for (const instance of this._animated) {
+                if (instance.isAnimated) {
+                    instance.update(scaledDelta, scaledElapsed);
+                } else {
+                    this._animated.delete(instance);
+                }
+            }
+        }
+        this.flush();
+    }
+
+    /**
+     * Saves every instance along with the usual GameObject data.
+     * @override
+     */
+    toJSON() {
+        const data = super.toJSON();
+        data.options.instanceType = GameObject.getTypeName(this._getInstanceType());
+        delete data.color; // Colors are per instance
+        data.instances = this.instances.map(instance => instance.toJSON());
+        return data;
+    }
+
+    /** @override */
+    _applyJSON(data) {
+        super._applyJSON(data);
+        (data.instances || []).forEach((instanceData, i) => {
+            if (this.instances[i]) this.instances[i]._applyJSON(instanceData);
+        });
+        this.flush();
+    }
+
+    /**
+     * Queues an instance's matrix for the next flush.
+     * @private
+     */
+    _markDirty(instance) {
+        if (instance._dirty) return;
+        instance._dirty = true;
+        this._dirtyList.push(instance);
+    }
+
+    /** @private */
+    _markColorDirty() {
+        this._colorDirty = true;
+    }
+
+    /** @private */
+    _markAnimated(instance) {
+        this._animated.add(instance);
+    }
+
+    /**
+     * The class being instanced.
+     * @private
+     */
+    _getInstanceType() {
+        const { instanceType } = this.options;
+        return typeof instanceType === 'string' ? GameObject.getType(instanceType) : instanceType;
+    }
+}
+
+GameObject.registerType('InstancedGroup', InstancedGroup);
+
+export { InstancedGroup };
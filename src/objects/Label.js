@@ -0,0 +1,242 @@
+import * as THREE from 'three';
+import { GameObject } from './GameObject.js';
+import { parseColor } from '../utils/colors.js';
+
+/**
+ * Anchor points, as sprite centers (0-1 across the label, from the bottom left).
+ * @private
+ */
+const ANCHORS = {
+    center: [0.5, 0.5],
+    bottom: [0.5, 0],
+    top: [0.5, 1],
+    left: [0, 0.5],
+    right: [1, 0.5]
+};
+
+/**
+ * Label - Flat text that always faces the camera.
+ *
+ * The text is drawn onto a canvas and shown on a sprite, so any CSS font
+ * works and there's nothing to load. Good for names above characters, values
+ * on data points and callouts. By default a label is sized in world units and
+ * shrinks with distance like everything else; set sizeAttenuation to false to
+ * keep it the same size on screen.
+ *
+ * @extends GameObject
+ * @example
+ * player.addChild(new Label({ text: 'Player 1', y: 1.5, anchor: 'bottom' }));
+ *
+ * const value = new Label({ text: '42%', background: 'rgba(0, 0, 0, 0.6)', height: 0.3 });
+ * value.setText('43%');
+ *
+ * // Always readable, even behind walls
+ * new Label({ text: 'Exit', alwaysOnTop: true, sizeAttenuation: false, height: 0.05 });
+ */
+class Label extends GameObject {
+    /**
+     * Creates a new Label.
+     * @param {Object} options - Configuration options (also accepts all GameObject options)
+     * @param {string} [options.text=''] - Text to show; '\n' starts a new line
+     * @param {number} [options.height=0.5] - Height of one line of text in world units
+     *   (without sizeAttenuation, roughly a fraction of the screen height)
+     * @param {string|number} [options.color='#ffffff'] - Text color
+     * @param {string|number|null} [options.background=null] - Background color (CSS colors with alpha work)
+     * @param {string} [options.fontFamily='sans-serif'] - CSS font family
+     * @param {string|number} [options.fontWeight='normal'] - CSS font weight
+     * @param {number} [options.resolution=64] - Pixel height of a line on the canvas; raise for crisper large labels
+     * @param {number} [options.padding=0.25] - Space around the text, as a fraction of the line height
+     * @param {number} [options.borderRadius=0.25] - Background corner radius, as a fraction of the line height
+     * @param {string} [options.textAlign='center'] - Alignment of multiple lines: 'left', 'center' or 'right'
+     * @param {string} [options.anchor='center'] - Point placed at the object's position:
+     *   'center', 'bottom', 'top', 'left' or 'right'
+     * @param {boolean} [options.sizeAttenuation=true] - Shrink with distance
+     * @param {boolean} [options.alwaysOnTop=false] - Draw over everything instead of being hidden behind objects
+     */
+    constructor(options = {}) {
+        super({ collidable: false, ...options });
+        this.isLabel = true;
+    }
+
+    /**
+     * Labels wrap a sprite in a group, so the sprite can be sized to the text
+     * while the object keeps its own scale.
+     * @override
+     */
+    createObject(options) {
+        const {
+            text = '',
+            color = '#ffffff',
+            background = null,
+            anchor = 'center',
+            sizeAttenuation = true,
+            alwaysOnTop = false
+        } = options;
+
+        if (!ANCHORS[anchor]) {
+            const available = Object.keys(ANCHORS).join(', ');
+            throw new Error(`Unknown label anchor "${anchor}". Available anchors: ${available}`);
+        }
+
+        this.text = String(text);
+        this._textColor = color;
+        this._background = background;
+        this._canvas = createCanvas();
+
+        const texture = new THREE.CanvasTexture(this._canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+
+        const material = new THREE.SpriteMaterial({
+            map: texture,
+            transparent: true,
+            sizeAttenuation,
+            depthTest: !alwaysOnTop,
+            depthWrite: false
+        });
+
+        this._sprite = new THREE.Sprite(material);
+        this._sprite.center.set(...ANCHORS[anchor]);
+        if (alwaysOnTop) this._sprite.renderOrder = 999;
+
+        const group = new THREE.Group();
+        group.add(this._sprite);
+        this._redraw(options);
+        return group;
+    }
+
+    /**
+     * Changes the text.
+     * @param {string} text
+     * @returns {Label} Returns this for chaining
+     */
+    setText(text) {
+        this.text = String(text);
+        this._redraw(this.options);
+        return this;
+    }
+
+    /**
+     * Sets the text color.
+     * @param {string|number} color
+     * @returns {Label} Returns this for chaining
+     * @override
+     */
+    setColor(color) {
+        this._textColor = color;
+        this._redraw(this.options);
+        return this;
+    }
+
+    /**
+     * Sets the background color, or removes it with null.
+     * @param {string|number|null} color
+     * @returns {Label} Returns this for chaining
+     */
+    setBackground(color) {
+        this._background = color;
+        this._redraw(this.options);
+        return this;
+    }
+
+    /**
+     * Saves the current text and colors rather than the ones the label was created with.
+     * @override
+     */
+    toJSON() {
+        const data = super.toJSON();
+        Object.assign(data.options, {
+            text: this.text,
+            color: this._textColor,
+            background: this._background
+        });
+        delete data.color; // Part of the options
+        return data;
+    }
+
+    /**
+     * Draws the text onto the canvas and sizes the sprite to match.
+     * @private
+     */
+    _redraw(options) {
+        const {
+            height = 0.5,
+            fontFamily = 'sans-serif',
+            fontWeight = 'normal',
+            resolution = 64,
+            padding = 0.25,
+            borderRadius = 0.25,
+            textAlign = 'center'
+        } = options;
+
+        const canvas = this._canvas;
+        const context = canvas.getContext('2d');
+        const lines = this.text.split('\n');
+        const lineHeight = resolution;
+        const font = `${fontWeight} ${Math.round(resolution * 0.8)}px ${fontFamily}`;
+        const pad = Math.round(resolution * padding);
+
+        context.font = font;
+        const textWidth = Math.max(1, ...lines.map(line => context.measureText(line).width));
+        const width = Math.ceil(textWidth + pad * 2);
+        const canvasHeight = Math.ceil(lineHeight * lines.length + pad * 2);
+
+        const material = this._sprite.material;
+        if (canvas.width !== width || canvas.height !== canvasHeight) {
+            canvas.width = width;
+            canvas.height = canvasHeight;
+            // Textures can't change size once uploaded; freeing it re-uploads at the new size
+            material.map.dispose();
+        }
+
+        // Resizing resets the context, so set everything up afterwards
+        context.clearRect(0, 0, width, canvasHeight);
+        if (this._background !== null && this._background !== undefined) {
+            context.fillStyle = cssColor(this._background);
+            context.beginPath();
+            context.roundRect(0, 0, width, canvasHeight, resolution * borderRadius);
+            context.fill();
+        }
+
+        context.font = font;
+        context.fillStyle = cssColor(this._textColor);
+        context.textBaseline = 'middle';
+        context.textAlign = textAlign;
+        const x = { left: pad, center: width / 2, right: width - pad }[textAlign];
+        if (x === undefined) {
+            throw new Error(`Unknown label textAlign "${textAlign}". Use 'left', 'center' or 'right'`);
+        }
+        lines.forEach((line, i) => {
+            context.fillText(line, x, pad + lineHeight * (i + 0.5));
+        });
+
+        material.map.needsUpdate = true;
+
+        const scale = height / lineHeight;
+        this._sprite.scale.set(width * scale, canvasHeight * scale, 1);
+    }
+}
+
+/**
+ * Creates the canvas the text is drawn on: a page canvas, or an
+ * OffscreenCanvas where there's no document (e.g. in a worker).
+ * @private
+ */
+function createCanvas() {
+    if (typeof document !== 'undefined') return document.createElement('canvas');
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(1, 1);
+    throw new Error('Label needs a canvas to draw text on, but there is no document or OffscreenCanvas here');
+}
+
+/**
+ * Converts a color option to something canvas fillStyle accepts. CSS strings
+ * (including rgba() and hsl()) pass through so their alpha is kept.
+ * @private
+ */
+function cssColor(color) {
+    if (typeof color === 'string' && /^(?:rgb|hsl)a?\(|^#/i.test(color)) return color;
+    return `#${new THREE.Color(parseColor(color)).getHexString()}`;
+}
+
+GameObject.registerType('Label', Label);
+
+export { Label };
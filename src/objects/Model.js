@@ -0,0 +1,390 @@
+import * as THREE from 'three';
+import { clone as cloneSkinned } from 'three/addons/utils/SkeletonUtils.js';
+import { GameObject } from './GameObject.js';
+import { AssetManager } from '../assets/AssetManager.js';
+
+/**
+ * Loop modes accepted by Model.play().
+ * @private
+ */
+const LOOP_MODES = {
+    repeat: THREE.LoopRepeat,
+    once: THREE.LoopOnce,
+    pingpong: THREE.LoopPingPong
+};
+
+/**
+ * Model - A GameObject showing a loaded glTF, GLB or OBJ model.
+ *
+ * Works like any other GameObject (transforms, spin/float, tweens, children,
+ * picking, physics). Loading is asynchronous: the model appears once its file
+ * has loaded, and `ready` resolves then. Every Model gets its own copy of the
+ * loaded scene and materials, so recoloring one doesn't affect others.
+ *
+ * Animation clips in the file play through an AnimationMixer driven by the
+ * normal update loop, so they follow the Engine's delta, pause and time scale
+ * (including this object's timeScale).
+ *
+ * @extends GameObject
+ * @example
+ * // Appears when loaded
+ * scene.add(new Model({ url: 'models/robot.glb', scale: 0.5 }).spin());
+ *
+ * // Wait for it
+ * const ship = await Model.load('models/ship.glb', { y: 2 });
+ * ship.findByName('Propeller').rotation.z += 1;
+ *
+ * // Animated character
+ * const hero = new Model({ url: 'models/hero.glb' }).play('Idle');
+ * hero.onClipFinished((model, { clip }) => {
+ *   if (clip === 'Jump') model.crossFadeTo('Idle', 0.2);
+ * });
+ * jumpButton.onclick = () => hero.crossFadeTo('Jump', 0.1, { loop: 'once' });
+ */
+class Model extends GameObject {
+    /**
+     * Creates a new Model.
+     * @param {Object} options - Configuration options (also accepts all GameObject options)
+     * @param {string} [options.url] - Model file to load (.gltf, .glb or .obj)
+     * @param {Object|THREE.Object3D} [options.source] - Already loaded model ({ scene, animations }) or Object3D
+     * @param {AssetManager} [options.assets=AssetManager.default] - Manager used to load (and cache) the file
+     * @param {string|number} [options.color] - Override the color of every material
+     * @param {boolean} [options.wireframe] - Show every material as wireframe
+     *   (other material options such as roughness, emissive or opacity override the file's values too)
+     * @param {string|boolean} [options.autoplay] - Clip to play once loaded (true for the first clip, if the file has any)
+     */
+    constructor(options = {}) {
+        super(options);
+
+        const {
+            url = null,
+            source = null,
+            assets = AssetManager.default,
+            autoplay = false
+        } = options;
+
+        this.url = url;
+        this.content = null; // This model's copy of the loaded scene
+        this.animations = []; // Animation clips from the file
+        this.error = null;
+        this._disposed = false;
+
+        // Clip playback (see play)
+        this.mixer = null;
+        this._currentAction = null;
+        this._clipHandlers = { finished: [] };
+        this._pendingPlay = null; // play() call made before loading finished
+        if (autoplay) {
+            this._pendingPlay = { name: autoplay === true ? null : autoplay, options: {} };
+        }
+
+        if (source) {
+            this._setSource(source);
+            this.ready = Promise.resolve(this);
+        } else if (url) {
+            this.ready = assets.loadModel(url).then(
+                loaded => {
+                    if (this._disposed) return this;
+                    try {
+                        this._setSource(loaded);
+                    } catch (error) {
+                        // Loaded, but unusable (e.g. the autoplay clip isn't in the file)
+                        assets.reportError(url, 'model', error);
+                        throw error;
+                    }
+                    return this;
+                }
+            ).catch(error => {
+                this.error = error;
+                throw error;
+            });
+            // Callers who don't await ready still hear about errors via AssetManager.onError
+            this.ready.catch(() => {});
+        } else {
+            this.ready = Promise.resolve(this);
+        }
+    }
+
+    /**
+     * Loads a model and resolves once it's ready.
+     * @param {string} url - Model file to load
+     * @param {Object} [options] - Model options
+     * @returns {Promise<Model>}
+     */
+    static load(url, options = {}) {
+        return new Model({ ...options, url }).ready;
+    }
+
+    /**
+     * Whether the model's content has loaded.
+     * @type {boolean}
+     */
+    get isLoaded() {
+        return this.content !== null;
+    }
+
+    /**
+     * Models wrap a Group holding the loaded scene.
+     * @override
+     */
+    createObject() {
+        return new THREE.Group();
+    }
+
+    /**
+     * Finds a node inside the loaded model by name (e.g. a bone or sub-mesh).
+     * Use findChildByName() for child GameObjects.
+     * @param {string} name - Node name from the model file
+     * @returns {THREE.Object3D|undefined}
+     */
+    findByName(name) {
+        return this.content ? this.content.getObjectByName(name) : undefined;
+    }
+
+    /**
+     * Gets the model's animation clip with a name.
+     * @param {string} name - Clip name from the model file
+     * @returns {THREE.AnimationClip|undefined}
+     */
+    getAnimationClip(name) {
+        return this.animations.find(clip => clip.name === name);
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Clip Playback (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Name of the clip currently playing (or fading in), or null.
+     * @type {string|null}
+     */
+    get currentClip() {
+        return this._currentAction ? this._currentAction.getClip().name : null;
+    }
+
+    /**
+     * Plays an animation clip from the model file, stopping the others.
+     * Can be called before the model has loaded; it starts once it has.
+     * @param {string} name - Clip name
+     * @param {Object} [options] - Playback options
+     * @param {string} [options.loop='repeat'] - 'repeat', 'once' or 'pingpong'
+     * @param {number} [options.repetitions=Infinity] - Number of loops for 'repeat' and 'pingpong'
+     * @param {number} [options.speed=1] - Playback speed (negative plays backwards)
+     * @param {number} [options.fadeIn=0] - Seconds to fade in while fading out the previous clip
+     * @param {boolean} [options.clampWhenFinished=true] - Hold the last frame when a 'once' clip ends
+     * @param {number} [options.weight=1] - Blend weight
+     * @returns {Model} Returns this for chaining
+     *
+     * @example
+     * robot.play('Walk', { speed: 1.5 });
+     * robot.play('Wave', { loop: 'once', fadeIn: 0.2 });
+     */
+    play(name, options = {}) {
+        if (!this.content) {
+            this._pendingPlay = { name, options };
+            return this;
+        }
+
+        const {
+            loop = 'repeat',
+            repetitions = Infinity,
+            speed = 1,
+            fadeIn = 0,
+            clampWhenFinished = true,
+            weight = 1
+        } = options;
+
+        if (!LOOP_MODES[loop]) {
+            throw new Error(`Unknown loop mode "${loop}". Use 'repeat', 'once' or 'pingpong'`);
+        }
+
+        const action = this._getAction(name);
+        const previous = this._currentAction;
+
+        action.reset();
+        action.setLoop(LOOP_MODES[loop], repetitions);
+        action.clampWhenFinished = clampWhenFinished;
+        action.timeScale = speed;
+        action.setEffectiveWeight(weight);
+
+        if (previous && previous !== action && fadeIn > 0) {
+            action.play();
+            previous.crossFadeTo(action, fadeIn, false);
+        } else {
+            this.mixer.stopAllAction();
+            if (fadeIn > 0) action.fadeIn(fadeIn);
+            action.play();
+        }
+
+        this._currentAction = action;
+        return this;
+    }
+
+    /**
+     * Smoothly blends from the current clip to another.
+     * @param {string} name - Clip to fade to
+     * @param {number} [duration=0.3] - Fade time in seconds
+     * @param {Object} [options] - Same options as play()
+     * @returns {Model} Returns this for chaining
+     */
+    crossFadeTo(name, duration = 0.3, options = {}) {
+        return this.play(name, { ...options, fadeIn: duration });
+    }
+
+    /**
+     * Stops clip playback.
+     * @param {number} [fadeOut=0] - Seconds to fade out instead of stopping at once
+     * @returns {Model} Returns this for chaining
+     */
+    stopClip(fadeOut = 0) {
+        this._pendingPlay = null;
+        if (!this.mixer) return this;
+
+        if (fadeOut > 0 && this._currentAction) {
+            this._currentAction.fadeOut(fadeOut);
+        } else {
+            this.mixer.stopAllAction();
+        }
+        this._currentAction = null;
+        return this;
+    }
+
+    /**
+     * Pauses or resumes the current clip.
+     * @param {boolean} paused
+     * @returns {Model} Returns this for chaining
+     */
+    setClipPaused(paused) {
+        if (this._currentAction) this._currentAction.paused = paused;
+        return this;
+    }
+
+    /**
+     * Sets the playback speed of the current clip.
+     * @param {number} speed - 1 is normal speed; negative plays backwards
+     * @returns {Model} Returns this for chaining
+     */
+    setClipSpeed(speed) {
+        if (this._currentAction) this._currentAction.timeScale = speed;
+        return this;
+    }
+
+    /**
+     * Adds a handler called when a clip finishes (clips with loop 'once', or a
+     * limited number of repetitions).
+     * @param {Function} fn - Function receiving (model, event) where event has clip (the name) and action
+     * @returns {Model} Returns this for chaining
+     */
+    onClipFinished(fn) {
+        this._clipHandlers.finished.push(fn);
+        return this;
+    }
+
+    /**
+     * Advances clip playback with this object's scaled delta, then runs the
+     * usual GameObject update so onUpdate sees the new pose.
+     * @override
+     */
+    update(delta, elapsed) {
+        if (this.mixer) {
+            this.mixer.update(delta * this.timeScale);
+        }
+        super.update(delta, elapsed);
+    }
+
+    /** @override */
+    dispose() {
+        this._disposed = true;
+        if (this.mixer) {
+            this.mixer.stopAllAction();
+            this.mixer.uncacheRoot(this.content);
+            this.mixer = null;
+        }
+        super.dispose();
+    }
+
+    /**
+     * Frees only this model's copied materials. Geometry stays shared with
+     * the loaded asset (and every other Model made from it), so the
+     * AssetManager that cached it frees it.
+     * @override
+     * @private
+     */
+    _disposeResources() {
+        this._forEachMaterial(m => m.dispose());
+    }
+
+    /**
+     * Gets (or creates) the mixer action for a clip.
+     * @private
+     */
+    _getAction(name) {
+        const clip = this.getAnimationClip(name);
+        if (!clip) {
+            const available = this.animations.map(c => `"${c.name}"`).join(', ') || 'none';
+            throw new Error(`Unknown animation clip "${name}". Available clips: ${available}`);
+        }
+        if (!this.mixer) this._createMixer();
+        return this.mixer.clipAction(clip);
+    }
+
+    /**
+     * Creates the AnimationMixer and forwards its finished events.
+     * @private
+     */
+    _createMixer() {
+        this.mixer = new THREE.AnimationMixer(this.content);
+        this.mixer.addEventListener('finished', event => {
+            const info = { clip: event.action.getClip().name, action: event.action };
+            for (const fn of this._clipHandlers.finished.slice()) {
+                fn(this, info);
+            }
+        });
+    }
+
+    /**
+     * Installs a copy of a loaded model as this object's content.
+     * @private
+     */
+    _setSource(source) {
+        const root = source.isObject3D ? source : source.scene || (source.scenes && source.scenes[0]);
+        if (!root) {
+            throw new Error('Model source must be an Object3D or a loaded model with a scene');
+        }
+
+        // SkeletonUtils keeps skinned meshes bound to their own copied bones
+        const content = cloneSkinned(root);
+        content.traverse(object => {
+            if (!object.material) return;
+            object.material = Array.isArray(object.material)
+                ? object.material.map(material => material.clone())
+                : object.material.clone();
+        });
+
+        this.content = content;
+        this.animations = source.animations || root.animations || [];
+        this.mesh.add(content);
+
+        // Material options (color, wireframe, roughness...) override the file's materials
+        this._applyMaterialOptions(this.options);
+        this.setCastShadow(this.castShadow);
+        this.setReceiveShadow(this.receiveShadow);
+        this.setLayer(this.layer);
+
+        // Last, so an unknown clip name leaves the model otherwise set up.
+        // Named clips must exist; autoplay: true just plays the first clip, if any.
+        if (this._pendingPlay) {
+            const { name, options } = this._pendingPlay;
+            this._pendingPlay = null;
+            if (name !== null) {
+                this.play(name, options);
+            } else if (this.animations.length > 0) {
+                this.play(this.animations[0].name, options);
+            }
+        }
+    }
+}
+
+GameObject.registerType('Model', Model);
+
+export { Model };
@@ -0,0 +1,750 @@
+import * as THREE from 'three';
+import { GameObject } from './GameObject.js';
+import { AssetManager } from '../assets/AssetManager.js';
+import { parseColor, lerpColor } from '../utils/colors.js';
+
+const DEG = THREE.MathUtils.degToRad;
+
+/**
+ * Entries in the precomputed over-lifetime tables.
+ * @private
+ */
+const TABLE_SIZE = 64;
+
+/**
+ * Blending modes accepted by the blending option.
+ * @private
+ */
+const BLENDING_MODES = {
+    normal: THREE.NormalBlending,
+    additive: THREE.AdditiveBlending,
+    subtractive: THREE.SubtractiveBlending,
+    multiply: THREE.MultiplyBlending
+};
+
+/**
+ * Built-in particle sprites, used when there's no texture.
+ * @private
+ */
+const SHAPES = { soft: 0, circle: 1, square: 2 };
+
+/**
+ * Ready-made emitters. Use with the preset option; other options override them.
+ */
+const PARTICLE_PRESETS = {
+    fire: {
+        rate: 60,
+        lifetime: [0.6, 1.2],
+        speed: [1, 2],
+        spread: 15,
+        gravity: 1,
+        emitRadius: 0.2,
+        size: [0.6, 0.1],
+        color: ['#ffdd55', '#ff6a00', '#330000'],
+        opacity: [1, 0],
+        blending: 'additive'
+    },
+    smoke: {
+        rate: 15,
+        lifetime: [2.5, 4],
+        speed: [0.4, 0.8],
+        spread: 20,
+        drag: 0.3,
+        emitRadius: 0.2,
+        size: [0.4, 2],
+        color: ['#777777', '#333333'],
+        opacity: [0.5, 0]
+    },
+    sparks: {
+        rate: 40,
+        lifetime: [0.4, 0.9],
+        speed: [4, 7],
+        spread: 60,
+        gravity: -9.8,
+        drag: 0.5,
+        size: [0.08, 0.02],
+        color: ['#ffffcc', '#ff9900'],
+        blending: 'additive',
+        shape: 'circle'
+    },
+    snow: {
+        rate: 80,
+        lifetime: [6, 8],
+        speed: [0.3, 0.6],
+        direction: { x: 0, y: -1, z: 0 },
+        spread: 20,
+        emitBox: { x: 20, y: 0, z: 20 },
+        size: 0.12,
+        color: '#ffffff',
+        opacity: [1, 1, 0]
+    },
+    confetti: {
+        rate: 0,
+        bursts: [{ time: 0, count: 150 }],
+        lifetime: [2, 3],
+        speed: [4, 7],
+        spread: 35,
+        gravity: -4,
+        drag: 1.2,
+        size: 0.15,
+        palette: ['#ff3b30', '#ffcc00', '#34c759', '#007aff', '#af52de'],
+        shape: 'square'
+    }
+};
+
+/**
+ * ParticleEmitter - Emits many small sprites for fire, smoke, sparks, snow,
+ * explosions and the like.
+ *
+ * Particles are pooled and drawn in a single draw call. They can be emitted
+ * continuously (rate), in bursts, or both, and change size, color and opacity
+ * over their lifetime. By default they live in world space, so moving the
+ * emitter leaves a trail instead of dragging live particles along.
+ *
+ * Range options (lifetime, speed) take a number or [min, max]. Over-lifetime
+ * options (size, color, opacity) take one value, or a list of values spread
+ * evenly from birth to death.
+ *
+ * @extends GameObject
+ * @example
+ * // Campfire
+ * scene.add(new ParticleEmitter({ preset: 'fire' }));
+ * scene.add(new ParticleEmitter({ preset: 'smoke', y: 1 }));
+ *
+ * // Explosion on pickup, removed once finished
+ * coin.onCollisionEnter(() => {
+ *   const { x, y, z } = coin.getWorldPosition();
+ *   scene.add(new ParticleEmitter({ preset: 'sparks', rate: 0, autoRemove: true, x, y, z }).burst(100));
+ * });
+ *
+ * // Custom
+ * new ParticleEmitter({
+ *   rate: 30, lifetime: [1, 2], speed: 3, spread: 45,
+ *   size: [0.3, 0], color: ['yellow', 'red'], blending: 'additive'
+ * });
+ */
+class ParticleEmitter extends GameObject {
+    /**
+     * Creates a new ParticleEmitter.
+     * @param {Object} options - Configuration options (also accepts all GameObject options)
+     * @param {string} [options.preset] - Start from a PARTICLE_PRESETS entry ('fire', 'smoke', 'sparks', 'snow', 'confetti')
+     * @param {number} [options.maxParticles=500] - Pool size; the most particles alive at once
+     * @param {number} [options.rate=20] - Particles emitted per second
+     * @param {Array<{time: number, count: number}>} [options.bursts] - Extra particles emitted at once, at seconds after start
+     * @param {number} [options.duration=Infinity] - Seconds to emit for after start
+     * @param {boolean} [options.autoStart=true] - Start emitting immediately
+     * @param {boolean} [options.autoRemove=false] - Remove and dispose the emitter once it's finished
+     * @param {number|number[]} [options.lifetime=2] - Seconds each particle lives
+     * @param {number|number[]} [options.speed=2] - Starting speed
+     * @param {Object} [options.direction={x: 0, y: 1, z: 0}] - Emission direction, in the emitter's space
+     * @param {number} [options.spread=30] - Cone half-angle around the direction, in degrees (180 for all directions)
+     * @param {number} [options.emitRadius=0] - Emit from random points in a sphere of this radius
+     * @param {Object} [options.emitBox] - Emit from random points in a box of this size ({x, y, z})
+     * @param {number|Object} [options.gravity=0] - Acceleration: a number for straight up or down, or {x, y, z}
+     * @param {number} [options.drag=0] - Fraction of velocity lost per second
+     * @param {number|number[]} [options.size=0.2] - Size in world units, over lifetime
+     * @param {string|number|Array} [options.color='#ffffff'] - Color, over lifetime
+     * @param {number|number[]} [options.opacity=[1, 0]] - Opacity, over lifetime
+     * @param {Array} [options.palette] - Colors picked at random per particle, tinted by color
+     * @param {THREE.Texture|string} [options.texture] - Sprite texture or URL (replaces the shape)
+     * @param {string} [options.shape='soft'] - Sprite without a texture: 'soft', 'circle' or 'square'
+     * @param {string} [options.blending='normal'] - 'normal', 'additive', 'subtractive' or 'multiply'
+     * @param {boolean} [options.worldSpace=true] - Leave particles behind when the emitter moves
+     */
+    constructor(options = {}) {
+        const settings = resolveSettings(options);
+        super({ pickable: false, collidable: false, ...settings });
+
+        const {
+            rate = 20,
+            bursts = [],
+            duration = Infinity,
+            autoStart = true,
+            autoRemove = false,
+            lifetime = 2,
+            speed = 2,
+            direction = { x: 0, y: 1, z: 0 },
+            spread = 30,
+            emitRadius = 0,
+            emitBox = null,
+            gravity = 0,
+            drag = 0,
+            size = 0.2,
+            color = '#ffffff',
+            opacity = [1, 0],
+            palette = null,
+            texture = null
+        } = settings;
+
+        this.isParticleEmitter = true;
+        this.rate = rate;
+        this.bursts = bursts.map(burst => ({ ...burst }));
+        this.duration = duration;
+        this.autoRemove = autoRemove;
+        this.lifetime = toRange(lifetime);
+        this.speed = toRange(speed);
+        this.spread = spread;
+        this.emitRadius = emitRadius;
+        this.emitBox = emitBox;
+        this.gravity = typeof gravity === 'number'
+            ? new THREE.Vector3(0, gravity, 0)
+            : new THREE.Vector3(gravity.x || 0, gravity.y || 0, gravity.z || 0);
+        this.drag = drag;
+        this.palette = palette ? palette.map(c => new THREE.Color(parseColor(c))) : null;
+
+        this.isEmitting = false;
+        this._time = 0; // Seconds since start()
+        this._emitAccumulator = 0;
+        this._alive = 0;
+        this._direction = new THREE.Vector3();
+        this._coneRotation = new THREE.Quaternion();
+
+        const max = this._maxParticles;
+        this._velocities = new Float32Array(max * 3);
+        this._baseColors = new Float32Array(max * 3);
+        this._ages = new Float32Array(max);
+        this._lifetimes = new Float32Array(max);
+
+        this.setDirection(direction.x, direction.y, direction.z);
+        this.setParticleSize(size);
+        this.setParticleColor(color);
+        this.setParticleOpacity(opacity);
+        if (texture) this.setParticleTexture(texture);
+        if (autoStart) this.start();
+    }
+
+    /**
+     * Particle emitters wrap a THREE.Points cloud with a pooled buffer.
+     * @override
+     */
+    createObject(options) {
+        const {
+            maxParticles = 500,
+            shape = 'soft',
+            blending = 'normal',
+            worldSpace = true
+        } = options;
+
+        if (SHAPES[shape] === undefined) {
+            throw new Error(`Unknown particle shape "${shape}". Use 'soft', 'circle' or 'square'`);
+        }
+        if (BLENDING_MODES[blending] === undefined) {
+            const available = Object.keys(BLENDING_MODES).join(', ');
+            throw new Error(`Unknown blending mode "${blending}". Available modes: ${available}`);
+        }
+
+        this._maxParticles = maxParticles;
+        this.worldSpace = worldSpace;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', dynamicAttribute(maxParticles, 3));
+        geometry.setAttribute('color', dynamicAttribute(maxParticles, 4));
+        geometry.setAttribute('size', dynamicAttribute(maxParticles, 1));
+        geometry.setDrawRange(0, 0);
+
+        const material = createParticleMaterial(shape, worldSpace);
+        material.blending = BLENDING_MODES[blending];
+
+        const points = new THREE.Points(geometry, material);
+        points.frustumCulled = false; // Particles go wherever they like
+        points.onBeforeRender = renderer => {
+            material.uniforms.uScale.value = renderer.getDrawingBufferSize(_size).y / 2;
+        };
+        return points;
+    }
+
+    /**
+     * Number of particles currently alive.
+     * @type {number}
+     */
+    get aliveCount() {
+        return this._alive;
+    }
+
+    /**
+     * Whether the emitter has stopped emitting and every particle is gone.
+     * @type {boolean}
+     */
+    get isFinished() {
+        return !this.isEmitting && this._alive === 0;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Emission (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Starts (or restarts) emitting. Scheduled bursts play again.
+     * @returns {ParticleEmitter} Returns this for chaining
+     */
+    start() {
+        this.isEmitting = true;
+        this._time = 0;
+        this._emitAccumulator = 0;
+        for (const burst of this.bursts) burst.fired = false;
+        return this;
+    }
+
+    /**
+     * Stops emitting. Particles already alive finish their lives.
+     * @returns {ParticleEmitter} Returns this for chaining
+     */
+    stop() {
+        this.isEmitting = false;
+        return this;
+    }
+
+    /**
+     * Removes every live particle at once.
+     * @returns {ParticleEmitter} Returns this for chaining
+     */
+    clear() {
+        this._alive = 0;
+        this.mesh.geometry.setDrawRange(0, 0);
+        return this;
+    }
+
+    /**
+     * Emits a number of particles at once, whether or not the emitter is running.
+     * Particles beyond the pool size are skipped.
+     * @param {number} count
+     * @returns {ParticleEmitter} Returns this for chaining
+     *
+     * @example
+     * sparks.burst(50);
+     */
+    burst(count) {
+        this.mesh.updateWorldMatrix(true, false);
+        for (let i = 0; i < count && this._alive < this._maxParticles; i++) {
+            this._spawn();
+        }
+        this._writeBuffers();
+        return this;
+    }
+
+    /**
+     * Sets how many particles are emitted per second.
+     * @param {number} rate
+     * @returns {ParticleEmitter} Returns this for chaining
+     */
+    setRate(rate) {
+        this.rate = rate;
+        return this;
+    }
+
+    /**
+     * Sets the emission direction, in the emitter's space.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {ParticleEmitter} Returns this for chaining
+     */
+    setDirection(x, y, z) {
+        this._direction.set(x, y, z).normalize();
+        this._coneRotation.setFromUnitVectors(_up, this._direction);
+        return this;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Appearance (Chainable)
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Sets particle size over lifetime.
+     * @param {number|number[]} size - One size, or sizes spread from birth to death
+     * @returns {ParticleEmitter} Returns this for chaining
+     */
+    setParticleSize(size) {
+        this._sizeTable = buildNumberTable(size);
+        return this;
+    }
+
+    /**
+     * Sets particle color over lifetime.
+     * @param {string|number|Array} color - One color, or colors spread from birth to death
+     * @returns {ParticleEmitter} Returns this for chaining
+     */
+    setParticleColor(color) {
+        this._colorTable = buildColorTable(color);
+        return this;
+    }
+
+    /**
+     * Sets particle opacity over lifetime.
+     * @param {number|number[]} opacity - One opacity, or opacities spread from birth to death
+     * @returns {ParticleEmitter} Returns this for chaining
+     */
+    setParticleOpacity(opacity) {
+        this._opacityTable = buildNumberTable(opacity);
+        return this;
+    }
+
+    /**
+     * Tints every particle, on top of its color over lifetime.
+     * @param {string|number} color
+     * @returns {ParticleEmitter} Returns this for chaining
+     * @override
+     */
+    setColor(color) {
+        this.mesh.material.uniforms.uTint.value.set(parseColor(color));
+        return this;
+    }
+
+    /**
+     * Sets the sprite texture. URLs load in the background with the default AssetManager.
+     * @param {THREE.Texture|string|null} texture - Texture, URL, or null for the built-in shape
+     * @returns {ParticleEmitter} Returns this for chaining
+     */
+    setParticleTexture(texture) {
+        const material = this.mesh.material;
+        const apply = loaded => {
+            material.uniforms.map.value = loaded;
+            if (loaded) {
+                material.defines.USE_MAP = '';
+            } else {
+                delete material.defines.USE_MAP;
+            }
+            material.needsUpdate = true;
+        };
+
+        if (typeof texture === 'string') {
+            AssetManager.default.loadTexture(texture).then(apply, () => {});
+        } else {
+            apply(texture || null);
+        }
+        return this;
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Simulation
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Runs the emitter's own animations, then emits, moves and ages particles.
+     * @override
+     */
+    update(delta, elapsed) {
+        super.update(delta, elapsed);
+
+        const dt = delta * this.timeScale;
+        this.mesh.updateWorldMatrix(true, false);
+        this._emit(dt);
+        this._simulate(dt);
+        this._writeBuffers();
+
+        if (this.autoRemove && this.isFinished) {
+            if (this.parent) {
+                this.parent.removeChild(this);
+            } else if (this.scene) {
+                this.scene.remove(this);
+            }
+            this.dispose();
+        }
+    }
+
+    /**
+     * Emits this frame's particles from the rate and scheduled bursts.
+     * @private
+     */
+    _emit(dt) {
+        if (!this.isEmitting) return;
+
+        this._time += dt;
+        let count = 0;
+
+        for (const burst of this.bursts) {
+            if (!burst.fired && this._time >= burst.time) {
+                burst.fired = true;
+                count += burst.count;
+            }
+        }
+
+        this._emitAccumulator += this.rate * dt;
+        const fromRate = Math.floor(this._emitAccumulator);
+        this._emitAccumulator -= fromRate;
+        count += fromRate;
+
+        for (let i = 0; i < count && this._alive < this._maxParticles; i++) {
+            this._spawn();
+        }
+
+        // Burst-only emitters finish once their last burst has fired
+        const burstsLeft = this.bursts.some(burst => !burst.fired);
+        if (this._time >= this.duration || (this.rate === 0 && !burstsLeft)) {
+            this.isEmitting = false;
+        }
+    }
+
+    /**
+     * Brings a pooled particle to life. Expects the world matrix to be current.
+     * @private
+     */
+    _spawn() {
+        const i = this._alive++;
+        const i3 = i * 3;
+        const positions = this.mesh.geometry.attributes.position.array;
+
+        // Position inside the emission volume
+        if (this.emitBox) {
+            _vector.set(
+                (Math.random() - 0.5) * (this.emitBox.x || 0),
+                (Math.random() - 0.5) * (this.emitBox.y || 0),
+                (Math.random() - 0.5) * (this.emitBox.z || 0)
+            );
+        } else if (this.emitRadius > 0) {
+            randomInSphere(_vector).multiplyScalar(this.emitRadius);
+        } else {
+            _vector.set(0, 0, 0);
+        }
+
+        // Velocity inside the cone around the direction
+        const cosSpread = Math.cos(DEG(Math.min(this.spread, 180)));
+        const cosTheta = cosSpread + Math.random() * (1 - cosSpread);
+        const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+        const phi = Math.random() * Math.PI * 2;
+        _velocity.set(sinTheta * Math.cos(phi), cosTheta, sinTheta * Math.sin(phi))
+            .applyQuaternion(this._coneRotation);
+
+        if (this.worldSpace) {
+            _vector.applyMatrix4(this.mesh.matrixWorld);
+            _velocity.transformDirection(this.mesh.matrixWorld);
+        }
+        _velocity.multiplyScalar(randomIn(this.speed));
+
+        positions[i3] = _vector.x;
+        positions[i3 + 1] = _vector.y;
+        positions[i3 + 2] = _vector.z;
+        this._velocities[i3] = _velocity.x;
+        this._velocities[i3 + 1] = _velocity.y;
+        this._velocities[i3 + 2] = _velocity.z;
+
+        const base = this.palette ? this.palette[Math.floor(Math.random() * this.palette.length)] : _white;
+        this._baseColors[i3] = base.r;
+        this._baseColors[i3 + 1] = base.g;
+        this._baseColors[i3 + 2] = base.b;
+
+        this._ages[i] = 0;
+        this._lifetimes[i] = Math.max(randomIn(this.lifetime), 1e-3);
+    }
+
+    /**
+     * Ages and moves live particles, recycling dead ones.
+     * @private
+     */
+    _simulate(dt) {
+        if (this._alive === 0 || dt === 0) return;
+
+        const positions = this.mesh.geometry.attributes.position.array;
+        const velocities = this._velocities;
+        const damping = Math.max(0, 1 - this.drag * dt);
+        const gx = this.gravity.x * dt;
+        const gy = this.gravity.y * dt;
+        const gz = this.gravity.z * dt;
+
+        let i = 0;
+        while (i < this._alive) {
+            this._ages[i] += dt;
+            if (this._ages[i] >= this._lifetimes[i]) {
+                // Keep live particles packed at the front of the pool
+                this._moveParticle(--this._alive, i);
+                continue;
+            }
+
+            const i3 = i * 3;
+            velocities[i3] = (velocities[i3] + gx) * damping;
+            velocities[i3 + 1] = (velocities[i3 + 1] + gy) * damping;
+            velocities[i3 + 2] = (velocities[i3 + 2] + gz) * damping;
+            positions[i3] += velocities[i3] * dt;
+            positions[i3 + 1] += velocities[i3 + 1] * dt;
+            positions[i3 + 2] += velocities[i3 + 2] * dt;
+            i++;
+        }
+    }
+
+    /**
+     * Copies one particle's state over another.
+     * @private
+     */
+    _moveParticle(from, to) {
+        if (from === to) return;
+        const positions = this.mesh.geometry.attributes.position.array;
+        for (let k = 0; k < 3; k++) {
+            positions[to * 3 + k] = positions[from * 3 + k];
+            this._velocities[to * 3 + k] = this._velocities[from * 3 + k];
+            this._baseColors[to * 3 + k] = this._baseColors[from * 3 + k];
+        }
+        this._ages[to] = this._ages[from];
+        this._lifetimes[to] = this._lifetimes[from];
+    }
+
+    /**
+     * Writes size and color from the lifetime tables and flags the buffers for upload.
+     * @private
+     */
+    _writeBuffers() {
+        const { attributes } = this.mesh.geometry;
+        const colors = attributes.color.array;
+        const sizes = attributes.size.array;
+        const last = TABLE_SIZE - 1;
+
+        for (let i = 0; i < this._alive; i++) {
+            const index = Math.min(Math.floor((this._ages[i] / this._lifetimes[i]) * last), last);
+            const color = this._colorTable[index];
+            colors[i * 4] = color.r * this._baseColors[i * 3];
+            colors[i * 4 + 1] = color.g * this._baseColors[i * 3 + 1];
+            colors[i * 4 + 2] = color.b * this._baseColors[i * 3 + 2];
+            colors[i * 4 + 3] = this._opacityTable[index];
+            sizes[i] = this._sizeTable[index];
+        }
+
+        attributes.position.needsUpdate = true;
+        attributes.color.needsUpdate = true;
+        attributes.size.needsUpdate = true;
+        this.mesh.geometry.setDrawRange(0, this._alive);
+    }
+}
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _vector = new THREE.Vector3();
+const _velocity = new THREE.Vector3();
+const _size = new THREE.Vector2();
+const _white = new THREE.Color(1, 1, 1);
+
+/**
+ * Merges a preset under the options.
+ * @private
+ */
+function resolveSettings(options) {
+    if (!options.preset) return options;
+    const preset = PARTICLE_PRESETS[options.preset];
+    if (!preset) {
+        const available = Object.keys(PARTICLE_PRESETS).join(', ');
+        throw new Error(`Unknown particle preset "${options.preset}". Available presets: ${available}`);
+    }
+    return { ...preset, ...options };
+}
+
+/**
+ * Normalizes a number or [min, max] to [min, max].
+ * @private
+ */
+function toRange(value) {
+    return Array.isArray(value) ? [value[0], value[value.length - 1]] : [value, value];
+}
+
+/**
+ * Picks a random number in a [min, max] range.
+ * @private
+ */
+function randomIn(range) {
+    return range[0] + Math.random() * (range[1] - range[0]);
+}
+
+/**
+ * Sets a vector to a uniformly random point inside the unit sphere.
+ * @private
+ */
+function randomInSphere(target) {
+    do {
+        target.set(Math.random() * 2 - 1, Math.random() * 2 - 1, Math.random() * 2 - 1);
+    } while (target.lengthSq() > 1);
+    return target;
+}
+
+/**
+ * Samples evenly spaced stops into a lookup table, so particles don't
+ * interpolate every frame.
+ * @private
+ */
+function buildTable(value, lerp) {
+    const stops = Array.isArray(value) ? value : [value];
+    const table = [];
+    for (let i = 0; i < TABLE_SIZE; i++) {
+        const t = (i / (TABLE_SIZE - 1)) * (stops.length - 1);
+        const index = Math.min(Math.floor(t), stops.length - 2);
+        table.push(stops.length === 1 ? lerp(stops[0], stops[0], 0) : lerp(stops[index], stops[index + 1], t - index));
+    }
+    return table;
+}
+
+/** @private */
+function buildNumberTable(value) {
+    return Float32Array.from(buildTable(value, (a, b, t) => a + (b - a) * t));
+}
+
+/** @private */
+function buildColorTable(value) {
+    return buildTable(value, lerpColor);
+}
+
+/**
+ * Creates an empty attribute that's rewritten every frame.
+ * @private
+ */
+function dynamicAttribute(count, itemSize) {
+    const attribute = new THREE.BufferAttribute(new Float32Array(count * itemSize), itemSize);
+    attribute.setUsage(THREE.DynamicDrawUsage);
+    return attribute;
+}
+
+/**
+ * Creates the point sprite material.
+ * @private
+ */
+function createParticleMaterial(shape, worldSpace) {
+    const defines = { SHAPE: SHAPES[shape] };
+    if (worldSpace) defines.WORLD_SPACE = '';
+
+    return new THREE.ShaderMaterial({
+        defines,
+        uniforms: {
+            map: { value: null },
+            uScale: { value: 300 },
+            uTint: { value: new THREE.Color(1, 1, 1) }
+        },
+        vertexShader: `
+            attribute float size;
+            attribute vec4 color;
+            uniform float uScale;
+            varying vec4 vColor;
+            void main() {
+                vColor = color;
+                #ifdef WORLD_SPACE
+                    vec4 mvPosition = viewMatrix * vec4(position, 1.0);
+                #else
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                #endif
+                gl_Position = projectionMatrix * mvPosition;
+                // World-space size to pixels, shrinking with distance
+                gl_PointSize = size * projectionMatrix[1][1] * uScale / -mvPosition.z;
+            }
+        `,
+        fragmentShader: `
+            uniform sampler2D map;
+            uniform vec3 uTint;
+            varying vec4 vColor;
+            void main() {
+                #ifdef USE_MAP
+                    vec4 sprite = texture2D(map, gl_PointCoord);
+                #elif SHAPE == 0
+                    float d = length(gl_PointCoord - 0.5);
+                    vec4 sprite = vec4(1.0, 1.0, 1.0, smoothstep(0.5, 0.1, d));
+                #elif SHAPE == 1
+                    if (length(gl_PointCoord - 0.5) > 0.5) discard;
+                    vec4 sprite = vec4(1.0);
+                #else
+                    vec4 sprite = vec4(1.0);
+                #endif
+                gl_FragColor = sprite * vColor * vec4(uTint, 1.0);
+                if (gl_FragColor.a < 0.01) discard;
+                #include <colorspace_fragment>
+            }
+        `,
+        transparent: true,
+        depthWrite: false
+    });
+}
+
+GameObject.registerType('ParticleEmitter', ParticleEmitter);
+
+export { ParticleEmitter, PARTICLE_PRESETS };
@@ -0,0 +1,201 @@
+import * as THREE from 'three';
+import { Font } from 'three/addons/loaders/FontLoader.js';
+import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+import { GameObject } from './GameObject.js';
+import { AssetManager } from '../assets/AssetManager.js';
+
+/**
+ * Text3D - Solid text extruded from a typeface font.
+ *
+ * Fonts are typeface JSON files (Three.js ships some in
+ * examples/fonts, and facetype.js converts others). A URL loads through the
+ * AssetManager, so each font is fetched once however many texts use it; the
+ * text appears once the font has loaded, and `ready` resolves then.
+ *
+ * Text is centered on the object's position by default; use align and
+ * verticalAlign to anchor it by an edge instead.
+ *
+ * @extends GameObject
+ * @example
+ * scene.add(new Text3D({ text: 'Game Over', font: 'fonts/helvetiker_bold.typeface.json', color: 'red' }));
+ *
+ * const score = await Text3D.load('0', { font: 'fonts/optimer.typeface.json', size: 0.5, y: 3 });
+ * coin.onCollisionEnter(() => score.setText(String(++points)));
+ */
+class Text3D extends GameObject {
+    /**
+     * Creates a new Text3D.
+     * @param {Object} options - Configuration options (also accepts all GameObject options)
+     * @param {string} [options.text=''] - Text to show; '\n' starts a new line
+     * @param {string|Font|Object} options.font - Typeface font URL, loaded Font, or typeface JSON data
+     * @param {AssetManager} [options.assets=AssetManager.default] - Manager used to load (and cache) the font
+     * @param {number} [options.size=1] - Letter height
+     * @param {number} [options.depth=0.2] - Extrusion depth
+     * @param {number} [options.curveSegments=8] - Smoothness of curved letters
+     * @param {boolean} [options.bevel=false] - Round off the letters' edges
+     * @param {number} [options.bevelThickness=0.02] - How deep the bevel goes into the text
+     * @param {number} [options.bevelSize=0.02] - How far the bevel extends from the outline
+     * @param {string} [options.align='center'] - Horizontal anchor: 'left', 'center' or 'right'
+     * @param {string} [options.verticalAlign='middle'] - Vertical anchor: 'top', 'middle', 'bottom' or 'baseline'
+     */
+    constructor(options = {}) {
+        super(options);
+
+        const {
+            text = '',
+            font,
+            assets = AssetManager.default
+        } = options;
+
+        if (!font) {
+            throw new Error('Text3D needs a font: a typeface JSON URL, a loaded Font, or typeface data');
+        }
+
+        this.text = String(text);
+        this.font = null;
+        this.error = null;
+        this._disposed = false;
+
+        if (typeof font === 'string') {
+            this.ready = assets.loadFont(font).then(
+                loaded => {
+                    if (!this._disposed) this._setFont(loaded);
+                    return this;
+                },
+                error => {
+                    this.error = error;
+                    throw error;
+                }
+            );
+            // Callers who don't await ready still hear about errors via AssetManager.onError
+            this.ready.catch(() => {});
+        } else {
+            this._setFont(font.isFont ? font : new Font(font));
+            this.ready = Promise.resolve(this);
+        }
+    }
+
+    /**
+     * Creates a Text3D and resolves once its font has loaded.
+     * @param {string} text - Text to show
+     * @param {Object} options - Text3D options, including font
+     * @returns {Promise<Text3D>}
+     */
+    static load(text, options = {}) {
+        return new Text3D({ ...options, text }).ready;
+    }
+
+    /**
+     * Whether the font has loaded and the text is showing.
+     * @type {boolean}
+     */
+    get isLoaded() {
+        return this.font !== null;
+    }
+
+    /**
+     * Starts empty; the text geometry is built once the font is available.
+     * @override
+     */
+    createGeometry() {
+        return new THREE.BufferGeometry();
+    }
+
+    /**
+     * Changes the text.
+     * @param {string} text
+     * @returns {Text3D} Returns this for chaining
+     */
+    setText(text) {
+        this.text = String(text);
+        if (this.font) this._rebuild();
+        return this;
+    }
+
+    /**
+     * Saves the current text rather than the one the object was created with.
+     * @override
+     */
+    toJSON() {
+        const data = super.toJSON();
+        data.options.text = this.text;
+        return data;
+    }
+
+    /** @override */
+    dispose() {
+        this._disposed = true;
+        super.dispose();
+    }
+
+    /**
+     * Uses a loaded font and builds the text.
+     * @private
+     */
+    _setFont(font) {
+        this.font = font;
+        this._rebuild();
+    }
+
+    /**
+     * Replaces the geometry with the current text, offset for alignment.
+     * @private
+     */
+    _rebuild() {
+        const {
+            size = 1,
+            depth = 0.2,
+            curveSegments = 8,
+            bevel = false,
+            bevelThickness = 0.02,
+            bevelSize = 0.02,
+            align = 'center',
+            verticalAlign = 'middle'
+        } = this.options;
+
+        const geometry = new TextGeometry(this.text, {
+            font: this.font,
+            size,
+            depth,
+            curveSegments,
+            bevelEnabled: bevel,
+            bevelThickness,
+            bevelSize
+        });
+
+        geometry.computeBoundingBox();
+        const box = geometry.boundingBox;
+        if (!box.isEmpty()) {
+            geometry.translate(
+                alignOffset(align, box.min.x, box.max.x, { left: 'min', center: 'mid', right: 'max' }, 'align'),
+                alignOffset(verticalAlign, box.min.y, box.max.y,
+                    { top: 'max', middle: 'mid', bottom: 'min', baseline: 'none' }, 'verticalAlign'),
+                -depth / 2
+            );
+        }
+
+        this.mesh.geometry.dispose();
+        this.mesh.geometry = geometry;
+    }
+}
+
+/**
+ * Offset that moves the named edge (or the middle) of [min, max] to zero.
+ * 'none' leaves it where the font put it.
+ * @private
+ */
+function alignOffset(value, min, max, edges, optionName) {
+    const edge = edges[value];
+    if (!edge) {
+        const names = Object.keys(edges).map(name => `'${name}'`);
+        throw new Error(`Unknown ${optionName} "${value}". Use ${names.slice(0, -1).join(', ')} or ${names.at(-1)}`);
+    }
+    if (edge === 'none') return 0;
+    if (edge === 'min') return -min;
+    if (edge === 'max') return -max;
+    return -(min + max) / 2;
+}
+
+GameObject.registerType('Text3D', Text3D);
+
+export { Text3D };
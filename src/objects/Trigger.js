@@ -0,0 +1,84 @@
+import * as THREE from 'three';
+import { GameObject } from './GameObject.js';
+
+/**
+ * Trigger - An invisible volume that fires collision events when objects
+ * enter, stay in or leave it. Useful for pickups, kill zones and checkpoints.
+ *
+ * Triggers are not rendered or pickable, and never collide with each other.
+ * Pass debug: true to see the volume as a wireframe while building a level.
+ *
+ * @extends GameObject
+ * @example
+ * const killZone = new Trigger({ width: 50, height: 1, depth: 50, y: -10 })
+ *   .onCollisionEnter((zone, { other }) => {
+ *     if (other === player) player.setPosition(0, 2, 0);
+ *   });
+ * scene.add(killZone);
+ *
+ * // Spherical checkpoint, visible while debugging
+ * new Trigger({ shape: 'sphere', radius: 2, x: 10, debug: true });
+ */
+class Trigger extends GameObject {
+    /**
+     * Creates a new Trigger.
+     * @param {Object} options - Configuration options (also accepts all GameObject options)
+     * @param {string} [options.shape='box'] - Volume shape: 'box' or 'sphere'
+     * @param {number} [options.size=1] - Uniform size of a box (used if width/height/depth not specified)
+     * @param {number} [options.width] - Box width (X axis)
+     * @param {number} [options.height] - Box height (Y axis)
+     * @param {number} [options.depth] - Box depth (Z axis)
+     * @param {number} [options.radius=0.5] - Sphere radius
+     * @param {boolean} [options.debug=false] - Show the volume as a wireframe
+     * @param {string|number} [options.color=0x00ff88] - Wireframe color when debugging
+     */
+    constructor(options = {}) {
+        const { shape = 'box', debug = false } = options;
+
+        super({
+            color: 0x00ff88,
+            pickable: false,
+            ...options,
+            collider: shape === 'sphere' ? 'sphere' : 'box',
+            wireframe: true,
+            materialType: 'basic'
+        });
+
+        this.isTrigger = true;
+        this.setDebug(debug);
+    }
+
+    /** @override */
+    createGeometry(options) {
+        const {
+            shape = 'box',
+            size = 1,
+            width = size,
+            height = size,
+            depth = size,
+            radius = 0.5
+        } = options;
+
+        if (shape === 'sphere') {
+            return new THREE.SphereGeometry(radius, 16, 8);
+        }
+        return new THREE.BoxGeometry(width, height, depth);
+    }
+
+    /**
+     * Shows or hides the trigger's wireframe. The volume works either way.
+     * @param {boolean} debug
+     * @returns {Trigger} Returns this for chaining
+     */
+    setDebug(debug) {
+        this.debug = debug;
+        this._forEachMaterial(material => {
+            material.visible = debug;
+        });
+        return this;
+    }
+}
+
+GameObject.registerType('Trigger', Trigger);
+
+export { Trigger };
@@ -0,0 +1,22 @@
+import * as THREE from 'three';
+import { GameObject } from '../GameObject.js';
+import { Light } from './Light.js';
+
+/**
+ * AmbientLight - Lights everything equally from all directions. Fills in
+ * shadows so nothing is completely black; has no shading on its own.
+ *
+ * @extends Light
+ * @example
+ * scene.add(new AmbientLight({ intensity: 0.3 }));
+ */
+class AmbientLight extends Light {
+    /** @override */
+    createLight() {
+        return new THREE.AmbientLight();
+    }
+}
+
+GameObject.registerType('AmbientLight', AmbientLight);
+
+export { AmbientLight };
@@ -0,0 +1,112 @@
+import * as THREE from 'three';
+import { RectAreaLightUniformsLib } from 'three/addons/lights/RectAreaLightUniformsLib.js';
+import { GameObject } from '../GameObject.js';
+import { Light } from './Light.js';
+
+let uniformsReady = false;
+
+/**
+ * AreaLight - Light emitted from a rectangle, like a window or a softbox.
+ * Faces its target (the origin by default). Lights 'standard' and
+ * 'physical' materials only, and casts no shadows.
+ *
+ * @extends Light
+ * @example
+ * scene.add(new AreaLight({ width: 4, height: 1, y: 3, z: 2, intensity: 5 }));
+ */
+class AreaLight extends Light {
+    /**
+     * Creates a new AreaLight.
+     * @param {Object} options - Configuration options (also accepts all Light options)
+     * @param {number} [options.width=2] - Width of the rectangle
+     * @param {number} [options.height=2] - Height of the rectangle
+     * @param {Object|GameObject} [options.target={x: 0, y: 0, z: 0}] - Point or object to face
+     */
+    constructor(options = {}) {
+        if (!uniformsReady) {
+            RectAreaLightUniformsLib.init();
+            uniformsReady = true;
+        }
+
+        // The target is set below, once there's somewhere to keep it
+        super({ intensity: 5, ...options, target: undefined });
+
+        this._target = new THREE.Vector3();
+        this.setTarget(options.target || { x: 0, y: 0, z: 0 });
+    }
+
+    /** @override */
+    createLight(options) {
+        const { width = 2, height = 2 } = options;
+        return new THREE.RectAreaLight(0xffffff, 1, width, height);
+    }
+
+    /**
+     * Sets the size of the rectangle.
+     * @param {number} width
+     * @param {number} height
+     * @returns {AreaLight} Returns this for chaining
+     */
+    setSize(width, height) {
+        this.light.width = width;
+        this.light.height = height;
+        return this;
+    }
+
+    /**
+     * Turns the light to face a position or GameObject. A GameObject is followed as it moves.
+     * @param {number|Object|GameObject} x - X coordinate, a point ({x, y, z}) or a GameObject
+     * @param {number} [y]
+     * @param {number} [z]
+     * @returns {AreaLight} Returns this for chaining
+     * @override
+     */
+    setTarget(x, y, z) {
+        if (x && x.mesh) {
+            this._targetObject = x;
+        } else {
+            this._targetObject = null;
+            if (typeof x === 'object') {
+                this._target.set(x.x || 0, x.y || 0, x.z || 0);
+            } else {
+                this._target.set(x, y, z);
+            }
+        }
+        this._updateTarget();
+        return this;
+    }
+
+    /** @override */
+    toJSON() {
+        const data = super.toJSON();
+        data.width = this.light.width;
+        data.height = this.light.height;
+        data.target = { x: this._target.x, y: this._target.y, z: this._target.z };
+        return data;
+    }
+
+    /** @override */
+    _applyJSON(data) {
+        super._applyJSON(data);
+        if (data.width !== undefined) this.setSize(data.width, data.height);
+        if (data.target) this.setTarget(data.target);
+    }
+
+    /**
+     * Rectangle lights have no target object; they shine along their facing,
+     * so turn toward the target instead.
+     * @override
+     * @private
+     */
+    _updateTarget() {
+        if (!this._target) return; // Called by update() before the constructor finished
+        if (this._targetObject) {
+            this._targetObject.mesh.getWorldPosition(this._target);
+        }
+        this.light.lookAt(this._target);
+    }
+}
+
+GameObject.registerType('AreaLight', AreaLight);
+
+export { AreaLight };
@@ -0,0 +1,52 @@
+import * as THREE from 'three';
+import { GameObject } from '../GameObject.js';
+import { Light } from './Light.js';
+
+/**
+ * DirectionalLight - Parallel light from far away, like the sun. Only the
+ * direction from its position to its target matters, not the distance.
+ *
+ * Its shadows cover a square area around the target; set shadowArea to fit
+ * your scene (bigger areas give blurrier shadows).
+ *
+ * @extends Light
+ * @example
+ * scene.add(new DirectionalLight({ x: 5, y: 10, z: 7, castShadow: true, shadowArea: 30 }));
+ */
+class DirectionalLight extends Light {
+    /**
+     * Creates a new DirectionalLight.
+     * @param {Object} options - Configuration options (also accepts all Light options)
+     * @param {number} [options.y=10] - Y position; with the default target it shines straight down
+     * @param {number} [options.shadowArea=20] - Width and depth of the area that gets shadows
+     */
+    constructor(options = {}) {
+        super({ y: 10, ...options });
+
+        const { shadowArea = 20 } = options;
+        this.setShadowArea(shadowArea);
+    }
+
+    /** @override */
+    createLight() {
+        return new THREE.DirectionalLight();
+    }
+
+    /**
+     * Sets the size of the area around the target that gets shadows.
+     * @param {number} size - Width and depth of the area in world units
+     * @returns {DirectionalLight} Returns this for chaining
+     */
+    setShadowArea(size) {
+        const camera = this.light.shadow.camera;
+        camera.left = camera.bottom = -size / 2;
+        camera.right = camera.top = size / 2;
+        camera.far = Math.max(camera.far, size * 2);
+        camera.updateProjectionMatrix();
+        return this;
+    }
+}
+
+GameObject.registerType('DirectionalLight', DirectionalLight);
+
+export { DirectionalLight };
@@ -0,0 +1,59 @@
+import * as THREE from 'three';
+import { GameObject } from '../GameObject.js';
+import { Light } from './Light.js';
+import { parseColor } from '../../utils/colors.js';
+
+/**
+ * HemisphereLight - Soft ambient light that fades from a sky color above to a
+ * ground color below. Cheap, shadowless, and good for outdoor scenes.
+ *
+ * @extends Light
+ * @example
+ * scene.add(new HemisphereLight({ color: 'skyblue', groundColor: 'olive', intensity: 0.8 }));
+ */
+class HemisphereLight extends Light {
+    /**
+     * Creates a new HemisphereLight.
+     * @param {Object} options - Configuration options (also accepts all Light options)
+     * @param {string|number} [options.color=0xffffff] - Sky color
+     * @param {string|number} [options.groundColor=0x444444] - Ground color
+     */
+    constructor(options = {}) {
+        super(options);
+
+        const { groundColor = 0x444444 } = options;
+        this.setGroundColor(groundColor);
+    }
+
+    /** @override */
+    createLight() {
+        return new THREE.HemisphereLight();
+    }
+
+    /**
+     * Sets the color lighting surfaces that face down.
+     * @param {string|number} color
+     * @returns {HemisphereLight} Returns this for chaining
+     */
+    setGroundColor(color) {
+        this.light.groundColor.set(parseColor(color));
+        return this;
+    }
+
+    /** @override */
+    toJSON() {
+        const data = super.toJSON();
+        data.groundColor = this.light.groundColor.getHex();
+        return data;
+    }
+
+    /** @override */
+    _applyJSON(data) {
+        super._applyJSON(data);
+        if (data.groundColor !== undefined) this.setGroundColor(data.groundColor);
+    }
+}
+
+GameObject.registerType('HemisphereLight', HemisphereLight);
+
+export { HemisphereLight };
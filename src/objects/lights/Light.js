@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+import { GameObject } from '../GameObject.js';
+import { parseColor } from '../../utils/colors.js';
+
+const _position = new THREE.Vector3();
+
+/**
+ * Light - Base class for light GameObjects.
+ *
+ * Lights follow the usual GameObject conventions: position options and
+ * setters, spin/float and tweens, names for findByName(), children and
+ * serialization. They are not pickable and don't take part in collision events.
+ * Color methods and color tweens change the light's color.
+ *
+ * Directional lights and spotlights shine toward a target, set with the
+ * target option or setTarget(); the target can be a point or a GameObject
+ * to follow.
+ *
+ * Subclasses implement createLight().
+ *
+ * @abstract
+ * @extends GameObject
+ * @example
+ * scene.add(new PointLight({ color: 'orange', intensity: 20, y: 3, castShadow: true }).float());
+ */
+class Light extends GameObject {
+    /**
+     * Creates a new Light.
+     * @param {Object} options - Configuration options (also accepts all GameObject options)
+     * @param {string|number} [options.color=0xffffff] - Light color
+     * @param {number} [options.intensity=1] - Brightness
+     * @param {boolean} [options.castShadow=false] - Cast shadows (needs Engine shadows)
+     * @param {number} [options.shadowMapSize=1024] - Shadow map resolution; higher is sharper and slower
+     * @param {number} [options.shadowBias=-0.0005] - Offset that removes shadow acne; raise if surfaces look striped
+     * @param {number} [options.shadowRadius=1] - Shadow blur (for 'pcf' and 'vsm' shadow types)
+     * @param {Object|GameObject} [options.target] - Point ({x, y, z}) or object to shine at, for lights with a direction
+     */
+    constructor(options = {}) {
+        super({ pickable: false, collidable: false, ...options });
+
+        const {
+            color = 0xffffff,
+            intensity = 1,
+            shadowMapSize = 1024,
+            shadowBias = -0.0005,
+            shadowRadius = 1,
+            target
+        } = options;
+
+        this.isLight = true;
+        this.light = this.mesh; // Clearer name for the Three.js light
+        this._targetObject = null;
+
+        this.light.color.set(parseColor(color));
+        this.light.intensity = intensity;
+        this.setShadow({ mapSize: shadowMapSize, bias: shadowBias, radius: shadowRadius });
+        if (target !== undefined) this.setTarget(target);
+    }
+
+    /**
+     * Lights wrap a Three.js light instead of a mesh.
+     * @override
+     */
+    createObject(options) {
+        return this.createLight(options);
+    }
+
+    /**
+     * Creates the Three.js light. Override in subclasses.
+     * @abstract
+     * @param {Object} options - The constructor options
+     * @returns {THREE.Light}
+     */
+    createLight(options) {
+        throw new Error('Light.createLight() must be implemented by subclass');
+    }
+
+    /**
+     * Sets the brightness.
+     * @param {number} intensity
+     * @returns {Light} Returns this for chaining
+     */
+    setIntensity(intensity) {
+        this.light.intensity = intensity;
+        return this;
+    }
+
+    /**
+     * Configures this light's shadow. Only options given are changed.
+     * @param {Object} options - Shadow options
+     * @param {number} [options.mapSize] - Shadow map resolution
+     * @param {number} [options.bias] - Depth offset against shadow acne
+     * @param {number} [options.normalBias] - Offset along surface normals, for curved surfaces
+     * @param {number} [options.radius] - Blur radius
+     * @param {number} [options.near] - Shadow camera near plane
+     * @param {number} [options.far] - Shadow camera far plane
+     * @returns {Light} Returns this for chaining
+     */
+    setShadow(options) {
+        const shadow = this.light.shadow;
+        if (!shadow) return this;
+
+        const { mapSize, bias, normalBias, radius, near, far } = options;
+        if (mapSize !== undefined) {
+            shadow.mapSize.set(mapSize, mapSize);
+            // The map is reallocated at the new size on the next render
+            if (shadow.map) {
+                shadow.map.dispose();
+                shadow.map = null;
+            }
+        }
+        if (bias !== undefined) shadow.bias = bias;
+        if (normalBias !== undefined) shadow.normalBias = normalBias;
+        if (radius !== undefined) shadow.radius = radius;
+        if (near !== undefined) shadow.camera.near = near;
+        if (far !== undefined) shadow.camera.far = far;
+        shadow.camera.updateProjectionMatrix();
+        return this;
+    }
+
+    /**
+     * Points the light at a position or GameObject (directional lights and spotlights).
+     * A GameObject target is followed as it moves.
+     * @param {number|Object|GameObject} x - X coordinate, a point ({x, y, z}) or a GameObject
+     * @param {number} [y]
+     * @param {number} [z]
+     * @returns {Light} Returns this for chaining
+     *
+     * @example
+     * spotlight.setTarget(player);
+     * sun.setTarget(0, 0, 0);
+     */
+    setTarget(x, y, z) {
+        const target = this.light.target;
+        if (!target) {
+            throw new Error(`${this.constructor.name} has no direction, so it can't have a target`);
+        }
+
+        if (x && x.mesh) {
+            this._targetObject = x;
+        } else {
+            this._targetObject = null;
+            if (typeof x === 'object') {
+                target.position.set(x.x || 0, x.y || 0, x.z || 0);
+            } else {
+                target.position.set(x, y, z);
+            }
+        }
+        this._updateTarget();
+        return this;
+    }
+
+    /**
+     * Keeps the target up to date, then runs the usual GameObject update.
+     * @override
+     */
+    update(delta, elapsed) {
+        super.update(delta, elapsed);
+        this._updateTarget();
+    }
+
+    /**
+     * Light color and intensity are saved along with the usual GameObject data.
+     * @override
+     */
+    toJSON() {
+        const data = super.toJSON();
+        data.intensity = this.light.intensity;
+
+        // A followed GameObject can't be saved, so its current position is instead
+        const target = this.light.target;
+        if (target) {
+            data.target = { x: target.position.x, y: target.position.y, z: target.position.z };
+        }
+        return data;
+    }
+
+    /** @override */
+    _applyJSON(data) {
+        super._applyJSON(data);
+        if (data.intensity !== undefined) this.setIntensity(data.intensity);
+        if (data.target && this.light.target) this.setTarget(data.target);
+    }
+
+    /**
+     * Lights have no materials; their color lives on the light itself, so the
+     * color methods, color tweens and toJSON() act on it.
+     * @override
+     * @private
+     */
+    _getMaterials() {
+        return [this.light];
+    }
+
+    /** @override */
+    dispose() {
+        this._targetObject = null;
+        super.dispose();
+    }
+
+    /**
+     * Copies a followed object's position to the target and updates its matrix.
+     * The target isn't in the scene graph, so nothing else would.
+     * @private
+     */
+    _updateTarget() {
+        const target = this.light.target;
+        if (!target) return;
+
+        if (this._targetObject) {
+            target.position.copy(this._targetObject.mesh.getWorldPosition(_position));
+        }
+        target.updateMatrixWorld();
+    }
+}
+
+export { Light };
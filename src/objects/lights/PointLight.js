@@ -0,0 +1,36 @@
+import * as THREE from 'three';
+import { GameObject } from '../GameObject.js';
+import { Light } from './Light.js';
+
+/**
+ * PointLight - Shines in all directions from a point, like a bare bulb.
+ *
+ * @extends Light
+ * @example
+ * scene.add(new PointLight({ color: 'orange', intensity: 10, y: 2 }));
+ *
+ * // Flickering torch
+ * new PointLight({ color: 0xff9933, distance: 8 })
+ *   .onUpdate((light, delta, elapsed) => light.setIntensity(4 + Math.sin(elapsed * 20) * 0.5));
+ */
+class PointLight extends Light {
+    /**
+     * Creates a new PointLight.
+     * @param {Object} options - Configuration options (also accepts all Light options)
+     * @param {number} [options.distance=0] - Range of the light; 0 means no limit
+     * @param {number} [options.decay=2] - How quickly the light dims with distance (2 is physically correct)
+     */
+    constructor(options = {}) {
+        super({ intensity: 10, ...options });
+    }
+
+    /** @override */
+    createLight(options) {
+        const { distance = 0, decay = 2 } = options;
+        return new THREE.PointLight(0xffffff, 1, distance, decay);
+    }
+}
+
+GameObject.registerType('PointLight', PointLight);
+
+export { PointLight };
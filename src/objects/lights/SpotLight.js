@@ -0,0 +1,80 @@
+import * as THREE from 'three';
+import { GameObject } from '../GameObject.js';
+import { Light } from './Light.js';
+
+const DEG = THREE.MathUtils.degToRad;
+const RAD = THREE.MathUtils.radToDeg;
+
+/**
+ * SpotLight - A cone of light shining from a point toward a target.
+ *
+ * @extends Light
+ * @example
+ * // Stage light following the player
+ * scene.add(new SpotLight({ y: 8, angle: 20, target: player, castShadow: true }));
+ */
+class SpotLight extends Light {
+    /**
+     * Creates a new SpotLight.
+     * @param {Object} options - Configuration options (also accepts all Light options)
+     * @param {number} [options.y=5] - Y position; with the default target it shines straight down
+     * @param {number} [options.angle=30] - Cone half-angle in degrees (up to 90)
+     * @param {number} [options.penumbra=0.2] - Softness of the cone's edge, 0-1
+     * @param {number} [options.distance=0] - Range of the light; 0 means no limit
+     * @param {number} [options.decay=2] - How quickly the light dims with distance
+     */
+    constructor(options = {}) {
+        super({ y: 5, intensity: 20, ...options });
+    }
+
+    /** @override */
+    createLight(options) {
+        const {
+            angle = 30,
+            penumbra = 0.2,
+            distance = 0,
+            decay = 2
+        } = options;
+
+        return new THREE.SpotLight(0xffffff, 1, distance, DEG(angle), penumbra, decay);
+    }
+
+    /**
+     * Sets the cone's half-angle.
+     * @param {number} angle - Degrees (up to 90)
+     * @returns {SpotLight} Returns this for chaining
+     */
+    setAngle(angle) {
+        this.light.angle = DEG(angle);
+        return this;
+    }
+
+    /**
+     * Sets the softness of the cone's edge.
+     * @param {number} penumbra - 0 (hard) to 1 (soft)
+     * @returns {SpotLight} Returns this for chaining
+     */
+    setPenumbra(penumbra) {
+        this.light.penumbra = penumbra;
+        return this;
+    }
+
+    /** @override */
+    toJSON() {
+        const data = super.toJSON();
+        data.angle = RAD(this.light.angle);
+        data.penumbra = this.light.penumbra;
+        return data;
+    }
+
+    /** @override */
+    _applyJSON(data) {
+        super._applyJSON(data);
+        if (data.angle !== undefined) this.setAngle(data.angle);
+        if (data.penumbra !== undefined) this.setPenumbra(data.penumbra);
+    }
+}
+
+GameObject.registerType('SpotLight', SpotLight);
+
+export { SpotLight };
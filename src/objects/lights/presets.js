@@ -0,0 +1,82 @@
+import { AmbientLight } from './AmbientLight.js';
+import { DirectionalLight } from './DirectionalLight.js';
+import { HemisphereLight } from './HemisphereLight.js';
+import { PointLight } from './PointLight.js';
+import { SpotLight } from './SpotLight.js';
+import { AreaLight } from './AreaLight.js';
+
+/**
+ * Light classes by the type names used in LIGHTING_PRESETS.
+ * @private
+ */
+const LIGHT_TYPES = {
+    ambient: AmbientLight,
+    directional: DirectionalLight,
+    hemisphere: HemisphereLight,
+    point: PointLight,
+    spot: SpotLight,
+    area: AreaLight
+};
+
+/**
+ * Named lighting setups for quick scenes. Use with the Scene lighting option
+ * or scene.setLighting(). Each entry is a list of light options plus a type;
+ * the lights get the names shown so they can be found with findByName().
+ * The main light of each preset casts shadows once Engine shadows are on.
+ */
+const LIGHTING_PRESETS = {
+    // Soft ambient fill plus one sun (the Scene default)
+    default: [
+        { type: 'ambient', name: 'ambientLight', intensity: 0.5 },
+        { type: 'directional', name: 'sunLight', x: 5, y: 10, z: 7, castShadow: true }
+    ],
+
+    // Three-point lighting for showing off objects
+    studio: [
+        { type: 'hemisphere', name: 'ambientLight', color: 0xffffff, groundColor: 0x666666, intensity: 0.6 },
+        { type: 'directional', name: 'keyLight', x: 5, y: 8, z: 5, intensity: 1.5, castShadow: true },
+        { type: 'directional', name: 'fillLight', x: -6, y: 3, z: 4, color: 0xdde8ff, intensity: 0.5 },
+        { type: 'directional', name: 'rimLight', x: 0, y: 5, z: -8, intensity: 0.8 }
+    ],
+
+    // Bright outdoor light from a high sun and blue sky
+    daylight: [
+        { type: 'hemisphere', name: 'ambientLight', color: 0xbfe3ff, groundColor: 0x8d7b5a, intensity: 0.8 },
+        { type: 'directional', name: 'sunLight', x: 8, y: 15, z: 5, color: 0xfff4e0, intensity: 2, castShadow: true }
+    ],
+
+    // Low orange sun with long shadows and a purple sky
+    sunset: [
+        { type: 'hemisphere', name: 'ambientLight', color: 0xffa07a, groundColor: 0x2a1a3a, intensity: 0.5 },
+        { type: 'directional', name: 'sunLight', x: -10, y: 3, z: -6, color: 0xff8c42, intensity: 2, castShadow: true }
+    ],
+
+    // Dim blue moonlight
+    night: [
+        { type: 'ambient', name: 'ambientLight', color: 0x223355, intensity: 0.4 },
+        { type: 'directional', name: 'moonLight', x: -4, y: 10, z: -6, color: 0x9bb8ff, intensity: 0.5, castShadow: true }
+    ]
+};
+
+/**
+ * Creates the lights of a lighting preset.
+ * @param {string} name - A LIGHTING_PRESETS name
+ * @returns {Light[]}
+ */
+function createLightingPreset(name) {
+    const preset = LIGHTING_PRESETS[name];
+    if (!preset) {
+        const available = Object.keys(LIGHTING_PRESETS).join(', ');
+        throw new Error(`Unknown lighting preset "${name}". Available presets: ${available}`);
+    }
+
+    return preset.map(({ type, ...options }) => {
+        const LightType = LIGHT_TYPES[type];
+        if (!LightType) {
+            throw new Error(`Unknown light type "${type}" in lighting preset "${name}"`);
+        }
+        return new LightType({ ...options, lightingPreset: name });
+    });
+}
+
+export { LIGHTING_PRESETS, createLightingPreset };
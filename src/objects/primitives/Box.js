@@ -57,4 +57,6 @@ class Box extends GameObject {
     }
 }
 
+GameObject.registerType('Box', Box);
+
 export { Box };
@@ -50,4 +50,6 @@ class Cylinder extends GameObject {
     }
 }
 
+GameObject.registerType('Cylinder', Cylinder);
+
 export { Cylinder };
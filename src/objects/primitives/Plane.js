@@ -40,4 +40,6 @@ class Plane extends GameObject {
     }
 }
 
+GameObject.registerType('Plane', Plane);
+
 export { Plane };
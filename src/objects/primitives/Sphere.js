@@ -33,4 +33,6 @@ class Sphere extends GameObject {
     }
 }
 
+GameObject.registerType('Sphere', Sphere);
+
 export { Sphere };
@@ -35,4 +35,6 @@ class Torus extends GameObject {
     }
 }
 
+GameObject.registerType('Torus', Torus);
+
 export { Torus };
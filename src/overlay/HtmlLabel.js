@@ -0,0 +1,155 @@
+import * as THREE from 'three';
+
+/**
+ * HtmlLabel - An HTML element pinned to a point in the scene.
+ *
+ * The Engine moves the element over its anchor every frame, and hides it
+ * while the anchor is behind the camera, hidden, outside the running scene,
+ * or (with occlude on) behind another object. Because it's plain HTML, it
+ * can hold anything: styled text, images, buttons.
+ *
+ * Created with engine.addHtmlLabel(); style it with its className or its
+ * element directly.
+ *
+ * @example
+ * const tag = engine.addHtmlLabel(enemy, 'Goblin', { offset: { y: 1.2 }, className: 'nameplate' });
+ * tag.setContent(`Goblin (${enemy.health} HP)`);
+ * enemy.onCollisionEnter(() => tag.remove());
+ */
+class HtmlLabel {
+    /**
+     * Created by engine.addHtmlLabel(); not meant to be constructed directly.
+     * @param {HtmlOverlay} overlay - The owning overlay
+     * @param {GameObject|THREE.Object3D|THREE.Vector3|Object} target - What to follow
+     * @param {string|HTMLElement} content - Text, or an element to show
+     * @param {Object} [options] - See Engine.addHtmlLabel
+     */
+    constructor(overlay, target, content, options = {}) {
+        const {
+            offset = {},
+            occlude = true,
+            className = 'label',
+            center = true
+        } = options;
+
+        this.overlay = overlay;
+        this.target = target;
+        this.offset = new THREE.Vector3(offset.x || 0, offset.y || 0, offset.z || 0);
+        this.occlude = occlude;
+        this.visible = true; // Whether the label wants to show; it's also hidden while its anchor can't be seen
+        this.isShown = false; // Whether it was shown on the last frame
+
+        this.element = document.createElement('div');
+        this.element.className = className;
+        Object.assign(this.element.style, {
+            position: 'absolute',
+            left: '0',
+            top: '0',
+            display: 'none',
+            whiteSpace: 'nowrap'
+        });
+        this._center = center;
+        this.setContent(content);
+    }
+
+    /**
+     * Replaces the label's content.
+     * @param {string|HTMLElement} content - Text (shown as-is, not parsed as HTML), or an element
+     * @returns {HtmlLabel} Returns this for chaining
+     */
+    setContent(content) {
+        if (content instanceof HTMLElement) {
+            this.element.replaceChildren(content);
+        } else {
+            this.element.textContent = String(content);
+        }
+        return this;
+    }
+
+    /**
+     * Changes what the label follows.
+     * @param {GameObject|THREE.Object3D|THREE.Vector3|Object} target
+     * @returns {HtmlLabel} Returns this for chaining
+     */
+    setTarget(target) {
+        this.target = target;
+        return this;
+    }
+
+    /**
+     * Sets the offset from the target, in world units.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {HtmlLabel} Returns this for chaining
+     */
+    setOffset(x, y, z) {
+        this.offset.set(x, y, z);
+        return this;
+    }
+
+    /**
+     * Shows or hides the label. A shown label still hides while its anchor can't be seen.
+     * @param {boolean} visible
+     * @returns {HtmlLabel} Returns this for chaining
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        return this;
+    }
+
+    /**
+     * Removes the label from the page.
+     */
+    remove() {
+        this.overlay.remove(this);
+    }
+
+    /**
+     * Gets the anchor's world position, or null if it can't currently be seen
+     * in the given scene (hidden, on a hidden layer, or not part of it).
+     * @private
+     */
+    _getAnchor(scene, target) {
+        const anchor = this.target;
+        let object3D = null;
+
+        if (anchor.mesh && anchor.mesh.isObject3D) {
+            object3D = anchor.mesh;
+        } else if (anchor.isObject3D) {
+            object3D = anchor;
+        }
+
+        if (object3D) {
+            let root = object3D;
+            for (let current = object3D; current; current = current.parent) {
+                if (!current.visible) return null;
+                root = current;
+            }
+            if (root !== scene.scene || !object3D.layers.test(scene.camera.layers)) return null;
+            object3D.getWorldPosition(target);
+        } else {
+            target.set(anchor.x || 0, anchor.y || 0, anchor.z || 0);
+        }
+        return target.add(this.offset);
+    }
+
+    /**
+     * Moves the element to a position in pixels and shows or hides it.
+     * @private
+     */
+    _place(shown, x, y, depth) {
+        if (shown !== this.isShown) {
+            this.element.style.display = shown ? '' : 'none';
+            this.isShown = shown;
+        }
+        if (!shown) return;
+
+        const centering = this._center ? ' translate(-50%, -50%)' : '';
+        this.element.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px)${centering}`;
+        // Nearer labels on top
+        this.element.style.zIndex = String(Math.round((1 - depth) * 100000));
+    }
+}
+
+export { HtmlLabel };
@@ -0,0 +1,193 @@
+import * as THREE from 'three';
+import { HtmlLabel } from './HtmlLabel.js';
+
+const _position = new THREE.Vector3();
+const _viewPosition = new THREE.Vector3();
+const _cameraPosition = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+
+/**
+ * HtmlOverlay - Keeps HTML labels over their anchors in the running scene.
+ *
+ * Labels live in one layer laid over the canvas, which ignores the pointer
+ * so the scene underneath still gets clicks (set pointer-events on a label's
+ * element to make it clickable). The layer is only added to the page once
+ * the first label is.
+ *
+ * Owned by the Engine; use engine.addHtmlLabel() and friends.
+ */
+class HtmlOverlay {
+    /**
+     * Creates a new HtmlOverlay.
+     * @param {Engine} engine - The engine whose scenes labels are placed in
+     */
+    constructor(engine) {
+        this.engine = engine;
+        this.labels = [];
+        this.element = null;
+        this.raycaster = new THREE.Raycaster();
+    }
+
+    /**
+     * Adds a label.
+     * @param {GameObject|THREE.Object3D|THREE.Vector3|Object} target - What to follow
+     * @param {string|HTMLElement} content - Text, or an element to show
+     * @param {Object} [options] - See Engine.addHtmlLabel
+     * @returns {HtmlLabel}
+     */
+    add(target, content, options = {}) {
+        if (!target) {
+            throw new Error('addHtmlLabel needs a target: a GameObject, an Object3D or a position');
+        }
+        if (typeof document === 'undefined') {
+            throw new Error('HTML labels need a document to add elements to; use Label for text without one');
+        }
+        const label = new HtmlLabel(this, target, content, options);
+        this._getElement().appendChild(label.element);
+        this.labels.push(label);
+        return label;
+    }
+
+    /**
+     * Removes a label from the page.
+     * @param {HtmlLabel} label
+     */
+    remove(label) {
+        const index = this.labels.indexOf(label);
+        if (index === -1) return;
+        this.labels.splice(index, 1);
+        label.element.remove();
+    }
+
+    /**
+     * Removes every label.
+     */
+    clear() {
+        for (const label of this.labels.slice()) {
+            this.remove(label);
+        }
+    }
+
+    /**
+     * Moves every label over its anchor, as seen by the running scene's camera.
+     * Called by the Engine after each render.
+     */
+    update() {
+        if (this.labels.length === 0) return;
+
+        const scene = this.engine.activeScene;
+        const { width, height } = this.engine;
+        const canvas = this.engine.canvas;
+        Object.assign(this.element.style, {
+            left: `${canvas ? canvas.offsetLeft : 0}px`,
+            top: `${canvas ? canvas.offsetTop : 0}px`,
+            width: `${width}px`,
+            height: `${height}px`
+        });
+
+        if (scene) scene.camera.updateMatrixWorld();
+
+        for (const label of this.labels) {
+            const anchor = scene && label.visible ? label._getAnchor(scene, _position) : null;
+            if (!anchor) {
+                label._place(false);
+                continue;
+            }
+
+            // Behind the camera
+            _viewPosition.copy(anchor).applyMatrix4(scene.camera.matrixWorldInverse);
+            if (_viewPosition.z >= 0) {
+                label._place(false);
+                continue;
+            }
+
+            if (label.occlude && this._isOccluded(scene, label, anchor)) {
+                label._place(false);
+                continue;
+            }
+
+            anchor.project(scene.camera);
+            label._place(
+                true,
+                (anchor.x + 1) / 2 * width,
+                (1 - anchor.y) / 2 * height,
+                anchor.z
+            );
+        }
+    }
+
+    /**
+     * Removes every label and the layer.
+     */
+    dispose() {
+        this.clear();
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    /**
+     * Checks whether a visible mesh other than the label's target lies
+     * between the camera and the anchor.
+     * @private
+     */
+    _isOccluded(scene, label, anchor) {
+        scene.camera.getWorldPosition(_cameraPosition);
+        _direction.subVectors(anchor, _cameraPosition);
+        const distance = _direction.length();
+        if (distance === 0) return false;
+
+        this.raycaster.set(_cameraPosition, _direction.divideScalar(distance));
+        this.raycaster.far = distance * 0.999; // Don't count the surface the anchor sits on
+        this.raycaster.camera = scene.camera; // Sprites need it
+        this.raycaster.layers.mask = scene.camera.layers.mask; // Hidden layers don't block the view
+        const targetObject = label.target.mesh || label.target;
+
+        const hits = this.raycaster.intersectObjects(scene.scene.children, true);
+        return hits.some(({ object }) => (
+            object.isMesh && isVisible(object) && !isPartOf(object, targetObject)
+        ));
+    }
+
+    /**
+     * Lazily creates the layer holding the labels.
+     * @private
+     */
+    _getElement() {
+        if (!this.element) {
+            this.element = document.createElement('div');
+            Object.assign(this.element.style, {
+                position: 'absolute',
+                overflow: 'hidden',
+                pointerEvents: 'none'
+            });
+            (this.engine.container || document.body).appendChild(this.element);
+        }
+        return this.element;
+    }
+}
+
+/**
+ * Checks whether an object and all its parents are visible.
+ * @private
+ */
+function isVisible(object3D) {
+    for (let current = object3D; current; current = current.parent) {
+        if (!current.visible) return false;
+    }
+    return true;
+}
+
+/**
+ * Checks whether an object is, or is inside, another object.
+ * @private
+ */
+function isPartOf(object3D, ancestor) {
+    for (let current = object3D; current; current = current.parent) {
+        if (current === ancestor) return true;
+    }
+    return false;
+}
+
+export { HtmlOverlay };
@@ -0,0 +1,204 @@
+import * as THREE from 'three';
+import { SpatialHash } from './SpatialHash.js';
+
+/**
+ * CollisionSystem - Detects overlaps between GameObjects and dispatches
+ * collisionenter, collisionstay and collisionexit events to them.
+ *
+ * Works on world bounding volumes of each object's own geometry (an axis-aligned
+ * box, or a sphere with the collider: 'sphere' option), independent of the
+ * physics world. A spatial hash keeps it fast with thousands of objects, and
+ * only objects with collision handlers are tested against their neighbours.
+ * Parents and their children never collide with each other, and triggers
+ * don't collide with other triggers.
+ *
+ * Owned by a Scene and updated after GameObjects each frame.
+ */
+class CollisionSystem {
+    /**
+     * Creates a new CollisionSystem.
+     * @param {Scene} scene - The scene to watch
+     * @param {Object} [options] - Configuration options
+     * @param {number} [options.cellSize=4] - Broadphase cell size; roughly the size of a typical object or a bit larger
+     */
+    constructor(scene, options = {}) {
+        const { cellSize = 4 } = options;
+
+        this.scene = scene;
+        this.hash = new SpatialHash(cellSize);
+
+        this._volumes = new Map(); // GameObject -> { box, sphere }
+        this._contacts = new Map(); // GameObject with handlers -> Set of overlapping GameObjects
+        this._candidates = new Set();
+    }
+
+    /**
+     * Finds overlaps and fires events. Called by the Scene each frame.
+     */
+    update() {
+        const owners = [];
+        const objects = [];
+        this.scene.traverse(obj => {
+            if (!obj.mesh || !obj.collidable) return;
+            objects.push(obj);
+            if (obj._hasCollisionHandlers && obj._hasCollisionHandlers()) owners.push(obj);
+        });
+
+        if (owners.length === 0 && this._contacts.size === 0) return;
+
+        this.scene.scene.updateMatrixWorld();
+        this._buildVolumes(objects);
+
+        const events = [];
+        const previousContacts = this._contacts;
+        this._contacts = new Map();
+
+        for (const owner of owners) {
+            const current = this._findOverlaps(owner);
+            const previous = previousContacts.get(owner);
+            previousContacts.delete(owner);
+
+            for (const other of current) {
+                const type = previous && previous.has(other) ? 'collisionstay' : 'collisionenter';
+                events.push([owner, type, other]);
+            }
+            if (previous) {
+                for (const other of previous) {
+                    if (!current.has(other)) events.push([owner, 'collisionexit', other]);
+                }
+            }
+            if (current.size > 0) this._contacts.set(owner, current);
+        }
+
+        // Owners that left the scene, lost their handlers or became non-collidable get exits too
+        for (const [owner, previous] of previousContacts) {
+            for (const other of previous) events.push([owner, 'collisionexit', other]);
+        }
+
+        for (const [owner, type, other] of events) {
+            owner._fireCollisionEvent(type, { type, other });
+        }
+    }
+
+    /**
+     * Gets the objects currently overlapping a GameObject with collision handlers.
+     * @param {GameObject} gameObject
+     * @returns {GameObject[]}
+     */
+    getContacts(gameObject) {
+        const contacts = this._contacts.get(gameObject);
+        return contacts ? [...contacts] : [];
+    }
+
+    /**
+     * Forgets all contacts without firing exit events.
+     */
+    clear() {
+        this._contacts.clear();
+        this._volumes.clear();
+        this.hash.clear();
+    }
+
+    /**
+     * Computes world bounding volumes and refills the spatial hash.
+     * @private
+     */
+    _buildVolumes(objects) {
+        const previous = this._volumes;
+        this._volumes = new Map();
+        this.hash.clear();
+
+        for (const obj of objects) {
+            // Reuse last frame's volume objects to avoid allocations
+            const volume = previous.get(obj) || { box: new THREE.Box3(), sphere: null };
+            computeVolume(obj, volume);
+            this._volumes.set(obj, volume);
+            this.hash.insert(obj, volume.box);
+        }
+    }
+
+    /**
+     * Collects the objects overlapping one object.
+     * @private
+     */
+    _findOverlaps(owner) {
+        const result = new Set();
+        const volume = this._volumes.get(owner);
+
+        this._candidates.clear();
+        this.hash.query(volume.box, this._candidates);
+
+        for (const other of this._candidates) {
+            if (other === owner) continue;
+            if (owner.isTrigger && other.isTrigger) continue;
+            if (owner.isAncestorOf(other) || other.isAncestorOf(owner)) continue;
+            if (intersects(volume, this._volumes.get(other))) result.add(other);
+        }
+        return result;
+    }
+}
+
+/**
+ * Writes a GameObject's world bounding volume (box, plus sphere for sphere colliders).
+ * Expects world matrices to be up to date.
+ * @private
+ */
+function computeVolume(obj, volume) {
+    const mesh = obj.mesh;
+    const geometry = mesh.geometry;
+
+    if (!geometry || mesh.isInstancedMesh) {
+        obj.getWorldBounds(volume.box);
+        volume.sphere = null;
+        return;
+    }
+
+    if (obj.collider === 'sphere') {
+        if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+        volume.sphere = (volume.sphere || new THREE.Sphere()).copy(geometry.boundingSphere).applyMatrix4(mesh.matrixWorld);
+        volume.sphere.getBoundingBox(volume.box);
+    } else {
+        if (!geometry.boundingBox) geometry.computeBoundingBox();
+        transformBox(geometry.boundingBox, mesh.matrixWorld, volume.box);
+        volume.sphere = null;
+    }
+}
+
+/**
+ * Same result as Box3.applyMatrix4, but transforms the centre and extents
+ * instead of all eight corners, which matters with thousands of objects.
+ * @private
+ */
+function transformBox(source, matrix, target) {
+    const e = matrix.elements;
+    const cx = (source.min.x + source.max.x) / 2;
+    const cy = (source.min.y + source.max.y) / 2;
+    const cz = (source.min.z + source.max.z) / 2;
+    const hx = (source.max.x - source.min.x) / 2;
+    const hy = (source.max.y - source.min.y) / 2;
+    const hz = (source.max.z - source.min.z) / 2;
+
+    const x = e[0] * cx + e[4] * cy + e[8] * cz + e[12];
+    const y = e[1] * cx + e[5] * cy + e[9] * cz + e[13];
+    const z = e[2] * cx + e[6] * cy + e[10] * cz + e[14];
+    const ex = Math.abs(e[0]) * hx + Math.abs(e[4]) * hy + Math.abs(e[8]) * hz;
+    const ey = Math.abs(e[1]) * hx + Math.abs(e[5]) * hy + Math.abs(e[9]) * hz;
+    const ez = Math.abs(e[2]) * hx + Math.abs(e[6]) * hy + Math.abs(e[10]) * hz;
+
+    target.min.set(x - ex, y - ey, z - ez);
+    target.max.set(x + ex, y + ey, z + ez);
+    return target;
+}
+
+/**
+ * Exact overlap test between two volumes.
+ * @private
+ */
+function intersects(a, b) {
+    if (a.sphere && b.sphere) return a.sphere.intersectsSphere(b.sphere);
+    if (a.sphere) return b.box.intersectsSphere(a.sphere);
+    if (b.sphere) return a.box.intersectsSphere(b.sphere);
+    return a.box.intersectsBox(b.box);
+}
+
+export { CollisionSystem };
@@ -0,0 +1,406 @@
+import * as THREE from 'three';
+import { collide } from './collision.js';
+
+const _rA = new THREE.Vector3();
+const _rB = new THREE.Vector3();
+const _relative = new THREE.Vector3();
+const _temp = new THREE.Vector3();
+const _impulse = new THREE.Vector3();
+const _spin = new THREE.Quaternion();
+const _interpolatedPosition = new THREE.Vector3();
+const _interpolatedQuaternion = new THREE.Quaternion();
+
+/**
+ * PhysicsWorld - A lightweight rigid-body simulation.
+ *
+ * Handles gravity, mass, restitution and friction for spheres, boxes, capsules
+ * and static planes using a sequential-impulse solver. It is pure JavaScript
+ * (only Three.js math), so it runs headless, e.g. in Node tests.
+ *
+ * The world steps at a fixed timestep internally and interpolates what it
+ * writes back to GameObjects, so results don't depend on frame rate.
+ *
+ * @example
+ * const scene = new Scene({ physics: { gravity: { x: 0, y: -9.81, z: 0 } } });
+ * scene.add(new Box({ width: 10, height: 0.2, depth: 10 }).enablePhysics({ mass: 0 }));
+ * scene.add(new Sphere({ y: 5, radius: 0.5 }).enablePhysics({ mass: 1, restitution: 0.7 }));
+ *
+ * // Headless
+ * const world = new PhysicsWorld();
+ * world.addBody(body);
+ * world.step(1 / 60);
+ */
+class PhysicsWorld {
+    /**
+     * Creates a new PhysicsWorld.
+     * @param {Object} options - Configuration options
+     * @param {{x: number, y: number, z: number}} [options.gravity={x:0, y:-9.81, z:0}] - Gravity acceleration
+     * @param {number} [options.timestep=1/60] - Simulation step in seconds
+     * @param {number} [options.maxSubSteps=5] - Most steps run per update, so slow frames can't snowball
+     * @param {number} [options.iterations=10] - Solver iterations per step (more = stiffer stacks)
+     * @param {boolean} [options.interpolate=true] - Smooth rendered motion between steps
+     */
+    constructor(options = {}) {
+        const {
+            gravity = { x: 0, y: -9.81, z: 0 },
+            timestep = 1 / 60,
+            maxSubSteps = 5,
+            iterations = 10,
+            interpolate = true
+        } = options;
+
+        this.gravity = new THREE.Vector3(gravity.x, gravity.y, gravity.z);
+        this.timestep = timestep;
+        this.maxSubSteps = maxSubSteps;
+        this.iterations = iterations;
+        this.interpolate = interpolate;
+        this.bodies = [];
+        this.contacts = [];
+
+        // Tuning constants for the solver
+        this.restitutionThreshold = 0.5; // Slower impacts than this don't bounce (m/s)
+        this.penetrationSlop = 0.005; // Overlap allowed before correcting
+        this.correctionPercent = 0.6; // Fraction of overlap corrected each step
+
+        this._accumulator = 0;
+        this._impulseCache = new Map(); // Last step's impulses by contact key, for warm starting
+    }
+
+    /**
+     * Sets gravity.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {PhysicsWorld} Returns this for chaining
+     */
+    setGravity(x, y, z) {
+        this.gravity.set(x, y, z);
+        return this;
+    }
+
+    /**
+     * Adds a body to the simulation.
+     * @param {RigidBody} body
+     * @returns {PhysicsWorld} Returns this for chaining
+     */
+    addBody(body) {
+        if (body.world === this) return this;
+        if (body.world) body.world.removeBody(body);
+        body.world = this;
+        body.readFromObject();
+        this.bodies.push(body);
+        return this;
+    }
+
+    /**
+     * Removes a body from the simulation.
+     * @param {RigidBody} body
+     * @returns {PhysicsWorld} Returns this for chaining
+     */
+    removeBody(body) {
+        const index = this.bodies.indexOf(body);
+        if (index > -1) {
+            this.bodies.splice(index, 1);
+            body.world = null;
+        }
+        return this;
+    }
+
+    /**
+     * Advances the simulation by a frame's worth of time, running as many fixed
+     * steps as fit, then writes results to GameObjects. Called by Scene.update.
+     * @param {number} delta - Time since last frame in seconds
+     */
+    update(delta) {
+        this._accumulator += delta;
+        let steps = 0;
+        while (this._accumulator >= this.timestep && steps < this.maxSubSteps) {
+            this.step(this.timestep);
+            this._accumulator -= this.timestep;
+            steps++;
+        }
+        if (steps === this.maxSubSteps) {
+            this._accumulator = Math.min(this._accumulator, this.timestep);
+        }
+
+        const alpha = this.interpolate ? this._accumulator / this.timestep : 1;
+        this._writeBack(alpha);
+    }
+
+    /**
+     * Runs one simulation step.
+     * @param {number} dt - Step length in seconds
+     */
+    step(dt) {
+        this._syncFromObjects();
+
+        for (const body of this.bodies) {
+            body.previousPosition.copy(body.position);
+            body.previousQuaternion.copy(body.quaternion);
+            if (!body.isStatic) this._integrateVelocity(body, dt);
+        }
+
+        this.contacts = this._detectContacts();
+        this._prepareContacts(this.contacts);
+        for (let i = 0; i < this.iterations; i++) {
+            for (const contact of this.contacts) {
+                this._solveContact(contact);
+            }
+        }
+        this._cacheImpulses(this.contacts);
+
+        for (const body of this.bodies) {
+            if (!body.isStatic) this._integratePosition(body, dt);
+        }
+
+        this._correctPositions(this.contacts);
+    }
+
+    /**
+     * Removes all bodies.
+     */
+    clear() {
+        for (const body of this.bodies) body.world = null;
+        this.bodies = [];
+        this.contacts = [];
+        this._impulseCache.clear();
+    }
+
+    // ─────────────────────────────────────────────────────────────────
+    // Internals
+    // ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Pulls transforms from GameObjects for static bodies and manually moved ones.
+     * @private
+     */
+    _syncFromObjects() {
+        for (const body of this.bodies) {
+            if (!body.gameObject) continue;
+            if (body.isStatic || body.wasMovedExternally()) {
+                body.readFromObject();
+            }
+        }
+    }
+
+    /**
+     * Applies gravity, forces and damping to velocity.
+     * @private
+     */
+    _integrateVelocity(body, dt) {
+        body.velocity.addScaledVector(this.gravity, body.gravityScale * dt);
+        body.velocity.addScaledVector(body.force, body.invMass * dt);
+        body.angularVelocity.add(_temp.copy(body.torque).applyMatrix3(body.invInertiaWorld).multiplyScalar(dt));
+        body.velocity.multiplyScalar(Math.pow(1 - Math.min(body.linearDamping, 1), dt));
+        body.angularVelocity.multiplyScalar(Math.pow(1 - Math.min(body.angularDamping, 1), dt));
+        body.force.set(0, 0, 0);
+        body.torque.set(0, 0, 0);
+    }
+
+    /**
+     * Moves and rotates a body by its velocity.
+     * @private
+     */
+    _integratePosition(body, dt) {
+        body.position.addScaledVector(body.velocity, dt);
+
+        if (body.fixedRotation) {
+            body.angularVelocity.set(0, 0, 0);
+            return;
+        }
+
+        const w = body.angularVelocity;
+        if (w.lengthSq() > 0) {
+            _spin.set(w.x * dt * 0.5, w.y * dt * 0.5, w.z * dt * 0.5, 0).multiply(body.quaternion);
+            body.quaternion.set(
+                body.quaternion.x + _spin.x,
+                body.quaternion.y + _spin.y,
+                body.quaternion.z + _spin.z,
+                body.quaternion.w + _spin.w
+            ).normalize();
+            body.updateInertia();
+        }
+    }
+
+    /**
+     * Finds contacts between all pairs whose bounding spheres overlap.
+     * @private
+     */
+    _detectContacts() {
+        const contacts = [];
+        const bodies = this.bodies;
+
+        // Sweep along X so distant pairs are skipped cheaply
+        const sorted = bodies.slice().sort((a, b) =>
+            (a.position.x - a.boundingRadius) - (b.position.x - b.boundingRadius)
+        );
+
+        for (let i = 0; i < sorted.length; i++) {
+            const a = sorted[i];
+            const maxX = a.position.x + a.boundingRadius;
+            for (let j = i + 1; j < sorted.length; j++) {
+                const b = sorted[j];
+                if (b.position.x - b.boundingRadius > maxX) break;
+                if (a.isStatic && b.isStatic) continue;
+
+                const reach = a.boundingRadius + b.boundingRadius;
+                if (a.position.distanceToSquared(b.position) > reach * reach) continue;
+
+                // Manifold points share one pair's correction, so remember how many there are
+                const start = contacts.length;
+                collide(a, b, contacts);
+                for (let k = start; k < contacts.length; k++) {
+                    const contact = contacts[k];
+                    contact.share = 1 / (contacts.length - start);
+                    contact.key = `${a.id}:${b.id}:${contact.feature ?? k - start}`;
+                }
+            }
+        }
+        return contacts;
+    }
+
+    /**
+     * Precomputes per-contact values used by every solver iteration.
+     * @private
+     */
+    _prepareContacts(contacts) {
+        for (const contact of contacts) {
+            const { a, b, normal, point } = contact;
+            contact.rA = point.clone().sub(a.position);
+            contact.rB = point.clone().sub(b.position);
+            contact.normalMass = 1 / this._effectiveMass(a, b, contact.rA, contact.rB, normal);
+            contact.friction = Math.sqrt(a.friction * b.friction);
+
+            const approach = this._relativeVelocity(contact).dot(normal);
+            const restitution = Math.max(a.restitution, b.restitution);
+            contact.bounce = approach < -this.restitutionThreshold ? -restitution * approach : 0;
+
+            // Two fixed friction axes, so accumulated impulses stay comparable between iterations
+            const helper = Math.abs(normal.x) < 0.57 ? _temp.set(1, 0, 0) : _temp.set(0, 1, 0);
+            const tangent1 = new THREE.Vector3().crossVectors(normal, helper).normalize();
+            const tangent2 = new THREE.Vector3().crossVectors(normal, tangent1);
+            contact.tangents = [tangent1, tangent2];
+            contact.tangentMasses = contact.tangents.map((t) => 1 / this._effectiveMass(a, b, contact.rA, contact.rB, t));
+        }
+
+        // Warm start from last step's impulses so resting stacks converge quickly.
+        // Done after every bounce is measured, since it changes velocities.
+        for (const contact of contacts) {
+            const cached = this._impulseCache.get(contact.key);
+            contact.normalImpulse = cached ? cached.normal : 0;
+            contact.tangentImpulses = cached ? cached.tangents.slice() : [0, 0];
+            if (!cached) continue;
+            const [tangent1, tangent2] = contact.tangents;
+            _impulse.copy(contact.normal).multiplyScalar(contact.normalImpulse)
+                .addScaledVector(tangent1, contact.tangentImpulses[0])
+                .addScaledVector(tangent2, contact.tangentImpulses[1]);
+            this._applyImpulse(contact.a, contact.b, contact, _impulse);
+        }
+    }
+
+    /**
+     * Remembers this step's accumulated impulses for warm starting the next one.
+     * @private
+     */
+    _cacheImpulses(contacts) {
+        this._impulseCache.clear();
+        for (const contact of contacts) {
+            this._impulseCache.set(contact.key, {
+                normal: contact.normalImpulse,
+                tangents: contact.tangentImpulses
+            });
+        }
+    }
+
+    /**
+     * Applies normal and friction impulses for one contact.
+     * @private
+     */
+    _solveContact(contact) {
+        const { a, b, normal } = contact;
+
+        // Normal impulse, accumulated and clamped so contacts only push
+        const vn = this._relativeVelocity(contact).dot(normal);
+        let lambda = contact.normalMass * (contact.bounce - vn);
+        const previous = contact.normalImpulse;
+        contact.normalImpulse = Math.max(previous + lambda, 0);
+        lambda = contact.normalImpulse - previous;
+        this._applyImpulse(a, b, contact, _impulse.copy(normal).multiplyScalar(lambda));
+
+        // Friction along each tangent axis, limited by the normal impulse
+        const limit = contact.friction * contact.normalImpulse;
+        for (let i = 0; i < 2; i++) {
+            const tangent = contact.tangents[i];
+            let friction = -this._relativeVelocity(contact).dot(tangent) * contact.tangentMasses[i];
+            const previousTangent = contact.tangentImpulses[i];
+            contact.tangentImpulses[i] = THREE.MathUtils.clamp(previousTangent + friction, -limit, limit);
+            friction = contact.tangentImpulses[i] - previousTangent;
+            this._applyImpulse(a, b, contact, _impulse.copy(tangent).multiplyScalar(friction));
+        }
+    }
+
+    /**
+     * Velocity of b relative to a at the contact point.
+     * @private
+     */
+    _relativeVelocity(contact) {
+        const { a, b, rA, rB } = contact;
+        const velocityB = _temp.copy(b.angularVelocity).cross(rB).add(b.velocity);
+        return _relative.copy(a.angularVelocity).cross(rA).add(a.velocity).negate().add(velocityB);
+    }
+
+    /**
+     * Inverse of the effective mass along a direction at a contact.
+     * @private
+     */
+    _effectiveMass(a, b, rA, rB, direction) {
+        const angularA = _rA.copy(rA).cross(direction).applyMatrix3(a.invInertiaWorld).cross(rA);
+        const angularB = _rB.copy(rB).cross(direction).applyMatrix3(b.invInertiaWorld).cross(rB);
+        return a.invMass + b.invMass + direction.dot(angularA.add(angularB)) || 1e-8;
+    }
+
+    /**
+     * Applies equal and opposite impulses at a contact (positive pushes b along the normal).
+     * @private
+     */
+    _applyImpulse(a, b, contact, impulse) {
+        if (!a.isStatic) {
+            a.velocity.addScaledVector(impulse, -a.invMass);
+            a.angularVelocity.sub(_temp.copy(contact.rA).cross(impulse).applyMatrix3(a.invInertiaWorld));
+        }
+        if (!b.isStatic) {
+            b.velocity.addScaledVector(impulse, b.invMass);
+            b.angularVelocity.add(_temp.copy(contact.rB).cross(impulse).applyMatrix3(b.invInertiaWorld));
+        }
+    }
+
+    /**
+     * Pushes overlapping bodies apart so they don't sink into each other over time.
+     * @private
+     */
+    _correctPositions(contacts) {
+        for (const { a, b, normal, depth, share } of contacts) {
+            const totalInvMass = a.invMass + b.invMass;
+            if (totalInvMass === 0) continue;
+            const amount = (Math.max(depth - this.penetrationSlop, 0) * this.correctionPercent * share) / totalInvMass;
+            if (amount === 0) continue;
+            a.position.addScaledVector(normal, -amount * a.invMass);
+            b.position.addScaledVector(normal, amount * b.invMass);
+        }
+    }
+
+    /**
+     * Writes (interpolated) transforms of dynamic bodies back to their GameObjects.
+     * @private
+     */
+    _writeBack(alpha) {
+        for (const body of this.bodies) {
+            if (body.isStatic || !body.gameObject) continue;
+            _interpolatedPosition.lerpVectors(body.previousPosition, body.position, alpha);
+            _interpolatedQuaternion.slerpQuaternions(body.previousQuaternion, body.quaternion, alpha);
+            body.writeToObject(_interpolatedPosition, _interpolatedQuaternion);
+        }
+    }
+}
+
+export { PhysicsWorld };
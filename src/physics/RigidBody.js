@@ -0,0 +1,216 @@
+import * as THREE from 'three';
+import { inverseInertia, boundingRadius } from './shapes.js';
+
+const _matrix = new THREE.Matrix4();
+const _scale = new THREE.Vector3();
+const _parentQuaternion = new THREE.Quaternion();
+
+let nextId = 1;
+
+/**
+ * RigidBody - A simulated body in a PhysicsWorld.
+ *
+ * Bodies live in world space. When attached to a GameObject, the body reads its
+ * starting transform from the mesh and writes simulated results back each step.
+ * Static bodies (mass 0) follow their GameObject instead, so animated platforms
+ * still collide. Moving a dynamic body's GameObject by hand (setPosition, etc.)
+ * teleports the body.
+ *
+ * Usually created with GameObject.enablePhysics(); can also be used on its own.
+ *
+ * @example
+ * const body = new RigidBody({
+ *   shape: { type: 'sphere', radius: 0.5 },
+ *   mass: 1,
+ *   position: { x: 0, y: 5, z: 0 }
+ * });
+ * world.addBody(body);
+ */
+class RigidBody {
+    /**
+     * Creates a new RigidBody.
+     * @param {Object} options - Configuration options
+     * @param {Object} options.shape - Collision shape (see physics/shapes.js)
+     * @param {number} [options.mass=1] - Mass; 0 makes the body static
+     * @param {number} [options.restitution=0.3] - Bounciness (0-1)
+     * @param {number} [options.friction=0.5] - Friction coefficient
+     * @param {number} [options.linearDamping=0.01] - Fraction of velocity lost per second
+     * @param {number} [options.angularDamping=0.05] - Fraction of spin lost per second
+     * @param {number} [options.gravityScale=1] - Multiplier for world gravity
+     * @param {boolean} [options.fixedRotation=false] - Prevent the body from rotating
+     * @param {{x: number, y: number, z: number}} [options.position] - Starting position
+     * @param {{x: number, y: number, z: number}} [options.velocity] - Starting velocity
+     * @param {{x: number, y: number, z: number}} [options.angularVelocity] - Starting spin in radians per second
+     * @param {GameObject} [options.gameObject=null] - GameObject to sync with
+     */
+    constructor(options = {}) {
+        const {
+            shape,
+            mass = 1,
+            restitution = 0.3,
+            friction = 0.5,
+            linearDamping = 0.01,
+            angularDamping = 0.05,
+            gravityScale = 1,
+            fixedRotation = false,
+            position = { x: 0, y: 0, z: 0 },
+            velocity = { x: 0, y: 0, z: 0 },
+            angularVelocity = { x: 0, y: 0, z: 0 },
+            gameObject = null
+        } = options;
+
+        if (!shape) {
+            throw new Error('RigidBody requires a shape');
+        }
+
+        this.id = nextId++;
+        this.shape = shape;
+        this.mass = shape.type === 'plane' ? 0 : Math.max(0, mass);
+        this.invMass = this.mass > 0 ? 1 / this.mass : 0;
+        this.restitution = restitution;
+        this.friction = friction;
+        this.linearDamping = linearDamping;
+        this.angularDamping = angularDamping;
+        this.gravityScale = gravityScale;
+        this.fixedRotation = fixedRotation;
+        this.gameObject = gameObject;
+        this.world = null;
+
+        this.position = new THREE.Vector3(position.x, position.y, position.z);
+        this.quaternion = new THREE.Quaternion();
+        this.velocity = new THREE.Vector3(velocity.x, velocity.y, velocity.z);
+        this.angularVelocity = new THREE.Vector3(angularVelocity.x, angularVelocity.y, angularVelocity.z);
+        this.force = new THREE.Vector3();
+        this.torque = new THREE.Vector3();
+
+        this.invInertiaLocal = fixedRotation ? new THREE.Vector3() : inverseInertia(shape, this.mass);
+        this.invInertiaWorld = new THREE.Matrix3();
+        this.boundingRadius = boundingRadius(shape);
+
+        // Previous step's state, for interpolation
+        this.previousPosition = this.position.clone();
+        this.previousQuaternion = this.quaternion.clone();
+
+        // Last values written to the mesh, to detect manual moves
+        this._writtenPosition = null;
+        this._writtenQuaternion = null;
+
+        this.updateInertia();
+    }
+
+    /**
+     * Whether the body is static (immovable).
+     * @type {boolean}
+     */
+    get isStatic() {
+        return this.invMass === 0;
+    }
+
+    /**
+     * Sets the velocity.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z
+     * @returns {RigidBody} Returns this for chaining
+     */
+    setVelocity(x, y, z) {
+        this.velocity.set(x, y, z);
+        return this;
+    }
+
+    /**
+     * Applies an instant change in momentum.
+     * @param {THREE.Vector3} impulse - Impulse in world space
+     * @param {THREE.Vector3} [point] - World point to apply it at (defaults to the centre)
+     * @returns {RigidBody} Returns this for chaining
+     */
+    applyImpulse(impulse, point) {
+        if (this.isStatic) return this;
+        this.velocity.addScaledVector(impulse, this.invMass);
+        if (point) {
+            const r = point.clone().sub(this.position);
+            this.angularVelocity.add(r.cross(impulse).applyMatrix3(this.invInertiaWorld));
+        }
+        return this;
+    }
+
+    /**
+     * Applies a force for the next step.
+     * @param {THREE.Vector3} force - Force in world space
+     * @param {THREE.Vector3} [point] - World point to apply it at (defaults to the centre)
+     * @returns {RigidBody} Returns this for chaining
+     */
+    applyForce(force, point) {
+        this.force.add(force);
+        if (point) {
+            this.torque.add(point.clone().sub(this.position).cross(force));
+        }
+        return this;
+    }
+
+    /**
+     * Recomputes the world-space inverse inertia from the current orientation.
+     */
+    updateInertia() {
+        const rotation = new THREE.Matrix3().setFromMatrix4(_matrix.makeRotationFromQuaternion(this.quaternion));
+        const inertia = new THREE.Matrix3().set(
+            this.invInertiaLocal.x, 0, 0,
+            0, this.invInertiaLocal.y, 0,
+            0, 0, this.invInertiaLocal.z
+        );
+        const rotationT = rotation.clone().transpose();
+        this.invInertiaWorld.multiplyMatrices(rotation, inertia).multiply(rotationT);
+    }
+
+    /**
+     * Copies the GameObject's world transform into the body.
+     */
+    readFromObject() {
+        if (!this.gameObject) return;
+        const mesh = this.gameObject.mesh;
+        mesh.updateWorldMatrix(true, false);
+        mesh.matrixWorld.decompose(this.position, this.quaternion, _scale);
+        this.previousPosition.copy(this.position);
+        this.previousQuaternion.copy(this.quaternion);
+        this._writtenPosition = mesh.position.clone();
+        this._writtenQuaternion = mesh.quaternion.clone();
+        this.updateInertia();
+    }
+
+    /**
+     * Writes a world transform to the GameObject, converting to its parent's space.
+     * @param {THREE.Vector3} position - World position
+     * @param {THREE.Quaternion} quaternion - World rotation
+     */
+    writeToObject(position, quaternion) {
+        if (!this.gameObject) return;
+        const mesh = this.gameObject.mesh;
+        const parent = mesh.parent;
+
+        mesh.position.copy(position);
+        mesh.quaternion.copy(quaternion);
+
+        if (parent && !parent.isScene) {
+            parent.updateWorldMatrix(true, false);
+            parent.worldToLocal(mesh.position);
+            parent.getWorldQuaternion(_parentQuaternion);
+            mesh.quaternion.premultiply(_parentQuaternion.invert());
+        }
+
+        this._writtenPosition = mesh.position.clone();
+        this._writtenQuaternion = mesh.quaternion.clone();
+    }
+
+    /**
+     * Checks whether the GameObject was moved since the body last wrote to it.
+     * @returns {boolean}
+     */
+    wasMovedExternally() {
+        if (!this.gameObject || !this._writtenPosition) return false;
+        const mesh = this.gameObject.mesh;
+        return mesh.position.distanceToSquared(this._writtenPosition) > 1e-10
+            || 1 - Math.abs(mesh.quaternion.dot(this._writtenQuaternion)) > 1e-10;
+    }
+}
+
+export { RigidBody };
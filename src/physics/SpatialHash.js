@@ -0,0 +1,127 @@
+/**
+ * SpatialHash - Buckets items by the grid cells their bounding boxes cover,
+ * so overlap queries only look at nearby items instead of every pair.
+ *
+ * Rebuilt every frame by the CollisionSystem; cheap to clear and refill.
+ *
+ * @example
+ * const hash = new SpatialHash(4);
+ * hash.insert(coin, coinBox);
+ * hash.query(playerBox, candidates);
+ */
+class SpatialHash {
+    /**
+     * Creates a new SpatialHash.
+     * @param {number} [cellSize=4] - Edge length of a grid cell in world units
+     * @param {number} [maxCellsPerItem=64] - Items covering more cells than this are
+     *   kept in a separate list that every query returns
+     */
+    constructor(cellSize = 4, maxCellsPerItem = 64) {
+        this.cellSize = cellSize;
+        this.maxCellsPerItem = maxCellsPerItem;
+
+        this._cells = new Map(); // cell key -> array of items
+        this._oversized = [];
+        this._range = { minX: 0, minY: 0, minZ: 0, maxX: 0, maxY: 0, maxZ: 0, count: 0 };
+    }
+
+    /**
+     * Removes all items. Cell arrays are kept for reuse, since the next frame
+     * usually fills the same cells again.
+     */
+    clear() {
+        if (this._cells.size > 4096) {
+            this._cells.clear();
+        } else {
+            for (const cell of this._cells.values()) cell.length = 0;
+        }
+        this._oversized.length = 0;
+    }
+
+    /**
+     * Adds an item covering a world-space box.
+     * @param {*} item - Anything; returned by query()
+     * @param {THREE.Box3} box - The item's bounds
+     */
+    insert(item, box) {
+        const range = this._cellRange(box);
+        if (range.count > this.maxCellsPerItem) {
+            this._oversized.push(item);
+            return;
+        }
+
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                for (let z = range.minZ; z <= range.maxZ; z++) {
+                    const key = cellKey(x, y, z);
+                    const cell = this._cells.get(key);
+                    if (cell) {
+                        cell.push(item);
+                    } else {
+                        this._cells.set(key, [item]);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Collects the items whose cells overlap a box. Results are candidates only:
+     * they share a cell but may not actually overlap.
+     * @param {THREE.Box3} box - Area to search
+     * @param {Set} [result=new Set()] - Set to add items to
+     * @returns {Set} The result set
+     */
+    query(box, result = new Set()) {
+        for (const item of this._oversized) result.add(item);
+
+        const range = this._cellRange(box);
+        if (range.count > this.maxCellsPerItem) {
+            // Cheaper to walk the occupied cells than the whole area
+            for (const cell of this._cells.values()) {
+                for (const item of cell) result.add(item);
+            }
+            return result;
+        }
+
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                for (let z = range.minZ; z <= range.maxZ; z++) {
+                    const cell = this._cells.get(cellKey(x, y, z));
+                    if (!cell) continue;
+                    for (const item of cell) result.add(item);
+                }
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Converts a box to the range of cells it covers. Returns a shared object.
+     * @private
+     */
+    _cellRange(box) {
+        const size = this.cellSize;
+        const range = this._range;
+        range.minX = Math.floor(box.min.x / size);
+        range.minY = Math.floor(box.min.y / size);
+        range.minZ = Math.floor(box.min.z / size);
+        range.maxX = Math.floor(box.max.x / size);
+        range.maxY = Math.floor(box.max.y / size);
+        range.maxZ = Math.floor(box.max.z / size);
+        const count = (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1) * (range.maxZ - range.minZ + 1);
+        range.count = Number.isFinite(count) ? count : Infinity;
+        return range;
+    }
+}
+
+/**
+ * Hashes integer cell coordinates into one number. Different cells may share a
+ * key; that only adds candidates, which the exact test then rejects.
+ * @private
+ */
+function cellKey(x, y, z) {
+    return ((x * 73856093) ^ (y * 19349663) ^ (z * 83492791)) & 0x3fffffff;
+}
+
+export { SpatialHash };
@@ -0,0 +1,397 @@
+import * as THREE from 'three';
+
+/**
+ * Narrow-phase collision tests between pairs of bodies.
+ *
+ * Each test appends contacts to an array. A contact is
+ * { a, b, normal, point, depth } where normal points from body a toward body b
+ * and depth is how far the shapes overlap along it. Box corner contacts also
+ * carry a `feature` id so the solver can recognise them on the next step.
+ */
+
+// Corners this close count as touching, so boxes resting exactly flush get a full manifold
+const CONTACT_MARGIN = 1e-3;
+
+const AXES = [new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1)];
+
+/**
+ * Finds contacts between two bodies.
+ * @param {RigidBody} a
+ * @param {RigidBody} b
+ * @param {Object[]} contacts - Array to append contacts to
+ */
+function collide(a, b, contacts) {
+    const ta = a.shape.type;
+    const tb = b.shape.type;
+
+    // Each pair is handled once; swap so the handler's first shape matches
+    const handler = HANDLERS[`${ta}-${tb}`];
+    if (handler) {
+        handler(a, b, contacts);
+        return;
+    }
+    const reverse = HANDLERS[`${tb}-${ta}`];
+    if (reverse) {
+        const start = contacts.length;
+        reverse(b, a, contacts);
+        for (let i = start; i < contacts.length; i++) {
+            const contact = contacts[i];
+            contact.a = a;
+            contact.b = b;
+            contact.normal.negate();
+        }
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Shape helpers
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Gets a body's local axis in world space.
+ * @private
+ */
+function worldAxis(body, index) {
+    return AXES[index].clone().applyQuaternion(body.quaternion);
+}
+
+/**
+ * Gets the world-space end points of a capsule's core segment.
+ * @private
+ */
+function capsuleSegment(body) {
+    const axis = worldAxis(body, 1).multiplyScalar(body.shape.halfHeight);
+    return [body.position.clone().sub(axis), body.position.clone().add(axis)];
+}
+
+/**
+ * Closest point to p on segment ab.
+ * @private
+ */
+function closestPointOnSegment(p, a, b) {
+    const ab = b.clone().sub(a);
+    const lengthSq = ab.lengthSq();
+    if (lengthSq === 0) return a.clone();
+    const t = THREE.MathUtils.clamp(p.clone().sub(a).dot(ab) / lengthSq, 0, 1);
+    return a.clone().addScaledVector(ab, t);
+}
+
+/**
+ * Closest points between segments p1q1 and p2q2.
+ * @private
+ */
+function closestPointsBetweenSegments(p1, q1, p2, q2) {
+    const d1 = q1.clone().sub(p1);
+    const d2 = q2.clone().sub(p2);
+    const r = p1.clone().sub(p2);
+    const a = d1.dot(d1);
+    const e = d2.dot(d2);
+    const f = d2.dot(r);
+
+    let s;
+    let t;
+    if (a <= 1e-10 && e <= 1e-10) {
+        return [p1.clone(), p2.clone()];
+    }
+    if (a <= 1e-10) {
+        s = 0;
+        t = THREE.MathUtils.clamp(f / e, 0, 1);
+    } else {
+        const c = d1.dot(r);
+        if (e <= 1e-10) {
+            t = 0;
+            s = THREE.MathUtils.clamp(-c / a, 0, 1);
+        } else {
+            const b = d1.dot(d2);
+            const denom = a * e - b * b;
+            s = denom !== 0 ? THREE.MathUtils.clamp((b * f - c * e) / denom, 0, 1) : 0;
+            t = (b * s + f) / e;
+            if (t < 0) {
+                t = 0;
+                s = THREE.MathUtils.clamp(-c / a, 0, 1);
+            } else if (t > 1) {
+                t = 1;
+                s = THREE.MathUtils.clamp((b - c) / a, 0, 1);
+            }
+        }
+    }
+    return [p1.clone().addScaledVector(d1, s), p2.clone().addScaledVector(d2, t)];
+}
+
+/**
+ * Converts a world point into a body's local space.
+ * @private
+ */
+function toLocal(body, point) {
+    const inverse = body.quaternion.clone().invert();
+    return point.clone().sub(body.position).applyQuaternion(inverse);
+}
+
+/**
+ * Converts a local point on a body into world space.
+ * @private
+ */
+function toWorld(body, point) {
+    return point.clone().applyQuaternion(body.quaternion).add(body.position);
+}
+
+/**
+ * Gets the eight corners of a box in world space.
+ * @private
+ */
+function boxVertices(body) {
+    const h = body.shape.halfExtents;
+    const vertices = [];
+    for (const x of [-1, 1]) {
+        for (const y of [-1, 1]) {
+            for (const z of [-1, 1]) {
+                vertices.push(toWorld(body, new THREE.Vector3(x * h.x, y * h.y, z * h.z)));
+            }
+        }
+    }
+    return vertices;
+}
+
+/**
+ * Projects a box onto an axis, returning its half-length along it.
+ * @private
+ */
+function boxProjectedRadius(body, axes, axis) {
+    const h = body.shape.halfExtents;
+    return h.x * Math.abs(axes[0].dot(axis)) + h.y * Math.abs(axes[1].dot(axis)) + h.z * Math.abs(axes[2].dot(axis));
+}
+
+/**
+ * Checks whether a world point is inside a box, with a small tolerance.
+ * @private
+ */
+function isInsideBox(body, point, tolerance = 1e-4) {
+    const local = toLocal(body, point);
+    const h = body.shape.halfExtents;
+    return Math.abs(local.x) <= h.x + tolerance
+        && Math.abs(local.y) <= h.y + tolerance
+        && Math.abs(local.z) <= h.z + tolerance;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Primitive tests
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Sphere at center ca (radius ra) against sphere at cb (radius rb).
+ * @private
+ */
+function sphereSphereAt(a, ca, ra, b, cb, rb, contacts) {
+    const delta = cb.clone().sub(ca);
+    const distance = delta.length();
+    const depth = ra + rb - distance;
+    if (depth <= 0) return;
+
+    const normal = distance > 1e-8 ? delta.divideScalar(distance) : new THREE.Vector3(0, 1, 0);
+    const point = ca.clone().addScaledVector(normal, ra - depth / 2);
+    contacts.push({ a, b, normal, point, depth });
+}
+
+/**
+ * Sphere at center c (radius r, belonging to a) against box b.
+ * @private
+ */
+function sphereBoxAt(a, center, radius, b, contacts) {
+    const local = toLocal(b, center);
+    const h = b.shape.halfExtents;
+    const clamped = new THREE.Vector3(
+        THREE.MathUtils.clamp(local.x, -h.x, h.x),
+        THREE.MathUtils.clamp(local.y, -h.y, h.y),
+        THREE.MathUtils.clamp(local.z, -h.z, h.z)
+    );
+
+    if (!clamped.equals(local)) {
+        // Centre outside the box: push along the line to the closest point
+        const closest = toWorld(b, clamped);
+        const delta = closest.clone().sub(center);
+        const distance = delta.length();
+        if (distance >= radius) return;
+        contacts.push({ a, b, normal: delta.divideScalar(distance), point: closest, depth: radius - distance });
+        return;
+    }
+
+    // Centre inside the box: push out through the nearest face
+    let bestAxis = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < 3; i++) {
+        const key = 'xyz'[i];
+        const distance = h[key] - Math.abs(local[key]);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            bestAxis = i;
+        }
+    }
+    const key = 'xyz'[bestAxis];
+    const outward = worldAxis(b, bestAxis).multiplyScalar(Math.sign(local[key]) || 1);
+    contacts.push({ a, b, normal: outward.negate(), point: center.clone(), depth: radius + bestDistance });
+}
+
+/**
+ * Sphere at center c (radius r, belonging to a) against plane b.
+ * @private
+ */
+function spherePlaneAt(a, center, radius, b, contacts) {
+    const normal = worldAxis(b, 2);
+    const distance = center.clone().sub(b.position).dot(normal);
+
+    // One-sided, but tolerate some tunnelling before giving up
+    if (distance >= radius || distance < -Math.max(radius, 0.5)) return;
+
+    const point = center.clone().addScaledVector(normal, -distance);
+    if (!isWithinPlane(b, point)) return;
+
+    contacts.push({ a, b, normal: normal.negate(), point, depth: radius - distance });
+}
+
+/**
+ * Checks whether a point on a plane's surface is within its edges.
+ * @private
+ */
+function isWithinPlane(plane, point) {
+    const local = toLocal(plane, point);
+    return Math.abs(local.x) <= plane.shape.halfWidth && Math.abs(local.y) <= plane.shape.halfHeight;
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Pair handlers (first shape is body a)
+// ─────────────────────────────────────────────────────────────────
+
+const HANDLERS = {
+    'sphere-sphere': (a, b, contacts) => {
+        sphereSphereAt(a, a.position, a.shape.radius, b, b.position, b.shape.radius, contacts);
+    },
+
+    'sphere-box': (a, b, contacts) => {
+        sphereBoxAt(a, a.position, a.shape.radius, b, contacts);
+    },
+
+    'sphere-capsule': (a, b, contacts) => {
+        const [p, q] = capsuleSegment(b);
+        const closest = closestPointOnSegment(a.position, p, q);
+        sphereSphereAt(a, a.position, a.shape.radius, b, closest, b.shape.radius, contacts);
+    },
+
+    'sphere-plane': (a, b, contacts) => {
+        spherePlaneAt(a, a.position, a.shape.radius, b, contacts);
+    },
+
+    'capsule-capsule': (a, b, contacts) => {
+        const [p1, q1] = capsuleSegment(a);
+        const [p2, q2] = capsuleSegment(b);
+        const [c1, c2] = closestPointsBetweenSegments(p1, q1, p2, q2);
+        sphereSphereAt(a, c1, a.shape.radius, b, c2, b.shape.radius, contacts);
+    },
+
+    'capsule-box': (a, b, contacts) => {
+        const [p, q] = capsuleSegment(a);
+
+        // Alternate closest-point projections between the segment and the box
+        let onSegment = closestPointOnSegment(b.position, p, q);
+        for (let i = 0; i < 3; i++) {
+            const local = toLocal(b, onSegment);
+            const h = b.shape.halfExtents;
+            local.set(
+                THREE.MathUtils.clamp(local.x, -h.x, h.x),
+                THREE.MathUtils.clamp(local.y, -h.y, h.y),
+                THREE.MathUtils.clamp(local.z, -h.z, h.z)
+            );
+            onSegment = closestPointOnSegment(toWorld(b, local), p, q);
+        }
+
+        // End caps as well, so a capsule lying on a box rests on two points
+        const points = [onSegment];
+        if (a.shape.halfHeight > 0) points.push(p, q);
+        for (const point of points) {
+            sphereBoxAt(a, point, a.shape.radius, b, contacts);
+        }
+    },
+
+    'capsule-plane': (a, b, contacts) => {
+        const [p, q] = capsuleSegment(a);
+        spherePlaneAt(a, p, a.shape.radius, b, contacts);
+        if (a.shape.halfHeight > 0) spherePlaneAt(a, q, a.shape.radius, b, contacts);
+    },
+
+    'box-plane': (a, b, contacts) => {
+        const normal = worldAxis(b, 2);
+        const limit = -Math.max(a.boundingRadius, 0.5);
+        boxVertices(a).forEach((vertex, index) => {
+            const distance = vertex.clone().sub(b.position).dot(normal);
+            if (distance >= CONTACT_MARGIN || distance < limit) return;
+            const point = vertex.clone().addScaledVector(normal, -distance);
+            if (!isWithinPlane(b, point)) return;
+            contacts.push({ a, b, normal: normal.clone().negate(), point: vertex, depth: -distance, feature: index });
+        });
+    },
+
+    'box-box': (a, b, contacts) => {
+        const axesA = [0, 1, 2].map(i => worldAxis(a, i));
+        const axesB = [0, 1, 2].map(i => worldAxis(b, i));
+        const centerDelta = b.position.clone().sub(a.position);
+
+        const candidates = [...axesA, ...axesB];
+        for (const axisA of axesA) {
+            for (const axisB of axesB) {
+                const cross = axisA.clone().cross(axisB);
+                if (cross.lengthSq() > 1e-6) candidates.push(cross.normalize());
+            }
+        }
+
+        // Separating axis test: keep the axis of least overlap
+        let bestOverlap = Infinity;
+        let bestAxis = null;
+        candidates.forEach((axis, index) => {
+            const overlap = boxProjectedRadius(a, axesA, axis)
+                + boxProjectedRadius(b, axesB, axis)
+                - Math.abs(centerDelta.dot(axis));
+            // Prefer face axes slightly, which gives steadier resting contacts
+            const weighted = index < 6 ? overlap : overlap * 1.05 + 1e-4;
+            if (weighted < bestOverlap) {
+                bestOverlap = weighted;
+                bestAxis = axis;
+            }
+            if (overlap < -CONTACT_MARGIN) bestOverlap = -Infinity;
+        });
+        if (bestOverlap <= -CONTACT_MARGIN || !bestAxis) return;
+
+        const normal = bestAxis.clone();
+        if (centerDelta.dot(normal) < 0) normal.negate();
+
+        const faceA = a.position.dot(normal) + boxProjectedRadius(a, axesA, normal);
+        const faceB = b.position.dot(normal) - boxProjectedRadius(b, axesB, normal);
+        const start = contacts.length;
+
+        boxVertices(b).forEach((vertex, index) => {
+            const depth = faceA - vertex.dot(normal);
+            if (depth > -CONTACT_MARGIN && isInsideBox(a, vertex, Math.abs(depth) + 1e-4)) {
+                contacts.push({ a, b, normal: normal.clone(), point: vertex, depth, feature: `b${index}` });
+            }
+        });
+        boxVertices(a).forEach((vertex, index) => {
+            const depth = vertex.dot(normal) - faceB;
+            if (depth > -CONTACT_MARGIN && isInsideBox(b, vertex, Math.abs(depth) + 1e-4)) {
+                // Matching corners of equal faces would otherwise be counted twice
+                const duplicate = contacts.some((c, k) => k >= start && c.point.distanceToSquared(vertex) < 1e-4);
+                if (duplicate) return;
+                contacts.push({ a, b, normal: normal.clone(), point: vertex, depth, feature: `a${index}` });
+            }
+        });
+
+        // Edge-on-edge: no corner is inside, so use the midpoint of the deepest corners
+        if (contacts.length === start) {
+            const deepestB = boxVertices(b).reduce((best, v) => (v.dot(normal) < best.dot(normal) ? v : best));
+            const deepestA = boxVertices(a).reduce((best, v) => (v.dot(normal) > best.dot(normal) ? v : best));
+            const depth = faceA - faceB;
+            if (depth > 0) {
+                contacts.push({ a, b, normal, point: deepestA.add(deepestB).multiplyScalar(0.5), depth });
+            }
+        }
+    }
+};
+
+export { collide };
@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+
+/**
+ * Collision shapes used by the physics world. All are plain objects in the
+ * body's local space:
+ * - sphere:  { type: 'sphere', radius }
+ * - box:     { type: 'box', halfExtents: Vector3 }
+ * - capsule: { type: 'capsule', radius, halfHeight } (segment along local Y)
+ * - plane:   { type: 'plane', halfWidth, halfHeight } (facing local +Z, static only)
+ */
+
+/**
+ * Builds a collision shape from a geometry, baking in a scale.
+ * Cylinders become capsules; unknown geometry falls back to its bounding sphere.
+ * @param {THREE.BufferGeometry} geometry - The geometry to approximate
+ * @param {THREE.Vector3} scale - World scale of the object
+ * @param {string} [type] - Force a shape type: 'sphere', 'box', 'capsule' or 'plane'
+ * @returns {Object} A collision shape
+ */
+function shapeFromGeometry(geometry, scale, type) {
+    const params = geometry.parameters || {};
+    const geometryType = geometry.type;
+    const inferred = type || inferShapeType(geometryType);
+
+    switch (inferred) {
+        case 'sphere': {
+            if (geometryType === 'SphereGeometry') {
+                return { type: 'sphere', radius: params.radius * maxComponent(scale) };
+            }
+            return { type: 'sphere', radius: boundingSphereRadius(geometry) * maxComponent(scale) };
+        }
+        case 'capsule': {
+            let radius;
+            let height;
+            if (geometryType === 'CylinderGeometry') {
+                radius = Math.max(params.radiusTop, params.radiusBottom) * Math.max(scale.x, scale.z);
+                height = params.height * scale.y;
+            } else {
+                const size = boundingBoxSize(geometry).multiply(scale);
+                radius = Math.max(size.x, size.z) / 2;
+                height = size.y;
+            }
+            return { type: 'capsule', radius, halfHeight: Math.max(0, height / 2 - radius) };
+        }
+        case 'plane': {
+            if (geometryType === 'PlaneGeometry') {
+                return { type: 'plane', halfWidth: (params.width * scale.x) / 2, halfHeight: (params.height * scale.y) / 2 };
+            }
+            const size = boundingBoxSize(geometry).multiply(scale);
+            return { type: 'plane', halfWidth: size.x / 2, halfHeight: size.y / 2 };
+        }
+        case 'box':
+        default: {
+            if (geometryType === 'BoxGeometry') {
+                return {
+                    type: 'box',
+                    halfExtents: new THREE.Vector3(params.width, params.height, params.depth).multiply(scale).multiplyScalar(0.5)
+                };
+            }
+            return { type: 'box', halfExtents: boundingBoxSize(geometry).multiply(scale).multiplyScalar(0.5) };
+        }
+    }
+}
+
+/**
+ * Builds a collision shape from a bounding box size (already scaled).
+ * Used for objects without a single geometry, such as loaded models.
+ * @param {THREE.Vector3} size - Width, height and depth of the bounds
+ * @param {string} [type='box'] - Shape type: 'box', 'sphere', 'capsule' or 'plane'
+ * @returns {Object} A collision shape
+ */
+function shapeFromBounds(size, type = 'box') {
+    switch (type) {
+        case 'sphere':
+            return { type: 'sphere', radius: Math.max(size.x, size.y, size.z) / 2 };
+        case 'capsule': {
+            const radius = Math.max(size.x, size.z) / 2;
+            return { type: 'capsule', radius, halfHeight: Math.max(0, size.y / 2 - radius) };
+        }
+        case 'plane':
+            return { type: 'plane', halfWidth: size.x / 2, halfHeight: size.y / 2 };
+        case 'box':
+        default:
+            return { type: 'box', halfExtents: size.clone().multiplyScalar(0.5) };
+    }
+}
+
+/**
+ * Computes the local-space inverse inertia (diagonal) for a shape and mass.
+ * @param {Object} shape - A collision shape
+ * @param {number} mass - Body mass (0 for static)
+ * @returns {THREE.Vector3} Inverse inertia around local X, Y and Z
+ */
+function inverseInertia(shape, mass) {
+    if (mass <= 0 || shape.type === 'plane') {
+        return new THREE.Vector3(0, 0, 0);
+    }
+
+    let ix;
+    let iy;
+    let iz;
+    switch (shape.type) {
+        case 'sphere':
+            ix = iy = iz = 0.4 * mass * shape.radius * shape.radius;
+            break;
+        case 'capsule': {
+            // Treated as a solid cylinder covering the capsule's full length
+            const r = shape.radius;
+            const h = 2 * (shape.halfHeight + r);
+            ix = iz = (mass * (3 * r * r + h * h)) / 12;
+            iy = 0.5 * mass * r * r;
+            break;
+        }
+        case 'box':
+        default: {
+            const w = shape.halfExtents.x * 2;
+            const h = shape.halfExtents.y * 2;
+            const d = shape.halfExtents.z * 2;
+            ix = (mass * (h * h + d * d)) / 12;
+            iy = (mass * (w * w + d * d)) / 12;
+            iz = (mass * (w * w + h * h)) / 12;
+            break;
+        }
+    }
+    return new THREE.Vector3(ix > 0 ? 1 / ix : 0, iy > 0 ? 1 / iy : 0, iz > 0 ? 1 / iz : 0);
+}
+
+/**
+ * Computes the radius of a sphere centred on the body that encloses the shape.
+ * @param {Object} shape - A collision shape
+ * @returns {number}
+ */
+function boundingRadius(shape) {
+    switch (shape.type) {
+        case 'sphere':
+            return shape.radius;
+        case 'capsule':
+            return shape.halfHeight + shape.radius;
+        case 'plane':
+            return Math.hypot(shape.halfWidth, shape.halfHeight);
+        case 'box':
+        default:
+            return shape.halfExtents.length();
+    }
+}
+
+/** @private */
+function inferShapeType(geometryType) {
+    switch (geometryType) {
+        case 'SphereGeometry':
+            return 'sphere';
+        case 'CylinderGeometry':
+            return 'capsule';
+        case 'PlaneGeometry':
+            return 'plane';
+        case 'BoxGeometry':
+            return 'box';
+        default:
+            return 'sphere';
+    }
+}
+
+/** @private */
+function maxComponent(v) {
+    return Math.max(Math.abs(v.x), Math.abs(v.y), Math.abs(v.z));
+}
+
+/** @private */
+function boundingSphereRadius(geometry) {
+    if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+    return geometry.boundingSphere.radius;
+}
+
+/** @private */
+function boundingBoxSize(geometry) {
+    if (!geometry.boundingBox) geometry.computeBoundingBox();
+    return geometry.boundingBox.getSize(new THREE.Vector3());
+}
+
+export { shapeFromGeometry, shapeFromBounds, inverseInertia, boundingRadius };
@@ -1,8 +1,14 @@
 import * as THREE from 'three';
+import { createRandom } from './random.js';
 
 /**
- * Named color palette for easy color specification.
- * Includes common web colors and a curated set of nice defaults.
+ * Named color palette for easy color specification: every CSS named color,
+ * plus a curated set of nice defaults for 3D.
+ *
+ * A few names keep the brighter values this library has always used rather
+ * than the CSS ones: green (CSS 0x008000), lime (CSS 0x00ff00), orange
+ * (CSS 0xffa500), purple (CSS 0x800080), pink (CSS 0xffc0cb) and
+ * darkgray/darkgrey (CSS 0xa9a9a9).
  */
 const NAMED_COLORS = {
     // Basic colors
@@ -31,7 +37,9 @@ const NAMED_COLORS = {
     gray: 0x808080,
     grey: 0x808080,
     lightgray: 0xd3d3d3,
+    lightgrey: 0xd3d3d3,
     darkgray: 0x404040,
+    darkgrey: 0x404040,
 
     // Nice defaults for 3D
     sky: 0x87ceeb,
@@ -42,80 +50,775 @@ const NAMED_COLORS = {
     steel: 0x4a6fa5,
     copper: 0xb87333,
     bronze: 0xcd7f32,
+
+    // The rest of the CSS named colors
+    aliceblue: 0xf0f8ff,
+    antiquewhite: 0xfaebd7,
+    aqua: 0x00ffff,
+    aquamarine: 0x7fffd4,
+    azure: 0xf0ffff,
+    beige: 0xf5f5dc,
+    bisque: 0xffe4c4,
+    blanchedalmond: 0xffebcd,
+    blueviolet: 0x8a2be2,
+    brown: 0xa52a2a,
+    burlywood: 0xdeb887,
+    cadetblue: 0x5f9ea0,
+    chartreuse: 0x7fff00,
+    chocolate: 0xd2691e,
+    cornflowerblue: 0x6495ed,
+    cornsilk: 0xfff8dc,
+    crimson: 0xdc143c,
+    darkblue: 0x00008b,
+    darkcyan: 0x008b8b,
+    darkgoldenrod: 0xb8860b,
+    darkgreen: 0x006400,
+    darkkhaki: 0xbdb76b,
+    darkmagenta: 0x8b008b,
+    darkolivegreen: 0x556b2f,
+    darkorange: 0xff8c00,
+    darkorchid: 0x9932cc,
+    darkred: 0x8b0000,
+    darksalmon: 0xe9967a,
+    darkseagreen: 0x8fbc8f,
+    darkslateblue: 0x483d8b,
+    darkslategray: 0x2f4f4f,
+    darkslategrey: 0x2f4f4f,
+    darkturquoise: 0x00ced1,
+    darkviolet: 0x9400d3,
+    deeppink: 0xff1493,
+    deepskyblue: 0x00bfff,
+    dimgray: 0x696969,
+    dimgrey: 0x696969,
+    dodgerblue: 0x1e90ff,
+    firebrick: 0xb22222,
+    floralwhite: 0xfffaf0,
+    forestgreen: 0x228b22,
+    fuchsia: 0xff00ff,
+    gainsboro: 0xdcdcdc,
+    ghostwhite: 0xf8f8ff,
+    goldenrod: 0xdaa520,
+    greenyellow: 0xadff2f,
+    honeydew: 0xf0fff0,
+    hotpink: 0xff69b4,
+    indianred: 0xcd5c5c,
+    ivory: 0xfffff0,
+    khaki: 0xf0e68c,
+    lavender: 0xe6e6fa,
+    lavenderblush: 0xfff0f5,
+    lawngreen: 0x7cfc00,
+    lemonchiffon: 0xfffacd,
+    lightblue: 0xadd8e6,
+    lightcoral: 0xf08080,
+    lightcyan: 0xe0ffff,
+    lightgoldenrodyellow: 0xfafad2,
+    lightgreen: 0x90ee90,
+    lightpink: 0xffb6c1,
+    lightsalmon: 0xffa07a,
+    lightseagreen: 0x20b2aa,
+    lightskyblue: 0x87cefa,
+    lightslategray: 0x778899,
+    lightslategrey: 0x778899,
+    lightsteelblue: 0xb0c4de,
+    lightyellow: 0xffffe0,
+    limegreen: 0x32cd32,
+    linen: 0xfaf0e6,
+    maroon: 0x800000,
+    mediumaquamarine: 0x66cdaa,
+    mediumblue: 0x0000cd,
+    mediumorchid: 0xba55d3,
+    mediumpurple: 0x9370db,
+    mediumseagreen: 0x3cb371,
+    mediumslateblue: 0x7b68ee,
+    mediumspringgreen: 0x00fa9a,
+    mediumturquoise: 0x48d1cc,
+    mediumvioletred: 0xc71585,
+    midnightblue: 0x191970,
+    mintcream: 0xf5fffa,
+    mistyrose: 0xffe4e1,
+    moccasin: 0xffe4b5,
+    navajowhite: 0xffdead,
+    navy: 0x000080,
+    oldlace: 0xfdf5e6,
+    olive: 0x808000,
+    olivedrab: 0x6b8e23,
+    orangered: 0xff4500,
+    orchid: 0xda70d6,
+    palegoldenrod: 0xeee8aa,
+    palegreen: 0x98fb98,
+    paleturquoise: 0xafeeee,
+    palevioletred: 0xdb7093,
+    papayawhip: 0xffefd5,
+    peachpuff: 0xffdab9,
+    peru: 0xcd853f,
+    plum: 0xdda0dd,
+    powderblue: 0xb0e0e6,
+    rebeccapurple: 0x663399,
+    rosybrown: 0xbc8f8f,
+    royalblue: 0x4169e1,
+    saddlebrown: 0x8b4513,
+    sandybrown: 0xf4a460,
+    seagreen: 0x2e8b57,
+    seashell: 0xfff5ee,
+    sienna: 0xa0522d,
+    skyblue: 0x87ceeb,
+    slateblue: 0x6a5acd,
+    slategray: 0x708090,
+    slategrey: 0x708090,
+    snow: 0xfffafa,
+    springgreen: 0x00ff7f,
+    steelblue: 0x4682b4,
+    tan: 0xd2b48c,
+    thistle: 0xd8bfd8,
+    tomato: 0xff6347,
+    turquoise: 0x40e0d0,
+    violet: 0xee82ee,
+    wheat: 0xf5deb3,
+    whitesmoke: 0xf5f5f5,
+    yellowgreen: 0x9acd32,
 };
 
 /**
- * Parses a color value into a format Three.js can use.
+ * Color used when none is given.
+ * @private
+ */
+const DEFAULT_COLOR = 0x4a90d9;
+
+/**
+ * Spaces lerpColor() and gradients can blend in:
+ * - 'rgb': linear-light RGB, how Three.js blends (lerpColor's default)
+ * - 'srgb': RGB as written in CSS and hex
+ * - 'hsl': around the color wheel, the short way
+ * - 'oklab': perceptually even steps, without muddy middles (gradients' default)
+ * - 'oklch': perceptually even, around the color wheel
+ */
+const COLOR_SPACES = ['rgb', 'srgb', 'hsl', 'oklab', 'oklch'];
+
+/**
+ * Schemes createPalette() can make.
+ */
+const PALETTE_SCHEMES = ['complementary', 'splitComplementary', 'triadic', 'tetradic', 'analogous', 'monochromatic'];
+
+/**
+ * Hue offsets in degrees of the fixed palette schemes.
+ * @private
+ */
+const HUE_OFFSETS = {
+    complementary: [0, 180],
+    splitComplementary: [0, 150, 210],
+    triadic: [0, 120, 240],
+    tetradic: [0, 90, 180, 270]
+};
+
+/**
+ * Accepted formats, for error messages.
+ * @private
+ */
+const FORMATS_HINT = "Use a color name (see NAMED_COLORS), '#rrggbb', 0xrrggbb, rgb(), hsl() or oklch()";
+
+/** @private */
+const DEG = Math.PI / 180;
+
+// ─────────────────────────────────────────────────────────────────
+// Parsing
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parses a color value into a hex number Three.js can use.
  * Accepts:
- * - Named colors: 'red', 'blue', 'coral'
- * - Hex strings: '#ff0000', '0xff0000'
+ * - Named colors: 'red', 'cornflowerblue' (case-insensitive, see NAMED_COLORS)
+ * - Hex strings: '#f00', '#ff0000', '0xff0000'
  * - Hex numbers: 0xff0000
- * - RGB strings: 'rgb(255, 0, 0)'
+ * - CSS color functions: 'rgb(255, 0, 0)', 'hsl(0, 100%, 50%)', 'oklch(63% 0.26 29)' (alpha is ignored)
+ * - THREE.Color objects, such as lerpColor() returns
+ *
+ * Undefined and null give the default color. Anything else throws, naming
+ * the closest color name when it looks like a typo.
  *
- * @param {string|number} color - The color to parse
- * @returns {number|string} A color value Three.js can use
+ * @param {string|number|THREE.Color} color - The color to parse
+ * @returns {number} The color as a hex number
  *
  * @example
- * parseColor('red')        // 0xff0000
- * parseColor('#ff0000')    // '#ff0000'
- * parseColor(0xff0000)     // 0xff0000
+ * parseColor('red')              // 0xff0000
+ * parseColor('#ff0000')          // 0xff0000
+ * parseColor('rgb(0, 128, 255)') // 0x0080ff
+ * parseColor('bleu')             // Error: Unknown color "bleu". Did you mean "blue"? ...
  */
 function parseColor(color) {
-    // If it's a number, return as-is
+    if (color === undefined || color === null) {
+        return DEFAULT_COLOR;
+    }
+
     if (typeof color === 'number') {
-        return color;
+        if (!(color >= 0 && color <= 0xffffff)) {
+            throw new Error(`Color numbers must be from 0x000000 to 0xffffff, got ${color}`);
+        }
+        return Math.floor(color);
+    }
+
+    if (color.isColor) {
+        return color.getHex();
     }
 
-    // If it's a string
-    if (typeof color === 'string') {
-        // Check named colors (case-insensitive)
-        const lowerColor = color.toLowerCase();
-        if (NAMED_COLORS[lowerColor] !== undefined) {
-            return NAMED_COLORS[lowerColor];
+    if (typeof color !== 'string') {
+        throw new Error(`Cannot use ${JSON.stringify(color)} as a color. ${FORMATS_HINT}`);
+    }
+
+    // Named colors (case-insensitive)
+    const text = color.trim().toLowerCase();
+    if (NAMED_COLORS[text] !== undefined) {
+        return NAMED_COLORS[text];
+    }
+
+    // Hex strings
+    const short = /^#([0-9a-f]{3})$/.exec(text);
+    if (short) {
+        return parseInt(short[1].replace(/./g, '$&$&'), 16);
+    }
+    const hex = /^(?:#|0x)([0-9a-f]{6})$/.exec(text);
+    if (hex) {
+        return parseInt(hex[1], 16);
+    }
+
+    // rgb(), hsl() and oklch()
+    const fn = /^(rgba?|hsla?|oklch)\((.*)\)$/.exec(text);
+    if (fn) {
+        const parsed = parseColorFunction(fn[1].replace(/a$/, ''), fn[2].split(/[\s,/]+/).filter(Boolean));
+        if (parsed === null) {
+            throw new Error(`Invalid color "${color}". Expected e.g. 'rgb(255, 128, 0)', 'hsl(30, 100%, 50%)' or 'oklch(70% 0.2 50)'`);
         }
+        return parsed;
+    }
+
+    const suggestion = /^[a-z\s_-]+$/.test(text) ? nearestColorName(text) : null;
+    const hint = suggestion ? `Did you mean "${suggestion}"? ` : '';
+    throw new Error(`Unknown color "${color}". ${hint}${FORMATS_HINT}`);
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Color spaces
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Makes a color from hue, saturation and lightness.
+ * @param {number} h - Hue in degrees (0 = red, 120 = green, 240 = blue)
+ * @param {number} s - Saturation, 0-1
+ * @param {number} l - Lightness, 0 (black) to 1 (white)
+ * @returns {number} Hex color
+ *
+ * @example
+ * box.setColor(hsl(200, 0.8, 0.5));
+ */
+function hsl(h, s, l) {
+    return rgbToHex(hslToRgb(h, s, l));
+}
+
+/**
+ * Makes a color from hue, saturation and value (brightness).
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation, 0-1
+ * @param {number} v - Value, 0 (black) to 1 (full brightness)
+ * @returns {number} Hex color
+ */
+function hsv(h, s, v) {
+    return rgbToHex(hsvToRgb(h, s, v));
+}
+
+/**
+ * Makes a color from OKLCH lightness, chroma and hue: like HSL, but equal
+ * steps look equal, so colors with the same lightness really look as light.
+ * Colors outside what a screen can show lose chroma until they fit.
+ * @param {number} l - Lightness, 0 (black) to 1 (white)
+ * @param {number} c - Chroma (colorfulness), 0 (gray) to about 0.37
+ * @param {number} h - Hue in degrees (about 30 = red, 140 = green, 265 = blue)
+ * @returns {number} Hex color
+ *
+ * @example
+ * // Five hues that look equally bright
+ * [0, 72, 144, 216, 288].map(h => oklch(0.7, 0.15, h));
+ */
+function oklch(l, c, h) {
+    return rgbToHex(oklchToRgb(l, c, h));
+}
+
+/**
+ * Converts a color to hue, saturation and lightness.
+ * @param {string|number|THREE.Color} color
+ * @returns {{h: number, s: number, l: number}} Hue in degrees (0-360), saturation and lightness 0-1
+ */
+function toHSL(color) {
+    const [h, s, l] = rgbToHsl(toRgb(color));
+    return { h, s, l };
+}
 
-        // Otherwise return as-is (Three.js can parse hex strings, rgb, etc.)
-        return color;
+/**
+ * Converts a color to hue, saturation and value.
+ * @param {string|number|THREE.Color} color
+ * @returns {{h: number, s: number, v: number}} Hue in degrees (0-360), saturation and value 0-1
+ */
+function toHSV(color) {
+    const [r, g, b] = toRgb(color);
+    const max = Math.max(r, g, b);
+    const chroma = max - Math.min(r, g, b);
+    return { h: rgbHue(r, g, b, max, chroma), s: max === 0 ? 0 : chroma / max, v: max };
+}
+
+/**
+ * Converts a color to OKLCH lightness, chroma and hue.
+ * @param {string|number|THREE.Color} color
+ * @returns {{l: number, c: number, h: number}} Lightness 0-1, chroma, and hue in degrees (0-360)
+ */
+function toOKLCH(color) {
+    const [l, c, h] = labToLch(rgbToOklab(toRgb(color)));
+    return { l, c, h };
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Palettes and gradients
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Makes a palette of colors that go together, starting from one color.
+ * Hues are turned in OKLCH, so the palette's colors look as light as the
+ * starting color.
+ * @param {string|number|THREE.Color} color - The starting color
+ * @param {string} [scheme='analogous'] - One of PALETTE_SCHEMES:
+ *   - 'complementary': the color and its opposite
+ *   - 'splitComplementary': the color and the two either side of its opposite
+ *   - 'triadic': three colors evenly around the wheel
+ *   - 'tetradic': four colors evenly around the wheel
+ *   - 'analogous': neighbouring hues, centered on the color
+ *   - 'monochromatic': the color's hue from dark to light
+ * @param {Object} [options] - Options for analogous and monochromatic palettes
+ * @param {number} [options.count] - Number of colors (3 for analogous, 5 for monochromatic)
+ * @param {number} [options.angle=30] - Degrees between analogous hues
+ * @returns {number[]} Hex colors; the starting color comes first, except in monochromatic palettes
+ *
+ * @example
+ * const [base, accent] = createPalette('steelblue', 'complementary');
+ * createPalette('coral', 'analogous', { count: 5, angle: 20 });
+ */
+function createPalette(color, scheme = 'analogous', options = {}) {
+    const base = parseColor(color);
+    const { l, c, h } = toOKLCH(base);
+
+    if (scheme === 'monochromatic') {
+        const { count = 5 } = options;
+        return Array.from({ length: count }, (_, i) => (
+            oklch(0.25 + 0.7 * (count > 1 ? i / (count - 1) : 0.5), c, h)
+        ));
+    }
+
+    let offsets = HUE_OFFSETS[scheme];
+    if (scheme === 'analogous') {
+        const { count = 3, angle = 30 } = options;
+        // Starting color first, then neighbours outwards: 0, -30, +30, -60, ...
+        offsets = Array.from({ length: count }, (_, i) => Math.ceil(i / 2) * angle * (i % 2 ? -1 : 1));
+    }
+    if (!offsets) {
+        throw new Error(`Unknown palette scheme "${scheme}". Available schemes: ${PALETTE_SCHEMES.join(', ')}`);
+    }
+    return offsets.map(offset => (offset === 0 ? base : oklch(l, c, h + offset)));
+}
+
+/**
+ * Makes a gradient through any number of colors, as a function from a
+ * position (0-1) to a color. Colors are parsed once, so sampling is cheap.
+ * @param {Array<string|number|THREE.Color|{color: (string|number|THREE.Color), at: number}>} stops -
+ *   Colors spread evenly from 0 to 1, or { color, at } to place them
+ * @param {string} [space='oklab'] - Color space to blend in (see COLOR_SPACES)
+ * @returns {Function} Function receiving a position (clamped to 0-1) and returning a THREE.Color
+ *
+ * @example
+ * const heat = createGradient(['navy', 'crimson', 'gold']);
+ * bars.forEach((bar, i) => bar.setColor(heat(values[i] / maxValue)));
+ *
+ * const terrain = createGradient([
+ *   { color: 'ocean', at: 0 },
+ *   { color: 'sandybrown', at: 0.3 },
+ *   { color: 'forest', at: 0.4 },
+ *   { color: 'white', at: 1 }
+ * ]);
+ */
+function createGradient(stops, space = 'oklab') {
+    checkColorSpace(space);
+    if (!Array.isArray(stops) || stops.length === 0) {
+        throw new Error('A gradient needs an array of at least one color');
     }
 
-    // Default fallback
-    return 0x4a90d9;
+    const last = stops.length - 1;
+    const points = stops.map((stop, i) => {
+        const placed = stop !== null && typeof stop === 'object' && !stop.isColor;
+        return {
+            at: placed && stop.at !== undefined ? stop.at : (last === 0 ? 0 : i / last),
+            rgb: toRgb(placed ? stop.color : stop)
+        };
+    }).sort((a, b) => a.at - b.at);
+
+    return function sample(t) {
+        let rgb;
+        if (!(t > points[0].at)) {
+            rgb = points[0].rgb;
+        } else if (t >= points[last].at) {
+            rgb = points[last].rgb;
+        } else {
+            let i = 1;
+            while (points[i].at < t) i++;
+            const from = points[i - 1];
+            const to = points[i];
+            rgb = mix(from.rgb, to.rgb, (t - from.at) / (to.at - from.at), space);
+        }
+        return new THREE.Color().setRGB(rgb[0], rgb[1], rgb[2], THREE.SRGBColorSpace);
+    };
 }
 
+/**
+ * Samples a gradient once. Use createGradient() to sample the same one often.
+ * @param {Array} stops - See createGradient
+ * @param {number} t - Position, 0-1
+ * @param {string} [space='oklab'] - Color space to blend in (see COLOR_SPACES)
+ * @returns {THREE.Color}
+ */
+function sampleGradient(stops, t, space = 'oklab') {
+    return createGradient(stops, space)(t);
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Random colors
+// ─────────────────────────────────────────────────────────────────
+
 /**
  * Creates a random color.
+ * @param {Function|number|string} [random=Math.random] - Random number source, e.g. from
+ *   createRandom(seed) for a repeatable sequence, or a seed for one repeatable color
  * @returns {number} A random hex color
+ *
+ * @example
+ * const random = createRandom('level-1');
+ * boxes.forEach(box => box.setColor(randomColor(random))); // Same colors every run
+ * player.setColor(randomColor(player.id)); // Always the same color for this id
  */
-function randomColor() {
-    return Math.floor(Math.random() * 0xffffff);
+function randomColor(random = Math.random) {
+    return Math.floor(toRandomSource(random)() * 0xffffff);
 }
 
 /**
  * Creates a random color from the named palette.
+ * @param {Function|number|string} [random=Math.random] - Random number source or seed, as for randomColor
  * @returns {number} A random color from NAMED_COLORS
  */
-function randomNamedColor() {
+function randomNamedColor(random = Math.random) {
     const keys = Object.keys(NAMED_COLORS);
-    const key = keys[Math.floor(Math.random() * keys.length)];
+    const key = keys[Math.floor(toRandomSource(random)() * keys.length)];
     return NAMED_COLORS[key];
 }
 
 /**
  * Interpolates between two colors.
- * @param {string|number} color1 - Start color
- * @param {string|number} color2 - End color
+ * @param {string|number|THREE.Color} color1 - Start color
+ * @param {string|number|THREE.Color} color2 - End color
  * @param {number} t - Interpolation factor (0-1)
+ * @param {string} [space='rgb'] - Color space to blend in (see COLOR_SPACES); 'oklab' or
+ *   'oklch' give perceptually even blends
  * @returns {THREE.Color}
+ *
+ * @example
+ * lerpColor('blue', 'yellow', 0.5);          // Gray-ish middle
+ * lerpColor('blue', 'yellow', 0.5, 'oklch'); // Vivid middle, around the wheel
+ */
+function lerpColor(color1, color2, t, space = 'rgb') {
+    checkColorSpace(space);
+    if (space === 'rgb') {
+        const c1 = new THREE.Color(parseColor(color1));
+        const c2 = new THREE.Color(parseColor(color2));
+        return c1.lerp(c2, t);
+    }
+    const rgb = mix(toRgb(color1), toRgb(color2), t, space);
+    return new THREE.Color().setRGB(rgb[0], rgb[1], rgb[2], THREE.SRGBColorSpace);
+}
+
+// ─────────────────────────────────────────────────────────────────
+// Internals
+// ─────────────────────────────────────────────────────────────────
+
+/**
+ * Parses the arguments of rgb(), hsl() or oklch(), or returns null if they're invalid.
+ * @private
+ */
+function parseColorFunction(name, args) {
+    if (args.length !== 3 && args.length !== 4) return null;
+    const [a, b, c] = args.slice(0, 3).map(parseFloat);
+    if (![a, b, c].every(Number.isFinite)) return null;
+    const percent = index => args[index].endsWith('%');
+
+    if (name === 'rgb') {
+        const channel = (value, index) => (percent(index) ? value / 100 : value / 255);
+        return rgbToHex([channel(a, 0), channel(b, 1), channel(c, 2)]);
+    }
+    if (name === 'hsl') {
+        return hsl(a, b / 100, c / 100);
+    }
+    // oklch: lightness as 0-1 or a percentage; chroma 100% = 0.4
+    return oklch(percent(0) ? a / 100 : a, percent(1) ? b * 0.004 : b, c);
+}
+
+/**
+ * Finds the color name closest to a misspelled one, if any is close enough.
+ * @private
+ */
+function nearestColorName(text) {
+    const compact = text.replace(/[\s_-]/g, '');
+    let best = null;
+    let bestDistance = Infinity;
+    for (const name of Object.keys(NAMED_COLORS)) {
+        const distance = levenshtein(compact, name);
+        if (distance < bestDistance) {
+            best = name;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(2, Math.floor(best.length / 3)) ? best : null;
+}
+
+/**
+ * Number of single-letter edits that turn one string into another.
+ * @private
+ */
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Checks a color space name.
+ * @private
+ */
+function checkColorSpace(space) {
+    if (!COLOR_SPACES.includes(space)) {
+        throw new Error(`Unknown color space "${space}". Use 'rgb', 'srgb', 'hsl', 'oklab' or 'oklch'`);
+    }
+}
+
+/**
+ * Gets a random number function from a function or a seed.
+ * @private
+ */
+function toRandomSource(random) {
+    if (typeof random === 'function') return random;
+    if (typeof random === 'number' || typeof random === 'string') return createRandom(random);
+    throw new Error('Expected a random number function (such as createRandom(seed)) or a seed');
+}
+
+/**
+ * Parses any color into sRGB channels, 0-1.
+ * @private
+ */
+function toRgb(color) {
+    const hex = parseColor(color);
+    return [((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255];
+}
+
+/**
+ * Packs sRGB channels (clamped to 0-1) into a hex number.
+ * @private
+ */
+function rgbToHex(rgb) {
+    const [r, g, b] = rgb.map(value => Math.round(Math.min(Math.max(value, 0), 1) * 255));
+    return (r << 16) | (g << 8) | b;
+}
+
+/**
+ * Blends two sRGB colors in a color space.
+ * @private
+ */
+function mix(rgb1, rgb2, t, space) {
+    if (space === 'srgb') {
+        return rgb1.map((value, i) => value + (rgb2[i] - value) * t);
+    }
+    if (space === 'rgb') {
+        const linear = rgb1.map((value, i) => lerp(srgbToLinear(value), srgbToLinear(rgb2[i]), t));
+        return linear.map(linearToSrgb);
+    }
+    if (space === 'hsl') {
+        const [h1, s1, l1] = rgbToHsl(rgb1);
+        const [h2, s2, l2] = rgbToHsl(rgb2);
+        // Grays have no hue of their own; take the other color's
+        const h = lerpHue(s1 === 0 ? h2 : h1, s2 === 0 ? h1 : h2, t);
+        return hslToRgb(h, lerp(s1, s2, t), lerp(l1, l2, t));
+    }
+
+    const lab1 = rgbToOklab(rgb1);
+    const lab2 = rgbToOklab(rgb2);
+    if (space === 'oklab') {
+        return oklabToRgb(lab1.map((value, i) => lerp(value, lab2[i], t)));
+    }
+    const [l1, c1, h1] = labToLch(lab1);
+    const [l2, c2, h2] = labToLch(lab2);
+    const h = lerpHue(c1 < 1e-4 ? h2 : h1, c2 < 1e-4 ? h1 : h2, t);
+    return oklchToRgb(lerp(l1, l2, t), lerp(c1, c2, t), h);
+}
+
+/** @private */
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Interpolates between hues the short way round.
+ * @private
  */
-function lerpColor(color1, color2, t) {
-    const c1 = new THREE.Color(parseColor(color1));
-    const c2 = new THREE.Color(parseColor(color2));
-    return c1.lerp(c2, t);
+function lerpHue(h1, h2, t) {
+    const delta = ((h2 - h1 + 540) % 360) - 180;
+    return (h1 + delta * t + 360) % 360;
+}
+
+/** @private */
+function srgbToLinear(value) {
+    return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+/** @private */
+function linearToSrgb(value) {
+    return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+}
+
+/**
+ * Hue in degrees of RGB channels, given their max and chroma.
+ * @private
+ */
+function rgbHue(r, g, b, max, chroma) {
+    if (chroma === 0) return 0;
+    let h;
+    if (max === r) h = ((g - b) / chroma) % 6;
+    else if (max === g) h = (b - r) / chroma + 2;
+    else h = (r - g) / chroma + 4;
+    return (h * 60 + 360) % 360;
+}
+
+/** @private */
+function rgbToHsl([r, g, b]) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const chroma = max - min;
+    const l = (max + min) / 2;
+    const s = chroma === 0 ? 0 : chroma / (1 - Math.abs(2 * l - 1));
+    return [rgbHue(r, g, b, max, chroma), s, l];
+}
+
+/** @private */
+function hslToRgb(h, s, l) {
+    s = Math.min(Math.max(s, 0), 1);
+    l = Math.min(Math.max(l, 0), 1);
+    const a = s * Math.min(l, 1 - l);
+    const channel = n => {
+        const k = (n + h / 30) % 12;
+        return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    };
+    return [channel(0), channel(8), channel(4)];
+}
+
+/** @private */
+function hsvToRgb(h, s, v) {
+    s = Math.min(Math.max(s, 0), 1);
+    v = Math.min(Math.max(v, 0), 1);
+    const channel = n => {
+        const k = (n + h / 60) % 6;
+        return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+    };
+    return [channel(5), channel(3), channel(1)];
+}
+
+/**
+ * sRGB to OKLab (https://bottosson.github.io/posts/oklab/).
+ * @private
+ */
+function rgbToOklab(rgb) {
+    const [r, g, b] = rgb.map(srgbToLinear);
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return [
+        0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    ];
+}
+
+/**
+ * OKLab to sRGB, unclamped (it may be outside what a screen can show).
+ * @private
+ */
+function oklabToRgb([L, a, b]) {
+    const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+    return [
+        4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+        -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+        -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+    ].map(value => Math.sign(value) * linearToSrgb(Math.abs(value)));
+}
+
+/** @private */
+function labToLch([l, a, b]) {
+    const c = Math.hypot(a, b);
+    return [l, c, c < 1e-4 ? 0 : (Math.atan2(b, a) / DEG + 360) % 360];
+}
+
+/**
+ * OKLCH to sRGB, lowering chroma until the color can be shown.
+ * @private
+ */
+function oklchToRgb(l, c, h) {
+    l = Math.min(Math.max(l, 0), 1);
+    c = Math.max(c, 0);
+    const cos = Math.cos(h * DEG);
+    const sin = Math.sin(h * DEG);
+    const toRgbAt = chroma => oklabToRgb([l, chroma * cos, chroma * sin]);
+
+    const rgb = toRgbAt(c);
+    if (inGamut(rgb)) return rgb;
+
+    let low = 0;
+    let high = c;
+    for (let i = 0; i < 16; i++) {
+        const mid = (low + high) / 2;
+        if (inGamut(toRgbAt(mid))) low = mid;
+        else high = mid;
+    }
+    return toRgbAt(low);
+}
+
+/** @private */
+function inGamut(rgb) {
+    return rgb.every(value => value >= -1e-4 && value <= 1 + 1e-4);
 }
 
 export {
     NAMED_COLORS,
+    COLOR_SPACES,
+    PALETTE_SCHEMES,
     parseColor,
+    hsl,
+    hsv,
+    oklch,
+    toHSL,
+    toHSV,
+    toOKLCH,
+    createPalette,
+    createGradient,
+    sampleGradient,
     randomColor,
     randomNamedColor,
     lerpColor
@@ -0,0 +1,27 @@
+/**
+ * Layer names mapped to Three.js layer channels (0-31). Shared by every
+ * scene, so an object keeps its channel when it moves between scenes.
+ * @private
+ */
+const channels = new Map([['default', 0]]);
+
+/**
+ * Gets the Three.js layer channel for a layer name, assigning the next free
+ * one the first time a name is used.
+ * @param {string} name - Layer name
+ * @returns {number} Channel, 0-31
+ */
+function getLayerChannel(name) {
+    let channel = channels.get(name);
+    if (channel === undefined) {
+        if (channels.size >= 32) {
+            const used = [...channels.keys()].join(', ');
+            throw new Error(`Cannot create layer "${name}": all 32 layers are in use (${used})`);
+        }
+        channel = channels.size;
+        channels.set(name, channel);
+    }
+    return channel;
+}
+
+export { getLayerChannel };
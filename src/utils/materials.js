@@ -0,0 +1,268 @@
+import * as THREE from 'three';
+import { parseColor } from './colors.js';
+import { AssetManager } from '../assets/AssetManager.js';
+
+/**
+ * Material types that can be selected by name with the materialType option.
+ */
+const MATERIAL_TYPES = {
+    basic: THREE.MeshBasicMaterial,
+    standard: THREE.MeshStandardMaterial,
+    physical: THREE.MeshPhysicalMaterial,
+    phong: THREE.MeshPhongMaterial,
+    lambert: THREE.MeshLambertMaterial,
+    toon: THREE.MeshToonMaterial,
+    normal: THREE.MeshNormalMaterial
+};
+
+/**
+ * Named material presets for easy material specification.
+ * Use with the material option or setMaterial(); other options override them.
+ */
+const MATERIAL_PRESETS = {
+    // Metals
+    gold: { materialType: 'standard', color: 0xffc53d, metalness: 1, roughness: 0.25 },
+    silver: { materialType: 'standard', color: 0xe8e8e8, metalness: 1, roughness: 0.2 },
+    copper: { materialType: 'standard', color: 0xd9825b, metalness: 1, roughness: 0.3 },
+    chrome: { materialType: 'standard', color: 0xffffff, metalness: 1, roughness: 0.05 },
+    brushedMetal: { materialType: 'standard', color: 0xb0b0b0, metalness: 0.9, roughness: 0.5 },
+
+    // Non-metals
+    plastic: { materialType: 'standard', color: 0xf5f5f5, metalness: 0, roughness: 0.4 },
+    rubber: { materialType: 'standard', color: 0x222222, metalness: 0, roughness: 0.95 },
+    matte: { materialType: 'standard', color: 0xdddddd, metalness: 0, roughness: 1 },
+    clay: { materialType: 'standard', color: 0xc9a27e, metalness: 0, roughness: 0.85, flatShading: true },
+    ceramic: { materialType: 'physical', color: 0xffffff, metalness: 0, roughness: 0.2, clearcoat: 1, clearcoatRoughness: 0.1 },
+
+    // Transparent
+    glass: {
+        materialType: 'physical',
+        color: 0xffffff,
+        metalness: 0,
+        roughness: 0.05,
+        transmission: 1,
+        thickness: 0.5,
+        ior: 1.5,
+        transparent: true
+    },
+    water: {
+        materialType: 'physical',
+        color: 0x6fb7d6,
+        metalness: 0,
+        roughness: 0.1,
+        transmission: 0.9,
+        ior: 1.33,
+        transparent: true
+    },
+    ghost: { materialType: 'standard', color: 0xffffff, opacity: 0.35, transparent: true },
+
+    // Glowing
+    neon: { materialType: 'standard', color: 0x111111, emissive: 0x00ffcc, emissiveIntensity: 2 },
+    lava: { materialType: 'standard', color: 0x330000, emissive: 0xff4500, emissiveIntensity: 1.5, roughness: 0.9 },
+
+    // Stylized
+    cartoon: { materialType: 'toon', color: 0xffffff }
+};
+
+/**
+ * Texture map options. Color maps load as sRGB; the rest hold data and stay linear.
+ * @private
+ */
+const TEXTURE_SLOTS = {
+    map: 'srgb',
+    emissiveMap: 'srgb',
+    normalMap: 'linear',
+    roughnessMap: 'linear',
+    metalnessMap: 'linear',
+    aoMap: 'linear',
+    alphaMap: 'linear',
+    bumpMap: 'linear',
+    displacementMap: 'linear',
+    lightMap: 'linear',
+    envMap: 'srgb'
+};
+
+/**
+ * Plain material properties copied when the material has them.
+ * @private
+ */
+const MATERIAL_PROPERTIES = [
+    'wireframe', 'roughness', 'metalness', 'emissiveIntensity', 'opacity', 'transparent',
+    'flatShading', 'clearcoat', 'clearcoatRoughness', 'transmission', 'thickness', 'ior',
+    'sheen', 'iridescence', 'reflectivity', 'shininess', 'alphaTest', 'depthWrite',
+    'normalScale', 'bumpScale', 'displacementScale', 'envMapIntensity', 'aoMapIntensity'
+];
+
+/**
+ * Values accepted by the side option.
+ * @private
+ */
+const SIDES = {
+    front: THREE.FrontSide,
+    back: THREE.BackSide,
+    double: THREE.DoubleSide
+};
+
+/**
+ * Creates a material from GameObject-style options.
+ *
+ * @param {Object} [options] - Material options
+ * @param {string|THREE.Material} [options.material] - A preset name from MATERIAL_PRESETS, or a material to use as-is
+ * @param {string} [options.materialType='standard'] - One of the MATERIAL_TYPES names
+ * @param {string|number} [options.color=0x4a90d9] - Base color
+ * @param {boolean} [options.wireframe=false] - Show as wireframe
+ * @param {number} [options.roughness] - 0 (mirror) to 1 (matte); standard and physical only
+ * @param {number} [options.metalness] - 0 (dielectric) to 1 (metal); standard and physical only
+ * @param {string|number} [options.emissive] - Glow color
+ * @param {number} [options.emissiveIntensity] - Glow strength
+ * @param {number} [options.opacity] - 0-1; below 1 makes the material transparent
+ * @param {boolean} [options.transparent] - Enable alpha blending
+ * @param {string} [options.side='front'] - Faces to draw: 'front', 'back' or 'double'
+ * @param {boolean} [options.flatShading] - Faceted instead of smooth shading
+ * @param {THREE.Texture|string} [options.map] - Color texture, or a URL to load it from.
+ *   normalMap, roughnessMap, metalnessMap, emissiveMap, aoMap, alphaMap, bumpMap,
+ *   displacementMap, lightMap and envMap work the same way.
+ * @param {Function} [onTextureError] - Called with (error, slot) if a texture URL fails to load
+ * @returns {THREE.Material}
+ *
+ * @example
+ * createMaterial({ material: 'gold' });
+ * createMaterial({ materialType: 'physical', color: 'white', roughness: 0, transmission: 1 });
+ * createMaterial({ map: 'textures/crate.png', normalMap: 'textures/crate-normal.png' });
+ */
+function createMaterial(options = {}, onTextureError) {
+    if (options.material && options.material.isMaterial) {
+        return options.material;
+    }
+
+    const settings = { ...resolvePreset(options.material), ...withoutUndefined(options) };
+    const { materialType = 'standard', color = 0x4a90d9 } = settings;
+
+    const MaterialType = MATERIAL_TYPES[materialType];
+    if (!MaterialType) {
+        const available = Object.keys(MATERIAL_TYPES).join(', ');
+        throw new Error(`Unknown material type "${materialType}". Available types: ${available}`);
+    }
+
+    const material = new MaterialType();
+    applyMaterialOptions(material, { ...settings, color }, onTextureError);
+    return material;
+}
+
+/**
+ * Applies material options to an existing material, skipping properties the
+ * material type doesn't have (e.g. roughness on a toon material).
+ * Texture URLs load asynchronously and appear when ready.
+ * @param {THREE.Material} material - Material to change
+ * @param {Object} options - Same options as createMaterial (except material and materialType)
+ * @param {Function} [onTextureError] - Called with (error, slot) if a texture URL fails to load
+ * @returns {THREE.Material} The material
+ */
+function applyMaterialOptions(material, options, onTextureError) {
+    const { color, emissive, side, opacity } = options;
+
+    if (color !== undefined && material.color) {
+        material.color.set(parseColor(color));
+    }
+    if (emissive !== undefined && material.emissive) {
+        material.emissive.set(parseColor(emissive));
+    }
+    if (side !== undefined) {
+        if (SIDES[side] === undefined) {
+            throw new Error(`Unknown side "${side}". Use 'front', 'back' or 'double'`);
+        }
+        material.side = SIDES[side];
+    }
+
+    for (const key of MATERIAL_PROPERTIES) {
+        const value = options[key];
+        if (value === undefined || !(key in material)) continue;
+        if (material[key] && material[key].isVector2) {
+            material[key].setScalar(value);
+        } else {
+            material[key] = value;
+        }
+    }
+
+    // Translucent unless told otherwise
+    if (opacity !== undefined && opacity < 1 && options.transparent === undefined) {
+        material.transparent = true;
+    }
+
+    for (const slot of Object.keys(TEXTURE_SLOTS)) {
+        if (options[slot] !== undefined) {
+            // Load failures also reach AssetManager.onError
+            setMaterialTexture(material, slot, options[slot]).catch(error => {
+                if (onTextureError) onTextureError(error, slot);
+            });
+        }
+    }
+
+    material.needsUpdate = true;
+    return material;
+}
+
+/**
+ * Sets a texture slot on a material. Strings are loaded (and cached) with the
+ * default AssetManager; the slot is filled once the image arrives. Slots the
+ * material type doesn't have are ignored.
+ * @param {THREE.Material} material - Material to change
+ * @param {string} slot - Slot name, e.g. 'map' or 'normalMap'
+ * @param {THREE.Texture|string|null} texture - Texture, URL, or null to clear
+ * @returns {Promise<THREE.Texture|null>} Resolves when the texture is in place
+ */
+function setMaterialTexture(material, slot, texture) {
+    if (TEXTURE_SLOTS[slot] === undefined) {
+        const available = Object.keys(TEXTURE_SLOTS).join(', ');
+        throw new Error(`Unknown texture slot "${slot}". Available slots: ${available}`);
+    }
+    if (!(slot in material)) {
+        return Promise.resolve(null); // This material type doesn't use the map
+    }
+
+    if (typeof texture !== 'string') {
+        material[slot] = texture || null;
+        material.needsUpdate = true;
+        return Promise.resolve(material[slot]);
+    }
+
+    return AssetManager.default.loadTexture(texture, { colorSpace: TEXTURE_SLOTS[slot] }).then(loaded => {
+        material[slot] = loaded;
+        material.needsUpdate = true;
+        return loaded;
+    });
+}
+
+/**
+ * Looks up a preset by name.
+ * @private
+ */
+function resolvePreset(name) {
+    if (name === undefined || name === null) return {};
+    const preset = MATERIAL_PRESETS[name];
+    if (!preset) {
+        const available = Object.keys(MATERIAL_PRESETS).join(', ');
+        throw new Error(`Unknown material preset "${name}". Available presets: ${available}`);
+    }
+    return preset;
+}
+
+/**
+ * Copies an object without its undefined values, so they don't hide preset values.
+ * @private
+ */
+function withoutUndefined(object) {
+    const result = {};
+    for (const [key, value] of Object.entries(object)) {
+        if (value !== undefined) result[key] = value;
+    }
+    return result;
+}
+
+export {
+    MATERIAL_TYPES,
+    MATERIAL_PRESETS,
+    createMaterial,
+    applyMaterialOptions,
+    setMaterialTexture
+};
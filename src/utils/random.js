@@ -0,0 +1,42 @@
+/**
+ * Creates a seeded random number generator: a drop-in for Math.random that
+ * gives the same sequence every time for the same seed, for reproducible
+ * scenes.
+ * @param {number|string} seed - Any number or string
+ * @returns {Function} Function returning numbers from 0 (inclusive) to 1 (exclusive)
+ *
+ * @example
+ * const random = createRandom(42);
+ * for (let i = 0; i < 10; i++) {
+ *   scene.add(new Box({ x: random() * 10, color: randomColor(random) }));
+ * }
+ */
+function createRandom(seed) {
+    if (typeof seed !== 'string' && !Number.isFinite(seed)) {
+        throw new Error(`createRandom needs a number or string seed, got ${seed}`);
+    }
+    let state = typeof seed === 'string' ? hashString(seed) : Math.floor(seed) >>> 0;
+
+    // mulberry32: tiny, fast and well distributed for visual work
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Turns a string into a 32-bit seed (FNV-1a).
+ * @private
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export { createRandom };
@@ -0,0 +1,100 @@
+/**
+ * Headless engine runs: the same ticks must always give the same scene.
+ * Run with `npm test` (Node's built-in test runner; no browser needed).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, Scene, Box, Sphere } from '../src/index.js';
+
+/**
+ * Builds a small scene with the kinds of motion games use, runs it for a
+ * number of ticks and returns where everything ended up.
+ */
+function simulate(ticks, options = {}) {
+    const engine = new Engine({ headless: true, fixedTimestep: 1 / 60, ...options });
+    const scene = new Scene();
+
+    const mover = new Box({ name: 'mover' });
+    mover.onUpdate((box, delta) => box.mesh.position.x += delta * 2);
+    const spinner = new Box({ name: 'spinner' }).spin({ speedY: 1.5 });
+    const tweened = new Sphere({ name: 'tweened' });
+    tweened.moveTo(0, 3, 0, { duration: 1, easing: 'linear' });
+    let fixedSteps = 0;
+    mover.onFixedUpdate(() => fixedSteps++);
+
+    scene.add(mover).add(spinner).add(tweened);
+    engine.run(scene);
+    for (let i = 0; i < ticks; i++) engine.tick();
+
+    const result = {
+        elapsed: engine.elapsed,
+        fixedSteps,
+        moverX: mover.mesh.position.x,
+        spinnerY: spinner.mesh.rotation.y,
+        tweenedY: tweened.mesh.position.y
+    };
+    engine.dispose();
+    return result;
+}
+
+test('ticks advance game time by exactly their length', () => {
+    const { elapsed, fixedSteps, moverX, tweenedY } = simulate(120);
+    assert.ok(Math.abs(elapsed - 2) < 1e-9, `elapsed ${elapsed}`);
+    assert.equal(fixedSteps, 120);
+    assert.ok(Math.abs(moverX - 4) < 1e-9, `mover x ${moverX}`);
+    assert.ok(Math.abs(tweenedY - 3) < 1e-9, `tweened y ${tweenedY}`);
+});
+
+test('the same ticks give the same scene every run', () => {
+    assert.deepEqual(simulate(90), simulate(90));
+});
+
+test('step() advances whole fixed timesteps while paused', () => {
+    const engine = new Engine({ headless: true, fixedTimestep: 1 / 30 });
+    const box = new Box();
+    box.onUpdate((b, delta) => b.mesh.position.y += delta);
+    engine.run(new Scene().add(box));
+
+    engine.pause();
+    engine.tick().tick();
+    assert.equal(box.mesh.position.y, 0);
+
+    engine.step(3);
+    assert.ok(Math.abs(box.mesh.position.y - 0.1) < 1e-9, `y ${box.mesh.position.y}`);
+    engine.dispose();
+});
+
+test('captureFrame() reads an injected renderer top row first', () => {
+    // Just enough of a WebGLRenderer for rendering and reading back a 2x2 frame
+    const renderer = {
+        domElement: null,
+        info: { autoReset: true, reset() {}, render: { calls: 0, triangles: 0 }, memory: { geometries: 0, textures: 0 } },
+        shadowMap: {},
+        autoClear: true,
+        setSize() {},
+        setPixelRatio() {},
+        getPixelRatio: () => 1,
+        setRenderTarget() {},
+        clear() {},
+        clearDepth() {},
+        render() {},
+        dispose() {},
+        getDrawingBufferSize: target => target.set(2, 2),
+        getContext: () => ({
+            RGBA: 1,
+            UNSIGNED_BYTE: 2,
+            // WebGL reads bottom row first
+            readPixels(x, y, width, height, format, type, pixels) {
+                pixels.set([1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4]);
+            }
+        })
+    };
+
+    const engine = new Engine({ headless: true, renderer });
+    engine.run(new Scene()).tick();
+    const frame = engine.captureFrame();
+    assert.equal(frame.width, 2);
+    assert.equal(frame.height, 2);
+    assert.deepEqual(Array.from(frame.data), [3, 3, 3, 3, 4, 4, 4, 4, 1, 1, 1, 1, 2, 2, 2, 2]);
+    engine.dispose();
+});
@@ -0,0 +1,54 @@
+/**
+ * Physics in headless runs: fixed steps, so the same ticks always land
+ * bodies in the same places.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Engine, Scene, Box, Sphere } from '../src/index.js';
+
+/**
+ * Drops a few spheres onto a floor, each rolling a little faster than the
+ * last, and returns where they ended up.
+ */
+function dropSpheres(ticks, roll = 0) {
+    const engine = new Engine({ headless: true });
+    const scene = new Scene({ physics: { gravity: { x: 0, y: -9.81, z: 0 } } });
+    scene.add(new Box({ width: 10, height: 0.2, depth: 10 }).enablePhysics({ mass: 0 }));
+
+    const spheres = [0, 1, 2].map(i => new Sphere({ x: i - 1, y: 2 + i, radius: 0.5 })
+        .enablePhysics({ mass: 1, restitution: 0.5, velocity: { x: i * roll, y: 0, z: 0 } }));
+    for (const sphere of spheres) scene.add(sphere);
+
+    engine.run(scene);
+    for (let i = 0; i < ticks; i++) engine.tick(1 / 60);
+
+    const positions = spheres.map(sphere => sphere.mesh.position.toArray());
+    engine.dispose();
+    return positions;
+}
+
+test('the same ticks give the same bodies every run', () => {
+    assert.deepEqual(dropSpheres(180, 0.5), dropSpheres(180, 0.5));
+});
+
+test('bodies fall and come to rest on static ones', () => {
+    for (const [, y] of dropSpheres(300)) {
+        // Floor top is at 0.1, sphere radius 0.5
+        assert.ok(Math.abs(y - 0.6) < 0.05, `sphere rests at y ${y}`);
+    }
+});
+
+test('free fall follows gravity', () => {
+    const engine = new Engine({ headless: true });
+    const scene = new Scene({ physics: { gravity: { x: 0, y: -10, z: 0 }, interpolate: false } });
+    const ball = new Sphere({ y: 100 }).enablePhysics({ mass: 1, linearDamping: 0 });
+    engine.run(scene.add(ball));
+
+    for (let i = 0; i < 60; i++) engine.tick(1 / 60);
+
+    // Half g t², give or take one step of the integrator
+    const fallen = 100 - ball.mesh.position.y;
+    assert.ok(Math.abs(fallen - 5) < 0.2, `fell ${fallen}`);
+    assert.ok(Math.abs(ball.body.velocity.y + 10) < 1e-6, `velocity ${ball.body.velocity.y}`);
+    engine.dispose();
+});